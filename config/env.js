@@ -60,11 +60,110 @@ function validateEnv() {
     errors.push('Google OAuth partially configured. Provide both GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET, or remove both.');
   }
 
+  // USPS v3 REST API uses OAuth client credentials; Web Tools (legacy XML) uses USPS_USER_ID
+  const hasUSPSv3Config = process.env.USPS_CLIENT_ID || process.env.USPS_CLIENT_SECRET;
+  if (hasUSPSv3Config && (!process.env.USPS_CLIENT_ID || !process.env.USPS_CLIENT_SECRET)) {
+    errors.push('USPS v3 partially configured. Provide both USPS_CLIENT_ID and USPS_CLIENT_SECRET, or remove both.');
+  }
+
+  const uspsApiVersion = process.env.USPS_API_VERSION || (hasUSPSv3Config ? 'v3' : 'webtools');
+  if (!['v3', 'webtools'].includes(uspsApiVersion)) {
+    errors.push('USPS_API_VERSION must be either "v3" or "webtools"');
+  } else if (uspsApiVersion === 'v3' && process.env.USPS_API_VERSION && !hasUSPSv3Config) {
+    errors.push('USPS_API_VERSION is "v3" but USPS_CLIENT_ID and USPS_CLIENT_SECRET are not set');
+  }
+
+  // UPS uses OAuth client credentials - both values are needed to request a token
+  const hasUPSConfig = process.env.UPS_CLIENT_ID || process.env.UPS_CLIENT_SECRET;
+  if (hasUPSConfig && (!process.env.UPS_CLIENT_ID || !process.env.UPS_CLIENT_SECRET)) {
+    errors.push('UPS partially configured. Provide both UPS_CLIENT_ID and UPS_CLIENT_SECRET, or remove both.');
+  }
+
+  // FedEx uses OAuth client credentials - the API key and secret key are both required
+  const hasFedExConfig = process.env.FEDEX_API_KEY || process.env.FEDEX_SECRET_KEY;
+  if (hasFedExConfig && (!process.env.FEDEX_API_KEY || !process.env.FEDEX_SECRET_KEY)) {
+    errors.push('FedEx partially configured. Provide both FEDEX_API_KEY and FEDEX_SECRET_KEY, or remove both.');
+  }
+
+  // Regional US carriers
+  const hasOnTracConfig = process.env.ONTRAC_ACCOUNT_NUMBER || process.env.ONTRAC_PASSWORD;
+  if (hasOnTracConfig && (!process.env.ONTRAC_ACCOUNT_NUMBER || !process.env.ONTRAC_PASSWORD)) {
+    errors.push('OnTrac partially configured. Provide both ONTRAC_ACCOUNT_NUMBER and ONTRAC_PASSWORD, or remove both.');
+  }
+
+  const hasLaserShipConfig = process.env.LASERSHIP_API_ID || process.env.LASERSHIP_API_KEY;
+  if (hasLaserShipConfig && (!process.env.LASERSHIP_API_ID || !process.env.LASERSHIP_API_KEY)) {
+    errors.push('LaserShip partially configured. Provide both LASERSHIP_API_ID and LASERSHIP_API_KEY, or remove both.');
+  }
+
+  // National posts for international (UPU S10) mail
+  const hasCanadaPostConfig = process.env.CANADA_POST_USERNAME || process.env.CANADA_POST_PASSWORD;
+  if (hasCanadaPostConfig && (!process.env.CANADA_POST_USERNAME || !process.env.CANADA_POST_PASSWORD)) {
+    errors.push('Canada Post partially configured. Provide both CANADA_POST_USERNAME and CANADA_POST_PASSWORD, or remove both.');
+  }
+
+  const hasRoyalMailConfig = process.env.ROYAL_MAIL_CLIENT_ID || process.env.ROYAL_MAIL_CLIENT_SECRET;
+  if (hasRoyalMailConfig && (!process.env.ROYAL_MAIL_CLIENT_ID || !process.env.ROYAL_MAIL_CLIENT_SECRET)) {
+    errors.push('Royal Mail partially configured. Provide both ROYAL_MAIL_CLIENT_ID and ROYAL_MAIL_CLIENT_SECRET, or remove both.');
+  }
+
+  const auspostConfig = [process.env.AUSPOST_API_KEY, process.env.AUSPOST_PASSWORD, process.env.AUSPOST_ACCOUNT_NUMBER];
+  if (auspostConfig.some(Boolean) && !auspostConfig.every(Boolean)) {
+    errors.push('Australia Post partially configured. Provide AUSPOST_API_KEY, AUSPOST_PASSWORD and AUSPOST_ACCOUNT_NUMBER, or remove all three.');
+  }
+
+  // Where international mail is assumed to be going when the origin post does not say
+  const postalDestinationCountry = (process.env.POSTAL_DESTINATION_COUNTRY || 'US').toUpperCase();
+  if (!/^[A-Z]{2}$/.test(postalDestinationCountry)) {
+    errors.push('POSTAL_DESTINATION_COUNTRY must be a two-letter country code, e.g. "US"');
+  }
+
+  const jobWorkerInterval = process.env.JOB_WORKER_INTERVAL_MS;
+  if (jobWorkerInterval && !(parseInt(jobWorkerInterval, 10) > 0)) {
+    errors.push('JOB_WORKER_INTERVAL_MS must be a positive number of milliseconds');
+  }
+
+  const maxInactiveDays = process.env.REFRESH_MAX_INACTIVE_DAYS;
+  if (maxInactiveDays && !(parseInt(maxInactiveDays, 10) > 0)) {
+    errors.push('REFRESH_MAX_INACTIVE_DAYS must be a positive number of days');
+  }
+
+  // Per-carrier refresh quotas, e.g. "USPS=60,UPS=250" (lookups per hour)
+  const carrierPollQuotas = {};
+  (process.env.CARRIER_POLL_QUOTAS || '').split(',').filter(entry => entry.trim()).forEach(entry => {
+    const [carrier, limit] = entry.split('=').map(part => part.trim());
+    if (!carrier || !(parseInt(limit, 10) >= 0)) {
+      errors.push(`CARRIER_POLL_QUOTAS entry "${entry.trim()}" must look like CARRIER=LOOKUPS_PER_HOUR`);
+      return;
+    }
+    carrierPollQuotas[carrier.toUpperCase()] = parseInt(limit, 10);
+  });
+
+  // Outgoing mail - SMTP when configured (e.g. a local catch-all like Mailpit in development), otherwise logged
+  const mailTransport = process.env.MAIL_TRANSPORT || (process.env.SMTP_URL ? 'smtp' : 'log');
+  if (!['smtp', 'log'].includes(mailTransport)) {
+    errors.push('MAIL_TRANSPORT must be either "smtp" or "log"');
+  } else if (mailTransport === 'smtp' && !process.env.SMTP_URL) {
+    errors.push('MAIL_TRANSPORT is "smtp" but SMTP_URL is not set');
+  }
+
+  // ID tokens are accepted when issued to our own client or to a registered external app's client
+  const googleTokenAudiences = [
+    oauth.GOOGLE_CLIENT_ID,
+    ...(process.env.GOOGLE_ALLOWED_AUDIENCES || '').split(',').map(audience => audience.trim())
+  ].filter(Boolean);
+
   // Optional but recommended in production
   if (required.NODE_ENV === 'production') {
     if (!process.env.FRONTEND_URL) {
       console.warn('⚠️  WARNING: FRONTEND_URL not set. CORS may not work correctly.');
     }
+    if (process.env.VERCEL && !process.env.CRON_SECRET) {
+      console.warn('⚠️  WARNING: CRON_SECRET not set. Queued tracking jobs will not be processed.');
+    }
+    if (mailTransport === 'log') {
+      console.warn('⚠️  WARNING: SMTP_URL not set. Password reset and verification emails will only be logged.');
+    }
   }
 
   // If there are errors, throw with all of them
@@ -89,14 +188,57 @@ function validateEnv() {
     PORT: process.env.PORT || 3000,
     FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:3000',
     
+    GOOGLE_TOKEN_AUDIENCES: googleTokenAudiences,
+    
+    // Outgoing mail (password reset, email verification)
+    MAIL_TRANSPORT: mailTransport,
+    SMTP_URL: process.env.SMTP_URL,
+    MAIL_FROM: process.env.MAIL_FROM || 'PostalHub <no-reply@postalhub.local>',
+    
     // Optional carrier API keys
     USPS_USER_ID: process.env.USPS_USER_ID,
-    UPS_ACCESS_KEY: process.env.UPS_ACCESS_KEY,
+    USPS_CLIENT_ID: process.env.USPS_CLIENT_ID,
+    USPS_CLIENT_SECRET: process.env.USPS_CLIENT_SECRET,
+    USPS_API_VERSION: uspsApiVersion,
+    USPS_API_URL: process.env.USPS_API_URL,
+    UPS_CLIENT_ID: process.env.UPS_CLIENT_ID,
+    UPS_CLIENT_SECRET: process.env.UPS_CLIENT_SECRET,
+    UPS_API_URL: process.env.UPS_API_URL,
     FEDEX_API_KEY: process.env.FEDEX_API_KEY,
+    FEDEX_SECRET_KEY: process.env.FEDEX_SECRET_KEY,
+    FEDEX_API_URL: process.env.FEDEX_API_URL,
     DHL_API_KEY: process.env.DHL_API_KEY,
+    DHL_API_URL: process.env.DHL_API_URL,
+    ONTRAC_ACCOUNT_NUMBER: process.env.ONTRAC_ACCOUNT_NUMBER,
+    ONTRAC_PASSWORD: process.env.ONTRAC_PASSWORD,
+    ONTRAC_API_URL: process.env.ONTRAC_API_URL,
+    LASERSHIP_API_ID: process.env.LASERSHIP_API_ID,
+    LASERSHIP_API_KEY: process.env.LASERSHIP_API_KEY,
+    LASERSHIP_API_URL: process.env.LASERSHIP_API_URL,
+    VEHO_API_KEY: process.env.VEHO_API_KEY,
+    VEHO_API_URL: process.env.VEHO_API_URL,
+    SPEEDEE_API_KEY: process.env.SPEEDEE_API_KEY,
+    SPEEDEE_API_URL: process.env.SPEEDEE_API_URL,
+    CANADA_POST_USERNAME: process.env.CANADA_POST_USERNAME,
+    CANADA_POST_PASSWORD: process.env.CANADA_POST_PASSWORD,
+    CANADA_POST_API_URL: process.env.CANADA_POST_API_URL,
+    ROYAL_MAIL_CLIENT_ID: process.env.ROYAL_MAIL_CLIENT_ID,
+    ROYAL_MAIL_CLIENT_SECRET: process.env.ROYAL_MAIL_CLIENT_SECRET,
+    ROYAL_MAIL_API_URL: process.env.ROYAL_MAIL_API_URL,
+    AUSPOST_API_KEY: process.env.AUSPOST_API_KEY,
+    AUSPOST_PASSWORD: process.env.AUSPOST_PASSWORD,
+    AUSPOST_ACCOUNT_NUMBER: process.env.AUSPOST_ACCOUNT_NUMBER,
+    AUSPOST_API_URL: process.env.AUSPOST_API_URL,
+    POSTAL_DESTINATION_COUNTRY: postalDestinationCountry,
     
-    // External API keys (comma-separated list)
-    EXTERNAL_API_KEYS: process.env.EXTERNAL_API_KEYS
+    // Background job queue - serverless deployments drain it via cron instead of an in-process worker
+    CRON_SECRET: process.env.CRON_SECRET,
+    JOB_WORKER_ENABLED: process.env.JOB_WORKER_ENABLED
+      ? process.env.JOB_WORKER_ENABLED === 'true'
+      : !process.env.VERCEL,
+    JOB_WORKER_INTERVAL_MS: parseInt(jobWorkerInterval, 10) || 5000,
+    REFRESH_MAX_INACTIVE_DAYS: parseInt(maxInactiveDays, 10) || 30,
+    CARRIER_POLL_QUOTAS: carrierPollQuotas
   };
 }
 
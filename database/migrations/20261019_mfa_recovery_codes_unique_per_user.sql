@@ -0,0 +1,6 @@
+-- Recovery codes are unique per user, not across all users (prisma/schema.prisma MfaRecoveryCode)
+-- Same change `npm run db:push` makes; run this instead where the schema is managed by hand
+
+DROP INDEX IF EXISTS "mfa_recovery_codes_code_hash_key";
+DROP INDEX IF EXISTS "mfa_recovery_codes_user_id_idx";
+CREATE UNIQUE INDEX IF NOT EXISTS "mfa_recovery_codes_user_id_code_hash_key" ON "mfa_recovery_codes"("user_id", "code_hash");
@@ -14,7 +14,7 @@ CREATE TABLE public.user_profiles (
 -- Carriers table
 CREATE TABLE public.carriers (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
-    name TEXT UNIQUE NOT NULL, -- 'USPS', 'UPS', 'FedEx', 'DHL'
+    name TEXT UNIQUE NOT NULL, -- Registry name: 'USPS', 'UPS', 'FedEx', 'DHL', ...
     display_name TEXT NOT NULL, -- 'United States Postal Service'
     api_endpoint TEXT,
     is_active BOOLEAN DEFAULT true,
@@ -70,9 +70,5 @@ ALTER TABLE public.shipments ENABLE ROW LEVEL SECURITY;
 -- Note: User profile creation is now handled by NextAuth.js callbacks
 -- in the application layer rather than database triggers
 
--- Insert default carriers
-INSERT INTO public.carriers (name, display_name, api_endpoint) VALUES
-('USPS', 'United States Postal Service', 'https://secure.shippingapis.com/shippingapi.dll'),
-('UPS', 'United Parcel Service', 'https://onlinetools.ups.com/api'),
-('FedEx', 'FedEx Corporation', 'https://apis.fedex.com'),
-('DHL', 'DHL International', 'https://api-eu.dhl.com');
+-- Default carriers are not inserted here: run `npm run db:seed`, which creates
+-- one row per entry in the carrier registry (config/carriers.json)
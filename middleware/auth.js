@@ -1,9 +1,15 @@
 const jwt = require('jsonwebtoken');
 const { prisma } = require('../lib/prisma');
 const { getConfig } = require('../config/env');
+const { isSessionActive } = require('../services/auth-sessions');
 
 const config = getConfig();
 
+const USER_ROLES = Object.freeze({
+  USER: 'user',
+  ADMIN: 'admin'
+});
+
 /**
  * Middleware to verify NextAuth.js JWT token
  */
@@ -20,10 +26,16 @@ const verifyNextAuthToken = async (req, res, next) => {
     // Verify JWT token from NextAuth.js
     const decoded = jwt.verify(token, config.NEXTAUTH_SECRET);
     
-    if (!decoded || !decoded.sub) {
+    // Only access tokens are untyped - pre-rotation refresh tokens and MFA challenge tokens are not
+    if (!decoded || !decoded.sub || decoded.type) {
       return res.status(401).json({ error: 'Invalid token' });
     }
 
+    // Access tokens die with their session on logout
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+
     // Get user from database using the decoded user ID
     const user = await prisma.userProfile.findUnique({
       where: { id: decoded.sub }
@@ -33,8 +45,9 @@ const verifyNextAuthToken = async (req, res, next) => {
       return res.status(401).json({ error: 'User not found' });
     }
 
-    // Add user to request object
+    // Add user (and the session the token belongs to) to request object
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     console.error('Token verification error:', error);
@@ -53,13 +66,15 @@ const optionalAuth = async (req, res, next) => {
       const token = authHeader.substring(7);
       const decoded = jwt.verify(token, config.NEXTAUTH_SECRET);
       
-      if (decoded && decoded.sub) {
+      const sessionActive = !decoded?.sid || await isSessionActive(decoded.sid);
+      if (decoded && decoded.sub && !decoded.type && sessionActive) {
         const user = await prisma.userProfile.findUnique({
           where: { id: decoded.sub }
         });
         
         if (user) {
           req.user = user;
+          req.sessionId = decoded.sid || null;
         }
       }
     }
@@ -71,7 +86,19 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to restrict a route to admins (runs after verifyNextAuthToken)
+ */
+const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== USER_ROLES.ADMIN) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
 module.exports = {
+  USER_ROLES,
   verifyNextAuthToken,
-  optionalAuth
+  optionalAuth,
+  requireAdmin
 };
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const { getConfig } = require('../config/env');
+
+/**
+ * Middleware to verify scheduled job requests
+ * Vercel Cron sends CRON_SECRET as "Authorization: Bearer <secret>"
+ */
+const verifyCronSecret = (req, res, next) => {
+  const { CRON_SECRET } = getConfig();
+
+  if (!CRON_SECRET) {
+    return res.status(503).json({ 
+      error: 'Cron not configured',
+      message: 'Set CRON_SECRET to enable scheduled job endpoints'
+    });
+  }
+
+  const expected = Buffer.from(`Bearer ${CRON_SECRET}`);
+  const provided = Buffer.from(req.headers.authorization || '');
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Invalid cron secret' });
+  }
+
+  next();
+};
+
+module.exports = {
+  verifyCronSecret
+};
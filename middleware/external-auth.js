@@ -1,69 +1,141 @@
-const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../lib/prisma');
+const { verifyNextAuthToken } = require('./auth');
+const { findActiveApiKey } = require('../services/api-keys');
+const { buildMfaChallenge } = require('../services/mfa');
+const { GoogleTokenError, googleTokenVerifier, isJwt, toGoogleUser } = require('../services/google-tokens');
+const { IDENTITY_PROVIDERS, IdentityError, findIdentityUser, resolveIdentityUser } = require('../services/identities');
+
+/**
+ * Send the 401/500 response for a failed Google token check
+ * @param {Object} res - Express response
+ * @param {Error} error - Verification error
+ * @param {string} tokenLabel - 'Google OAuth token' or 'Google ID token'
+ */
+function sendGoogleTokenError(res, error, tokenLabel) {
+  if (error instanceof IdentityError) {
+    return res.status(409).json({ 
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  if (error instanceof GoogleTokenError) {
+    if (error.code === 'token_expired') {
+      return res.status(401).json({ 
+        error: 'Token expired',
+        message: `Please refresh your ${tokenLabel}`
+      });
+    }
+    return res.status(401).json({ 
+      error: 'Invalid token',
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({ 
+    error: 'Token verification failed',
+    message: `Unable to verify ${tokenLabel}`
+  });
+}
+
+/**
+ * Read the bearer token, or send a 401 if there is none
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} tokenLabel - Token name used in the error message
+ * @returns {string|null} - Token
+ */
+function getBearerToken(req, res, tokenLabel) {
+  const authHeader = req.headers.authorization;
+  
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    res.status(401).json({ 
+      error: 'No token provided',
+      message: `Include ${tokenLabel} in Authorization header as "Bearer <token>"`
+    });
+    return null;
+  }
+
+  return authHeader.substring(7); // Remove 'Bearer ' prefix
+}
+
+/**
+ * Attach the verified Google user and the account their identity resolves to
+ * @param {Object} req - Express request
+ * @param {Object} googleUser - Mapped token claims
+ */
+async function attachGoogleUser(req, googleUser) {
+  req.googleUser = googleUser;
+  req.user = await resolveIdentityUser(IDENTITY_PROVIDERS.GOOGLE, {
+    subject: googleUser.id,
+    email: googleUser.email,
+    emailVerified: googleUser.verified_email,
+    name: googleUser.name,
+    avatarUrl: googleUser.picture
+  });
+}
+
+/**
+ * Send the 401 that stops a Google sign-in at the second factor
+ * A Google token is only the first factor - the client finishes with
+ * POST /api/auth/mfa/verify and uses the PostalHub access token it returns
+ * @param {Object} res - Express response
+ * @param {Object} user - User profile with TOTP enabled
+ */
+function sendMfaChallenge(res, user) {
+  return res.status(401).json({
+    error: 'Two-factor authentication required',
+    code: 'mfa_required',
+    ...buildMfaChallenge(user)
+  });
+}
+
+/**
+ * Check whether a bearer token is a PostalHub access token rather than a Google one
+ * Ours are HS256 JWTs; Google ID tokens are RS256 and access tokens are opaque
+ * @param {string} token - Bearer token
+ * @returns {boolean}
+ */
+function isSessionToken(token) {
+  return isJwt(token) && jwt.decode(token, { complete: true })?.header?.alg === 'HS256';
+}
 
 /**
  * Middleware to verify Google OAuth token from external applications
  * This allows external apps to authenticate using Google OAuth
+ * ID tokens (JWTs) are verified locally against Google's cached signing keys;
+ * access tokens are checked with Google's tokeninfo endpoint, cached briefly
  */
 const verifyGoogleToken = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ 
-        error: 'No token provided',
-        message: 'Include Google OAuth token in Authorization header as "Bearer <token>"'
-      });
+    const token = getBearerToken(req, res, 'Google OAuth token');
+    if (!token) {
+      return;
     }
 
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-    
-    // Verify token with Google's tokeninfo endpoint
-    const tokenResponse = await axios.get(`https://oauth2.googleapis.com/tokeninfo?access_token=${token}`, {
-      timeout: 10000
-    });
+    const claims = isJwt(token)
+      ? await googleTokenVerifier.verifyIdToken(token)
+      : await googleTokenVerifier.verifyAccessToken(token);
 
-    const tokenInfo = tokenResponse.data;
-    
-    // Validate token info
-    if (!tokenInfo || !tokenInfo.user_id || !tokenInfo.email) {
+    const googleUser = toGoogleUser(claims);
+    if (!googleUser) {
       return res.status(401).json({ 
         error: 'Invalid token',
         message: 'Token does not contain valid user information'
       });
     }
 
-    // Check if token is expired
-    if (tokenInfo.exp && Date.now() / 1000 > tokenInfo.exp) {
-      return res.status(401).json({ 
-        error: 'Token expired',
-        message: 'Please refresh your Google OAuth token'
-      });
+    // Add Google user info and the linked account to request
+    await attachGoogleUser(req, googleUser);
+    if (req.user.totpEnabledAt) {
+      return sendMfaChallenge(res, req.user);
     }
 
-    // Add Google user info to request
-    req.googleUser = {
-      id: tokenInfo.user_id,
-      email: tokenInfo.email,
-      name: tokenInfo.name || tokenInfo.email,
-      picture: tokenInfo.picture,
-      verified_email: tokenInfo.verified_email === 'true'
-    };
-
     next();
   } catch (error) {
     console.error('Google token verification error:', error.message);
-    
-    if (error.response?.status === 401) {
-      return res.status(401).json({ 
-        error: 'Invalid token',
-        message: 'Google OAuth token is invalid or expired'
-      });
-    }
-    
-    return res.status(500).json({ 
-      error: 'Token verification failed',
-      message: 'Unable to verify Google OAuth token'
-    });
+    return sendGoogleTokenError(res, error, 'Google OAuth token');
   }
 };
 
@@ -73,96 +145,84 @@ const verifyGoogleToken = async (req, res, next) => {
  */
 const verifyGoogleIdToken = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ 
-        error: 'No token provided',
-        message: 'Include Google ID token in Authorization header as "Bearer <token>"'
-      });
+    const idToken = getBearerToken(req, res, 'Google ID token');
+    if (!idToken) {
+      return;
     }
 
-    const idToken = authHeader.substring(7);
-    
-    // Verify ID token with Google's tokeninfo endpoint
-    const tokenResponse = await axios.get(`https://oauth2.googleapis.com/tokeninfo?id_token=${idToken}`, {
-      timeout: 10000
-    });
-
-    const tokenInfo = tokenResponse.data;
-    
-    // Validate token info
-    if (!tokenInfo || !tokenInfo.sub || !tokenInfo.email) {
+    const googleUser = toGoogleUser(await googleTokenVerifier.verifyIdToken(idToken));
+    if (!googleUser) {
       return res.status(401).json({ 
         error: 'Invalid ID token',
         message: 'ID token does not contain valid user information'
       });
     }
 
-    // Check if token is expired
-    if (tokenInfo.exp && Date.now() / 1000 > tokenInfo.exp) {
-      return res.status(401).json({ 
-        error: 'ID token expired',
-        message: 'Please refresh your Google ID token'
-      });
+    // Add Google user info and the linked account to request
+    await attachGoogleUser(req, googleUser);
+    if (req.user.totpEnabledAt) {
+      return sendMfaChallenge(res, req.user);
     }
 
-    // Add Google user info to request
-    req.googleUser = {
-      id: tokenInfo.sub,
-      email: tokenInfo.email,
-      name: tokenInfo.name || tokenInfo.email,
-      picture: tokenInfo.picture,
-      verified_email: tokenInfo.email_verified === 'true'
-    };
-
     next();
   } catch (error) {
     console.error('Google ID token verification error:', error.message);
-    
-    if (error.response?.status === 401) {
-      return res.status(401).json({ 
-        error: 'Invalid ID token',
-        message: 'Google ID token is invalid or expired'
-      });
-    }
-    
-    return res.status(500).json({ 
-      error: 'ID token verification failed',
-      message: 'Unable to verify Google ID token'
-    });
+    return sendGoogleTokenError(res, error, 'Google ID token');
   }
 };
 
 /**
- * Optional middleware for API key authentication (alternative to Google OAuth)
- * This can be used for server-to-server communication
+ * Middleware for API key authentication (alternative to Google OAuth)
+ * Used for server-to-server communication; the key acts as the user who created it
+ * @param {string} scope - Scope the route needs ('read', 'write' or 'webhooks')
  */
-const verifyApiKey = async (req, res, next) => {
+const verifyApiKey = (scope) => async (req, res, next) => {
   try {
-    const apiKey = req.headers['x-api-key'];
+    const key = req.headers['x-api-key'];
     
-    if (!apiKey) {
+    if (!key) {
       return res.status(401).json({ 
         error: 'No API key provided',
         message: 'Include API key in X-API-Key header'
       });
     }
 
-    // In a real implementation, you would validate the API key against your database
-    // For now, we'll use a simple environment variable check
-    const validApiKeys = process.env.EXTERNAL_API_KEYS ? 
-      process.env.EXTERNAL_API_KEYS.split(',') : [];
+    const apiKey = await findActiveApiKey(key);
 
-    if (!validApiKeys.includes(apiKey)) {
+    if (!apiKey) {
       return res.status(401).json({ 
         error: 'Invalid API key',
-        message: 'The provided API key is not valid'
+        message: 'The provided API key is not valid or has been revoked'
+      });
+    }
+
+    if (scope && !apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        error: 'Insufficient scope',
+        message: `This API key does not have the "${scope}" scope`,
+        scopes: apiKey.scopes
       });
     }
 
-    // Add API key info to request (you might want to look up the associated app/user)
-    req.apiKey = apiKey;
+    // Keys created before linked identities hold the owner's Google user ID
+    const user = await prisma.userProfile.findUnique({ where: { id: apiKey.userId } })
+      || await findIdentityUser(IDENTITY_PROVIDERS.GOOGLE, apiKey.userId);
+
+    if (!user) {
+      return res.status(401).json({ 
+        error: 'Invalid API key',
+        message: 'The account this API key belongs to no longer exists'
+      });
+    }
+
+    // Routes identify the caller by req.user, whichever way it authenticated
+    req.apiKey = {
+      id: apiKey.id,
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      organizationId: apiKey.organizationId
+    };
+    req.user = user;
     
     next();
   } catch (error) {
@@ -174,8 +234,41 @@ const verifyApiKey = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware for routes a signed-in user can call with either kind of bearer token
+ * Accepts a PostalHub access token (including one issued after an MFA challenge)
+ * or a Google OAuth token
+ */
+const verifyUserToken = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ') && isSessionToken(authHeader.substring(7))) {
+    return verifyNextAuthToken(req, res, next);
+  }
+  return verifyGoogleToken(req, res, next);
+};
+
+/**
+ * Middleware for /api/external/* routes
+ * Accepts an API key (X-API-Key header) with the given scope, or a user's
+ * PostalHub access token or Google OAuth token
+ * User tokens belong to the user themselves, so they pass every scope check
+ * @param {string} scope - Scope the route needs ('read', 'write' or 'webhooks')
+ */
+const verifyExternalAuth = (scope) => {
+  const apiKeyAuth = verifyApiKey(scope);
+
+  return (req, res, next) => {
+    if (req.headers['x-api-key']) {
+      return apiKeyAuth(req, res, next);
+    }
+    return verifyUserToken(req, res, next);
+  };
+};
+
 module.exports = {
   verifyGoogleToken,
   verifyGoogleIdToken,
-  verifyApiKey
+  verifyApiKey,
+  verifyUserToken,
+  verifyExternalAuth
 };
@@ -7,9 +7,39 @@
 const { getSupabaseAdmin } = require('../config/supabase');
 const { prisma } = require('../lib/prisma');
 const { createLogger } = require('../utils/logger');
+const { buildMfaChallenge } = require('../services/mfa');
+const {
+  IDENTITY_PROVIDERS,
+  IdentityError,
+  findIdentityUser,
+  resolveIdentityUser
+} = require('../services/identities');
 
 const logger = createLogger('SupabaseAuth');
 
+/**
+ * Display name from Supabase user metadata (providers name it differently)
+ * @param {Object} user - Supabase user
+ * @returns {string|null}
+ */
+function getSupabaseName(user) {
+  return user.user_metadata?.full_name || 
+         user.user_metadata?.name || 
+         user.user_metadata?.display_name || 
+         null;
+}
+
+/**
+ * Avatar URL from Supabase user metadata
+ * @param {Object} user - Supabase user
+ * @returns {string|null}
+ */
+function getSupabaseAvatar(user) {
+  return user.user_metadata?.avatar_url || 
+         user.user_metadata?.picture || 
+         null;
+}
+
 /**
  * Middleware to verify Supabase JWT token
  * Replaces the custom JWT verification
@@ -17,8 +47,9 @@ const logger = createLogger('SupabaseAuth');
  * This middleware:
  * 1. Extracts the Bearer token from Authorization header
  * 2. Verifies the token with Supabase
- * 3. Gets or creates user profile in local database
- * 4. Attaches user to request object
+ * 3. Gets or creates the user profile its identity is linked to
+ * 4. Stops at the MFA challenge if the account has TOTP enabled
+ * 5. Attaches user to request object
  */
 const verifySupabaseToken = async (req, res, next) => {
   try {
@@ -51,59 +82,44 @@ const verifySupabaseToken = async (req, res, next) => {
 
     logger.debug('Token verified', { userId: user.id, email: user.email });
 
-    // Get or create user profile in our database
-    let userProfile = await prisma.userProfile.findUnique({
-      where: { id: user.id }
+    // Get or create the account this Supabase identity is linked to
+    let userProfile = await resolveIdentityUser(IDENTITY_PROVIDERS.SUPABASE, {
+      subject: user.id,
+      email: user.email,
+      emailVerified: !!user.email_confirmed_at,
+      name: getSupabaseName(user),
+      avatarUrl: getSupabaseAvatar(user)
     });
 
-    // If user doesn't exist in our database, create them
-    if (!userProfile) {
-      logger.info('Creating new user profile', { userId: user.id, email: user.email });
-      
-      userProfile = await prisma.userProfile.create({
-        data: {
-          id: user.id,
-          email: user.email,
-          fullName: user.user_metadata?.full_name || 
-                   user.user_metadata?.name || 
-                   user.user_metadata?.display_name || 
-                   null,
-          avatarUrl: user.user_metadata?.avatar_url || 
-                    user.user_metadata?.picture || 
-                    null
-        }
+    // A Supabase session is only the first factor - finish with POST /api/auth/mfa/verify
+    if (userProfile.totpEnabledAt) {
+      return res.status(401).json({
+        error: 'Two-factor authentication required',
+        code: 'mfa_required',
+        ...buildMfaChallenge(userProfile)
+      });
+    }
+
+    // Update user profile with latest info from Supabase
+    // (not the email - the account may be shared with other sign-in methods)
+    const updatedData = {};
+    
+    const supabaseName = getSupabaseName(user);
+    if (supabaseName && supabaseName !== userProfile.fullName) {
+      updatedData.fullName = supabaseName;
+    }
+    
+    const supabaseAvatar = getSupabaseAvatar(user);
+    if (supabaseAvatar && supabaseAvatar !== userProfile.avatarUrl) {
+      updatedData.avatarUrl = supabaseAvatar;
+    }
+    
+    if (Object.keys(updatedData).length > 0) {
+      logger.debug('Updating user profile', { userId: userProfile.id, updates: updatedData });
+      userProfile = await prisma.userProfile.update({
+        where: { id: userProfile.id },
+        data: updatedData
       });
-      
-      logger.info('User profile created', { userId: user.id });
-    } else {
-      // Update user profile with latest info from Supabase
-      const updatedData = {};
-      
-      // Only update if we have new data
-      if (user.email !== userProfile.email) {
-        updatedData.email = user.email;
-      }
-      
-      const supabaseName = user.user_metadata?.full_name || 
-                          user.user_metadata?.name || 
-                          user.user_metadata?.display_name;
-      if (supabaseName && supabaseName !== userProfile.fullName) {
-        updatedData.fullName = supabaseName;
-      }
-      
-      const supabaseAvatar = user.user_metadata?.avatar_url || 
-                            user.user_metadata?.picture;
-      if (supabaseAvatar && supabaseAvatar !== userProfile.avatarUrl) {
-        updatedData.avatarUrl = supabaseAvatar;
-      }
-      
-      if (Object.keys(updatedData).length > 0) {
-        logger.debug('Updating user profile', { userId: user.id, updates: updatedData });
-        userProfile = await prisma.userProfile.update({
-          where: { id: user.id },
-          data: updatedData
-        });
-      }
     }
 
     // Add user to request object
@@ -112,6 +128,13 @@ const verifySupabaseToken = async (req, res, next) => {
     
     next();
   } catch (error) {
+    if (error instanceof IdentityError) {
+      return res.status(409).json({ 
+        error: error.message,
+        code: error.code
+      });
+    }
+
     logger.exception(error, 'Token verification error');
     
     // Handle specific error types
@@ -145,11 +168,10 @@ const optionalSupabaseAuth = async (req, res, next) => {
       const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
       
       if (!error && user) {
-        const userProfile = await prisma.userProfile.findUnique({
-          where: { id: user.id }
-        });
+        const userProfile = await findIdentityUser(IDENTITY_PROVIDERS.SUPABASE, user.id);
         
-        if (userProfile) {
+        // Accounts with TOTP must finish the challenge - treat them as anonymous here
+        if (userProfile && !userProfile.totpEnabledAt) {
           req.user = userProfile;
           req.supabaseUser = user;
           logger.debug('Optional auth: User authenticated', { userId: user.id });
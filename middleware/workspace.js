@@ -0,0 +1,69 @@
+const { ORG_ROLES, getWorkspace, hasRole } = require('../services/organizations');
+
+/**
+ * Middleware to resolve the workspace a request acts in (runs after authentication)
+ * The X-Organization-Id header selects an organization the user belongs to; without it
+ * the user's personal workspace is used. API keys are bound to the workspace they were
+ * created for. Sets req.workspace = { organizationId, role, filter }, where filter is the
+ * Prisma where-clause for the workspace's tracking requests
+ * @param {string} minimumRole - Least role the route needs (default viewer)
+ */
+const resolveWorkspace = (minimumRole = ORG_ROLES.VIEWER) => async (req, res, next) => {
+  try {
+    const requested = req.headers['x-organization-id'] || null;
+    let organizationId = requested;
+
+    if (req.apiKey) {
+      organizationId = req.apiKey.organizationId || null;
+      if (requested && requested !== organizationId) {
+        return res.status(403).json({
+          error: 'Workspace mismatch',
+          message: 'This API key can only access the workspace it was created for'
+        });
+      }
+    }
+
+    const workspace = await getWorkspace(req.user.id, organizationId);
+
+    if (!workspace) {
+      return res.status(403).json({
+        error: 'Not a member of this organization',
+        code: 'not_a_member'
+      });
+    }
+
+    if (!hasRole(workspace.role, minimumRole)) {
+      return res.status(403).json({
+        error: `This action requires the ${minimumRole} role or higher`,
+        code: 'insufficient_role',
+        role: workspace.role
+      });
+    }
+
+    req.workspace = workspace;
+    next();
+  } catch (error) {
+    console.error('Workspace resolution error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * Middleware for routes that act on the caller's personal resources (apps, webhook
+ * endpoints, deliveries), which belong to no organization. API keys bound to an
+ * organization are refused, so they cannot reach their creator's personal data
+ */
+const requirePersonalWorkspace = (req, res, next) => {
+  if (req.apiKey?.organizationId) {
+    return res.status(403).json({
+      error: 'Workspace mismatch',
+      message: 'Organization API keys cannot manage personal apps, webhooks or deliveries'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  resolveWorkspace,
+  requirePersonalWorkspace
+};
@@ -0,0 +1,38 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * Give an existing account the admin role (or take it away with --revoke)
+ * Usage: npm run db:grant-admin -- user@example.com [--revoke]
+ */
+async function main() {
+  const [email, flag] = process.argv.slice(2);
+
+  if (!email) {
+    console.error('Usage: npm run db:grant-admin -- <email> [--revoke]');
+    process.exit(1);
+  }
+
+  const role = flag === '--revoke' ? 'user' : 'admin';
+  const { count } = await prisma.userProfile.updateMany({
+    where: { email: { equals: email, mode: 'insensitive' } },
+    data: { role }
+  });
+
+  if (count === 0) {
+    console.error(`❌ No account with email ${email}`);
+    process.exit(1);
+  }
+
+  console.log(`✅ ${email} now has the ${role} role`);
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Granting admin failed:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,72 @@
+require('dotenv').config();
+const { prisma } = require('../lib/prisma');
+const { API_KEY_SCOPES, hashApiKey } = require('../services/api-keys');
+
+// The scopes the external tracking API covered before keys had scopes
+const LEGACY_SCOPES = [API_KEY_SCOPES.READ, API_KEY_SCOPES.WRITE];
+
+/**
+ * One-off migration: store the keys from the retired EXTERNAL_API_KEYS variable
+ * as hashed API keys owned by an existing account, so integrations keep working
+ * Already imported keys are skipped, so it is safe to run again
+ * Usage: npm run db:import-api-keys -- owner@example.com
+ */
+async function main() {
+  const [email] = process.argv.slice(2);
+
+  if (!email) {
+    console.error('Usage: npm run db:import-api-keys -- <owner email>');
+    process.exit(1);
+  }
+
+  const keys = (process.env.EXTERNAL_API_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+
+  if (keys.length === 0) {
+    console.error('❌ EXTERNAL_API_KEYS is not set');
+    process.exit(1);
+  }
+
+  const owner = await prisma.userProfile.findFirst({
+    where: { email: { equals: email, mode: 'insensitive' } }
+  });
+
+  if (!owner) {
+    console.error(`❌ No account with email ${email}`);
+    process.exit(1);
+  }
+
+  let imported = 0;
+  for (const [index, key] of keys.entries()) {
+    const keyHash = hashApiKey(key);
+    const existing = await prisma.apiKey.findUnique({ where: { keyHash } });
+    if (existing) {
+      continue;
+    }
+
+    await prisma.apiKey.create({
+      data: {
+        userId: owner.id,
+        name: `Imported from EXTERNAL_API_KEYS (#${index + 1})`,
+        // Legacy keys can be short - show no more of them than a few characters
+        prefix: key.slice(0, 4),
+        keyHash,
+        scopes: LEGACY_SCOPES
+      }
+    });
+    imported++;
+  }
+
+  console.log(`✅ Imported ${imported} of ${keys.length} keys for ${email} - EXTERNAL_API_KEYS can now be removed`);
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Importing API keys failed:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
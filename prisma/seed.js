@@ -1,4 +1,5 @@
 const { PrismaClient } = require('@prisma/client');
+const { DEFAULT_CARRIERS, seedCarriers } = require('../services/carrier/default-carriers');
 
 const prisma = new PrismaClient();
 
@@ -6,43 +7,11 @@ async function main() {
   console.log('🌱 Seeding database...');
 
   // Create default carriers
-  const carriers = [
-    {
-      name: 'USPS',
-      displayName: 'United States Postal Service',
-      apiEndpoint: 'https://secure.shippingapis.com/shippingapi.dll'
-    },
-    {
-      name: 'UPS',
-      displayName: 'United Parcel Service',
-      apiEndpoint: 'https://onlinetools.ups.com/api'
-    },
-    {
-      name: 'FedEx',
-      displayName: 'FedEx Corporation',
-      apiEndpoint: 'https://apis.fedex.com'
-    },
-    {
-      name: 'DHL',
-      displayName: 'DHL International',
-      apiEndpoint: 'https://api-eu.dhl.com'
-    },
-    {
-      name: 'Amazon',
-      displayName: 'Amazon Logistics',
-      apiEndpoint: 'https://api.amazon.com/logistics'
-    }
-  ];
-
-  for (const carrier of carriers) {
-    const existing = await prisma.carrier.findUnique({
-      where: { name: carrier.name }
-    });
+  const created = await seedCarriers(prisma);
+  const createdNames = new Set(created.map(carrier => carrier.name));
 
-    if (!existing) {
-      await prisma.carrier.create({
-        data: carrier
-      });
+  for (const carrier of DEFAULT_CARRIERS) {
+    if (createdNames.has(carrier.name)) {
       console.log(`✅ Created carrier: ${carrier.displayName}`);
     } else {
       console.log(`⏭️  Carrier already exists: ${carrier.displayName}`);
@@ -36,21 +36,55 @@ function setupPopupMessageListener() {
         if (event.data.type === 'GOOGLE_AUTH_SUCCESS') {
             localStorage.setItem('auth_token', event.data.token);
             window.location.reload();
+        } else if (event.data.type === 'GOOGLE_AUTH_MFA_REQUIRED') {
+            completeMfaChallenge(event.data.challengeToken);
         }
     });
 }
 
+// Finish a sign-in that stopped at two-factor authentication
+async function completeMfaChallenge(challengeToken) {
+    const code = prompt('Enter the code from your authenticator app (or a recovery code):');
+    if (!code) {
+        showLogin();
+        return;
+    }
+
+    const response = await fetch(`${API_BASE_URL}/api/auth/mfa/verify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ challengeToken, code: code.trim() })
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+        showToast(result.error || 'Two-factor verification failed', 'error');
+        showLogin();
+        return;
+    }
+
+    localStorage.setItem('auth_token', result.accessToken);
+    window.location.reload();
+}
+
 // Check authentication status
 async function checkAuth() {
     try {
         const urlParams = new URLSearchParams(window.location.search);
         const token = urlParams.get('token');
+        const mfaChallenge = urlParams.get('mfa_challenge');
         
         if (token) {
             localStorage.setItem('auth_token', token);
             window.history.replaceState({}, document.title, window.location.pathname);
         }
 
+        if (mfaChallenge) {
+            window.history.replaceState({}, document.title, window.location.pathname);
+            await completeMfaChallenge(mfaChallenge);
+            return;
+        }
+
         const storedToken = localStorage.getItem('auth_token');
         
         if (storedToken) {
@@ -0,0 +1,460 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { prisma } = require('../lib/prisma');
+const { USER_ROLES, verifyNextAuthToken, requireAdmin } = require('../middleware/auth');
+const carrierFactory = require('../services/carrier/carrier-factory');
+const { seedCarriers } = require('../services/carrier/default-carriers');
+const { JOB_STATUSES, retryDeadJob } = require('../services/job-queue');
+const { assertPublicUrl } = require('../services/outbound-url');
+
+const router = express.Router();
+
+const USER_ROLE_VALUES = Object.values(USER_ROLES);
+const JOB_STATUS_VALUES = Object.values(JOB_STATUSES);
+
+// Carrier adapters call the URL from their *_API_URL setting, not the stored apiEndpoint
+const API_ENDPOINT_NOTICE = 'apiEndpoint is stored for reference only; carrier adapters call the URL set by their *_API_URL environment variable';
+
+// Every admin route needs a signed-in user with the admin role
+router.use(verifyNextAuthToken, requireAdmin);
+
+/**
+ * GET /api/admin/carriers
+ * List all carriers (active or not) with their service status and tracking counts
+ */
+router.get('/carriers', async (req, res) => {
+  try {
+    const carriers = await prisma.carrier.findMany({
+      include: {
+        _count: {
+          select: { trackingRequests: true }
+        }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    carrierFactory.applyCarrierSettings(carriers);
+    const status = carrierFactory.getCarrierStatus();
+
+    res.json({
+      carriers: carriers.map(carrier => formatCarrier(carrier, status))
+    });
+
+  } catch (error) {
+    console.error('Admin list carriers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PATCH /api/admin/carriers/:carrierId
+ * Enable or disable a carrier, or change its recorded API endpoint
+ * Disabled carriers cannot be chosen for new tracking requests, and their
+ * refreshes and queued lookups stop until they are enabled again
+ */
+router.patch('/carriers/:carrierId',
+  [
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+    body('apiEndpoint')
+      .optional({ values: 'null' })
+      .isURL({ protocols: ['https'], require_protocol: true })
+      .withMessage('apiEndpoint must be an https URL or null')
+      .bail()
+      .custom(async (value) => {
+        await assertPublicUrl(value);
+      })
+      .withMessage('apiEndpoint must resolve to a public address')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { isActive, apiEndpoint } = req.body;
+      if (isActive === undefined && apiEndpoint === undefined) {
+        return res.status(400).json({ error: 'Provide isActive and/or apiEndpoint' });
+      }
+
+      const existing = await prisma.carrier.findUnique({
+        where: { id: req.params.carrierId }
+      });
+
+      if (!existing) {
+        return res.status(404).json({ error: 'Carrier not found' });
+      }
+
+      const carrier = await prisma.carrier.update({
+        where: { id: existing.id },
+        data: {
+          ...(isActive !== undefined && { isActive }),
+          ...(apiEndpoint !== undefined && { apiEndpoint })
+        },
+        include: {
+          _count: {
+            select: { trackingRequests: true }
+          }
+        }
+      });
+
+      carrierFactory.applyCarrierSettings([carrier]);
+
+      console.log(`Admin ${req.user.email} updated carrier ${carrier.name}:`, { isActive, apiEndpoint });
+
+      res.json({
+        success: true,
+        carrier: formatCarrier(carrier, carrierFactory.getCarrierStatus()),
+        ...(apiEndpoint !== undefined && { notice: API_ENDPOINT_NOTICE })
+      });
+
+    } catch (error) {
+      console.error('Admin update carrier error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/carriers/seed
+ * Create any missing default carriers (existing carriers are not changed)
+ */
+router.post('/carriers/seed', async (req, res) => {
+  try {
+    const created = await seedCarriers(prisma);
+
+    res.json({
+      success: true,
+      createdCarriers: created.map(carrier => carrier.name)
+    });
+
+  } catch (error) {
+    console.error('Admin seed carriers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/admin/users
+ * List accounts, newest first; search matches email or name
+ */
+router.get('/users',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+    query('role').optional().isIn(USER_ROLE_VALUES).withMessage(`role must be one of: ${USER_ROLE_VALUES.join(', ')}`),
+    query('search').optional().isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page || 1);
+      const limit = parseInt(req.query.limit || 20);
+      const { role, search } = req.query;
+
+      const whereClause = {
+        ...(role && { role }),
+        ...(search && {
+          OR: [
+            { email: { contains: search, mode: 'insensitive' } },
+            { fullName: { contains: search, mode: 'insensitive' } }
+          ]
+        })
+      };
+
+      const [users, total] = await Promise.all([
+        prisma.userProfile.findMany({
+          where: whereClause,
+          include: {
+            identities: {
+              select: { provider: true }
+            },
+            _count: {
+              select: {
+                trackingRequests: true,
+                memberships: true
+              }
+            }
+          },
+          orderBy: { createdAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.userProfile.count({ where: whereClause })
+      ]);
+
+      res.json({
+        users: users.map(formatUser),
+        pagination: {
+          page,
+          limit,
+          total,
+          hasMore: page * limit < total
+        }
+      });
+
+    } catch (error) {
+      console.error('Admin list users error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * PATCH /api/admin/users/:userId
+ * Change an account's role (admins cannot remove their own admin role)
+ */
+router.patch('/users/:userId',
+  [
+    body('role')
+      .isIn(USER_ROLE_VALUES)
+      .withMessage(`role must be one of: ${USER_ROLE_VALUES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { userId } = req.params;
+      const { role } = req.body;
+
+      if (userId === req.user.id && role !== USER_ROLES.ADMIN) {
+        return res.status(400).json({ error: 'You cannot remove your own admin role' });
+      }
+
+      const { count } = await prisma.userProfile.updateMany({
+        where: { id: userId },
+        data: { role }
+      });
+
+      if (count === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      console.log(`Admin ${req.user.email} set role of user ${userId} to ${role}`);
+
+      res.json({
+        success: true,
+        userId,
+        role
+      });
+
+    } catch (error) {
+      console.error('Admin update user error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/jobs
+ * Inspect background jobs - dead-lettered ones by default
+ * status=queued&failing=true lists jobs that failed and are waiting for a retry
+ */
+router.get('/jobs',
+  [
+    query('status').optional().isIn(JOB_STATUS_VALUES).withMessage(`status must be one of: ${JOB_STATUS_VALUES.join(', ')}`),
+    query('type').optional().isString(),
+    query('failing').optional().isBoolean().withMessage('failing must be a boolean'),
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page || 1);
+      const limit = parseInt(req.query.limit || 20);
+      const { status = JOB_STATUSES.DEAD, type, failing } = req.query;
+
+      const whereClause = {
+        status,
+        ...(type && { type }),
+        ...(failing === 'true' && { lastError: { not: null } })
+      };
+
+      const [jobs, total] = await Promise.all([
+        prisma.job.findMany({
+          where: whereClause,
+          orderBy: { updatedAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.job.count({ where: whereClause })
+      ]);
+
+      res.json({
+        jobs,
+        pagination: {
+          page,
+          limit,
+          total,
+          hasMore: page * limit < total
+        }
+      });
+
+    } catch (error) {
+      console.error('Admin list jobs error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/jobs/:jobId/retry
+ * Put a dead-lettered job back on the queue with a fresh set of attempts
+ */
+router.post('/jobs/:jobId/retry', async (req, res) => {
+  try {
+    const job = await retryDeadJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Dead-lettered job not found' });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    console.error('Admin retry job error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/admin/stats
+ * System-wide counts across all users
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+    const [
+      totalUsers,
+      newUsers,
+      adminUsers,
+      organizations,
+      activeApiKeys,
+      trackingByStatus,
+      shipmentsByStatus,
+      jobsByStatus,
+      newTrackings
+    ] = await Promise.all([
+      prisma.userProfile.count(),
+      prisma.userProfile.count({ where: { createdAt: { gte: since } } }),
+      prisma.userProfile.count({ where: { role: USER_ROLES.ADMIN } }),
+      prisma.organization.count(),
+      prisma.apiKey.count({ where: { revokedAt: null } }),
+      prisma.trackingRequest.groupBy({ by: ['status'], _count: { _all: true } }),
+      prisma.shipment.groupBy({ by: ['status'], _count: { _all: true } }),
+      prisma.job.groupBy({ by: ['status'], _count: { _all: true } }),
+      prisma.trackingRequest.count({ where: { createdAt: { gte: since } } })
+    ]);
+
+    res.json({
+      users: {
+        total: totalUsers,
+        newLast7Days: newUsers,
+        admins: adminUsers
+      },
+      organizations,
+      activeApiKeys,
+      trackingRequests: {
+        total: sumCounts(trackingByStatus),
+        newLast7Days: newTrackings,
+        byStatus: toStatusMap(trackingByStatus)
+      },
+      shipments: {
+        total: sumCounts(shipmentsByStatus),
+        byStatus: toStatusMap(shipmentsByStatus)
+      },
+      jobs: {
+        byStatus: toStatusMap(jobsByStatus)
+      },
+      generatedAt: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Helper function to shape a carrier for responses
+ */
+function formatCarrier(carrier, status) {
+  const service = status[carrier.name.toUpperCase()];
+  return {
+    id: carrier.id,
+    name: carrier.name,
+    displayName: carrier.displayName,
+    apiEndpoint: carrier.apiEndpoint,
+    isActive: carrier.isActive,
+    serviceAvailable: service?.available || false,
+    serviceConfigured: service?.configured || false,
+    trackingCount: carrier._count.trackingRequests,
+    createdAt: carrier.createdAt
+  };
+}
+
+/**
+ * Helper function to shape an account for responses (never includes secrets)
+ */
+function formatUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    fullName: user.fullName,
+    role: user.role,
+    emailVerified: !!user.emailVerifiedAt,
+    hasPassword: !!user.password,
+    mfaEnabled: !!user.totpEnabledAt,
+    identities: user.identities.map(identity => identity.provider),
+    trackingCount: user._count.trackingRequests,
+    organizationCount: user._count.memberships,
+    createdAt: user.createdAt
+  };
+}
+
+/**
+ * Helper function to turn a groupBy on status into { status: count }
+ */
+function toStatusMap(groups) {
+  return Object.fromEntries(groups.map(group => [group.status || 'unknown', group._count._all]));
+}
+
+/**
+ * Helper function to total a groupBy on status
+ */
+function sumCounts(groups) {
+  return groups.reduce((sum, group) => sum + group._count._all, 0);
+}
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { prisma } = require('../lib/prisma');
+const { verifyUserToken } = require('../middleware/external-auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { ORG_ROLES, hasRole } = require('../services/organizations');
+const {
+  API_KEY_SCOPES,
+  API_KEY_SCOPE_VALUES,
+  createApiKey,
+  revokeApiKey
+} = require('../services/api-keys');
+
+const router = express.Router();
+
+// Key management needs the user's own token (web session or Google) - an API key cannot mint or revoke keys
+router.use(verifyUserToken);
+
+/**
+ * POST /api/external/api-keys
+ * Create an API key that acts as the authenticated user's account
+ * The key is bound to the current workspace (X-Organization-Id header); organization keys need the admin role
+ * The key is only returned in this response
+ */
+router.post('/',
+  resolveWorkspace(ORG_ROLES.ADMIN),
+  [
+    body('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('name must be between 1 and 100 characters'),
+    body('scopes')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('scopes must be a non-empty array'),
+    body('scopes.*')
+      .isIn(API_KEY_SCOPE_VALUES)
+      .withMessage(`scopes must be any of: ${API_KEY_SCOPE_VALUES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { name, scopes = [API_KEY_SCOPES.READ] } = req.body;
+      const { apiKey, key } = await createApiKey(req.user.id, {
+        name,
+        scopes,
+        organizationId: req.workspace.organizationId
+      });
+
+      res.status(201).json({
+        success: true,
+        apiKey: formatApiKey(apiKey),
+        key,
+        message: 'Store this key now - it cannot be shown again. Send it in the X-API-Key header.'
+      });
+
+    } catch (error) {
+      console.error('Create API key error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/external/api-keys
+ * List the authenticated user's API keys (never the keys themselves)
+ * In an organization workspace, admins also see every key bound to the organization
+ */
+router.get('/', resolveWorkspace(), async (req, res) => {
+  try {
+    const { organizationId, role } = req.workspace;
+    const orgAdmin = !!organizationId && hasRole(role, ORG_ROLES.ADMIN);
+
+    const apiKeys = await prisma.apiKey.findMany({
+      where: {
+        OR: [
+          { userId: req.user.id },
+          ...(orgAdmin ? [{ organizationId }] : [])
+        ]
+      },
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+
+    res.json({
+      apiKeys: apiKeys.map(formatApiKey),
+      availableScopes: API_KEY_SCOPE_VALUES
+    });
+
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/external/api-keys/:keyId
+ * Revoke an API key - requests using it are rejected immediately
+ * Works for the key's creator and for admins of the organization it is bound to
+ */
+router.delete('/:keyId', async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.keyId, req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'API key not found, already revoked or access denied'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Helper function to shape an API key for responses (never includes the hash)
+ */
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    userId: apiKey.userId,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    organizationId: apiKey.organizationId,
+    lastUsedAt: apiKey.lastUsedAt,
+    revokedAt: apiKey.revokedAt,
+    createdAt: apiKey.createdAt
+  };
+}
+
+module.exports = router;
@@ -1,13 +1,30 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
 const { prisma } = require('../lib/prisma');
 const { verifyNextAuthToken } = require('../middleware/auth');
 const { verifySupabaseToken } = require('../middleware/supabase-auth');
 const { getConfig } = require('../config/env');
 const { getSupabaseConfig } = require('../config/supabase');
-const { authLimiter } = require('../config/rate-limit');
+const { authLimiter, passwordResetLimiter } = require('../config/rate-limit');
+const {
+  SessionError,
+  getSessionContext,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  findSessionByRefreshToken
+} = require('../services/auth-sessions');
+const {
+  ACCOUNT_TOKEN_TYPES,
+  consumeAccountToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+} = require('../services/account-tokens');
+const { buildMfaChallenge } = require('../services/mfa');
+const { IDENTITY_PROVIDERS, IdentityError, resolveIdentityUser } = require('../services/identities');
 
 const router = express.Router();
 const config = getConfig();
@@ -76,52 +93,31 @@ router.get('/google/callback', async (req, res) => {
 
     const googleUser = userResponse.data;
 
-    // Check if user exists in database
-    let user = await prisma.userProfile.findUnique({
-      where: { email: googleUser.email }
+    // Find or create the account this Google identity is linked to
+    let user = await resolveIdentityUser(IDENTITY_PROVIDERS.GOOGLE, {
+      subject: googleUser.id,
+      email: googleUser.email,
+      emailVerified: googleUser.verified_email,
+      name: googleUser.name,
+      avatarUrl: googleUser.picture
     });
 
-    if (!user) {
-      // Create new user
-      user = await prisma.userProfile.create({
-        data: {
-          id: googleUser.id,
-          email: googleUser.email,
-          fullName: googleUser.name,
-          avatarUrl: googleUser.picture,
-        }
-      });
-    } else {
-      // Update existing user
-      user = await prisma.userProfile.update({
-        where: { id: user.id },
-        data: {
-          fullName: googleUser.name,
-          avatarUrl: googleUser.picture,
-        }
-      });
+    // Keep name and picture current
+    user = await prisma.userProfile.update({
+      where: { id: user.id },
+      data: {
+        fullName: googleUser.name,
+        avatarUrl: googleUser.picture,
+      }
+    });
+
+    // Second factor required - hand the popup a challenge instead of a session
+    if (user.totpEnabledAt) {
+      return res.send(renderMfaChallengeHtml(buildMfaChallenge(user)));
     }
 
-    // Create JWT access token
-    const accessToken = jwt.sign(
-      { 
-        sub: user.id,
-        email: user.email,
-        name: user.fullName 
-      },
-      config.NEXTAUTH_SECRET,
-      { expiresIn: '1h' }
-    );
-
-    // Create refresh token
-    const refreshToken = jwt.sign(
-      { 
-        sub: user.id,
-        type: 'refresh' 
-      },
-      config.NEXTAUTH_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a session (access token + rotating refresh token)
+    const { accessToken, refreshToken, expiresIn } = await createSession(user, getSessionContext(req));
 
     // For popup OAuth, redirect to a page that closes the popup and sends token to parent
     const redirectHtml = `
@@ -138,7 +134,7 @@ router.get('/google/callback', async (req, res) => {
               type: 'GOOGLE_AUTH_SUCCESS', 
               token: '${accessToken}',
               refreshToken: '${refreshToken}',
-              expiresIn: 3600
+              expiresIn: ${expiresIn}
             }, '*');
             window.close();
           } else {
@@ -154,6 +150,9 @@ router.get('/google/callback', async (req, res) => {
     res.send(redirectHtml);
 
   } catch (error) {
+    if (error instanceof IdentityError) {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
     console.error('Google OAuth error:', error);
     res.status(500).json({ error: 'Authentication failed' });
   }
@@ -172,6 +171,9 @@ router.get('/user', verifyNextAuthToken, async (req, res) => {
         email: req.user.email,
         full_name: req.user.fullName,
         avatar_url: req.user.avatarUrl,
+        email_verified_at: req.user.emailVerifiedAt,
+        mfa_enabled: !!req.user.totpEnabledAt,
+        role: req.user.role,
         created_at: req.user.createdAt,
         updated_at: req.user.updatedAt
       }
@@ -184,44 +186,40 @@ router.get('/user', verifyNextAuthToken, async (req, res) => {
 
 /**
  * POST /api/auth/refresh
- * Refresh user session
+ * Exchange a refresh token for a new access token and refresh token
+ * The old refresh token stops working; presenting it again logs out that session everywhere
  */
-router.post('/refresh', verifyNextAuthToken, async (req, res) => {
+router.post('/refresh', async (req, res) => {
   try {
-    // Create new access token
-    const accessToken = jwt.sign(
-      { 
-        sub: req.user.id,
-        email: req.user.email,
-        name: req.user.fullName 
-      },
-      config.NEXTAUTH_SECRET,
-      { expiresIn: '1h' }
-    );
-
-    // Create new refresh token
-    const refreshToken = jwt.sign(
-      { 
-        sub: req.user.id,
-        type: 'refresh' 
-      },
-      config.NEXTAUTH_SECRET,
-      { expiresIn: '7d' }
-    );
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ 
+        error: 'refreshToken is required' 
+      });
+    }
+
+    const session = await rotateRefreshToken(refreshToken, getSessionContext(req));
 
     res.json({ 
       success: true,
       user: {
-        id: req.user.id,
-        email: req.user.email,
-        name: req.user.fullName,
-        image: req.user.avatarUrl
+        id: session.user.id,
+        email: session.user.email,
+        name: session.user.fullName,
+        image: session.user.avatarUrl
       },
-      accessToken,
-      refreshToken,
-      expiresIn: 3600
+      accessToken: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn
     });
   } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(401).json({ 
+        error: error.message,
+        code: error.code
+      });
+    }
     console.error('Refresh error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -260,26 +258,23 @@ router.post('/login', authLimiter, async (req, res) => {
       });
     }
 
-    // Create JWT access token
-    const accessToken = jwt.sign(
-      { 
-        sub: user.id,
-        email: user.email,
-        name: user.fullName 
-      },
-      config.NEXTAUTH_SECRET,
-      { expiresIn: '1h' }
-    );
-
-    // Create refresh token
-    const refreshToken = jwt.sign(
-      { 
-        sub: user.id,
-        type: 'refresh' 
-      },
-      config.NEXTAUTH_SECRET,
-      { expiresIn: '7d' }
-    );
+    if (!user.emailVerifiedAt) {
+      return res.status(403).json({ 
+        error: 'Email address not verified. Follow the link we emailed you, or request a new one.',
+        code: 'email_not_verified'
+      });
+    }
+
+    // Second factor required - no session until POST /api/auth/mfa/verify
+    if (user.totpEnabledAt) {
+      return res.json({
+        success: true,
+        ...buildMfaChallenge(user)
+      });
+    }
+
+    // Start a session (access token + rotating refresh token)
+    const { accessToken, refreshToken, expiresIn } = await createSession(user, getSessionContext(req));
 
     res.json({
       success: true,
@@ -290,7 +285,7 @@ router.post('/login', authLimiter, async (req, res) => {
       },
       accessToken,
       refreshToken,
-      expiresIn: 3600
+      expiresIn
     });
 
   } catch (error) {
@@ -327,47 +322,32 @@ router.post('/register', authLimiter, async (req, res) => {
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 12);
 
-    // Create user
+    // Create user (random UUID ID) - unverified until the emailed link is followed
     const user = await prisma.userProfile.create({
       data: {
-        id: `user_${Date.now()}`, // Generate unique ID
         email,
         fullName: name,
-        password: hashedPassword
+        password: hashedPassword,
+        emailVerifiedAt: null
       }
     });
 
-    // Create JWT access token
-    const accessToken = jwt.sign(
-      { 
-        sub: user.id,
-        email: user.email,
-        name: user.fullName 
-      },
-      config.NEXTAUTH_SECRET,
-      { expiresIn: '1h' }
-    );
-
-    // Create refresh token
-    const refreshToken = jwt.sign(
-      { 
-        sub: user.id,
-        type: 'refresh' 
-      },
-      config.NEXTAUTH_SECRET,
-      { expiresIn: '7d' }
-    );
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      // The account exists either way - the user can ask for the email again
+      console.error('Verification email error:', mailError);
+    }
 
-    res.json({
+    res.status(201).json({
       success: true,
       user: {
         id: user.id,
         email: user.email,
-        name: user.fullName
+        name: user.fullName,
+        emailVerified: false
       },
-      accessToken,
-      refreshToken,
-      expiresIn: 3600
+      message: 'Account created. Check your email for a link to verify your address before logging in.'
     });
 
   } catch (error) {
@@ -376,13 +356,210 @@ router.post('/register', authLimiter, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/forgot-password
+ * Email a single-use password reset link
+ * Responds the same whether or not the account exists
+ */
+router.post('/forgot-password',
+  passwordResetLimiter,
+  [
+    body('email')
+      .isEmail()
+      .withMessage('A valid email is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const user = await prisma.userProfile.findUnique({
+        where: { email: req.body.email }
+      });
+
+      // Google-only accounts have no password to reset
+      if (user?.password) {
+        try {
+          await sendPasswordResetEmail(user);
+        } catch (mailError) {
+          console.error('Password reset email error:', mailError);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'If a password account exists for that email, a reset link has been sent.'
+      });
+
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with a token from a reset email
+ * Logs the user out everywhere
+ */
+router.post('/reset-password',
+  passwordResetLimiter,
+  [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('token is required'),
+    body('password')
+      .isString()
+      .isLength({ min: 8, max: 128 })
+      .withMessage('password must be between 8 and 128 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const userId = await consumeAccountToken(req.body.token, ACCOUNT_TOKEN_TYPES.PASSWORD_RESET);
+      if (!userId) {
+        return res.status(400).json({
+          error: 'Reset link is invalid, already used or expired',
+          code: 'invalid_token'
+        });
+      }
+
+      const user = await prisma.userProfile.findUnique({
+        where: { id: userId }
+      });
+
+      await prisma.userProfile.update({
+        where: { id: userId },
+        data: {
+          password: await bcrypt.hash(req.body.password, 12),
+          // Receiving the reset email proves the address
+          emailVerifiedAt: user.emailVerifiedAt || new Date()
+        }
+      });
+
+      await revokeAllSessions(userId);
+
+      res.json({
+        success: true,
+        message: 'Password updated. Log in with your new password.'
+      });
+
+    } catch (error) {
+      console.error('Reset password error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/auth/verify-email
+ * Link target in verification emails - verifies the address and redirects to the app
+ */
+router.get('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    const userId = typeof token === 'string'
+      ? await consumeAccountToken(token, ACCOUNT_TOKEN_TYPES.EMAIL_VERIFICATION)
+      : null;
+
+    if (!userId) {
+      return res.redirect(`${config.FRONTEND_URL}/?emailVerified=false`);
+    }
+
+    await prisma.userProfile.update({
+      where: { id: userId },
+      data: { emailVerifiedAt: new Date() }
+    });
+
+    res.redirect(`${config.FRONTEND_URL}/?emailVerified=true`);
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Email a new verification link (earlier links stop working)
+ * Responds the same whether or not the account exists
+ */
+router.post('/resend-verification',
+  passwordResetLimiter,
+  [
+    body('email')
+      .isEmail()
+      .withMessage('A valid email is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const user = await prisma.userProfile.findUnique({
+        where: { email: req.body.email }
+      });
+
+      if (user && !user.emailVerifiedAt) {
+        try {
+          await sendVerificationEmail(user);
+        } catch (mailError) {
+          console.error('Verification email error:', mailError);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: 'If that email belongs to an unverified account, a new verification link has been sent.'
+      });
+
+    } catch (error) {
+      console.error('Resend verification error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
 /**
  * POST /api/auth/logout
- * Logout user (client-side token removal)
+ * Logout user - revokes the session the access token (or refreshToken in the body) belongs to
  */
 router.post('/logout', verifyNextAuthToken, async (req, res) => {
   try {
-    // With JWT, logout is handled client-side by removing the token
+    let sessionId = req.sessionId;
+
+    // Tokens issued before sessions existed carry no sid - fall back to the refresh token
+    if (!sessionId && req.body?.refreshToken) {
+      const session = await findSessionByRefreshToken(req.body.refreshToken);
+      if (session?.userId === req.user.id) {
+        sessionId = session.familyId;
+      }
+    }
+
+    if (sessionId) {
+      await revokeSession(sessionId);
+    }
+
     res.json({ 
       success: true,
       message: 'Logout successful' 
@@ -393,6 +570,25 @@ router.post('/logout', verifyNextAuthToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/logout-all
+ * Log out all devices - revokes every session the user has
+ */
+router.post('/logout-all', verifyNextAuthToken, async (req, res) => {
+  try {
+    const revokedTokens = await revokeAllSessions(req.user.id);
+
+    res.json({ 
+      success: true,
+      message: 'Logged out of all devices',
+      revokedTokens
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // ========================================
 // SUPABASE AUTH ENDPOINTS
 // ========================================
@@ -534,4 +730,38 @@ router.get('/supabase/user', verifySupabaseToken, async (req, res) => {
   }
 });
 
+/**
+ * Popup page that passes an MFA challenge from the Google callback to the opener
+ * The opener finishes sign-in with POST /api/auth/mfa/verify
+ * @param {Object} challenge - buildMfaChallenge() result
+ * @returns {string} - HTML
+ */
+function renderMfaChallengeHtml(challenge) {
+  return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Two-Factor Authentication Required</title>
+      </head>
+      <body>
+        <script>
+          if (window.opener) {
+            window.opener.postMessage({ 
+              type: 'GOOGLE_AUTH_MFA_REQUIRED', 
+              challengeToken: '${challenge.challengeToken}',
+              expiresIn: ${challenge.expiresIn},
+              methods: ${JSON.stringify(challenge.methods)}
+            }, '*');
+            window.close();
+          } else {
+            // Fallback: redirect to main page with the challenge
+            window.location.href = '${config.FRONTEND_URL}/?mfa_challenge=${challenge.challengeToken}';
+          }
+        </script>
+        <p>Enter your authentication code to finish signing in. This window should close automatically.</p>
+      </body>
+      </html>
+    `;
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,53 @@
+const express = require('express');
+const { verifyCronSecret } = require('../middleware/cron-auth');
+const { drainQueue } = require('../services/job-queue');
+const { scheduleDueRefreshes } = require('../services/refresh-scheduler');
+// Registers the job handlers the queue runs
+require('../services/tracking-jobs');
+
+const router = express.Router();
+
+// Stay well inside the serverless function timeout
+const DRAIN_TIME_BUDGET_MS = 20 * 1000;
+
+/**
+ * GET /api/cron/jobs
+ * Drain the background job queue (triggered by Vercel Cron)
+ */
+router.get('/jobs', verifyCronSecret, async (req, res) => {
+  try {
+    const summary = await drainQueue({ timeBudgetMs: DRAIN_TIME_BUDGET_MS });
+
+    res.json({
+      success: true,
+      ...summary,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Cron job drain error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/cron/refresh
+ * Queue re-tracking for active shipments whose next poll is due (triggered by Vercel Cron)
+ */
+router.get('/refresh', verifyCronSecret, async (req, res) => {
+  try {
+    const summary = await scheduleDueRefreshes();
+
+    res.json({
+      success: true,
+      ...summary,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Cron refresh error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,54 +1,85 @@
 const express = require('express');
 const { prisma } = require('../lib/prisma');
-const { verifyGoogleToken } = require('../middleware/external-auth');
+const { verifyExternalAuth } = require('../middleware/external-auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { workspaceSql } = require('../services/organizations');
+const { SHIPMENT_STATUSES, SHIPMENT_STATUS_VALUES } = require('../services/carrier/shipment-status');
 
 const router = express.Router();
 
+/**
+ * Count a workspace's shipments by canonical shipment status
+ * Tracking requests without a shipment yet count as unknown
+ * @param {Object} where - TrackingRequest filter
+ * @returns {Promise<Object>} - Count per canonical status
+ */
+async function countShipmentStatuses(where) {
+  const counts = Object.fromEntries(SHIPMENT_STATUS_VALUES.map(status => [status, 0]));
+
+  const [grouped, total] = await Promise.all([
+    prisma.shipment.groupBy({
+      by: ['status'],
+      where: { trackingRequest: where },
+      _count: {
+        status: true
+      }
+    }),
+    prisma.trackingRequest.count({ where })
+  ]);
+
+  let withShipment = 0;
+  grouped.forEach(group => {
+    const status = SHIPMENT_STATUS_VALUES.includes(group.status) ? group.status : SHIPMENT_STATUSES.UNKNOWN;
+    counts[status] += group._count.status;
+    withShipment += group._count.status;
+  });
+  counts[SHIPMENT_STATUSES.UNKNOWN] += total - withShipment;
+
+  return counts;
+}
+
 /**
  * GET /api/external/dashboard/overview
  * Get dashboard overview with key metrics and statistics
  */
-router.get('/overview', verifyGoogleToken, async (req, res) => {
+router.get('/overview', verifyExternalAuth('read'), resolveWorkspace(), async (req, res) => {
   try {
-    const googleUser = req.googleUser;
-    const userId = googleUser.id;
-
     // Get total counts
     const totalTrackings = await prisma.trackingRequest.count({
-      where: { userId: userId }
+      where: req.workspace.filter
     });
 
     const completedTrackings = await prisma.trackingRequest.count({
       where: { 
-        userId: userId,
+        ...req.workspace.filter,
         status: 'completed'
       }
     });
 
     const pendingTrackings = await prisma.trackingRequest.count({
       where: { 
-        userId: userId,
+        ...req.workspace.filter,
         status: 'pending'
       }
     });
 
     const processingTrackings = await prisma.trackingRequest.count({
       where: { 
-        userId: userId,
+        ...req.workspace.filter,
         status: 'processing'
       }
     });
 
     const awaitingCarrierTrackings = await prisma.trackingRequest.count({
       where: { 
-        userId: userId,
+        ...req.workspace.filter,
         status: 'awaiting_carrier'
       }
     });
 
     const failedTrackings = await prisma.trackingRequest.count({
       where: { 
-        userId: userId,
+        ...req.workspace.filter,
         status: 'failed'
       }
     });
@@ -56,7 +87,7 @@ router.get('/overview', verifyGoogleToken, async (req, res) => {
     // Get carrier breakdown
     const carrierStats = await prisma.trackingRequest.groupBy({
       by: ['carrierId'],
-      where: { userId: userId },
+      where: req.workspace.filter,
       _count: {
         carrierId: true
       },
@@ -70,7 +101,8 @@ router.get('/overview', verifyGoogleToken, async (req, res) => {
     // Get carrier names
     const carrierDetails = await Promise.all(
       carrierStats.map(async (stat) => {
-        const carrier = await prisma.carrier.findUnique({
+        // Requests still awaiting a carrier are grouped under a null carrierId
+        const carrier = stat.carrierId && await prisma.carrier.findUnique({
           where: { id: stat.carrierId },
           select: { name: true, displayName: true }
         });
@@ -85,7 +117,7 @@ router.get('/overview', verifyGoogleToken, async (req, res) => {
 
     // Get recent activity (last 10 trackings)
     const recentTrackings = await prisma.trackingRequest.findMany({
-      where: { userId: userId },
+      where: req.workspace.filter,
       include: {
         carrier: {
           select: {
@@ -96,6 +128,7 @@ router.get('/overview', verifyGoogleToken, async (req, res) => {
         shipment: {
           select: {
             currentStatus: true,
+            status: true,
             currentLocation: true,
             expectedDeliveryDate: true
           }
@@ -107,6 +140,8 @@ router.get('/overview', verifyGoogleToken, async (req, res) => {
       take: 10
     });
 
+    const shipmentStatuses = await countShipmentStatuses(req.workspace.filter);
+
     // Calculate success rate
     const successRate = totalTrackings > 0 ? 
       Math.round((completedTrackings / totalTrackings) * 100) : 0;
@@ -121,6 +156,7 @@ router.get('/overview', verifyGoogleToken, async (req, res) => {
         failedTrackings,
         successRate
       },
+      shipmentStatuses,
       carrierBreakdown: carrierDetails,
       recentActivity: recentTrackings.map(tracking => ({
         id: tracking.id,
@@ -128,6 +164,7 @@ router.get('/overview', verifyGoogleToken, async (req, res) => {
         carrier: tracking.carrier?.displayName || 'Unknown',
         status: tracking.status,
         currentStatus: tracking.shipment?.currentStatus,
+        shipmentStatus: tracking.shipment?.status || SHIPMENT_STATUSES.UNKNOWN,
         currentLocation: tracking.shipment?.currentLocation,
         expectedDeliveryDate: tracking.shipment?.expectedDeliveryDate,
         createdAt: tracking.createdAt,
@@ -146,16 +183,14 @@ router.get('/overview', verifyGoogleToken, async (req, res) => {
  * GET /api/external/dashboard/trackings
  * Get all trackings with advanced filtering, sorting, and pagination
  */
-router.get('/trackings', verifyGoogleToken, async (req, res) => {
+router.get('/trackings', verifyExternalAuth('read'), resolveWorkspace(), async (req, res) => {
   try {
-    const googleUser = req.googleUser;
-    const userId = googleUser.id;
-    
     // Parse query parameters
     const {
       page = 1,
       limit = 20,
       status,
+      shipmentStatus,
       carrier,
       search,
       sortBy = 'createdAt',
@@ -170,7 +205,7 @@ router.get('/trackings', verifyGoogleToken, async (req, res) => {
 
     // Build where clause
     let whereClause = {
-      userId: userId
+      ...req.workspace.filter
     };
 
     // Status filter
@@ -182,6 +217,13 @@ router.get('/trackings', verifyGoogleToken, async (req, res) => {
       }
     }
 
+    // Shipment (delivery) status filter
+    if (shipmentStatus) {
+      whereClause.shipment = {
+        status: Array.isArray(shipmentStatus) ? { in: shipmentStatus } : shipmentStatus
+      };
+    }
+
     // Date range filter
     if (startDate || endDate) {
       whereClause.createdAt = {};
@@ -200,8 +242,8 @@ router.get('/trackings', verifyGoogleToken, async (req, res) => {
 
     // Carrier filter
     if (carrier) {
-      const carrierRecord = await prisma.carrier.findUnique({
-        where: { name: carrier.toUpperCase() },
+      const carrierRecord = await prisma.carrier.findFirst({
+        where: { name: { equals: carrier, mode: 'insensitive' } },
         select: { id: true }
       });
       if (carrierRecord) {
@@ -225,6 +267,7 @@ router.get('/trackings', verifyGoogleToken, async (req, res) => {
           trackingNumber: true,
           carrier: true,
           currentStatus: true,
+          status: true,
           currentLocation: true,
           expectedDeliveryDate: true,
           shippedDate: true,
@@ -298,10 +341,8 @@ router.get('/trackings', verifyGoogleToken, async (req, res) => {
  * GET /api/external/dashboard/analytics
  * Get analytics data for charts and insights
  */
-router.get('/analytics', verifyGoogleToken, async (req, res) => {
+router.get('/analytics', verifyExternalAuth('read'), resolveWorkspace(), async (req, res) => {
   try {
-    const googleUser = req.googleUser;
-    const userId = googleUser.id;
     const { period = '30d' } = req.query;
 
     // Calculate date range based on period
@@ -329,7 +370,7 @@ router.get('/analytics', verifyGoogleToken, async (req, res) => {
         COUNT(*) as count,
         status
       FROM tracking_requests 
-      WHERE user_id = ${userId} 
+      WHERE ${workspaceSql(req.workspace)} 
         AND created_at >= ${startDate}
       GROUP BY DATE(created_at), status
       ORDER BY date ASC
@@ -348,7 +389,7 @@ router.get('/analytics', verifyGoogleToken, async (req, res) => {
         ) as success_rate
       FROM tracking_requests tr
       LEFT JOIN carriers c ON tr.carrier_id = c.id
-      WHERE tr.user_id = ${userId}
+      WHERE ${workspaceSql(req.workspace, 'tr')}
         AND tr.created_at >= ${startDate}
       GROUP BY c.id, c.display_name, c.name
       ORDER BY total_trackings DESC
@@ -358,7 +399,7 @@ router.get('/analytics', verifyGoogleToken, async (req, res) => {
     const statusDistribution = await prisma.trackingRequest.groupBy({
       by: ['status'],
       where: {
-        userId: userId,
+        ...req.workspace.filter,
         createdAt: { gte: startDate }
       },
       _count: {
@@ -366,6 +407,11 @@ router.get('/analytics', verifyGoogleToken, async (req, res) => {
       }
     });
 
+    const shipmentStatusDistribution = await countShipmentStatuses({
+      ...req.workspace.filter,
+      createdAt: { gte: startDate }
+    });
+
     // Get delivery performance (for completed trackings with expected delivery dates)
     const deliveryPerformance = await prisma.$queryRaw`
       SELECT 
@@ -377,7 +423,7 @@ router.get('/analytics', verifyGoogleToken, async (req, res) => {
         COUNT(*) as count
       FROM tracking_requests tr
       LEFT JOIN shipments s ON tr.id = s.tracking_request_id
-      WHERE tr.user_id = ${userId}
+      WHERE ${workspaceSql(req.workspace, 'tr')}
         AND tr.status = 'completed'
         AND tr.created_at >= ${startDate}
       GROUP BY 
@@ -400,6 +446,7 @@ router.get('/analytics', verifyGoogleToken, async (req, res) => {
         status: stat.status,
         count: stat._count.status
       })),
+      shipmentStatusDistribution,
       deliveryPerformance: deliveryPerformance,
       generatedAt: new Date().toISOString()
     });
@@ -414,10 +461,8 @@ router.get('/analytics', verifyGoogleToken, async (req, res) => {
  * GET /api/external/dashboard/bulk-status
  * Get status for multiple tracking IDs at once
  */
-router.get('/bulk-status', verifyGoogleToken, async (req, res) => {
+router.get('/bulk-status', verifyExternalAuth('read'), resolveWorkspace(), async (req, res) => {
   try {
-    const googleUser = req.googleUser;
-    const userId = googleUser.id;
     const { ids } = req.query;
 
     if (!ids) {
@@ -439,7 +484,7 @@ router.get('/bulk-status', verifyGoogleToken, async (req, res) => {
     const trackings = await prisma.trackingRequest.findMany({
       where: {
         id: { in: trackingIds },
-        userId: userId
+        ...req.workspace.filter
       },
       include: {
         carrier: {
@@ -451,6 +496,7 @@ router.get('/bulk-status', verifyGoogleToken, async (req, res) => {
         shipment: {
           select: {
             currentStatus: true,
+            status: true,
             currentLocation: true,
             expectedDeliveryDate: true,
             shippedDate: true
@@ -468,6 +514,7 @@ router.get('/bulk-status', verifyGoogleToken, async (req, res) => {
         carrier: tracking.carrier?.displayName || 'Unknown',
         status: tracking.status,
         currentStatus: tracking.shipment?.currentStatus,
+        shipmentStatus: tracking.shipment?.status || SHIPMENT_STATUSES.UNKNOWN,
         currentLocation: tracking.shipment?.currentLocation,
         expectedDeliveryDate: tracking.shipment?.expectedDeliveryDate,
         shippedDate: tracking.shipment?.shippedDate,
@@ -496,15 +543,13 @@ router.get('/bulk-status', verifyGoogleToken, async (req, res) => {
  * GET /api/external/dashboard/export
  * Export tracking data in various formats
  */
-router.get('/export', verifyGoogleToken, async (req, res) => {
+router.get('/export', verifyExternalAuth('read'), resolveWorkspace(), async (req, res) => {
   try {
-    const googleUser = req.googleUser;
-    const userId = googleUser.id;
     const { format = 'json', status, carrier, startDate, endDate } = req.query;
 
     // Build where clause (similar to trackings endpoint)
     let whereClause = {
-      userId: userId
+      ...req.workspace.filter
     };
 
     if (status) {
@@ -518,8 +563,8 @@ router.get('/export', verifyGoogleToken, async (req, res) => {
     }
 
     if (carrier) {
-      const carrierRecord = await prisma.carrier.findUnique({
-        where: { name: carrier.toUpperCase() },
+      const carrierRecord = await prisma.carrier.findFirst({
+        where: { name: { equals: carrier, mode: 'insensitive' } },
         select: { id: true }
       });
       if (carrierRecord) {
@@ -540,6 +585,7 @@ router.get('/export', verifyGoogleToken, async (req, res) => {
         shipment: {
           select: {
             currentStatus: true,
+            status: true,
             currentLocation: true,
             expectedDeliveryDate: true,
             shippedDate: true
@@ -557,6 +603,7 @@ router.get('/export', verifyGoogleToken, async (req, res) => {
       carrier: tracking.carrier?.displayName || 'Unknown',
       status: tracking.status,
       currentStatus: tracking.shipment?.currentStatus,
+      shipmentStatus: tracking.shipment?.status || SHIPMENT_STATUSES.UNKNOWN,
       currentLocation: tracking.shipment?.currentLocation,
       expectedDeliveryDate: tracking.shipment?.expectedDeliveryDate,
       shippedDate: tracking.shipment?.shippedDate,
@@ -1,8 +1,21 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { prisma } = require('../lib/prisma');
-const { verifyGoogleToken } = require('../middleware/external-auth');
+const { verifyExternalAuth } = require('../middleware/external-auth');
+const { resolveWorkspace, requirePersonalWorkspace } = require('../middleware/workspace');
+const { ORG_ROLES } = require('../services/organizations');
 const carrierFactory = require('../services/carrier/carrier-factory');
+const { CARRIER_NAMES, resolveCarrierName } = require('../services/carrier/carrier-registry');
+const { formatTimeline } = require('../services/shipment-service');
+const { enqueueTracking, enqueueCarrierProbe } = require('../services/tracking-jobs');
+const {
+  DELIVERY_STATUSES,
+  SIGNATURE_HEADER,
+  getOrCreateApp,
+  redeliverWebhook
+} = require('../services/webhook-delivery');
+const { SHIPMENT_STATUSES } = require('../services/carrier/shipment-status');
+const { assertPublicUrl } = require('../services/outbound-url');
 const { externalApiLimiter } = require('../config/rate-limit');
 
 const router = express.Router();
@@ -14,10 +27,12 @@ router.use(externalApiLimiter);
  * POST /api/external/track
  * External API endpoint for other apps to submit tracking data
  * Requires Google OAuth token for authentication
- * Carrier is optional - can be updated later via PUT /track/:id/carrier
+ * Carrier is optional - can be updated later via PUT /track/:id/carrier,
+ * or found in the background by probing carriers (probe: true)
  */
 router.post('/track', 
-  verifyGoogleToken,
+  verifyExternalAuth('write'),
+  resolveWorkspace(ORG_ROLES.MEMBER),
   [
     body('trackingNumber')
       .isString()
@@ -26,8 +41,9 @@ router.post('/track',
     body('carrier')
       .optional()
       .isString()
-      .isIn(['USPS', 'UPS', 'FedEx', 'DHL'])
-      .withMessage('Carrier must be one of: USPS, UPS, FedEx, DHL'),
+      .customSanitizer(value => resolveCarrierName(value) || value)
+      .isIn(CARRIER_NAMES)
+      .withMessage(`Carrier must be one of: ${CARRIER_NAMES.join(', ')}`),
     body('userId')
       .optional()
       .isString()
@@ -38,12 +54,21 @@ router.post('/track',
       .withMessage('metadata must be an object'),
     body('callbackUrl')
       .optional()
-      .isURL()
-      .withMessage('callbackUrl must be a valid URL'),
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+      .withMessage('callbackUrl must be a valid http(s) URL')
+      .bail()
+      .custom(async (value) => {
+        await assertPublicUrl(value);
+      })
+      .withMessage('callbackUrl must resolve to a public address'),
     body('appName')
       .optional()
       .isString()
-      .withMessage('appName must be a string')
+      .withMessage('appName must be a string'),
+    body('probe')
+      .optional()
+      .isBoolean()
+      .withMessage('probe must be a boolean')
   ],
   async (req, res) => {
     try {
@@ -62,11 +87,12 @@ router.post('/track',
         userId, 
         metadata = {}, 
         callbackUrl, 
-        appName = 'External App' 
+        appName = 'External App',
+        probe = false
       } = req.body;
 
-      // Use external user ID or fallback to Google user ID
-      const externalUserId = userId || req.googleUser.id;
+      // Use external user ID or fallback to the caller's account
+      const externalUserId = userId || req.user.id;
       const googleUser = req.googleUser;
 
       // If carrier is provided, validate it
@@ -79,12 +105,19 @@ router.post('/track',
           });
         }
         carrierId = await getCarrierId(carrier);
+        if (!carrierId) {
+          return res.status(400).json({ 
+            error: `${carrier} tracking is currently disabled`,
+            availableCarriers: carrierFactory.getAvailableCarriers()
+          });
+        }
       }
 
-      // Check if tracking request already exists for this external user
+      // Check if tracking request already exists in this workspace (for this external user, if personal)
       const existingRequest = await prisma.trackingRequest.findFirst({
         where: {
-          userId: externalUserId,
+          ...req.workspace.filter,
+          ...(!req.workspace.organizationId && { userId: externalUserId }),
           trackingNumber: trackingNumber,
           ...(carrierId && { carrierId: carrierId })
         },
@@ -104,49 +137,66 @@ router.post('/track',
         });
       }
 
+      // Webhooks for this request go to the app's endpoints (and callbackUrl, signed with the app's secret)
+      const app = await getOrCreateApp(req.user.id, appName);
+
       // Create tracking request with external app metadata
       const trackingRequest = await prisma.trackingRequest.create({
         data: {
           userId: externalUserId,
+          organizationId: req.workspace.organizationId,
           trackingNumber: trackingNumber,
           carrierId: carrierId, // Will be null if carrier not provided
           status: carrierId ? 'pending' : 'awaiting_carrier', // New status for missing carrier
           // Store external app metadata in a JSON field
           metadata: {
             appName,
+            appId: app.id,
             callbackUrl,
             externalMetadata: metadata,
-            googleUser: {
-              id: googleUser.id,
-              email: googleUser.email,
-              name: googleUser.name
-            }
+            ownerId: req.user.id,
+            // Set when the request was made with a Google token rather than an API key
+            ...(googleUser && {
+              googleUser: {
+                id: googleUser.id,
+                email: googleUser.email,
+                name: googleUser.name
+              }
+            })
           }
         }
       });
 
-      // Only process tracking if carrier is provided
-      if (carrierId) {
-        processTrackingAsync(trackingRequest.id, trackingNumber, carrier, {
-          appName,
-          callbackUrl,
-          externalUserId,
-          metadata
-        });
+      // Only queue tracking if carrier is provided and can be tracked automatically
+      if (carrierId && carrierFactory.canTrackAutomatically(carrier)) {
+        await enqueueTracking(trackingRequest.id, trackingNumber, carrier);
+      }
+
+      // Without a carrier, optionally let the carriers tell us whose number it is
+      const probing = !carrierId && probe === true;
+      if (probing) {
+        await enqueueCarrierProbe(trackingRequest.id, trackingNumber);
+      }
+
+      let message = 'Tracking request created successfully';
+      let nextSteps = ['Check status via GET /track/:id/status'];
+      if (probing) {
+        message += '. Carrier not specified - probing carriers to detect it automatically.';
+        nextSteps = ['Check status via GET /track/:id/status', 'Or set the carrier yourself via PUT /track/:id/carrier'];
+      } else if (!carrierId) {
+        message += '. Carrier not specified - use PUT /track/:id/carrier to add carrier and start processing.';
+        nextSteps = ['Add carrier via PUT /track/:id/carrier', 'Then check status via GET /track/:id/status'];
       }
 
       res.status(201).json({
         success: true,
-        message: carrierId ? 
-          'Tracking request created successfully' : 
-          'Tracking request created successfully. Carrier not specified - use PUT /track/:id/carrier to add carrier and start processing.',
+        message,
         trackingId: trackingRequest.id,
         status: carrierId ? 'pending' : 'awaiting_carrier',
         hasCarrier: !!carrierId,
-        estimatedProcessingTime: carrierId ? '30-60 seconds' : 'N/A - carrier required',
-        nextSteps: carrierId ? 
-          ['Check status via GET /track/:id/status'] : 
-          ['Add carrier via PUT /track/:id/carrier', 'Then check status via GET /track/:id/status']
+        probing,
+        estimatedProcessingTime: carrierId || probing ? '30-60 seconds' : 'N/A - carrier required',
+        nextSteps
       });
 
     } catch (error) {
@@ -165,12 +215,14 @@ router.post('/track',
  * This allows apps to add carrier after initial submission
  */
 router.put('/track/:trackingId/carrier', 
-  verifyGoogleToken,
+  verifyExternalAuth('write'),
+  resolveWorkspace(ORG_ROLES.MEMBER),
   [
     body('carrier')
       .isString()
-      .isIn(['USPS', 'UPS', 'FedEx', 'DHL'])
-      .withMessage('Carrier must be one of: USPS, UPS, FedEx, DHL')
+      .customSanitizer(value => resolveCarrierName(value) || value)
+      .isIn(CARRIER_NAMES)
+      .withMessage(`Carrier must be one of: ${CARRIER_NAMES.join(', ')}`)
   ],
   async (req, res) => {
     try {
@@ -184,13 +236,12 @@ router.put('/track/:trackingId/carrier',
 
       const { trackingId } = req.params;
       const { carrier } = req.body;
-      const googleUser = req.googleUser;
 
       // Find the tracking request
       const trackingRequest = await prisma.trackingRequest.findFirst({
         where: {
           id: trackingId,
-          userId: googleUser.id
+          ...req.workspace.filter
         },
         include: {
           carrier: true
@@ -221,6 +272,12 @@ router.put('/track/:trackingId/carrier',
       }
 
       const carrierId = await getCarrierId(carrier);
+      if (!carrierId) {
+        return res.status(400).json({ 
+          error: `${carrier} tracking is currently disabled`,
+          availableCarriers: carrierFactory.getAvailableCarriers()
+        });
+      }
 
       // Update tracking request with carrier
       const updatedRequest = await prisma.trackingRequest.update({
@@ -234,13 +291,13 @@ router.put('/track/:trackingId/carrier',
         }
       });
 
-      // Start processing tracking
-      processTrackingAsync(trackingId, trackingRequest.trackingNumber, carrier, {
-        appName: trackingRequest.metadata?.appName || 'External App',
-        callbackUrl: trackingRequest.metadata?.callbackUrl,
-        externalUserId: trackingRequest.userId,
-        metadata: trackingRequest.metadata?.externalMetadata || {}
-      });
+      // Queue tracking (Amazon waits for a manual update or last-mile link)
+      const trackOptions = { lastMile: trackingRequest.metadata?.lastMile };
+      if (carrierFactory.canTrackAutomatically(carrier, trackOptions)) {
+        await enqueueTracking(trackingId, trackingRequest.trackingNumber, carrier, {
+          trackOptions
+        });
+      }
 
       res.json({
         success: true,
@@ -262,16 +319,15 @@ router.put('/track/:trackingId/carrier',
  * GET /api/external/status/:trackingId
  * Get tracking status for external apps
  */
-router.get('/status/:trackingId', verifyGoogleToken, async (req, res) => {
+router.get('/status/:trackingId', verifyExternalAuth('read'), resolveWorkspace(), async (req, res) => {
   try {
     const { trackingId } = req.params;
-    const googleUser = req.googleUser;
 
     // Get tracking request with shipment data
     const trackingRequest = await prisma.trackingRequest.findFirst({
       where: {
         id: trackingId,
-        userId: googleUser.id // Ensure user can only access their own data
+        ...req.workspace.filter // Ensure callers only access their own workspace's data
       },
       include: {
         carrier: {
@@ -285,10 +341,15 @@ router.get('/status/:trackingId', verifyGoogleToken, async (req, res) => {
             trackingNumber: true,
             carrier: true,
             currentStatus: true,
+            status: true,
             currentLocation: true,
             expectedDeliveryDate: true,
             shippedDate: true,
-            rawData: true
+            originCountry: true,
+            destinationCountry: true,
+            legs: true,
+            rawData: true,
+            events: true
           }
         }
       }
@@ -300,15 +361,21 @@ router.get('/status/:trackingId', verifyGoogleToken, async (req, res) => {
       });
     }
 
+    const { events, ...shipment } = trackingRequest.shipment || {};
+
     res.json({
       trackingId: trackingRequest.id,
       trackingNumber: trackingRequest.trackingNumber,
       carrier: trackingRequest.carrier?.displayName || null,
       status: trackingRequest.status,
+      shipmentStatus: trackingRequest.shipment?.status || SHIPMENT_STATUSES.UNKNOWN,
       createdAt: trackingRequest.createdAt,
       updatedAt: trackingRequest.updatedAt,
-      shipment: trackingRequest.shipment || null,
+      shipment: trackingRequest.shipment ? shipment : null,
+      timeline: formatTimeline(events),
       needsCarrier: trackingRequest.status === 'awaiting_carrier',
+      // Carriers asked by the latest probe, if the carrier was left to be detected
+      probe: trackingRequest.metadata?.probe || null,
       nextSteps: trackingRequest.status === 'awaiting_carrier' ? 
         ['Add carrier via PUT /track/:id/carrier'] : 
         trackingRequest.status === 'pending' ? 
@@ -330,14 +397,13 @@ router.get('/status/:trackingId', verifyGoogleToken, async (req, res) => {
  * GET /api/external/user/trackings
  * Get all tracking requests for the authenticated external user
  */
-router.get('/user/trackings', verifyGoogleToken, async (req, res) => {
+router.get('/user/trackings', verifyExternalAuth('read'), resolveWorkspace(), async (req, res) => {
   try {
     const { page = 1, limit = 20, status } = req.query;
-    const googleUser = req.googleUser;
     const offset = (page - 1) * parseInt(limit);
 
     let whereClause = {
-      userId: googleUser.id
+      ...req.workspace.filter
     };
 
     if (status) {
@@ -356,6 +422,7 @@ router.get('/user/trackings', verifyGoogleToken, async (req, res) => {
         shipment: {
           select: {
             currentStatus: true,
+            status: true,
             currentLocation: true,
             expectedDeliveryDate: true
           }
@@ -390,15 +457,8 @@ router.get('/user/trackings', verifyGoogleToken, async (req, res) => {
  */
 router.get('/carriers', (req, res) => {
   try {
-    const carriers = carrierFactory.getAvailableCarriers();
-    const status = carrierFactory.getCarrierStatus();
-
     res.json({
-      carriers: carriers.map(name => ({
-        name,
-        available: status[name]?.available || false,
-        configured: status[name]?.configured || false
-      })),
+      carriers: carrierFactory.listCarriers(),
       message: 'Use these carrier names when submitting tracking requests'
     });
   } catch (error) {
@@ -408,134 +468,206 @@ router.get('/carriers', (req, res) => {
 });
 
 /**
- * Helper function to get carrier ID by name
+ * GET /api/external/webhook-secret
+ * Get the secret an app uses to verify callback signatures
+ * The app is created on first use, so it can be set up before the first callback
  */
-async function getCarrierId(carrierName) {
-  const carrier = await prisma.carrier.findUnique({
-    where: {
-      name: carrierName.toUpperCase()
-    },
-    select: {
-      id: true
-    }
-  });
+router.get('/webhook-secret', verifyExternalAuth('webhooks'), requirePersonalWorkspace, async (req, res) => {
+  try {
+    const { appName = 'External App' } = req.query;
+    const app = await getOrCreateApp(req.user.id, appName);
 
-  return carrier?.id;
-}
+    res.json({
+      appId: app.id,
+      appName: app.name,
+      secret: app.webhookSecret,
+      signatureHeader: SIGNATURE_HEADER,
+      signedPayload: '{timestamp}.{raw request body}',
+      algorithm: 'HMAC-SHA256 (hex)'
+    });
+
+  } catch (error) {
+    console.error('External webhook secret error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
 /**
- * Process tracking request asynchronously with external app callback
+ * GET /api/external/deliveries
+ * Webhook delivery log for the authenticated external user's apps
  */
-async function processTrackingAsync(trackingRequestId, trackingNumber, carrierName, externalData) {
+router.get('/deliveries', verifyExternalAuth('webhooks'), requirePersonalWorkspace, async (req, res) => {
   try {
-    // Update status to processing
-    await prisma.trackingRequest.update({
-      where: { id: trackingRequestId },
-      data: { status: 'processing' }
-    });
+    const { page = 1, limit = 20, status, trackingId, webhookId, appName } = req.query;
+    const offset = (page - 1) * parseInt(limit);
 
-    // Get carrier service
-    const carrierService = carrierFactory.getCarrier(carrierName);
-    if (!carrierService) {
-      throw new Error(`Carrier ${carrierName} not found`);
+    if (status && !Object.values(DELIVERY_STATUSES).includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${Object.values(DELIVERY_STATUSES).join(', ')}`
+      });
     }
 
-    // Track the package
-    const trackingData = await carrierService.trackPackage(trackingNumber);
+    const whereClause = {
+      app: {
+        ownerId: req.user.id,
+        ...(appName && { name: appName })
+      },
+      ...(status && { status }),
+      ...(trackingId && { trackingRequestId: trackingId }),
+      ...(webhookId && { endpointId: webhookId })
+    };
 
-    if (!trackingData.success) {
-      throw new Error(trackingData.error);
-    }
+    const [deliveries, total] = await Promise.all([
+      prisma.webhookDelivery.findMany({
+        where: whereClause,
+        select: {
+          id: true,
+          event: true,
+          url: true,
+          endpointId: true,
+          status: true,
+          attempts: true,
+          lastResponseStatus: true,
+          lastError: true,
+          lastAttemptAt: true,
+          deliveredAt: true,
+          trackingRequestId: true,
+          createdAt: true,
+          app: {
+            select: {
+              name: true
+            }
+          }
+        },
+        orderBy: {
+          createdAt: 'desc'
+        },
+        skip: offset,
+        take: parseInt(limit)
+      }),
+      prisma.webhookDelivery.count({ where: whereClause })
+    ]);
 
-    // Save shipment data
-    await prisma.shipment.upsert({
-      where: { trackingRequestId: trackingRequestId },
-      update: {
-        trackingNumber: trackingData.trackingNumber,
-        carrier: trackingData.carrier,
-        expectedDeliveryDate: trackingData.expectedDeliveryDate,
-        currentStatus: trackingData.currentStatus,
-        currentLocation: trackingData.currentLocation,
-        shippedDate: trackingData.shippedDate,
-        rawData: trackingData.rawData
-      },
-      create: {
-        trackingRequestId: trackingRequestId,
-        trackingNumber: trackingData.trackingNumber,
-        carrier: trackingData.carrier,
-        expectedDeliveryDate: trackingData.expectedDeliveryDate,
-        currentStatus: trackingData.currentStatus,
-        currentLocation: trackingData.currentLocation,
-        shippedDate: trackingData.shippedDate,
-        rawData: trackingData.rawData
+    res.json({
+      deliveries: deliveries.map(({ app, ...delivery }) => ({
+        ...delivery,
+        appName: app.name
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        hasMore: offset + deliveries.length < total
       }
     });
 
-    // Update tracking request status
-    await prisma.trackingRequest.update({
-      where: { id: trackingRequestId },
-      data: { status: 'completed' }
-    });
+  } catch (error) {
+    console.error('External deliveries error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    console.log(`Successfully processed external tracking ${trackingNumber} for ${carrierName}`);
+/**
+ * GET /api/external/deliveries/:deliveryId
+ * Get a webhook delivery, including the exact payload that was sent
+ */
+router.get('/deliveries/:deliveryId', verifyExternalAuth('webhooks'), requirePersonalWorkspace, async (req, res) => {
+  try {
+    const delivery = await findOwnDelivery(req.params.deliveryId, req.user.id);
 
-    // Send callback notification to external app if callback URL provided
-    if (externalData.callbackUrl) {
-      try {
-        const axios = require('axios');
-        await axios.post(externalData.callbackUrl, {
-          trackingId: trackingRequestId,
-          trackingNumber: trackingNumber,
-          status: 'completed',
-          carrier: carrierName,
-          shipment: trackingData,
-          timestamp: new Date().toISOString()
-        }, {
-          timeout: 5000,
-          headers: {
-            'Content-Type': 'application/json',
-            'User-Agent': 'PostalHub-External-API/1.0'
-          }
-        });
-        console.log(`Callback sent to ${externalData.callbackUrl}`);
-      } catch (callbackError) {
-        console.error('Callback failed:', callbackError.message);
-        // Don't fail the main process if callback fails
-      }
+    if (!delivery) {
+      return res.status(404).json({
+        error: 'Webhook delivery not found or access denied'
+      });
     }
 
+    const { app, ...details } = delivery;
+    res.json({
+      ...details,
+      appName: app.name
+    });
+
   } catch (error) {
-    console.error(`Error processing external tracking ${trackingNumber}:`, error);
+    console.error('External delivery error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/external/deliveries/:deliveryId/redeliver
+ * Send a delivered or failed webhook again with the same payload (and a fresh signature)
+ */
+router.post('/deliveries/:deliveryId/redeliver', verifyExternalAuth('webhooks'), requirePersonalWorkspace, async (req, res) => {
+  try {
+    const delivery = await findOwnDelivery(req.params.deliveryId, req.user.id);
 
-    // Update status to failed
-    await prisma.trackingRequest.update({
-      where: { id: trackingRequestId },
-      data: { status: 'failed' }
+    if (!delivery) {
+      return res.status(404).json({
+        error: 'Webhook delivery not found or access denied'
+      });
+    }
+
+    const requeued = await redeliverWebhook(delivery.id);
+    if (!requeued) {
+      return res.status(409).json({
+        error: 'Webhook delivery is still pending',
+        attempts: delivery.attempts
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Webhook delivery queued',
+      deliveryId: requeued.id,
+      status: requeued.status
     });
 
-    // Send failure callback if URL provided
-    if (externalData.callbackUrl) {
-      try {
-        const axios = require('axios');
-        await axios.post(externalData.callbackUrl, {
-          trackingId: trackingRequestId,
-          trackingNumber: trackingNumber,
-          status: 'failed',
-          carrier: carrierName,
-          error: error.message,
-          timestamp: new Date().toISOString()
-        }, {
-          timeout: 5000,
-          headers: {
-            'Content-Type': 'application/json',
-            'User-Agent': 'PostalHub-External-API/1.0'
-          }
-        });
-      } catch (callbackError) {
-        console.error('Failure callback failed:', callbackError.message);
+  } catch (error) {
+    console.error('External redeliver error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Helper function to get carrier ID by name
+ */
+async function getCarrierId(carrierName) {
+  // Carrier names are stored with their brand casing ('FedEx', 'Amazon'); disabled carriers are skipped
+  const carrier = await prisma.carrier.findFirst({
+    where: {
+      name: {
+        equals: carrierName,
+        mode: 'insensitive'
+      },
+      isActive: true
+    },
+    select: {
+      id: true
+    }
+  });
+
+  return carrier?.id;
+}
+
+/**
+ * Helper function to get a webhook delivery owned by the external user
+ */
+async function findOwnDelivery(deliveryId, ownerId) {
+  return prisma.webhookDelivery.findFirst({
+    where: {
+      id: deliveryId,
+      app: {
+        ownerId
+      }
+    },
+    include: {
+      app: {
+        select: {
+          name: true
+        }
       }
     }
-  }
+  });
 }
 
 module.exports = router;
@@ -0,0 +1,202 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { prisma } = require('../lib/prisma');
+const { verifyNextAuthToken } = require('../middleware/auth');
+const { getSupabaseAdmin } = require('../config/supabase');
+const {
+  GoogleTokenError,
+  googleTokenVerifier,
+  isJwt,
+  toGoogleUser
+} = require('../services/google-tokens');
+const {
+  IDENTITY_PROVIDERS,
+  IdentityError,
+  linkIdentity,
+  unlinkIdentity
+} = require('../services/identities');
+
+const router = express.Router();
+
+// Linking always happens from a signed-in account
+router.use(verifyNextAuthToken);
+
+/**
+ * GET /api/auth/identities
+ * List the sign-in methods linked to the current account
+ */
+router.get('/', async (req, res) => {
+  try {
+    const identities = await prisma.userIdentity.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      identities: identities.map(formatIdentity),
+      hasPassword: !!req.user.password
+    });
+
+  } catch (error) {
+    console.error('List identities error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/identities/google
+ * Link a Google account by proving control of it with a Google ID token or access token
+ * With merge: true, a separate account that only signs in with this Google account is folded into this one
+ */
+router.post('/google',
+  [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('token (Google ID token or access token) is required'),
+    body('merge')
+      .optional()
+      .isBoolean()
+      .withMessage('merge must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { token, merge = false } = req.body;
+      const claims = isJwt(token)
+        ? await googleTokenVerifier.verifyIdToken(token)
+        : await googleTokenVerifier.verifyAccessToken(token);
+
+      const googleUser = toGoogleUser(claims);
+      if (!googleUser) {
+        return res.status(401).json({ error: 'Token does not contain valid user information' });
+      }
+
+      const result = await linkIdentity(req.user, IDENTITY_PROVIDERS.GOOGLE, {
+        subject: googleUser.id,
+        email: googleUser.email
+      }, { merge });
+
+      res.json({
+        success: true,
+        identity: formatIdentity(result.identity),
+        merged: result.merged
+      });
+
+    } catch (error) {
+      if (error instanceof GoogleTokenError) {
+        return res.status(401).json({ error: error.message, code: error.code });
+      }
+      return sendLinkError(res, error, 'Link Google identity error');
+    }
+  }
+);
+
+/**
+ * POST /api/auth/identities/supabase
+ * Link a Supabase account by proving control of it with a Supabase access token
+ * With merge: true, a separate account that only signs in with this Supabase account is folded into this one
+ */
+router.post('/supabase',
+  [
+    body('accessToken')
+      .isString()
+      .notEmpty()
+      .withMessage('accessToken (Supabase session access token) is required'),
+    body('merge')
+      .optional()
+      .isBoolean()
+      .withMessage('merge must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { accessToken, merge = false } = req.body;
+      const { data: { user: supabaseUser }, error } = await getSupabaseAdmin().auth.getUser(accessToken);
+
+      if (error || !supabaseUser) {
+        return res.status(401).json({ error: 'Invalid or expired Supabase token' });
+      }
+
+      const result = await linkIdentity(req.user, IDENTITY_PROVIDERS.SUPABASE, {
+        subject: supabaseUser.id,
+        email: supabaseUser.email
+      }, { merge });
+
+      res.json({
+        success: true,
+        identity: formatIdentity(result.identity),
+        merged: result.merged
+      });
+
+    } catch (error) {
+      return sendLinkError(res, error, 'Link Supabase identity error');
+    }
+  }
+);
+
+/**
+ * DELETE /api/auth/identities/:identityId
+ * Unlink a sign-in method (the last one cannot be removed from an account without a password)
+ */
+router.delete('/:identityId', async (req, res) => {
+  try {
+    const unlinked = await unlinkIdentity(req.user, req.params.identityId);
+
+    if (!unlinked) {
+      return res.status(404).json({ error: 'Identity not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sign-in method unlinked'
+    });
+
+  } catch (error) {
+    return sendLinkError(res, error, 'Unlink identity error');
+  }
+});
+
+/**
+ * Helper function to shape an identity for responses
+ */
+function formatIdentity(identity) {
+  return {
+    id: identity.id,
+    provider: identity.provider,
+    email: identity.email,
+    lastUsedAt: identity.lastUsedAt,
+    createdAt: identity.createdAt
+  };
+}
+
+/**
+ * Helper function to send the response for a failed link or unlink
+ */
+function sendLinkError(res, error, logLabel) {
+  if (error instanceof IdentityError) {
+    return res.status(409).json({
+      error: error.message,
+      code: error.code,
+      ...error.details
+    });
+  }
+  console.error(`${logLabel}:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+module.exports = router;
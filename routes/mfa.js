@@ -0,0 +1,277 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { body, validationResult } = require('express-validator');
+const { prisma } = require('../lib/prisma');
+const { verifyNextAuthToken } = require('../middleware/auth');
+const { authLimiter } = require('../config/rate-limit');
+const { getSessionContext, createSession } = require('../services/auth-sessions');
+const {
+  MfaError,
+  startTotpEnrollment,
+  enableTotp,
+  disableTotp,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  countRecoveryCodes,
+  verifyMfaChallenge
+} = require('../services/mfa');
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/mfa/verify
+ * Complete a sign-in (password, Google or Supabase) that returned status 'mfa_required'
+ * Accepts a TOTP code or a recovery code and returns the session tokens
+ */
+router.post('/verify',
+  authLimiter,
+  [
+    body('challengeToken')
+      .isString()
+      .notEmpty()
+      .withMessage('challengeToken is required'),
+    body('code')
+      .isString()
+      .notEmpty()
+      .withMessage('code is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const userId = verifyMfaChallenge(req.body.challengeToken);
+      const user = await prisma.userProfile.findUnique({
+        where: { id: userId }
+      });
+
+      const method = user && await verifySecondFactor(user, req.body.code);
+      if (!method) {
+        return res.status(401).json({
+          error: 'Invalid authentication code',
+          code: 'invalid_code'
+        });
+      }
+
+      const { accessToken, refreshToken, expiresIn } = await createSession(user, getSessionContext(req));
+
+      res.json({
+        success: true,
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.fullName
+        },
+        accessToken,
+        refreshToken,
+        expiresIn,
+        ...(method === 'recovery_code' && {
+          recoveryCodesRemaining: await countRecoveryCodes(user.id)
+        })
+      });
+
+    } catch (error) {
+      if (error instanceof MfaError) {
+        return res.status(401).json({ error: error.message, code: error.code });
+      }
+      console.error('MFA verify error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Everything below manages the logged-in user's own second factor
+router.use(verifyNextAuthToken);
+
+/**
+ * GET /api/auth/mfa
+ * Two-factor status for the current user
+ */
+router.get('/', async (req, res) => {
+  try {
+    const enabled = !!req.user.totpEnabledAt;
+
+    res.json({
+      enabled,
+      enabledAt: req.user.totpEnabledAt,
+      recoveryCodesRemaining: enabled ? await countRecoveryCodes(req.user.id) : 0,
+      available: !!req.user.password
+    });
+
+  } catch (error) {
+    console.error('MFA status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/mfa/setup
+ * Start TOTP enrollment - returns the secret as an otpauth URI and QR code
+ * Nothing changes at login until the setup is confirmed with POST /api/auth/mfa/enable
+ */
+router.post('/setup', async (req, res) => {
+  try {
+    // Google sign-ins are protected by Google's own second factor
+    if (!req.user.password) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is only available for email/password accounts'
+      });
+    }
+
+    const enrollment = await startTotpEnrollment(req.user);
+
+    res.json({
+      success: true,
+      secret: enrollment.secret,
+      otpauthUrl: enrollment.otpauthUrl,
+      qrCode: enrollment.qrCode,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code from the app.'
+    });
+
+  } catch (error) {
+    if (error instanceof MfaError) {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    console.error('MFA setup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/auth/mfa/enable
+ * Confirm enrollment with a code from the authenticator app
+ * The recovery codes are only returned in this response
+ */
+router.post('/enable',
+  [
+    body('code')
+      .isString()
+      .notEmpty()
+      .withMessage('code is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const recoveryCodes = await enableTotp(req.user, req.body.code);
+
+      res.json({
+        success: true,
+        recoveryCodes,
+        message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe - each works once and they cannot be shown again.'
+      });
+
+    } catch (error) {
+      if (error instanceof MfaError) {
+        const status = error.code === 'mfa_already_enabled' ? 409 : 400;
+        return res.status(status).json({ error: error.message, code: error.code });
+      }
+      console.error('MFA enable error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/mfa/recovery-codes
+ * Replace the recovery codes (the old ones stop working)
+ */
+router.post('/recovery-codes',
+  [
+    body('code')
+      .isString()
+      .notEmpty()
+      .withMessage('code is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      if (!req.user.totpEnabledAt) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+      }
+
+      if (!await verifySecondFactor(req.user, req.body.code)) {
+        return res.status(401).json({ error: 'Invalid authentication code', code: 'invalid_code' });
+      }
+
+      const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+
+      res.json({
+        success: true,
+        recoveryCodes
+      });
+
+    } catch (error) {
+      console.error('MFA recovery codes error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/mfa/disable
+ * Turn two-factor authentication off - needs the password and a current code
+ */
+router.post('/disable',
+  [
+    body('password')
+      .isString()
+      .notEmpty()
+      .withMessage('password is required'),
+    body('code')
+      .isString()
+      .notEmpty()
+      .withMessage('code is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      if (!req.user.totpEnabledAt) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+      }
+
+      const isValidPassword = req.user.password && await bcrypt.compare(req.body.password, req.user.password);
+      if (!isValidPassword || !await verifySecondFactor(req.user, req.body.code)) {
+        return res.status(401).json({ error: 'Invalid password or authentication code' });
+      }
+
+      await disableTotp(req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+
+    } catch (error) {
+      console.error('MFA disable error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+module.exports = router;
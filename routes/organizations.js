@@ -0,0 +1,479 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { prisma } = require('../lib/prisma');
+const { verifyNextAuthToken } = require('../middleware/auth');
+const {
+  ORG_ROLES,
+  ORG_ROLE_VALUES,
+  OrganizationError,
+  getWorkspace,
+  hasRole,
+  createOrganization,
+  changeMemberRole,
+  removeMember,
+  deleteOrganization,
+  createInvitation,
+  acceptInvitation
+} = require('../services/organizations');
+
+const router = express.Router();
+
+router.use(verifyNextAuthToken);
+
+/**
+ * POST /api/organizations
+ * Create an organization - the creator becomes its owner
+ */
+router.post('/',
+  [
+    body('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('name must be between 1 and 100 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const organization = await createOrganization(req.user, req.body.name);
+
+      res.status(201).json({
+        success: true,
+        organization: formatOrganization(organization, ORG_ROLES.OWNER)
+      });
+
+    } catch (error) {
+      console.error('Create organization error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/organizations
+ * List the organizations the current user belongs to, with their role in each
+ */
+router.get('/', async (req, res) => {
+  try {
+    const memberships = await prisma.organizationMembership.findMany({
+      where: { userId: req.user.id },
+      include: { organization: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      organizations: memberships.map(membership => formatOrganization(membership.organization, membership.role))
+    });
+
+  } catch (error) {
+    console.error('List organizations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/organizations/invitations/accept
+ * Join an organization with the token from an invitation email
+ */
+router.post('/invitations/accept',
+  [
+    body('token')
+      .isString()
+      .notEmpty()
+      .withMessage('token is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const membership = await acceptInvitation(req.user, req.body.token);
+
+      res.json({
+        success: true,
+        organization: formatOrganization(membership.organization, membership.role)
+      });
+
+    } catch (error) {
+      return sendOrganizationError(res, error, 'Accept invitation error');
+    }
+  }
+);
+
+/**
+ * GET /api/organizations/:orgId
+ * Get an organization the current user belongs to
+ */
+router.get('/:orgId', requireOrgRole(ORG_ROLES.VIEWER), async (req, res) => {
+  try {
+    const organization = await prisma.organization.findUnique({
+      where: { id: req.workspace.organizationId },
+      include: {
+        _count: {
+          select: {
+            memberships: true,
+            trackingRequests: true
+          }
+        }
+      }
+    });
+
+    res.json({
+      organization: {
+        ...formatOrganization(organization, req.workspace.role),
+        memberCount: organization._count.memberships,
+        trackingCount: organization._count.trackingRequests
+      }
+    });
+
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PATCH /api/organizations/:orgId
+ * Rename an organization (admins and owners)
+ */
+router.patch('/:orgId',
+  requireOrgRole(ORG_ROLES.ADMIN),
+  [
+    body('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('name must be between 1 and 100 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const organization = await prisma.organization.update({
+        where: { id: req.workspace.organizationId },
+        data: { name: req.body.name }
+      });
+
+      res.json({
+        success: true,
+        organization: formatOrganization(organization, req.workspace.role)
+      });
+
+    } catch (error) {
+      console.error('Update organization error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/organizations/:orgId
+ * Delete an organization with all of its tracking requests (owners only)
+ */
+router.delete('/:orgId', requireOrgRole(ORG_ROLES.OWNER), async (req, res) => {
+  try {
+    await deleteOrganization(req.workspace.organizationId);
+
+    res.json({
+      success: true,
+      message: 'Organization deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/organizations/:orgId/members
+ * List an organization's members
+ */
+router.get('/:orgId/members', requireOrgRole(ORG_ROLES.VIEWER), async (req, res) => {
+  try {
+    const memberships = await prisma.organizationMembership.findMany({
+      where: { organizationId: req.workspace.organizationId },
+      include: {
+        user: {
+          select: {
+            email: true,
+            fullName: true,
+            avatarUrl: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      members: memberships.map(formatMember)
+    });
+
+  } catch (error) {
+    console.error('List members error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PATCH /api/organizations/:orgId/members/:userId
+ * Change a member's role (admins; only owners can grant or remove the owner role)
+ */
+router.patch('/:orgId/members/:userId',
+  requireOrgRole(ORG_ROLES.ADMIN),
+  [
+    body('role')
+      .isIn(ORG_ROLE_VALUES)
+      .withMessage(`role must be one of: ${ORG_ROLE_VALUES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const membership = await changeMemberRole(req.workspace, req.params.userId, req.body.role);
+
+      if (!membership) {
+        return res.status(404).json({ error: 'Member not found' });
+      }
+
+      res.json({
+        success: true,
+        userId: membership.userId,
+        role: membership.role
+      });
+
+    } catch (error) {
+      return sendOrganizationError(res, error, 'Change member role error');
+    }
+  }
+);
+
+/**
+ * DELETE /api/organizations/:orgId/members/:userId
+ * Remove a member (admins), or leave the organization (any member, with their own user ID)
+ * Tracking requests they added stay with the organization
+ */
+router.delete('/:orgId/members/:userId', requireOrgRole(ORG_ROLES.VIEWER), async (req, res) => {
+  try {
+    const removed = await removeMember(req.workspace, req.user.id, req.params.userId);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    res.json({
+      success: true,
+      message: req.params.userId === req.user.id ? 'You left the organization' : 'Member removed'
+    });
+
+  } catch (error) {
+    return sendOrganizationError(res, error, 'Remove member error');
+  }
+});
+
+/**
+ * POST /api/organizations/:orgId/invitations
+ * Invite someone by email (admins; only owners can invite owners)
+ */
+router.post('/:orgId/invitations',
+  requireOrgRole(ORG_ROLES.ADMIN),
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Valid email is required'),
+    body('role')
+      .optional()
+      .isIn(ORG_ROLE_VALUES)
+      .withMessage(`role must be one of: ${ORG_ROLE_VALUES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { email, role = ORG_ROLES.MEMBER } = req.body;
+      const { invitation } = await createInvitation(req.workspace, req.user, { email, role });
+
+      res.status(201).json({
+        success: true,
+        invitation: formatInvitation(invitation)
+      });
+
+    } catch (error) {
+      return sendOrganizationError(res, error, 'Create invitation error');
+    }
+  }
+);
+
+/**
+ * GET /api/organizations/:orgId/invitations
+ * List pending invitations (admins)
+ */
+router.get('/:orgId/invitations', requireOrgRole(ORG_ROLES.ADMIN), async (req, res) => {
+  try {
+    const invitations = await prisma.organizationInvitation.findMany({
+      where: {
+        organizationId: req.workspace.organizationId,
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      invitations: invitations.map(formatInvitation)
+    });
+
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/organizations/:orgId/invitations/:invitationId
+ * Revoke a pending invitation (admins)
+ */
+router.delete('/:orgId/invitations/:invitationId', requireOrgRole(ORG_ROLES.ADMIN), async (req, res) => {
+  try {
+    const { count } = await prisma.organizationInvitation.updateMany({
+      where: {
+        id: req.params.invitationId,
+        organizationId: req.workspace.organizationId,
+        acceptedAt: null,
+        revokedAt: null
+      },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Invitation not found, already accepted or revoked' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Helper function to load the current user's membership of :orgId into req.workspace
+ * Organizations the user does not belong to are reported as not found
+ */
+function requireOrgRole(minimumRole) {
+  return async (req, res, next) => {
+    try {
+      const workspace = await getWorkspace(req.user.id, req.params.orgId);
+
+      if (!workspace) {
+        return res.status(404).json({ error: 'Organization not found' });
+      }
+
+      if (!hasRole(workspace.role, minimumRole)) {
+        return res.status(403).json({
+          error: `This action requires the ${minimumRole} role or higher`,
+          code: 'insufficient_role',
+          role: workspace.role
+        });
+      }
+
+      req.workspace = workspace;
+      next();
+    } catch (error) {
+      console.error('Organization access error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Helper function to shape an organization for responses
+ */
+function formatOrganization(organization, role) {
+  return {
+    id: organization.id,
+    name: organization.name,
+    role,
+    createdAt: organization.createdAt
+  };
+}
+
+/**
+ * Helper function to shape a membership for responses
+ */
+function formatMember(membership) {
+  return {
+    userId: membership.userId,
+    email: membership.user.email,
+    fullName: membership.user.fullName,
+    avatarUrl: membership.user.avatarUrl,
+    role: membership.role,
+    joinedAt: membership.createdAt
+  };
+}
+
+/**
+ * Helper function to shape an invitation for responses (never includes the token)
+ */
+function formatInvitation(invitation) {
+  return {
+    id: invitation.id,
+    email: invitation.email,
+    role: invitation.role,
+    invitedById: invitation.invitedById,
+    expiresAt: invitation.expiresAt,
+    createdAt: invitation.createdAt
+  };
+}
+
+/**
+ * Helper function to send the response for a rejected organization change
+ */
+function sendOrganizationError(res, error, logLabel) {
+  if (error instanceof OrganizationError) {
+    return res.status(error.status).json({
+      error: error.message,
+      code: error.code
+    });
+  }
+  console.error(`${logLabel}:`, error);
+  return res.status(500).json({ error: 'Internal server error' });
+}
+
+module.exports = router;
@@ -2,8 +2,16 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { prisma } = require('../lib/prisma');
 const { verifyNextAuthToken } = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { ORG_ROLES } = require('../services/organizations');
 const carrierFactory = require('../services/carrier/carrier-factory');
 const { getTrackingUrl } = require('../services/carrier/carrier-urls');
+const { SHIPMENT_STATUSES, SHIPMENT_STATUS_VALUES } = require('../services/carrier/shipment-status');
+const { saveShipment, formatTimeline } = require('../services/shipment-service');
+const { enqueueTracking } = require('../services/tracking-jobs');
+const { detectCarrier } = require('../services/carrier/carrier-detection');
+const { CARRIER_NAMES, LAST_MILE_CARRIER_NAMES, resolveCarrierName } = require('../services/carrier/carrier-registry');
+const { probeCarriers } = require('../services/carrier/carrier-probe');
 const { trackingLimiter } = require('../config/rate-limit');
 
 const router = express.Router();
@@ -15,6 +23,7 @@ const router = express.Router();
 router.post('/track', 
   trackingLimiter,
   verifyNextAuthToken,
+  resolveWorkspace(ORG_ROLES.MEMBER),
   [
     body('trackingNumber')
       .isString()
@@ -22,8 +31,9 @@ router.post('/track',
       .withMessage('Tracking number must be between 8 and 50 characters'),
     body('carrier')
       .isString()
-      .isIn(['USPS', 'UPS', 'FedEx', 'DHL'])
-      .withMessage('Carrier must be one of: USPS, UPS, FedEx, DHL')
+      .customSanitizer(value => resolveCarrierName(value) || value)
+      .isIn(CARRIER_NAMES)
+      .withMessage(`Carrier must be one of: ${CARRIER_NAMES.join(', ')}`)
   ],
   async (req, res) => {
     try {
@@ -46,11 +56,17 @@ router.post('/track',
         });
       }
 
-      // Check if tracking request already exists
       const carrierId = await getCarrierId(carrier);
+      if (!carrierId) {
+        return res.status(400).json({ 
+          error: `${carrier} tracking is currently disabled` 
+        });
+      }
+
+      // Check if tracking request already exists
       const existingRequest = await prisma.trackingRequest.findFirst({
         where: {
-          userId: userId,
+          ...req.workspace.filter,
           trackingNumber: trackingNumber,
           carrierId: carrierId
         },
@@ -72,14 +88,17 @@ router.post('/track',
       const trackingRequest = await prisma.trackingRequest.create({
         data: {
           userId: userId,
+          organizationId: req.workspace.organizationId,
           trackingNumber: trackingNumber,
           carrierId: carrierId,
           status: 'pending'
         }
       });
 
-      // Process tracking in background
-      processTrackingAsync(trackingRequest.id, trackingNumber, carrier);
+      // Queue the carrier lookup (Amazon waits for a manual update or last-mile link)
+      if (carrierFactory.canTrackAutomatically(carrier)) {
+        await enqueueTracking(trackingRequest.id, trackingNumber, carrier);
+      }
 
       res.status(201).json({
         message: 'Tracking request created successfully',
@@ -98,16 +117,15 @@ router.post('/track',
  * GET /api/tracking/requests
  * Get user's tracking requests
  */
-router.get('/requests', verifyNextAuthToken, async (req, res) => {
+router.get('/requests', verifyNextAuthToken, resolveWorkspace(), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { page = 1, limit = 10 } = req.query;
 
     const offset = (page - 1) * parseInt(limit);
 
     const requests = await prisma.trackingRequest.findMany({
       where: {
-        userId: userId
+        ...req.workspace.filter
       },
       include: {
         carrier: {
@@ -115,6 +133,11 @@ router.get('/requests', verifyNextAuthToken, async (req, res) => {
             name: true,
             displayName: true
           }
+        },
+        shipment: {
+          select: {
+            status: true
+          }
         }
       },
       orderBy: {
@@ -125,7 +148,10 @@ router.get('/requests', verifyNextAuthToken, async (req, res) => {
     });
 
     res.json({
-      requests,
+      requests: requests.map(({ shipment, ...request }) => ({
+        ...request,
+        shipmentStatus: shipment?.status || SHIPMENT_STATUSES.UNKNOWN
+      })),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -143,16 +169,15 @@ router.get('/requests', verifyNextAuthToken, async (req, res) => {
  * GET /api/tracking/requests/:id
  * Get specific tracking request with shipment data
  */
-router.get('/requests/:id', verifyNextAuthToken, async (req, res) => {
+router.get('/requests/:id', verifyNextAuthToken, resolveWorkspace(), async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
 
     // Get tracking request with carrier and shipment data
     const request = await prisma.trackingRequest.findFirst({
       where: {
         id: id,
-        userId: userId
+        ...req.workspace.filter
       },
       include: {
         carrier: {
@@ -161,7 +186,11 @@ router.get('/requests/:id', verifyNextAuthToken, async (req, res) => {
             displayName: true
           }
         },
-        shipment: true
+        shipment: {
+          include: {
+            events: true
+          }
+        }
       }
     });
 
@@ -169,16 +198,20 @@ router.get('/requests/:id', verifyNextAuthToken, async (req, res) => {
       return res.status(404).json({ error: 'Tracking request not found' });
     }
 
+    const { events, ...shipment } = request.shipment || {};
+
     res.json({
       request: {
         id: request.id,
         tracking_number: request.trackingNumber,
         status: request.status,
+        shipment_status: request.shipment?.status || SHIPMENT_STATUSES.UNKNOWN,
         created_at: request.createdAt,
         updated_at: request.updatedAt,
         carrier: request.carrier
       },
-      shipment: request.shipment || null
+      shipment: request.shipment ? shipment : null,
+      timeline: formatTimeline(events)
     });
 
   } catch (error) {
@@ -192,16 +225,15 @@ router.get('/requests/:id', verifyNextAuthToken, async (req, res) => {
  * Get tracking URL for a specific tracking request
  * Opens carrier's tracking page
  */
-router.get('/:id/url', verifyNextAuthToken, async (req, res) => {
+router.get('/:id/url', verifyNextAuthToken, resolveWorkspace(), async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
 
     // Get tracking request
     const request = await prisma.trackingRequest.findFirst({
       where: {
         id: id,
-        userId: userId
+        ...req.workspace.filter
       },
       include: {
         carrier: {
@@ -219,6 +251,12 @@ router.get('/:id/url', verifyNextAuthToken, async (req, res) => {
       });
     }
 
+    if (!request.carrier) {
+      return res.status(400).json({ 
+        error: 'Carrier has not been set for this tracking request' 
+      });
+    }
+
     // Generate tracking URL
     const trackingUrl = getTrackingUrl(
       request.carrier.name,
@@ -245,50 +283,282 @@ router.get('/:id/url', verifyNextAuthToken, async (req, res) => {
 });
 
 /**
- * Detect carrier from tracking number pattern
+ * POST /api/tracking/:id/manual-status
+ * Record a manual status update for carriers without a tracking API (Amazon)
  */
-function detectCarrierFromTrackingNumber(trackingNumber) {
-  const patterns = {
-    'UPS': [
-      /^1Z[0-9A-Z]{16}$/,           // 1Z followed by 16 alphanumeric (no spaces)
-      /^1Z\s[0-9A-Z\s]+$/,          // 1Z followed by alphanumeric with spaces
-      /^[0-9]{10,}$/                 // 10+ digits
-    ],
-    'FedEx': [
-      /^[0-9]{12}$/,                 // 12 digits
-      /^[0-9]{14}$/                  // 14 digits
-    ],
-    'USPS': [
-      /^[A-Z]{2}[0-9]{9}[A-Z]{2}$/,  // 2 letters, 9 digits, 2 letters
-      /^[0-9]{4}\s[0-9]{4}\s[0-9]{4}\s[0-9]{4}$/  // 4 groups of 4 digits
-    ],
-    'DHL': [
-      /^[0-9]{10,11}$/               // 10-11 digits
-    ],
-    'Amazon': [
-      /^TBA[0-9]{10}$/               // TBA followed by 10 digits
-    ]
-  };
+router.post('/:id/manual-status',
+  verifyNextAuthToken,
+  resolveWorkspace(ORG_ROLES.MEMBER),
+  [
+    body('status')
+      .isString()
+      .notEmpty()
+      .withMessage('Status is required'),
+    body('shipmentStatus')
+      .optional()
+      .isIn(SHIPMENT_STATUS_VALUES)
+      .withMessage(`Shipment status must be one of: ${SHIPMENT_STATUS_VALUES.join(', ')}`),
+    body('location')
+      .optional()
+      .isString()
+      .withMessage('Location must be a string'),
+    body('description')
+      .optional()
+      .isString()
+      .withMessage('Description must be a string'),
+    body('timestamp')
+      .optional()
+      .isISO8601()
+      .withMessage('Timestamp must be an ISO 8601 date'),
+    body('expectedDeliveryDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Expected delivery date must be an ISO 8601 date')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          details: errors.array() 
+        });
+      }
 
-  for (const [carrier, carrierPatterns] of Object.entries(patterns)) {
-    for (const pattern of carrierPatterns) {
-      if (pattern.test(trackingNumber)) {
-        return carrier;
+      const { id } = req.params;
+      const request = await findManualTrackingRequest(id, req.workspace, res);
+      if (!request) {
+        return;
       }
+
+      const carrierService = carrierFactory.getCarrier(request.carrier.name);
+      const trackingData = carrierService.buildManualUpdate(request.trackingNumber, req.body);
+      const shipment = await saveShipment(request.id, trackingData);
+
+      await prisma.trackingRequest.update({
+        where: { id: request.id },
+        data: { status: 'completed' }
+      });
+
+      res.json({
+        success: true,
+        trackingId: request.id,
+        shipment
+      });
+
+    } catch (error) {
+      console.error('Manual status update error:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
   }
-  
-  return null; // Unknown pattern
-}
+);
+
+/**
+ * POST /api/tracking/:id/import-email
+ * Import status from a shipment-notification email (Amazon)
+ * If the email names a last-mile carrier, the shipment is linked to it
+ */
+router.post('/:id/import-email',
+  verifyNextAuthToken,
+  resolveWorkspace(ORG_ROLES.MEMBER),
+  [
+    body('subject')
+      .optional()
+      .isString()
+      .withMessage('Subject must be a string'),
+    body('text')
+      .optional()
+      .isString()
+      .withMessage('Text must be a string'),
+    body('html')
+      .optional()
+      .isString()
+      .withMessage('HTML must be a string'),
+    body('receivedAt')
+      .optional()
+      .isISO8601()
+      .withMessage('receivedAt must be an ISO 8601 date')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          details: errors.array() 
+        });
+      }
+
+      if (!req.body.text && !req.body.html) {
+        return res.status(400).json({ error: 'Email text or html body is required' });
+      }
+
+      const { id } = req.params;
+      const request = await findManualTrackingRequest(id, req.workspace, res);
+      if (!request) {
+        return;
+      }
+
+      const carrierService = carrierFactory.getCarrier(request.carrier.name);
+
+      let trackingData;
+      try {
+        trackingData = carrierService.parseShipmentEmail(request.trackingNumber, req.body);
+      } catch (parseError) {
+        return res.status(422).json({ 
+          error: 'Unable to import email', 
+          details: parseError.message 
+        });
+      }
+
+      const shipment = await saveShipment(request.id, trackingData);
+
+      await prisma.trackingRequest.update({
+        where: { id: request.id },
+        data: {
+          status: 'completed',
+          ...(trackingData.lastMile && {
+            metadata: { ...request.metadata, lastMile: trackingData.lastMile }
+          })
+        }
+      });
+
+      // Follow the package on the last-mile carrier from now on
+      if (trackingData.lastMile && carrierFactory.canTrackAutomatically(request.carrier.name, { lastMile: trackingData.lastMile })) {
+        await enqueueTracking(request.id, request.trackingNumber, request.carrier.name, {
+          trackOptions: { lastMile: trackingData.lastMile }
+        });
+      }
+
+      res.json({
+        success: true,
+        trackingId: request.id,
+        status: trackingData.currentStatus,
+        shipmentStatus: trackingData.shipmentStatus,
+        lastMile: trackingData.lastMile,
+        shipment
+      });
+
+    } catch (error) {
+      console.error('Import email error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * PUT /api/tracking/:id/last-mile
+ * Link the carrier Amazon handed the package off to and start tracking through it
+ */
+router.put('/:id/last-mile',
+  verifyNextAuthToken,
+  resolveWorkspace(ORG_ROLES.MEMBER),
+  [
+    body('carrier')
+      .isString()
+      .customSanitizer(value => resolveCarrierName(value) || value)
+      .isIn(LAST_MILE_CARRIER_NAMES)
+      .withMessage(`Last-mile carrier must be one of: ${LAST_MILE_CARRIER_NAMES.join(', ')}`),
+    body('trackingNumber')
+      .isString()
+      .isLength({ min: 8, max: 50 })
+      .withMessage('Tracking number must be between 8 and 50 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          details: errors.array() 
+        });
+      }
+
+      const { id } = req.params;
+      const request = await findManualTrackingRequest(id, req.workspace, res);
+      if (!request) {
+        return;
+      }
+
+      const lastMile = {
+        carrier: req.body.carrier,
+        trackingNumber: req.body.trackingNumber.replace(/\s/g, '').toUpperCase()
+      };
+
+      if (!carrierFactory.isCarrierAvailable(lastMile.carrier)) {
+        return res.status(400).json({ 
+          error: `${lastMile.carrier} tracking service is not available`,
+          availableCarriers: carrierFactory.getAvailableCarriers()
+        });
+      }
+
+      await prisma.trackingRequest.update({
+        where: { id: request.id },
+        data: {
+          status: 'pending',
+          metadata: { ...request.metadata, lastMile }
+        }
+      });
+
+      await enqueueTracking(request.id, request.trackingNumber, request.carrier.name, {
+        trackOptions: { lastMile }
+      });
+
+      res.json({
+        success: true,
+        trackingId: request.id,
+        lastMile,
+        status: 'pending'
+      });
+
+    } catch (error) {
+      console.error('Link last-mile carrier error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/tracking/detect
+ * Rank the carriers a tracking number could belong to, using format and check digits
+ */
+router.post('/detect',
+  verifyNextAuthToken,
+  [
+    body('trackingNumber')
+      .isString()
+      .isLength({ min: 8, max: 50 })
+      .withMessage('Tracking number must be between 8 and 50 characters')
+  ],
+  (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ 
+          error: 'Validation failed', 
+          details: errors.array() 
+        });
+      }
+
+      res.json(detectCarrier(req.body.trackingNumber));
+
+    } catch (error) {
+      console.error('Detect carrier error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
 
 /**
  * POST /api/tracking/add
  * Add a new tracking item (frontend compatibility endpoint)
  * Now supports automatic carrier detection
+ * With probe=true, an ambiguous or unrecognized number is looked up with each plausible carrier
  */
 router.post('/add', 
   trackingLimiter,
   verifyNextAuthToken,
+  resolveWorkspace(ORG_ROLES.MEMBER),
   [
     body('trackingNumber')
       .isString()
@@ -297,13 +567,18 @@ router.post('/add',
     body('brand')
       .optional()
       .isString()
-      .customSanitizer(value => value ? value.toUpperCase() : value) // Convert to uppercase
-      .isIn(['USPS', 'UPS', 'FEDEX', 'DHL', 'AMAZON', 'OTHER'])
-      .withMessage('Brand must be one of: USPS, UPS, FedEx, DHL, Amazon, other'),
+      // Registry name for known carriers and aliases, uppercase otherwise ('other' -> 'OTHER')
+      .customSanitizer(value => typeof value === 'string' ? resolveCarrierName(value) || value.toUpperCase() : value)
+      .isIn([...CARRIER_NAMES, 'OTHER'])
+      .withMessage(`Brand must be one of: ${CARRIER_NAMES.join(', ')}, other`),
     body('description')
       .optional()
       .isString()
-      .withMessage('Description must be a string')
+      .withMessage('Description must be a string'),
+    body('probe')
+      .optional()
+      .isBoolean()
+      .withMessage('probe must be a boolean')
   ],
   async (req, res) => {
     try {
@@ -321,33 +596,36 @@ router.post('/add',
         });
       }
 
-      const { trackingNumber, brand, description } = req.body;
+      const { trackingNumber, brand, description, probe: probeRequested } = req.body;
       const userId = req.user.id;
       
       console.log('Processing tracking:', { trackingNumber, brand, description, userId });
 
       // Auto-detect carrier if not provided or if brand is "other"
       let detectedBrand = brand;
+      let detection = null;
+      let probe = null;
       if (!brand || brand === 'OTHER') {
         console.log('No brand provided or brand is "OTHER", attempting auto-detection...');
-        detectedBrand = detectCarrierFromTrackingNumber(trackingNumber);
-        console.log('Detected brand:', detectedBrand);
+        detection = detectCarrier(trackingNumber);
+        detectedBrand = detection.bestMatch?.carrier;
+        console.log('Detected brand:', detectedBrand, detection.candidates);
+
+        // Let the carriers settle it when the format alone is not conclusive
+        if (probeRequested === true && (detection.ambiguous || !detection.bestMatch)) {
+          probe = await probeCarriers(trackingNumber, detection);
+          detectedBrand = probe.carrier?.name || detectedBrand;
+          console.log('Probe result:', probe.carrier?.name, probe.results);
+        }
         
         if (!detectedBrand) {
           return res.status(400).json({ 
             error: 'Unable to detect carrier from tracking number. Please specify the carrier manually.',
-            trackingNumber: trackingNumber
+            trackingNumber: trackingNumber,
+            ...(probe && { probe: formatProbe(probe) })
           });
         }
       }
-      
-      // Normalize brand name for database lookup
-      // Database uses uppercase for most, but "FedEx" is stored as "FedEx"
-      if (detectedBrand === 'FEDEX') {
-        detectedBrand = 'FedEx';
-      } else if (detectedBrand === 'AMAZON') {
-        detectedBrand = 'Amazon';
-      }
 
       // Check if carrier is available (skip for now - only USPS is implemented)
       console.log('Checking carrier availability for:', detectedBrand);
@@ -367,22 +645,23 @@ router.post('/add',
       
       if (!carrierId) {
         console.log('Carrier ID not found for brand:', detectedBrand);
-        console.log('Available carriers in database:');
-        const allCarriers = await prisma.carrier.findMany({
+        console.log('Active carriers in database:');
+        const activeCarriers = await prisma.carrier.findMany({
+          where: { isActive: true },
           select: { id: true, name: true, displayName: true }
         });
-        console.log(allCarriers);
+        console.log(activeCarriers);
         
         return res.status(400).json({ 
-          error: `Carrier ${detectedBrand} not found in database`,
-          availableCarriers: allCarriers.map(c => c.name),
+          error: `Carrier ${detectedBrand} is disabled or not found in database`,
+          availableCarriers: activeCarriers.map(c => c.name),
           suggestion: 'Please run: npm run db:seed'
         });
       }
       
       const existingRequest = await prisma.trackingRequest.findFirst({
         where: {
-          userId: userId,
+          ...req.workspace.filter,
           trackingNumber: trackingNumber,
           carrierId: carrierId
         },
@@ -408,6 +687,7 @@ router.post('/add',
       const trackingRequest = await prisma.trackingRequest.create({
         data: {
           userId: userId,
+          organizationId: req.workspace.organizationId,
           trackingNumber: trackingNumber,
           carrierId: carrierId,
           status: 'pending',
@@ -417,12 +697,20 @@ router.post('/add',
       
       console.log('Tracking request created:', trackingRequest.id);
 
-      // Process tracking in background only if carrier service is available
-      if (isCarrierServiceAvailable) {
-        console.log('Starting background processing for:', trackingRequest.id);
-        processTrackingAsync(trackingRequest.id, trackingNumber, detectedBrand);
+      // The probe already fetched the shipment - store it instead of looking it up again
+      if (probe?.carrier) {
+        await saveShipment(trackingRequest.id, probe.trackingData);
+        await prisma.trackingRequest.update({
+          where: { id: trackingRequest.id },
+          data: { status: 'completed' }
+        });
+      } else if (carrierFactory.canTrackAutomatically(detectedBrand)) {
+        // Queue background processing only if carrier service is available
+        // and can fetch status on its own (Amazon needs manual updates or a last-mile link)
+        console.log('Queueing background processing for:', trackingRequest.id);
+        await enqueueTracking(trackingRequest.id, trackingNumber, detectedBrand);
       } else {
-        console.log('Skipping background processing - carrier service not implemented yet');
+        console.log('Skipping background processing - carrier service not available or needs manual updates');
       }
 
       // Return in frontend expected format
@@ -431,7 +719,17 @@ router.post('/add',
         trackingNumber: trackingNumber,
         brand: detectedBrand.toLowerCase(),
         description: description || '',
-        dateAdded: trackingRequest.createdAt.toISOString()
+        dateAdded: trackingRequest.createdAt.toISOString(),
+        // How sure auto-detection was, and what else the number could be
+        ...(detection && {
+          detection: {
+            confidence: detection.bestMatch?.confidence || 0,
+            ambiguous: detection.ambiguous,
+            candidates: detection.candidates
+          }
+        }),
+        // Which carriers were asked and which one recognized the number
+        ...(probe && { probe: formatProbe(probe) })
       };
       
       console.log('Sending response:', response);
@@ -448,13 +746,12 @@ router.post('/add',
  * GET /api/tracking/user
  * Get user's tracking items (frontend compatibility endpoint)
  */
-router.get('/user', verifyNextAuthToken, async (req, res) => {
+router.get('/user', verifyNextAuthToken, resolveWorkspace(), async (req, res) => {
   try {
-    const userId = req.user.id;
 
     const requests = await prisma.trackingRequest.findMany({
       where: {
-        userId: userId
+        ...req.workspace.filter
       },
       include: {
         carrier: {
@@ -462,6 +759,11 @@ router.get('/user', verifyNextAuthToken, async (req, res) => {
             name: true,
             displayName: true
           }
+        },
+        shipment: {
+          select: {
+            status: true
+          }
         }
       },
       orderBy: {
@@ -476,6 +778,7 @@ router.get('/user', verifyNextAuthToken, async (req, res) => {
       brand: request.carrier?.name?.toLowerCase() || 'unknown',
       description: request.metadata?.description || '',
       status: request.status || 'pending',
+      shipmentStatus: request.shipment?.status || SHIPMENT_STATUSES.UNKNOWN,
       dateAdded: request.createdAt.toISOString()
     }));
 
@@ -495,6 +798,7 @@ router.get('/user', verifyNextAuthToken, async (req, res) => {
  */
 router.put('/update', 
   verifyNextAuthToken,
+  resolveWorkspace(ORG_ROLES.MEMBER),
   [
     body('id')
       .isString()
@@ -507,8 +811,9 @@ router.put('/update',
     body('brand')
       .optional()
       .isString()
-      .isIn(['USPS', 'UPS', 'FedEx', 'DHL'])
-      .withMessage('Brand must be one of: USPS, UPS, FedEx, DHL'),
+      .customSanitizer(value => resolveCarrierName(value) || value)
+      .isIn(CARRIER_NAMES)
+      .withMessage(`Brand must be one of: ${CARRIER_NAMES.join(', ')}`),
     body('description')
       .optional()
       .isString()
@@ -526,13 +831,12 @@ router.put('/update',
       }
 
       const { id, trackingNumber, brand, description } = req.body;
-      const userId = req.user.id;
 
       // Find the tracking request
       const existingRequest = await prisma.trackingRequest.findFirst({
         where: {
           id: id,
-          userId: userId
+          ...req.workspace.filter
         },
         include: {
           carrier: {
@@ -604,6 +908,7 @@ router.put('/update',
  */
 router.delete('/delete', 
   verifyNextAuthToken,
+  resolveWorkspace(ORG_ROLES.MEMBER),
   [
     body('id')
       .isString()
@@ -621,13 +926,12 @@ router.delete('/delete',
       }
 
       const { id } = req.body;
-      const userId = req.user.id;
 
       // Find the tracking request
       const existingRequest = await prisma.trackingRequest.findFirst({
         where: {
           id: id,
-          userId: userId
+          ...req.workspace.filter
         }
       });
 
@@ -652,112 +956,14 @@ router.delete('/delete',
   }
 );
 
-/**
- * GET /api/tracking/debug
- * Debug endpoint to check database status
- */
-router.get('/debug', verifyNextAuthToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    
-    // Get user's tracking requests
-    const trackingRequests = await prisma.trackingRequest.findMany({
-      where: { userId },
-      include: {
-        carrier: {
-          select: {
-            name: true,
-            displayName: true
-          }
-        }
-      },
-      orderBy: { createdAt: 'desc' },
-      take: 10
-    });
-    
-    // Get carriers
-    const carriers = await prisma.carrier.findMany({
-      select: {
-        id: true,
-        name: true,
-        displayName: true
-      }
-    });
-    
-    res.json({
-      userId,
-      trackingRequests,
-      carriers,
-      totalRequests: trackingRequests.length
-    });
-  } catch (error) {
-    console.error('Debug error:', error);
-    res.status(500).json({ error: 'Internal server error', details: error.message });
-  }
-});
-
-/**
- * POST /api/tracking/seed
- * Seed the database with carriers (development only)
- */
-router.post('/seed', async (req, res) => {
-  try {
-    console.log('🌱 Seeding database with carriers...');
-    
-    const carriers = [
-      { name: 'USPS', displayName: 'United States Postal Service' },
-      { name: 'UPS', displayName: 'United Parcel Service' },
-      { name: 'FedEx', displayName: 'FedEx Corporation' },
-      { name: 'DHL', displayName: 'DHL International' },
-      { name: 'Amazon', displayName: 'Amazon Logistics' }
-    ];
-    
-    const createdCarriers = [];
-    
-    for (const carrier of carriers) {
-      const existing = await prisma.carrier.findUnique({
-        where: { name: carrier.name }
-      });
-      
-      if (!existing) {
-        const newCarrier = await prisma.carrier.create({
-          data: carrier
-        });
-        createdCarriers.push(newCarrier);
-        console.log(`✅ Created carrier: ${carrier.displayName}`);
-      } else {
-        console.log(`⏭️  Carrier already exists: ${carrier.displayName}`);
-      }
-    }
-    
-    res.json({
-      success: true,
-      message: 'Database seeded successfully',
-      createdCarriers: createdCarriers.length,
-      totalCarriers: carriers.length
-    });
-    
-  } catch (error) {
-    console.error('Seed error:', error);
-    res.status(500).json({ error: 'Failed to seed database', details: error.message });
-  }
-});
-
 /**
  * GET /api/tracking/carriers
- * Get available carriers
+ * Get every known carrier with its branding and whether its tracking service is set up
  */
 router.get('/carriers', (req, res) => {
   try {
-    const carriers = carrierFactory.getAvailableCarriers();
-    const status = carrierFactory.getCarrierStatus();
-
     res.json({
-      carriers: carriers.map(name => ({
-        name,
-        available: status[name]?.available || false,
-        configured: status[name]?.configured || false
-      }))
+      carriers: carrierFactory.listCarriers()
     });
   } catch (error) {
     console.error('Get carriers error:', error);
@@ -766,12 +972,17 @@ router.get('/carriers', (req, res) => {
 });
 
 /**
- * Helper function to get carrier ID by name
+ * Helper function to get an active carrier's ID by name
  */
 async function getCarrierId(carrierName) {
-  const carrier = await prisma.carrier.findUnique({
+  // Carrier names are stored with their brand casing ('FedEx', 'Amazon')
+  const carrier = await prisma.carrier.findFirst({
     where: {
-      name: carrierName.toUpperCase()
+      name: {
+        equals: carrierName,
+        mode: 'insensitive'
+      },
+      isActive: true
     },
     select: {
       id: true
@@ -782,70 +993,48 @@ async function getCarrierId(carrierName) {
 }
 
 /**
- * Process tracking request asynchronously
+ * Helper function to shape carrier probe results for responses
  */
-async function processTrackingAsync(trackingRequestId, trackingNumber, carrierName) {
-  try {
-    // Update status to processing
-    await prisma.trackingRequest.update({
-      where: { id: trackingRequestId },
-      data: { status: 'processing' }
-    });
-
-    // Get carrier service
-    const carrierService = carrierFactory.getCarrier(carrierName);
-    if (!carrierService) {
-      throw new Error(`Carrier ${carrierName} not found`);
-    }
-
-    // Track the package
-    const trackingData = await carrierService.trackPackage(trackingNumber);
-
-    if (!trackingData.success) {
-      throw new Error(trackingData.error);
-    }
+function formatProbe(probe) {
+  return {
+    carrier: probe.carrier?.name || null,
+    results: probe.results
+  };
+}
 
-    // Save shipment data
-    await prisma.shipment.upsert({
-      where: { trackingRequestId: trackingRequestId },
-      update: {
-        trackingNumber: trackingData.trackingNumber,
-        carrier: trackingData.carrier,
-        expectedDeliveryDate: trackingData.expectedDeliveryDate,
-        currentStatus: trackingData.currentStatus,
-        currentLocation: trackingData.currentLocation,
-        shippedDate: trackingData.shippedDate,
-        rawData: trackingData.rawData
-      },
-      create: {
-        trackingRequestId: trackingRequestId,
-        trackingNumber: trackingData.trackingNumber,
-        carrier: trackingData.carrier,
-        expectedDeliveryDate: trackingData.expectedDeliveryDate,
-        currentStatus: trackingData.currentStatus,
-        currentLocation: trackingData.currentLocation,
-        shippedDate: trackingData.shippedDate,
-        rawData: trackingData.rawData
+/**
+ * Find a workspace's tracking request whose carrier takes manual updates
+ * Sends the 404/400 response itself and returns null when not applicable
+ */
+async function findManualTrackingRequest(id, workspace, res) {
+  const request = await prisma.trackingRequest.findFirst({
+    where: {
+      id: id,
+      ...workspace.filter
+    },
+    include: {
+      carrier: {
+        select: {
+          name: true
+        }
       }
-    });
-
-    // Update tracking request status
-    await prisma.trackingRequest.update({
-      where: { id: trackingRequestId },
-      data: { status: 'completed' }
-    });
-
-    console.log(`Successfully processed tracking ${trackingNumber} for ${carrierName}`);
+    }
+  });
 
-  } catch (error) {
-    console.error(`Error processing tracking ${trackingNumber}:`, error);
+  if (!request) {
+    res.status(404).json({ error: 'Tracking request not found' });
+    return null;
+  }
 
-    // Update status to failed
-    await prisma.trackingRequest.update({
-      where: { id: trackingRequestId },
-      data: { status: 'failed' }
+  const carrierService = carrierFactory.getCarrier(request.carrier?.name);
+  if (!carrierService || typeof carrierService.buildManualUpdate !== 'function') {
+    res.status(400).json({ 
+      error: `Manual updates are not supported for carrier: ${request.carrier?.name}` 
     });
+    return null;
   }
+
+  return request;
 }
 
 module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const { prisma } = require('../lib/prisma');
 const { verifyNextAuthToken } = require('../middleware/auth');
+const { resolveWorkspace } = require('../middleware/workspace');
+const { SHIPMENT_STATUSES, SHIPMENT_STATUS_VALUES } = require('../services/carrier/shipment-status');
 
 const router = express.Router();
 
@@ -8,14 +10,12 @@ const router = express.Router();
  * GET /api/user/dashboard
  * Get user dashboard data with all tracking information
  */
-router.get('/dashboard', verifyNextAuthToken, async (req, res) => {
+router.get('/dashboard', verifyNextAuthToken, resolveWorkspace(), async (req, res) => {
   try {
-    const userId = req.user.id;
-
     // Get user's tracking requests with shipment data
     const trackingData = await prisma.trackingRequest.findMany({
       where: {
-        userId: userId
+        ...req.workspace.filter
       },
       include: {
         carrier: {
@@ -28,6 +28,7 @@ router.get('/dashboard', verifyNextAuthToken, async (req, res) => {
           select: {
             expectedDeliveryDate: true,
             currentStatus: true,
+            status: true,
             currentLocation: true,
             shippedDate: true
           }
@@ -44,7 +45,14 @@ router.get('/dashboard', verifyNextAuthToken, async (req, res) => {
       pending: trackingData.filter(item => item.status === 'pending').length,
       processing: trackingData.filter(item => item.status === 'processing').length,
       completed: trackingData.filter(item => item.status === 'completed').length,
-      failed: trackingData.filter(item => item.status === 'failed').length
+      failed: trackingData.filter(item => item.status === 'failed').length,
+      // Delivery state, separate from the job state above
+      shipmentStatuses: Object.fromEntries(
+        SHIPMENT_STATUS_VALUES.map(status => [
+          status,
+          trackingData.filter(item => (item.shipment?.status || SHIPMENT_STATUSES.UNKNOWN) === status).length
+        ])
+      )
     };
 
     // Group by carrier
@@ -132,9 +140,8 @@ router.put('/profile', verifyNextAuthToken, async (req, res) => {
  * GET /api/user/shipments
  * Get all shipments for the user
  */
-router.get('/shipments', verifyNextAuthToken, async (req, res) => {
+router.get('/shipments', verifyNextAuthToken, resolveWorkspace(), async (req, res) => {
   try {
-    const userId = req.user.id;
     const { page = 1, limit = 20, status } = req.query;
 
     const offset = (page - 1) * parseInt(limit);
@@ -142,7 +149,7 @@ router.get('/shipments', verifyNextAuthToken, async (req, res) => {
     // Build where clause
     const whereClause = {
       trackingRequest: {
-        userId: userId
+        ...req.workspace.filter
       }
     };
 
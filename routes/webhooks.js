@@ -0,0 +1,395 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { prisma } = require('../lib/prisma');
+const { verifyExternalAuth } = require('../middleware/external-auth');
+const { requirePersonalWorkspace } = require('../middleware/workspace');
+const {
+  SUBSCRIBABLE_EVENTS,
+  generateWebhookSecret,
+  getOrCreateApp,
+  sendTestEvent
+} = require('../services/webhook-delivery');
+const { assertPublicUrl } = require('../services/outbound-url');
+
+const router = express.Router();
+
+// How long the old secret keeps signing deliveries after a rotation
+const DEFAULT_ROTATION_GRACE_HOURS = 24;
+
+const eventsValidator = (field) => [
+  body(field)
+    .isArray({ min: 1 })
+    .withMessage('events must be a non-empty array'),
+  body(`${field}.*`)
+    .isIn(SUBSCRIBABLE_EVENTS)
+    .withMessage(`events must be any of: ${SUBSCRIBABLE_EVENTS.join(', ')}`)
+];
+
+const urlValidator = (field) => body(field)
+  .isURL({ protocols: ['http', 'https'], require_protocol: true })
+  .withMessage('url must be a valid http(s) URL')
+  .bail()
+  .custom(async (value) => {
+    await assertPublicUrl(value);
+  })
+  .withMessage('url must resolve to a public address');
+
+/**
+ * POST /api/external/webhooks
+ * Register a webhook endpoint for one of the caller's apps
+ * The signing secret is only returned here and when it is rotated
+ */
+router.post('/',
+  verifyExternalAuth('webhooks'),
+  requirePersonalWorkspace,
+  [
+    urlValidator('url'),
+    ...eventsValidator('events'),
+    body('appName')
+      .optional()
+      .isString()
+      .withMessage('appName must be a string'),
+    body('description')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('description must be at most 200 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { url, events, description, appName = 'External App' } = req.body;
+      const app = await getOrCreateApp(req.user.id, appName);
+
+      const endpoint = await prisma.webhookEndpoint.create({
+        data: {
+          appId: app.id,
+          url,
+          description,
+          events: [...new Set(events)],
+          secret: generateWebhookSecret()
+        },
+        include: {
+          app: {
+            select: {
+              name: true
+            }
+          }
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        webhook: formatEndpoint(endpoint),
+        secret: endpoint.secret,
+        message: 'Store this secret now - it is only shown again when rotated'
+      });
+
+    } catch (error) {
+      console.error('Create webhook error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * GET /api/external/webhooks
+ * List the caller's webhook endpoints
+ */
+router.get('/', verifyExternalAuth('webhooks'), requirePersonalWorkspace, async (req, res) => {
+  try {
+    const { appName } = req.query;
+
+    const endpoints = await prisma.webhookEndpoint.findMany({
+      where: {
+        app: {
+          ownerId: req.user.id,
+          ...(appName && { name: appName })
+        }
+      },
+      include: {
+        app: {
+          select: {
+            name: true
+          }
+        }
+      },
+      orderBy: {
+        createdAt: 'desc'
+      }
+    });
+
+    res.json({
+      webhooks: endpoints.map(formatEndpoint),
+      availableEvents: SUBSCRIBABLE_EVENTS
+    });
+
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/external/webhooks/:webhookId
+ * Get a webhook endpoint
+ */
+router.get('/:webhookId', verifyExternalAuth('webhooks'), requirePersonalWorkspace, async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req.params.webhookId, req.user.id);
+
+    if (!endpoint) {
+      return res.status(404).json({
+        error: 'Webhook not found or access denied'
+      });
+    }
+
+    res.json({ webhook: formatEndpoint(endpoint) });
+
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PATCH /api/external/webhooks/:webhookId
+ * Change a webhook's URL, subscribed events, description or active flag
+ */
+router.patch('/:webhookId',
+  verifyExternalAuth('webhooks'),
+  requirePersonalWorkspace,
+  [
+    urlValidator('url').optional(),
+    ...eventsValidator('events').map(validator => validator.optional()),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('description must be at most 200 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const endpoint = await findOwnEndpoint(req.params.webhookId, req.user.id);
+
+      if (!endpoint) {
+        return res.status(404).json({
+          error: 'Webhook not found or access denied'
+        });
+      }
+
+      const { url, events, description, isActive } = req.body;
+      const updated = await prisma.webhookEndpoint.update({
+        where: { id: endpoint.id },
+        data: {
+          ...(url !== undefined && { url }),
+          ...(events !== undefined && { events: [...new Set(events)] }),
+          ...(description !== undefined && { description }),
+          ...(isActive !== undefined && { isActive })
+        },
+        include: {
+          app: {
+            select: {
+              name: true
+            }
+          }
+        }
+      });
+
+      res.json({
+        success: true,
+        webhook: formatEndpoint(updated)
+      });
+
+    } catch (error) {
+      console.error('Update webhook error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * DELETE /api/external/webhooks/:webhookId
+ * Remove a webhook endpoint (and its delivery log)
+ */
+router.delete('/:webhookId', verifyExternalAuth('webhooks'), requirePersonalWorkspace, async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req.params.webhookId, req.user.id);
+
+    if (!endpoint) {
+      return res.status(404).json({
+        error: 'Webhook not found or access denied'
+      });
+    }
+
+    await prisma.webhookEndpoint.delete({
+      where: { id: endpoint.id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/external/webhooks/:webhookId/rotate-secret
+ * Issue a new signing secret
+ * Deliveries carry a signature for both secrets until the grace period ends
+ */
+router.post('/:webhookId/rotate-secret',
+  verifyExternalAuth('webhooks'),
+  requirePersonalWorkspace,
+  [
+    body('gracePeriodHours')
+      .optional()
+      .isInt({ min: 0, max: 168 })
+      .withMessage('gracePeriodHours must be between 0 and 168')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const endpoint = await findOwnEndpoint(req.params.webhookId, req.user.id);
+
+      if (!endpoint) {
+        return res.status(404).json({
+          error: 'Webhook not found or access denied'
+        });
+      }
+
+      const gracePeriodHours = req.body.gracePeriodHours ?? DEFAULT_ROTATION_GRACE_HOURS;
+      const previousSecretExpiresAt = new Date(Date.now() + gracePeriodHours * 60 * 60 * 1000);
+
+      const updated = await prisma.webhookEndpoint.update({
+        where: { id: endpoint.id },
+        data: {
+          secret: generateWebhookSecret(),
+          previousSecret: gracePeriodHours > 0 ? endpoint.secret : null,
+          previousSecretExpiresAt: gracePeriodHours > 0 ? previousSecretExpiresAt : null
+        },
+        include: {
+          app: {
+            select: {
+              name: true
+            }
+          }
+        }
+      });
+
+      res.json({
+        success: true,
+        webhook: formatEndpoint(updated),
+        secret: updated.secret,
+        previousSecretExpiresAt: updated.previousSecretExpiresAt
+      });
+
+    } catch (error) {
+      console.error('Rotate webhook secret error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * POST /api/external/webhooks/:webhookId/test
+ * Queue a webhook.test event to the endpoint
+ * Check the result in GET /api/external/deliveries/:deliveryId
+ */
+router.post('/:webhookId/test', verifyExternalAuth('webhooks'), requirePersonalWorkspace, async (req, res) => {
+  try {
+    const endpoint = await findOwnEndpoint(req.params.webhookId, req.user.id);
+
+    if (!endpoint) {
+      return res.status(404).json({
+        error: 'Webhook not found or access denied'
+      });
+    }
+
+    const delivery = await sendTestEvent(endpoint);
+
+    res.status(202).json({
+      success: true,
+      message: 'Test event queued',
+      deliveryId: delivery.id,
+      event: delivery.event
+    });
+
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Helper function to get a webhook endpoint owned by the external user
+ */
+async function findOwnEndpoint(webhookId, ownerId) {
+  return prisma.webhookEndpoint.findFirst({
+    where: {
+      id: webhookId,
+      app: {
+        ownerId
+      }
+    },
+    include: {
+      app: {
+        select: {
+          name: true
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Helper function to shape an endpoint for responses (never includes secrets)
+ */
+function formatEndpoint(endpoint) {
+  const rotating = !!endpoint.previousSecretExpiresAt && endpoint.previousSecretExpiresAt > new Date();
+
+  return {
+    id: endpoint.id,
+    appName: endpoint.app.name,
+    url: endpoint.url,
+    description: endpoint.description,
+    events: endpoint.events,
+    isActive: endpoint.isActive,
+    secretPreview: `${endpoint.secret.slice(0, 10)}...`,
+    previousSecretExpiresAt: rotating ? endpoint.previousSecretExpiresAt : null,
+    createdAt: endpoint.createdAt,
+    updatedAt: endpoint.updatedAt
+  };
+}
+
+module.exports = router;
@@ -17,10 +17,19 @@ const { apiLimiter } = require('./config/rate-limit');
 
 // Remove NextAuth.js - using custom JWT auth instead
 const authRoutes = require('./routes/auth');
+const mfaRoutes = require('./routes/mfa');
+const identityRoutes = require('./routes/identities');
+const organizationRoutes = require('./routes/organizations');
 const trackingRoutes = require('./routes/tracking');
 const userRoutes = require('./routes/user');
 const externalRoutes = require('./routes/external');
 const dashboardRoutes = require('./routes/dashboard');
+const webhookRoutes = require('./routes/webhooks');
+const apiKeyRoutes = require('./routes/api-keys');
+const cronRoutes = require('./routes/cron');
+const adminRoutes = require('./routes/admin');
+const { startJobWorker } = require('./services/job-worker');
+const carrierFactory = require('./services/carrier/carrier-factory');
 
 // Initialize Prisma client
 const { testDatabaseConnection } = require('./lib/prisma');
@@ -52,10 +61,17 @@ app.use(express.static('public'));
 
 // Application routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/mfa', mfaRoutes);
+app.use('/api/auth/identities', identityRoutes);
+app.use('/api/organizations', organizationRoutes);
 app.use('/api/tracking', trackingRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/external', externalRoutes);
 app.use('/api/external/dashboard', dashboardRoutes);
+app.use('/api/external/webhooks', webhookRoutes);
+app.use('/api/external/api-keys', apiKeyRoutes);
+app.use('/api/cron', cronRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -91,6 +107,11 @@ if (config.NODE_ENV !== 'production' || !process.env.VERCEL) {
   testDatabaseConnection().then(isConnected => {
     if (!isConnected) {
       logger.warn('Database connection failed. Server will start but database operations may fail.');
+    } else {
+      // Carriers disabled in the admin console stay disabled across restarts
+      carrierFactory.syncCarrierSettings().catch(error => {
+        logger.warn('Could not load carrier settings', { error: error.message });
+      });
     }
     
     app.listen(PORT, () => {
@@ -99,6 +120,11 @@ if (config.NODE_ENV !== 'production' || !process.env.VERCEL) {
         environment: config.NODE_ENV,
         nodeVersion: process.version
       });
+
+      // Process queued tracking jobs in this process (disable when running worker.js separately)
+      if (config.JOB_WORKER_ENABLED) {
+        startJobWorker({ intervalMs: config.JOB_WORKER_INTERVAL_MS });
+      }
     });
   }).catch(error => {
     logger.exception(error, 'Failed to start server');
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { prisma } = require('../lib/prisma');
+const { getConfig } = require('../config/env');
+const { sendMail } = require('./mailer');
+
+/**
+ * Account Tokens
+ * Single-use, expiring tokens that are emailed to the user - password reset and
+ * email verification. Only a hash is stored; issuing a new token invalidates the
+ * user's earlier unused tokens of the same type
+ */
+
+const ACCOUNT_TOKEN_TYPES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+const TOKEN_TTL_MS = {
+  [ACCOUNT_TOKEN_TYPES.PASSWORD_RESET]: 60 * 60 * 1000,
+  [ACCOUNT_TOKEN_TYPES.EMAIL_VERIFICATION]: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Hash an account token for storage and lookup
+ * @param {string} token - Emailed token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Issue a token, invalidating the user's unused tokens of the same type
+ * @param {string} userId - User ID
+ * @param {string} type - One of ACCOUNT_TOKEN_TYPES
+ * @returns {Promise<string>} - Token to email (never stored)
+ */
+async function createAccountToken(userId, type) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+
+  await prisma.$transaction([
+    prisma.accountToken.updateMany({
+      where: { userId, type, usedAt: null },
+      data: { usedAt: now }
+    }),
+    prisma.accountToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now.getTime() + TOKEN_TTL_MS[type])
+      }
+    })
+  ]);
+
+  return token;
+}
+
+/**
+ * Use up a token
+ * @param {string} token - Token from the emailed link
+ * @param {string} type - One of ACCOUNT_TOKEN_TYPES
+ * @returns {Promise<string|null>} - User ID, or null if the token is unknown, used or expired
+ */
+async function consumeAccountToken(token, type) {
+  const tokenHash = hashToken(token);
+
+  // Claim and check in one statement so a token cannot be used twice concurrently
+  const { count } = await prisma.accountToken.updateMany({
+    where: {
+      tokenHash,
+      type,
+      usedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    data: { usedAt: new Date() }
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  const accountToken = await prisma.accountToken.findUnique({
+    where: { tokenHash },
+    select: { userId: true }
+  });
+  return accountToken.userId;
+}
+
+/**
+ * Email a password reset link
+ * @param {Object} user - User profile
+ * @returns {Promise<void>}
+ */
+async function sendPasswordResetEmail(user) {
+  const token = await createAccountToken(user.id, ACCOUNT_TOKEN_TYPES.PASSWORD_RESET);
+  const link = `${getConfig().FRONTEND_URL}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your PostalHub password',
+    text: [
+      `Hi ${user.fullName || 'there'},`,
+      '',
+      'Someone asked to reset the password for your PostalHub account. To choose a new password, open:',
+      link,
+      '',
+      'The link expires in 1 hour and can only be used once. If you did not ask for this, ignore this email - your password has not changed.'
+    ].join('\n')
+  });
+}
+
+/**
+ * Email an address verification link
+ * @param {Object} user - User profile
+ * @returns {Promise<void>}
+ */
+async function sendVerificationEmail(user) {
+  const token = await createAccountToken(user.id, ACCOUNT_TOKEN_TYPES.EMAIL_VERIFICATION);
+  const link = `${getConfig().FRONTEND_URL}/api/auth/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your PostalHub email address',
+    text: [
+      `Hi ${user.fullName || 'there'},`,
+      '',
+      'Confirm this is your email address to finish setting up your PostalHub account:',
+      link,
+      '',
+      'The link expires in 24 hours. If you did not create an account, ignore this email.'
+    ].join('\n')
+  });
+}
+
+module.exports = {
+  ACCOUNT_TOKEN_TYPES,
+  createAccountToken,
+  consumeAccountToken,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { prisma } = require('../lib/prisma');
+const { ORG_ROLES, getWorkspace, hasRole } = require('./organizations');
+
+/**
+ * API Keys
+ * Server-to-server credentials for the external API. Only a SHA-256 hash of
+ * each key is stored; the key itself is shown once, when it is created
+ */
+
+const API_KEY_SCOPES = Object.freeze({
+  READ: 'read',
+  WRITE: 'write',
+  WEBHOOKS: 'webhooks'
+});
+
+const API_KEY_SCOPE_VALUES = Object.values(API_KEY_SCOPES);
+
+const API_KEY_PREFIX = 'phk_';
+
+// Avoid a database write on every request - lastUsedAt only needs minute precision
+const LAST_USED_PRECISION_MS = 60 * 1000;
+
+/**
+ * Hash an API key for storage and lookup
+ * Keys are 256-bit random values, so a plain SHA-256 is enough (no salt or slow hash needed)
+ * @param {string} key - Full API key
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Create an API key for a user
+ * @param {string} userId - User ID the key acts as
+ * @param {Object} options - { name, scopes, organizationId } (organizationId null for the personal workspace)
+ * @returns {Promise<Object>} - { apiKey, key } where key is the only copy of the secret
+ */
+async function createApiKey(userId, options) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      userId,
+      organizationId: options.organizationId || null,
+      name: options.name,
+      prefix: key.slice(0, 12),
+      keyHash: hashApiKey(key),
+      scopes: [...new Set(options.scopes)]
+    }
+  });
+
+  return { apiKey, key };
+}
+
+/**
+ * Look up an active (not revoked) API key and record that it was used
+ * @param {string} key - Full API key from the request
+ * @returns {Promise<Object|null>} - API key row, or null if unknown or revoked
+ */
+async function findActiveApiKey(key) {
+  // Keys imported from EXTERNAL_API_KEYS (prisma/import-env-api-keys.js) have no prefix
+  if (!key) {
+    return null;
+  }
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashApiKey(key) }
+  });
+
+  if (!apiKey || apiKey.revokedAt) {
+    return null;
+  }
+
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_PRECISION_MS) {
+    await prisma.apiKey.update({
+      where: { id: apiKey.id },
+      data: { lastUsedAt: now }
+    });
+  }
+
+  return apiKey;
+}
+
+/**
+ * Check whether a user may revoke an API key
+ * Its creator always can; admins of the organization it is bound to can too
+ * @param {Object} apiKey - API key ({ userId, organizationId })
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+async function canRevokeApiKey(apiKey, userId) {
+  if (apiKey.userId === userId) {
+    return true;
+  }
+  if (!apiKey.organizationId) {
+    return false;
+  }
+
+  const workspace = await getWorkspace(userId, apiKey.organizationId);
+  return !!workspace && hasRole(workspace.role, ORG_ROLES.ADMIN);
+}
+
+/**
+ * Revoke an API key as its creator or as an admin of its organization
+ * @param {string} keyId - API key ID
+ * @param {string} userId - ID of the user revoking it
+ * @returns {Promise<boolean>} - Whether an active key was revoked
+ */
+async function revokeApiKey(keyId, userId) {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { id: keyId },
+    select: { userId: true, organizationId: true }
+  });
+
+  if (!apiKey || !(await canRevokeApiKey(apiKey, userId))) {
+    return false;
+  }
+
+  const { count } = await prisma.apiKey.updateMany({
+    where: {
+      id: keyId,
+      revokedAt: null
+    },
+    data: { revokedAt: new Date() }
+  });
+
+  return count > 0;
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  API_KEY_SCOPE_VALUES,
+  hashApiKey,
+  createApiKey,
+  findActiveApiKey,
+  revokeApiKey
+};
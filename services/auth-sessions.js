@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../lib/prisma');
+const { getConfig } = require('../config/env');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('AuthSessions');
+
+/**
+ * Auth Sessions
+ * A login starts a session (a refresh-token family). Access tokens are short-lived
+ * JWTs carrying the family ID as `sid`; refresh tokens are opaque, stored hashed,
+ * and single-use - each refresh rotates the token, and presenting a rotated token
+ * again revokes the whole family
+ */
+
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+class SessionError extends Error {
+  /**
+   * @param {string} message - Why the refresh token was rejected
+   * @param {string} code - 'invalid_refresh_token', 'refresh_token_expired' or 'refresh_token_reused'
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Refresh token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign an access token for a session
+ * @param {Object} user - User profile
+ * @param {string} sessionId - Refresh-token family ID
+ * @returns {string} - JWT
+ */
+function createAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      sub: user.id,
+      email: user.email,
+      name: user.fullName,
+      sid: sessionId
+    },
+    getConfig().NEXTAUTH_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+/**
+ * Store a new refresh token in a family
+ * @param {Object} tx - Prisma client or transaction
+ * @param {string} userId - User ID
+ * @param {string} familyId - Refresh-token family ID
+ * @param {Object} context - { userAgent, ipAddress }
+ * @returns {Promise<string>} - Refresh token (only returned to the client, never stored)
+ */
+async function storeRefreshToken(tx, userId, familyId, context = {}) {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  await tx.refreshToken.create({
+    data: {
+      userId,
+      familyId,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      userAgent: context.userAgent || null,
+      ipAddress: context.ipAddress || null
+    }
+  });
+
+  return token;
+}
+
+/**
+ * Device details stored with a session's refresh tokens
+ * @param {Object} req - Express request
+ * @returns {Object} - { userAgent, ipAddress }
+ */
+function getSessionContext(req) {
+  return {
+    userAgent: req.get('user-agent')?.slice(0, 255),
+    ipAddress: req.ip
+  };
+}
+
+/**
+ * Start a session for a user who just logged in
+ * @param {Object} user - User profile
+ * @param {Object} context - { userAgent, ipAddress }
+ * @returns {Promise<Object>} - { accessToken, refreshToken, expiresIn }
+ */
+async function createSession(user, context = {}) {
+  const familyId = crypto.randomUUID();
+  const refreshToken = await storeRefreshToken(prisma, user.id, familyId, context);
+
+  return {
+    accessToken: createAccessToken(user, familyId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {Object} context - { userAgent, ipAddress }
+ * @returns {Promise<Object>} - { user, accessToken, refreshToken, expiresIn }
+ */
+async function rotateRefreshToken(refreshToken, context = {}) {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { user: true }
+  });
+
+  if (!stored || stored.revokedAt) {
+    throw new SessionError('Refresh token is invalid or has been revoked', 'invalid_refresh_token');
+  }
+
+  if (stored.usedAt) {
+    await revokeReusedFamily(stored);
+    throw new SessionError('Refresh token has already been used', 'refresh_token_reused');
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    throw new SessionError('Refresh token has expired', 'refresh_token_expired');
+  }
+
+  const newRefreshToken = await prisma.$transaction(async (tx) => {
+    // Claim the token - a concurrent request that got here first wins, the other is a reuse
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: stored.id, usedAt: null, revokedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    return storeRefreshToken(tx, stored.userId, stored.familyId, context);
+  });
+
+  if (!newRefreshToken) {
+    await revokeReusedFamily(stored);
+    throw new SessionError('Refresh token has already been used', 'refresh_token_reused');
+  }
+
+  return {
+    user: stored.user,
+    accessToken: createAccessToken(stored.user, stored.familyId),
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+/**
+ * Revoke a family after one of its rotated tokens was presented again
+ * Either the legitimate client or an attacker holds a copy - neither can be trusted
+ * @param {Object} stored - The reused refresh token row
+ */
+async function revokeReusedFamily(stored) {
+  const revoked = await revokeSession(stored.familyId);
+  logger.warn('Refresh token reuse detected - session revoked', {
+    userId: stored.userId,
+    familyId: stored.familyId,
+    revokedTokens: revoked
+  });
+}
+
+/**
+ * Revoke every refresh token in a session (logout)
+ * @param {string} familyId - Refresh-token family ID
+ * @returns {Promise<number>} - Number of tokens revoked
+ */
+async function revokeSession(familyId) {
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { familyId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  return count;
+}
+
+/**
+ * Revoke every session a user has (log out all devices)
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Number of tokens revoked
+ */
+async function revokeAllSessions(userId) {
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  return count;
+}
+
+/**
+ * Find the session a refresh token belongs to
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<Object|null>} - { familyId, userId }
+ */
+async function findSessionByRefreshToken(refreshToken) {
+  return prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    select: { familyId: true, userId: true }
+  });
+}
+
+/**
+ * Whether a session is still live (not logged out or revoked)
+ * The newest token of a live family is unrevoked and unexpired
+ * @param {string} familyId - Refresh-token family ID
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(familyId) {
+  const active = await prisma.refreshToken.findFirst({
+    where: {
+      familyId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    select: { id: true }
+  });
+  return !!active;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  SessionError,
+  getSessionContext,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  findSessionByRefreshToken,
+  isSessionActive
+};
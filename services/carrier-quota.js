@@ -0,0 +1,143 @@
+const { prisma } = require('../lib/prisma');
+const { CARRIERS } = require('./carrier/carrier-registry');
+const { getConfig } = require('../config/env');
+
+/**
+ * Carrier Lookup Quotas
+ * Every call to a carrier's tracking API from background work (first lookups,
+ * refreshes, retries and probes) is recorded, so the refresh scheduler and the
+ * carrier probe can stay under each carrier's hourly quota
+ */
+
+const QUOTA_WINDOW_MS = 60 * 60 * 1000;
+
+const LOOKUP_SOURCES = Object.freeze({
+  TRACK: 'track',
+  PROBE: 'probe'
+});
+
+// Default lookups per hour (registry pollQuotaPerHour), kept under each carrier's published rate limits
+// Override with CARRIER_POLL_QUOTAS="USPS=60,UPS=250"
+const DEFAULT_CARRIER_POLL_QUOTAS = Object.fromEntries(CARRIERS
+  .filter(carrier => carrier.pollQuotaPerHour)
+  .map(carrier => [carrier.name.toUpperCase(), carrier.pollQuotaPerHour]));
+
+/**
+ * Quota key for a carrier name
+ * @param {string} carrierName - Carrier name
+ * @returns {string}
+ */
+function toQuotaKey(carrierName) {
+  return (carrierName || '').toUpperCase();
+}
+
+/**
+ * Get the hourly lookup quota for a carrier
+ * @param {string} carrierName - Carrier whose API is called
+ * @returns {number} - Lookups per hour (Infinity when unlimited)
+ */
+function getCarrierQuota(carrierName) {
+  const quotas = {
+    ...DEFAULT_CARRIER_POLL_QUOTAS,
+    ...getConfig().CARRIER_POLL_QUOTAS
+  };
+  return quotas[toQuotaKey(carrierName)] ?? Infinity;
+}
+
+/**
+ * Record one call to a carrier's tracking API
+ * @param {string} carrierName - Carrier whose API is called
+ * @param {string} source - LOOKUP_SOURCES value
+ * @returns {Promise<Object>} - Lookup row
+ */
+async function recordCarrierLookup(carrierName, source) {
+  return prisma.carrierLookup.create({
+    data: {
+      carrier: toQuotaKey(carrierName),
+      source
+    }
+  });
+}
+
+/**
+ * Count a carrier's recorded lookups in the current quota window
+ * @param {string} carrierName - Carrier whose API is called
+ * @param {Date} now - Current time
+ * @returns {Promise<number>}
+ */
+async function countRecentLookups(carrierName, now = new Date()) {
+  return prisma.carrierLookup.count({
+    where: {
+      carrier: toQuotaKey(carrierName),
+      createdAt: { gt: new Date(now.getTime() - QUOTA_WINDOW_MS) }
+    }
+  });
+}
+
+/**
+ * Work out how many lookups a carrier has left and, when none, when the next one frees up
+ * @param {string} carrierName - Carrier whose API is called
+ * @param {Object} options - { reserved: lookups already queued but not yet made, now }
+ * @returns {Promise<Object>} - { quota, remaining, resetsAt } (resetsAt is null while lookups remain)
+ */
+async function getQuotaStatus(carrierName, options = {}) {
+  const quota = getCarrierQuota(carrierName);
+  if (quota === Infinity) {
+    return { quota, remaining: Infinity, resetsAt: null };
+  }
+
+  const now = options.now || new Date();
+  const reserved = options.reserved || 0;
+  const used = await countRecentLookups(carrierName, now);
+  const remaining = quota - reserved - used;
+
+  if (remaining > 0) {
+    return { quota, remaining, resetsAt: null };
+  }
+
+  // A lookup frees up once enough of the oldest ones in the window have aged out
+  const mustExpire = used - (quota - reserved);
+  if (mustExpire >= used) {
+    // Queued lookups alone fill the quota - look again a full window from now
+    return { quota, remaining, resetsAt: new Date(now.getTime() + QUOTA_WINDOW_MS) };
+  }
+
+  const freeing = await prisma.carrierLookup.findFirst({
+    where: {
+      carrier: toQuotaKey(carrierName),
+      createdAt: { gt: new Date(now.getTime() - QUOTA_WINDOW_MS) }
+    },
+    orderBy: { createdAt: 'asc' },
+    skip: mustExpire,
+    select: { createdAt: true }
+  });
+
+  const resetsAt = freeing
+    ? new Date(freeing.createdAt.getTime() + QUOTA_WINDOW_MS)
+    : new Date(now.getTime() + QUOTA_WINDOW_MS);
+
+  return { quota, remaining, resetsAt };
+}
+
+/**
+ * Delete lookups that no longer count against any quota
+ * @returns {Promise<number>} - Rows deleted
+ */
+async function pruneCarrierLookups() {
+  const { count } = await prisma.carrierLookup.deleteMany({
+    where: {
+      createdAt: { lte: new Date(Date.now() - QUOTA_WINDOW_MS) }
+    }
+  });
+  return count;
+}
+
+module.exports = {
+  QUOTA_WINDOW_MS,
+  LOOKUP_SOURCES,
+  getCarrierQuota,
+  recordCarrierLookup,
+  countRecentLookups,
+  getQuotaStatus,
+  pruneCarrierLookups
+};
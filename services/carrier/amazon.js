@@ -0,0 +1,263 @@
+const BaseCarrier = require('./base-carrier');
+const { LAST_MILE_CARRIER_NAMES } = require('./carrier-registry');
+
+/**
+ * Status phrases found in Amazon shipment-notification emails
+ * Ordered by precedence - a "delivered" email often also says "shipped"
+ */
+const EMAIL_STATUS_PATTERNS = [
+  { status: 'Delivered', pattern: /\b(was|been|package)\s+delivered\b|\bdelivered\s*:/i },
+  { status: 'Out for delivery', pattern: /\bout for delivery\b/i },
+  { status: 'Delayed', pattern: /\bdelay(ed)?\b|\brunning late\b/i },
+  { status: 'Shipped', pattern: /\bshipped\b|\bon the way\b|\bhas left\b/i },
+  { status: 'Ordered', pattern: /\border (confirmation|placed)\b|\bthanks for your order\b/i }
+];
+
+/**
+ * Amazon Logistics Carrier Implementation
+ * Amazon has no public tracking API, so status comes from manual updates,
+ * imported shipment-notification emails, or the last-mile carrier Amazon
+ * hands the package to (USPS/UPS) when one has been linked
+ */
+class AmazonCarrier extends BaseCarrier {
+  /**
+   * @param {Function} getCarrier - Lookup for other carrier services (used for last-mile tracking)
+   */
+  constructor(getCarrier) {
+    super('Amazon', null);
+    this.getCarrier = getCarrier;
+  }
+
+  /**
+   * Build the Amazon service - it needs no credentials
+   * @param {Object} config - getConfig() result
+   * @param {Object} context - { getCarrier } lookup for last-mile carriers
+   * @returns {AmazonCarrier}
+   */
+  static fromConfig(config, { getCarrier }) {
+    return new AmazonCarrier(getCarrier);
+  }
+
+  /**
+   * Amazon needs no credentials - it is always available
+   * @returns {boolean} - Whether the service is active
+   */
+  isServiceActive() {
+    return this.isActive;
+  }
+
+  /**
+   * Amazon can only be tracked automatically through a linked last-mile carrier
+   * @param {Object} options - Tracking options
+   * @returns {boolean} - Whether trackPackage() can fetch status
+   */
+  supportsAutomaticTracking(options = {}) {
+    return !!options.lastMile;
+  }
+
+  /**
+   * Track an Amazon package through its last-mile carrier
+   * @param {string} trackingNumber - Amazon tracking number (TBA...)
+   * @param {Object} options - Tracking options
+   * @param {Object} options.lastMile - { carrier, trackingNumber } handed off by Amazon
+   * @returns {Promise<Object>} - Standardized tracking data
+   */
+  async trackPackage(trackingNumber, options = {}) {
+    try {
+      const { lastMile } = options;
+
+      if (!lastMile) {
+        throw new Error('Amazon Logistics has no public tracking API. Add a manual update, import a shipment email, or link the last-mile carrier.');
+      }
+
+      const lastMileService = this.getCarrier(lastMile.carrier);
+      if (!lastMileService || !lastMileService.isServiceActive()) {
+        throw new Error(`Last-mile carrier ${lastMile.carrier} tracking service is not available`);
+      }
+
+      const trackingData = await lastMileService.trackPackage(lastMile.trackingNumber);
+      if (!trackingData.success) {
+        const message = `Last-mile ${lastMile.carrier} tracking failed: ${trackingData.error}`;
+        throw trackingData.retryable === false ? this.permanentError(message) : new Error(message);
+      }
+
+      return {
+        ...trackingData,
+        trackingNumber: trackingNumber.replace(/\s/g, '').toUpperCase(),
+        carrier: this.name,
+        lastMile: {
+          carrier: trackingData.carrier,
+          trackingNumber: trackingData.trackingNumber || lastMile.trackingNumber
+        }
+      };
+
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Build standardized tracking data from a manual status update
+   * @param {string} trackingNumber - Amazon tracking number
+   * @param {Object} update - { status, shipmentStatus, location, description, timestamp, expectedDeliveryDate }
+   * @returns {Object} - Standardized tracking data
+   */
+  buildManualUpdate(trackingNumber, update) {
+    const timestamp = update.timestamp || new Date().toISOString();
+
+    return this.standardizeData({
+      trackingNumber,
+      currentStatus: update.status,
+      shipmentStatus: update.shipmentStatus || null,
+      currentLocation: update.location,
+      expectedDeliveryDate: update.expectedDeliveryDate || null,
+      source: 'manual',
+      events: [
+        {
+          timestamp,
+          description: update.description || update.status,
+          eventCode: null,
+          statusType: 'manual',
+          status: update.shipmentStatus || null,
+          location: update.location || null
+        }
+      ]
+    });
+  }
+
+  /**
+   * Build standardized tracking data from an Amazon shipment-notification email
+   * @param {string} trackingNumber - Amazon tracking number the email is imported for
+   * @param {Object} email - { subject, text, html, receivedAt }
+   * @returns {Object} - Standardized tracking data
+   */
+  parseShipmentEmail(trackingNumber, email) {
+    const receivedAt = email.receivedAt ? new Date(email.receivedAt) : new Date();
+    if (Number.isNaN(receivedAt.getTime())) {
+      throw new Error('receivedAt must be a valid date');
+    }
+
+    const content = `${email.subject || ''}\n${email.text || this.stripHtml(email.html || '')}`;
+
+    const emailTrackingNumber = (content.match(/\bTBA[0-9]{10,12}\b/) || [])[0];
+    const cleanTrackingNumber = trackingNumber.replace(/\s/g, '').toUpperCase();
+    if (emailTrackingNumber && emailTrackingNumber !== cleanTrackingNumber) {
+      throw new Error(`Email refers to ${emailTrackingNumber}, not ${cleanTrackingNumber}`);
+    }
+
+    const statusMatch = EMAIL_STATUS_PATTERNS.find(({ pattern }) => pattern.test(content));
+    if (!statusMatch) {
+      throw new Error('Could not find a shipment status in the email');
+    }
+
+    const orderNumber = (content.match(/\b\d{3}-\d{7}-\d{7}\b/) || [])[0] || null;
+    const expectedDeliveryDate = this.parseArrivalDate(content, receivedAt);
+    const lastMile = this.parseLastMile(content);
+
+    return this.standardizeData({
+      trackingNumber: cleanTrackingNumber,
+      currentStatus: statusMatch.status,
+      expectedDeliveryDate,
+      source: 'email',
+      orderNumber,
+      lastMile,
+      events: [
+        {
+          timestamp: receivedAt.toISOString(),
+          description: email.subject || statusMatch.status,
+          eventCode: null,
+          statusType: 'email',
+          location: null
+        }
+      ]
+    });
+  }
+
+  /**
+   * Parse "Arriving today/tomorrow/Tuesday, January 9" relative to when the email was received
+   * @param {string} content - Email subject and body
+   * @param {Date} receivedAt - When the email was received
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  parseArrivalDate(content, receivedAt) {
+    const match = content.match(/\b(?:arriving|arrives|delivery(?: date)?|expected)\s*:?\s+(today|tomorrow|(?:[A-Za-z]+,\s*)?([A-Za-z]+)\s+(\d{1,2}))\b/i);
+    if (!match) {
+      return null;
+    }
+
+    const date = new Date(Date.UTC(receivedAt.getUTCFullYear(), receivedAt.getUTCMonth(), receivedAt.getUTCDate()));
+    const word = match[1].toLowerCase();
+
+    if (word === 'today') {
+      return date.toISOString().split('T')[0];
+    }
+    if (word === 'tomorrow') {
+      date.setUTCDate(date.getUTCDate() + 1);
+      return date.toISOString().split('T')[0];
+    }
+
+    const month = new Date(`${match[2]} 1, 2000`).getMonth();
+    if (Number.isNaN(month)) {
+      return null;
+    }
+
+    // Emails do not include the year - a date well before receipt belongs to next year
+    const arrival = new Date(Date.UTC(date.getUTCFullYear(), month, parseInt(match[3], 10)));
+    if (arrival.getTime() < date.getTime() - 7 * 24 * 60 * 60 * 1000) {
+      arrival.setUTCFullYear(arrival.getUTCFullYear() + 1);
+    }
+    return arrival.toISOString().split('T')[0];
+  }
+
+  /**
+   * Find a last-mile carrier hand-off ("Carrier: USPS, Tracking ID: 9400...")
+   * @param {string} content - Email subject and body
+   * @returns {Object|null} - { carrier, trackingNumber } or null
+   */
+  parseLastMile(content) {
+    const carrierPattern = LAST_MILE_CARRIER_NAMES.join('|');
+    const match = content.match(
+      new RegExp(`\\b(${carrierPattern})\\b[^\\n]{0,60}?tracking\\s*(?:id|number|#)?\\s*:?\\s*([0-9A-Z]{10,34})\\b`, 'i')
+    );
+    if (!match) {
+      return null;
+    }
+
+    const carrier = LAST_MILE_CARRIER_NAMES.find(name => name.toUpperCase() === match[1].toUpperCase());
+    return {
+      carrier,
+      trackingNumber: match[2].toUpperCase()
+    };
+  }
+
+  /**
+   * Reduce an HTML email body to plain text
+   * @param {string} html - HTML email body
+   * @returns {string} - Text content
+   */
+  stripHtml(html) {
+    return html
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<br\s*\/?>|<\/(p|div|tr|li|h\d)>/gi, '\n')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/[ \t]+/g, ' ');
+  }
+
+  /**
+   * Validate Amazon Logistics tracking number format
+   * @param {string} trackingNumber - The tracking number to validate
+   * @returns {boolean} - Whether the tracking number is valid for Amazon
+   */
+  validateTrackingNumber(trackingNumber) {
+    if (!super.validateTrackingNumber(trackingNumber)) {
+      return false;
+    }
+
+    const cleaned = trackingNumber.replace(/\s/g, '').toUpperCase();
+    return /^TBA[0-9]{10,12}$/.test(cleaned);
+  }
+}
+
+module.exports = AmazonCarrier;
@@ -0,0 +1,154 @@
+const axios = require('axios');
+const PostalCarrier = require('./postal-carrier');
+
+/**
+ * Australia Post Carrier Service Implementation
+ * Based on the Australia Post Shipping and Tracking API (GET /shipping/v1/track),
+ * which also covers StarTrack. Statuses come from the event descriptions
+ */
+class AustraliaPostCarrier extends PostalCarrier {
+  constructor(apiKey, password, accountNumber, options = {}) {
+    super('AustraliaPost', apiKey, options);
+    this.password = password;
+    this.accountNumber = accountNumber;
+    this.baseUrl = options.baseUrl || 'https://digitalapi.auspost.com.au';
+  }
+
+  /**
+   * Build the Australia Post service from app config
+   * @param {Object} config - getConfig() result
+   * @param {Object} context - { getCarrier } lookup for the other post of international items
+   * @returns {AustraliaPostCarrier|null} - Service, or null when its credentials are not set
+   */
+  static fromConfig(config, { getCarrier }) {
+    if (!config.AUSPOST_API_KEY || !config.AUSPOST_PASSWORD || !config.AUSPOST_ACCOUNT_NUMBER) {
+      return null;
+    }
+    return new AustraliaPostCarrier(config.AUSPOST_API_KEY, config.AUSPOST_PASSWORD, config.AUSPOST_ACCOUNT_NUMBER, {
+      baseUrl: config.AUSPOST_API_URL,
+      destinationCountry: config.POSTAL_DESTINATION_COUNTRY,
+      getCarrier
+    });
+  }
+
+  /**
+   * Track an item on the Australia Post network
+   * @param {string} trackingNumber - Australia Post article ID or S10 number
+   * @returns {Promise<Object>} - Standardized tracking data
+   */
+  async trackLeg(trackingNumber) {
+    try {
+      if (!this.isServiceActive()) {
+        throw this.permanentError('Australia Post service is not properly configured');
+      }
+
+      if (!this.validateTrackingNumber(trackingNumber)) {
+        throw this.permanentError('Invalid Australia Post tracking number format');
+      }
+
+      const cleanTrackingNumber = trackingNumber.replace(/\s/g, '').toUpperCase();
+
+      const response = await axios.get(`${this.baseUrl}/shipping/v1/track`, {
+        params: {
+          tracking_ids: cleanTrackingNumber
+        },
+        auth: {
+          username: this.apiKey,
+          password: this.password
+        },
+        headers: {
+          'Account-Number': this.accountNumber,
+          Accept: 'application/json'
+        },
+        timeout: 10000
+      });
+
+      const trackingData = this.parseTrackResponse(response.data, cleanTrackingNumber);
+      return this.standardizeData(trackingData);
+
+    } catch (error) {
+      return this.handleError(this.normalizeApiError(error));
+    }
+  }
+
+  /**
+   * Parse a track response
+   * The result is per consignment; an article is one parcel in it
+   * @param {Object} data - JSON response from Australia Post
+   * @param {string} trackingNumber - Clean tracking number that was requested
+   * @returns {Object} - Parsed tracking data
+   */
+  parseTrackResponse(data, trackingNumber) {
+    const result = (data?.tracking_results || [])
+      .find(entry => entry.tracking_id?.toUpperCase() === trackingNumber) || data?.tracking_results?.[0];
+
+    if (!result) {
+      throw new Error('Australia Post API Error: Tracking information not found');
+    }
+
+    if (result.errors?.length) {
+      throw new Error(`Australia Post API Error: ${result.errors.map(error => error.name || error.message || error.code).join('; ')}`);
+    }
+
+    const article = (result.trackable_items || [])
+      .find(item => item.article_id?.toUpperCase() === trackingNumber) || result.trackable_items?.[0] || {};
+
+    const events = (article.events || result.consignment?.events || [])
+      .map(event => this.parseEvent(event))
+      .sort((a, b) => this.toTime(b.timestamp) - this.toTime(a.timestamp));
+
+    return {
+      trackingNumber: article.article_id || result.tracking_id || trackingNumber,
+      currentStatus: article.status || result.status || events[0]?.description || 'Unknown',
+      currentLocation: events[0]?.location || 'Unknown',
+      shippedDate: this.findShippedDate(events),
+      serviceName: article.product_type || null,
+      pieceCount: result.trackable_items?.length || null,
+      events,
+      rawData: data
+    };
+  }
+
+  /**
+   * Convert an Australia Post event into a standardized event
+   * @param {Object} event - trackable_items[].events entry
+   * @returns {Object} - Standardized event
+   */
+  parseEvent(event) {
+    return {
+      timestamp: event.date || null,
+      description: event.description || '',
+      eventCode: null,
+      location: event.location || null,
+      city: event.location || null,
+      state: null,
+      postalCode: null,
+      country: null
+    };
+  }
+
+  /**
+   * Find the first scan after the label was lodged
+   * @param {Array} events - Standardized events (newest first)
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  findShippedDate(events) {
+    const firstScan = [...events].reverse().find(event => !/shipping information|label/i.test(event.description));
+    return firstScan?.timestamp ? firstScan.timestamp.slice(0, 10) : null;
+  }
+
+  /**
+   * Extract the Australia Post error from an axios error, if there is one
+   * @param {Error} error - The error thrown during tracking
+   * @returns {Error} - Error with the most useful message
+   */
+  normalizeApiError(error) {
+    const problem = error.response?.data?.errors?.[0];
+    if (problem && (problem.message || problem.name)) {
+      return new Error(`Australia Post API Error: ${problem.message || problem.name}`);
+    }
+    return error;
+  }
+}
+
+module.exports = AustraliaPostCarrier;
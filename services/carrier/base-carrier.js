@@ -1,3 +1,5 @@
+const { SHIPMENT_STATUSES, classifyStatusText } = require('./shipment-status');
+
 /**
  * Base Carrier Service Class
  * All carrier-specific implementations should extend this class
@@ -7,6 +9,11 @@ class BaseCarrier {
     this.name = name;
     this.apiKey = apiKey;
     this.isActive = true;
+
+    // OAuth token cache for carriers that authenticate with bearer tokens
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+    this.tokenPromise = null;
   }
 
   /**
@@ -18,24 +25,126 @@ class BaseCarrier {
     throw new Error(`trackPackage method must be implemented for ${this.name}`);
   }
 
+  /**
+   * Request a new OAuth access token from the carrier
+   * Only needed by carriers that use getAccessToken()
+   * @returns {Promise<Object>} - { accessToken, expiresIn } with expiresIn in seconds
+   */
+  async requestAccessToken() {
+    throw new Error(`requestAccessToken method must be implemented for ${this.name}`);
+  }
+
+  /**
+   * Get a cached OAuth access token, requesting a new one when expired
+   * Concurrent callers share the same in-flight token request
+   * @returns {Promise<string>} - Bearer access token
+   */
+  async getAccessToken() {
+    // Refresh one minute early to avoid using a token that expires mid-request
+    if (this.accessToken && Date.now() < this.tokenExpiresAt - 60 * 1000) {
+      return this.accessToken;
+    }
+
+    if (!this.tokenPromise) {
+      this.tokenPromise = this.requestAccessToken()
+        .then(({ accessToken, expiresIn }) => {
+          if (!accessToken) {
+            throw new Error(`${this.name} OAuth response did not include an access token`);
+          }
+          this.accessToken = accessToken;
+          this.tokenExpiresAt = Date.now() + (parseInt(expiresIn, 10) || 3600) * 1000;
+          return accessToken;
+        })
+        .finally(() => {
+          this.tokenPromise = null;
+        });
+    }
+
+    return this.tokenPromise;
+  }
+
+  /**
+   * Drop the cached access token so the next call requests a fresh one
+   * Used when the carrier rejects a token before its advertised expiry
+   */
+  invalidateAccessToken() {
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+  }
+
   /**
    * Standardize tracking data format
    * @param {Object} rawData - Raw data from carrier API
    * @returns {Object} - Standardized format
    */
   standardizeData(rawData) {
+    const events = (rawData.events || []).map(event => ({
+      ...event,
+      status: event.status || this.normalizeStatus(event)
+    }));
+
     return {
+      success: true,
       trackingNumber: rawData.trackingNumber || '',
       carrier: this.name,
       expectedDeliveryDate: rawData.expectedDeliveryDate || null,
       currentStatus: rawData.currentStatus || 'Unknown',
+      shipmentStatus: this.resolveShipmentStatus(rawData, events),
       currentLocation: rawData.currentLocation || 'Unknown',
       shippedDate: rawData.shippedDate || null,
+      deliveryWindow: rawData.deliveryWindow || null,
+      service: rawData.serviceName || rawData.service || null,
+      pieceCount: rawData.pieceCount || null,
+      proofOfDelivery: rawData.proofOfDelivery || null,
+      deliveryAttributes: rawData.deliveryAttributes || null,
+      lastMile: rawData.lastMile || null,
+      originCountry: rawData.originCountry || null,
+      destinationCountry: rawData.destinationCountry || null,
+      legs: rawData.legs || null,
+      events,
       rawData: rawData,
       lastUpdated: new Date().toISOString()
     };
   }
 
+  /**
+   * Map a standardized event to a canonical shipment status
+   * Carriers override this to map their native status codes and fall back
+   * to this keyword match for codes they do not know
+   * @param {Object} event - Standardized event
+   * @returns {string} - Canonical shipment status (see shipment-status.js)
+   */
+  normalizeStatus(event) {
+    return classifyStatusText(event.description);
+  }
+
+  /**
+   * Pick the shipment's canonical status: an explicit adapter value, then
+   * the latest event's status, then the carrier's current status text
+   * @param {Object} rawData - Parsed carrier data
+   * @param {Array} events - Standardized events with statuses (newest first)
+   * @returns {string} - Canonical shipment status
+   */
+  resolveShipmentStatus(rawData, events) {
+    const candidates = [
+      rawData.shipmentStatus,
+      events[0]?.status,
+      classifyStatusText(rawData.currentStatus)
+    ];
+    return candidates.find(status => status && status !== SHIPMENT_STATUSES.UNKNOWN) ||
+      SHIPMENT_STATUSES.UNKNOWN;
+  }
+
+  /**
+   * Convert a timestamp to milliseconds for sorting (unknown sorts last)
+   * @param {string} timestamp - ISO timestamp
+   * @returns {number} - Milliseconds since epoch
+   */
+  toTime(timestamp) {
+    const time = timestamp ? new Date(timestamp).getTime() : NaN;
+    return Number.isNaN(time) ? 0 : time;
+  }
+
   /**
    * Validate tracking number format
    * @param {string} trackingNumber - The tracking number to validate
@@ -65,10 +174,34 @@ class BaseCarrier {
       success: false,
       error: error.message || 'Unknown error occurred',
       carrier: this.name,
+      // Tells the job queue not to retry (see permanentError())
+      ...(error.retryable === false && { retryable: false }),
       timestamp: new Date().toISOString()
     };
   }
 
+  /**
+   * Build an error that would fail the same way on every attempt (bad input or missing configuration)
+   * handleError() reports it with retryable: false, so background lookups are not retried
+   * @param {string} message - Error message
+   * @returns {Error}
+   */
+  permanentError(message) {
+    const error = new Error(message);
+    error.retryable = false;
+    return error;
+  }
+
+  /**
+   * Check if trackPackage() can fetch status without manual input
+   * Carriers without a public API override this
+   * @param {Object} options - Tracking options passed to trackPackage()
+   * @returns {boolean} - Whether automatic tracking is possible
+   */
+  supportsAutomaticTracking(options = {}) {
+    return true;
+  }
+
   /**
    * Check if carrier service is available
    * @returns {boolean} - Whether the service is active
@@ -0,0 +1,229 @@
+const axios = require('axios');
+const xml2js = require('xml2js');
+const PostalCarrier = require('./postal-carrier');
+const { toArray } = require('./carrier-utils');
+
+/**
+ * UTC offsets for the time zones Canada Post stamps on events
+ */
+const TIME_ZONE_OFFSETS = {
+  NST: '-03:30',
+  NDT: '-02:30',
+  AST: '-04:00',
+  ADT: '-03:00',
+  EST: '-05:00',
+  EDT: '-04:00',
+  CST: '-06:00',
+  CDT: '-05:00',
+  MST: '-07:00',
+  MDT: '-06:00',
+  PST: '-08:00',
+  PDT: '-07:00'
+};
+
+/**
+ * Canada Post Carrier Service Implementation
+ * Based on the Canada Post Tracking web service (Get Tracking Details, track-v2 XML)
+ * Event identifiers are not mapped - the event descriptions classify reliably
+ */
+class CanadaPostCarrier extends PostalCarrier {
+  constructor(username, password, options = {}) {
+    super('CanadaPost', username, options);
+    this.username = username;
+    this.password = password;
+    this.baseUrl = options.baseUrl || 'https://soa-gw.canadapost.ca';
+  }
+
+  /**
+   * Build the Canada Post service from app config
+   * @param {Object} config - getConfig() result
+   * @param {Object} context - { getCarrier } lookup for the other post of international items
+   * @returns {CanadaPostCarrier|null} - Service, or null when its credentials are not set
+   */
+  static fromConfig(config, { getCarrier }) {
+    if (!config.CANADA_POST_USERNAME || !config.CANADA_POST_PASSWORD) {
+      return null;
+    }
+    return new CanadaPostCarrier(config.CANADA_POST_USERNAME, config.CANADA_POST_PASSWORD, {
+      baseUrl: config.CANADA_POST_API_URL,
+      destinationCountry: config.POSTAL_DESTINATION_COUNTRY,
+      getCarrier
+    });
+  }
+
+  /**
+   * Track an item on the Canada Post network
+   * @param {string} trackingNumber - Canada Post PIN or S10 number
+   * @returns {Promise<Object>} - Standardized tracking data
+   */
+  async trackLeg(trackingNumber) {
+    try {
+      if (!this.isServiceActive()) {
+        throw this.permanentError('Canada Post service is not properly configured');
+      }
+
+      if (!this.validateTrackingNumber(trackingNumber)) {
+        throw this.permanentError('Invalid Canada Post tracking number format');
+      }
+
+      const cleanTrackingNumber = trackingNumber.replace(/\s/g, '').toUpperCase();
+
+      const response = await axios.get(
+        `${this.baseUrl}/vis/track/pin/${encodeURIComponent(cleanTrackingNumber)}/detail`,
+        {
+          auth: {
+            username: this.username,
+            password: this.password
+          },
+          headers: {
+            Accept: 'application/vnd.cpc.track-v2+xml',
+            'Accept-Language': 'en-CA'
+          },
+          responseType: 'text',
+          timeout: 10000
+        }
+      );
+
+      const trackingData = await this.parseTrackingDetail(response.data, cleanTrackingNumber);
+      return this.standardizeData(trackingData);
+
+    } catch (error) {
+      return this.handleError(await this.normalizeApiError(error));
+    }
+  }
+
+  /**
+   * Parse a Get Tracking Details response
+   * @param {string} xmlResponse - XML response from Canada Post
+   * @param {string} trackingNumber - Clean tracking number that was requested
+   * @returns {Promise<Object>} - Parsed tracking data
+   */
+  async parseTrackingDetail(xmlResponse, trackingNumber) {
+    const document = await this.parseXML(xmlResponse);
+
+    if (document.messages) {
+      throw new Error(`Canada Post API Error: ${this.formatMessages(document.messages)}`);
+    }
+
+    const detail = document['tracking-detail'];
+    if (!detail) {
+      throw new Error('Failed to parse Canada Post response: missing tracking-detail');
+    }
+
+    // Significant events come newest first
+    const events = toArray(detail['significant-events']?.occurrence)
+      .map(occurrence => this.parseOccurrence(occurrence))
+      .sort((a, b) => this.toTime(b.timestamp) - this.toTime(a.timestamp));
+
+    const latestEvent = events[0];
+
+    return {
+      trackingNumber: detail.pin || trackingNumber,
+      currentStatus: latestEvent?.description || 'Unknown',
+      currentLocation: latestEvent?.location || 'Unknown',
+      shippedDate: detail['mailed-on-date'] || this.findShippedDate(events),
+      expectedDeliveryDate: detail['changed-expected-date'] || detail['expected-delivery-date'] || null,
+      serviceName: detail['service-name'] || null,
+      deliveryAttributes: {
+        destinationPostalCode: detail['destination-postal-id'] || null,
+        signatureRequired: detail['signature-image-exists'] === 'true'
+      },
+      events,
+      rawData: xmlResponse
+    };
+  }
+
+  /**
+   * Convert a significant-events occurrence into a standardized event
+   * @param {Object} occurrence - Parsed occurrence element
+   * @returns {Object} - Standardized event
+   */
+  parseOccurrence(occurrence) {
+    const city = occurrence['event-site'] || null;
+    const province = occurrence['event-province'] || null;
+
+    return {
+      timestamp: this.toTimestamp(occurrence['event-date'], occurrence['event-time'], occurrence['event-time-zone']),
+      description: occurrence['event-description'] || '',
+      eventCode: occurrence['event-identifier'] || null,
+      location: [city, province].filter(Boolean).join(', ') || null,
+      city,
+      state: province,
+      postalCode: null,
+      country: null
+    };
+  }
+
+  /**
+   * Combine Canada Post's separate date, time and zone fields into an ISO timestamp
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} time - HH:MM:SS
+   * @param {string} timeZone - Zone abbreviation (EST, PDT, ...)
+   * @returns {string|null} - ISO 8601 timestamp, local time when the zone is unknown
+   */
+  toTimestamp(date, time, timeZone) {
+    if (!date) {
+      return null;
+    }
+    return `${date}T${time || '00:00:00'}${TIME_ZONE_OFFSETS[timeZone] || ''}`;
+  }
+
+  /**
+   * Find the first scan after electronic shipping information was received
+   * @param {Array} events - Standardized events (newest first)
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  findShippedDate(events) {
+    const firstScan = [...events].reverse().find(event => !/electronic information/i.test(event.description));
+    return firstScan?.timestamp ? firstScan.timestamp.slice(0, 10) : null;
+  }
+
+  /**
+   * Parse Canada Post XML
+   * @param {string} xml - Response body
+   * @returns {Promise<Object>} - Parsed document
+   */
+  async parseXML(xml) {
+    try {
+      return await xml2js.parseStringPromise(xml, {
+        explicitArray: false,
+        trim: true
+      });
+    } catch (error) {
+      throw new Error(`Failed to parse Canada Post response: ${error.message}`);
+    }
+  }
+
+  /**
+   * Join the descriptions of a Canada Post <messages> element
+   * @param {Object} messages - Parsed messages element
+   * @returns {string} - Message text
+   */
+  formatMessages(messages) {
+    return toArray(messages.message)
+      .map(message => message.description || message.code)
+      .join('; ') || 'Unknown error';
+  }
+
+  /**
+   * Extract the Canada Post <messages> error from an axios error, if there is one
+   * Unknown PINs come back as HTTP 404 with message 004 "No Pin History"
+   * @param {Error} error - The error thrown during tracking
+   * @returns {Promise<Error>} - Error with the most useful message
+   */
+  async normalizeApiError(error) {
+    const body = error.response?.data;
+    if (typeof body !== 'string' || !body.includes('<messages')) {
+      return error;
+    }
+
+    try {
+      const document = await this.parseXML(body);
+      return new Error(`Canada Post API Error: ${this.formatMessages(document.messages)}`);
+    } catch (parseError) {
+      return error;
+    }
+  }
+}
+
+module.exports = CanadaPostCarrier;
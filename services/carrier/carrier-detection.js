@@ -0,0 +1,212 @@
+const { CARRIERS } = require('./carrier-registry');
+
+/**
+ * Carrier Detection
+ * Works out which carriers a tracking number can belong to. Every format a
+ * number matches becomes a candidate; formats with a check digit are scored
+ * by whether it validates, so a 12-digit number with a valid FedEx mod-11
+ * check ranks above the same digits read as a DHL waybill. Candidates are
+ * returned best first with a confidence between 0 and 1
+ */
+
+// The top candidate is not a clear winner when the runner-up is this close
+const AMBIGUITY_MARGIN = 0.15;
+
+// Below this, even a single candidate is a guess
+const MIN_CONFIDENT_SCORE = 0.6;
+
+/**
+ * Strip spaces and dashes and uppercase a tracking number
+ * @param {string} trackingNumber - Tracking number as typed
+ * @returns {string}
+ */
+function normalizeTrackingNumber(trackingNumber) {
+  return String(trackingNumber || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * GS1 mod-10 (weights 3,1 from the right) - USPS IMpb and SSCC-18 numbers
+ * @param {string} digits - Number including its trailing check digit
+ * @returns {boolean}
+ */
+function isValidMod10(digits) {
+  const body = digits.slice(0, -1);
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const weight = (body.length - i) % 2 === 1 ? 3 : 1;
+    sum += Number(body[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10 === Number(digits.slice(-1));
+}
+
+/**
+ * UPS 1Z check digit (mod-10 over the 15 characters after "1Z"; letters map to digits)
+ * @param {string} trackingNumber - 18-character 1Z number
+ * @returns {boolean}
+ */
+function isValidUps1Z(trackingNumber) {
+  const body = trackingNumber.slice(2, 17);
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    const value = /[0-9]/.test(char) ? Number(char) : (char.charCodeAt(0) - 63) % 10;
+    sum += i % 2 === 1 ? value * 2 : value;
+  }
+  return (10 - (sum % 10)) % 10 === Number(trackingNumber[17]);
+}
+
+/**
+ * FedEx Express 12-digit mod-11 (weights 3,1,7 from the left)
+ * @param {string} digits - 12-digit number
+ * @returns {boolean}
+ */
+function isValidFedExMod11(digits) {
+  const weights = [3, 1, 7];
+  let sum = 0;
+  for (let i = 0; i < 11; i++) {
+    sum += Number(digits[i]) * weights[i % 3];
+  }
+  return (sum % 11) % 10 === Number(digits[11]);
+}
+
+/**
+ * UPU S10 check digit (weights 8,6,4,2,3,5,9,7 over the 8-digit serial)
+ * @param {string} trackingNumber - 13-character S10 number, e.g. "EE123456785US"
+ * @returns {boolean}
+ */
+function isValidS10(trackingNumber) {
+  const weights = [8, 6, 4, 2, 3, 5, 9, 7];
+  const serial = trackingNumber.slice(2, 10);
+  let sum = 0;
+  for (let i = 0; i < 8; i++) {
+    sum += Number(serial[i]) * weights[i];
+  }
+  let check = 11 - (sum % 11);
+  if (check === 10) check = 0;
+  if (check === 11) check = 5;
+  return check === Number(trackingNumber[10]);
+}
+
+/**
+ * Split a UPU S10 number into its parts
+ * The two-letter suffix is the country of the post that accepted the item
+ * @param {string} trackingNumber - Tracking number as typed
+ * @returns {Object|null} - { trackingNumber, serviceIndicator, serial, checkDigit, country, checkDigitValid },
+ *   or null when the number is not in S10 format
+ */
+function parseS10(trackingNumber) {
+  const normalized = normalizeTrackingNumber(trackingNumber);
+  const match = normalized.match(/^([A-Z]{2})([0-9]{8})([0-9])([A-Z]{2})$/);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    trackingNumber: normalized,
+    serviceIndicator: match[1],
+    serial: match[2],
+    checkDigit: match[3],
+    country: match[4],
+    checkDigitValid: isValidS10(normalized)
+  };
+}
+
+/**
+ * DHL Express waybill mod-7
+ * @param {string} digits - 10-digit waybill
+ * @returns {boolean}
+ */
+function isValidDhlMod7(digits) {
+  return Number(digits.slice(0, -1)) % 7 === Number(digits.slice(-1));
+}
+
+// Check-digit algorithms a registry format can name in `checkDigit`
+const CHECK_DIGITS = {
+  mod10: isValidMod10,
+  ups1z: isValidUps1Z,
+  fedexMod11: isValidFedExMod11,
+  s10: isValidS10,
+  dhlMod7: isValidDhlMod7
+};
+
+/**
+ * Known formats, from the carrier registry (config/carriers.json)
+ * `valid` is the check-digit test (omitted for formats without one); it runs on the
+ * whole number, or on capture group `checkGroup`. A format scores `confidence` when
+ * its check digit validates (or it has none) and `invalidConfidence` when it does
+ * not - zero drops the candidate
+ */
+const FORMATS = CARRIERS.flatMap(carrier => carrier.formats.map(format => {
+  const check = format.checkDigit && CHECK_DIGITS[format.checkDigit];
+  if (format.checkDigit && !check) {
+    throw new Error(`Unknown check digit "${format.checkDigit}" in ${carrier.name} format "${format.name}"`);
+  }
+
+  return {
+    carrier: carrier.name,
+    format: format.name,
+    pattern: new RegExp(format.pattern),
+    exclude: format.exclude ? new RegExp(format.exclude) : null,
+    valid: check ? (number, match) => check(format.checkGroup ? match[format.checkGroup] : number) : null,
+    confidence: format.confidence,
+    invalidConfidence: format.invalidConfidence || 0
+  };
+}));
+
+/**
+ * Rank the carriers a tracking number could belong to
+ * @param {string} trackingNumber - Tracking number as typed
+ * @returns {Object} - { trackingNumber (normalized), candidates, bestMatch, ambiguous }
+ *   candidates: [{ carrier, format, confidence, checkDigitValid }] best first, one per carrier;
+ *   checkDigitValid is null for formats without a check digit
+ */
+function detectCarrier(trackingNumber) {
+  const normalized = normalizeTrackingNumber(trackingNumber);
+  const byCarrier = new Map();
+
+  for (const format of FORMATS) {
+    const match = normalized.match(format.pattern);
+    if (!match || (format.exclude && format.exclude.test(normalized))) {
+      continue;
+    }
+
+    const checkDigitValid = format.valid ? format.valid(normalized, match) : null;
+    const confidence = checkDigitValid === false ? format.invalidConfidence : format.confidence;
+    if (!confidence) {
+      continue;
+    }
+
+    // Keep each carrier's strongest reading of the number
+    const existing = byCarrier.get(format.carrier);
+    if (!existing || confidence > existing.confidence) {
+      byCarrier.set(format.carrier, {
+        carrier: format.carrier,
+        format: format.format,
+        confidence,
+        checkDigitValid
+      });
+    }
+  }
+
+  const candidates = [...byCarrier.values()].sort((a, b) => b.confidence - a.confidence);
+  const [best, runnerUp] = candidates;
+
+  return {
+    trackingNumber: normalized,
+    candidates,
+    bestMatch: best || null,
+    ambiguous: !!best && (best.confidence < MIN_CONFIDENT_SCORE
+      || (!!runnerUp && best.confidence - runnerUp.confidence < AMBIGUITY_MARGIN))
+  };
+}
+
+module.exports = {
+  normalizeTrackingNumber,
+  detectCarrier,
+  isValidMod10,
+  isValidUps1Z,
+  isValidFedExMod11,
+  isValidS10,
+  isValidDhlMod7,
+  parseS10
+};
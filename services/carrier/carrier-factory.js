@@ -1,4 +1,6 @@
-const USPSCarrier = require('./usps');
+const { prisma } = require('../../lib/prisma');
+const { CARRIERS } = require('./carrier-registry');
+const { getConfig } = require('../../config/env');
 
 /**
  * Carrier Factory
@@ -12,17 +14,55 @@ class CarrierFactory {
 
   /**
    * Initialize available carriers
+   * Each registry entry with an `adapter` loads services/carrier/<adapter>.js, whose
+   * static fromConfig() returns a service, or null when its credentials are not set
    */
   initializeCarriers() {
-    // USPS
-    if (process.env.USPS_USER_ID) {
-      const usps = new USPSCarrier(process.env.USPS_USER_ID);
-      this.carriers.set('USPS', usps);
-      this.carriers.set('usps', usps);
-    }
+    const config = getConfig();
+    const context = { getCarrier: name => this.getCarrier(name) };
+
+    CARRIERS.filter(definition => definition.adapter).forEach(definition => {
+      const Adapter = require(`./${definition.adapter}`);
+      const service = Adapter.fromConfig(config, context);
 
-    // TODO: Add other carriers as they're implemented
-    // UPS, FedEx, DHL will be added here
+      if (service) {
+        this.carriers.set(definition.name.toUpperCase(), service);
+        this.carriers.set(definition.name.toLowerCase(), service);
+      }
+    });
+  }
+
+  /**
+   * Apply the admin switches stored on carrier rows (PATCH /api/admin/carriers/:carrierId)
+   * A carrier disabled there stops being available, even with credentials set
+   * @param {Array} carriers - Carrier rows ({ name, isActive })
+   */
+  applyCarrierSettings(carriers) {
+    carriers.forEach(carrier => {
+      const service = this.getCarrier(carrier.name);
+      if (service) {
+        service.isActive = carrier.isActive !== false;
+      }
+    });
+  }
+
+  /**
+   * Reload the admin switches from the carriers table
+   * Called before background work so other processes' admin changes are honoured
+   * @param {string[]} names - Only reload these carriers (default all)
+   * @returns {Promise<Array>} - Carrier rows
+   */
+  async syncCarrierSettings(names) {
+    const carriers = await prisma.carrier.findMany({
+      ...(names && {
+        where: {
+          OR: [...new Set(names)].map(name => ({ name: { equals: name, mode: 'insensitive' } }))
+        }
+      }),
+      select: { name: true, isActive: true }
+    });
+    this.applyCarrierSettings(carriers);
+    return carriers;
   }
 
   /**
@@ -41,12 +81,34 @@ class CarrierFactory {
 
   /**
    * Get all available carriers
-   * @returns {Array} - Array of available carrier names
+   * @returns {Array} - Registry names ('FedEx') of carriers with a service
    */
   getAvailableCarriers() {
-    return Array.from(this.carriers.keys()).filter(name => 
-      name === name.toUpperCase() // Only return uppercase names to avoid duplicates
-    );
+    return CARRIERS
+      .filter(definition => this.carriers.has(definition.name.toUpperCase()))
+      .map(definition => definition.name);
+  }
+
+  /**
+   * Describe every registry carrier with its service status (for the /carriers endpoints)
+   * @returns {Array} - [{ name, displayName, aliases, branding, trackingUrl, lastMile, formats, available, configured, automaticTracking }]
+   */
+  listCarriers() {
+    return CARRIERS.map(definition => {
+      const service = this.getCarrier(definition.name);
+      return {
+        name: definition.name,
+        displayName: definition.displayName,
+        aliases: definition.aliases,
+        branding: definition.branding || null,
+        trackingUrl: definition.trackingUrl || null,
+        lastMile: definition.lastMile,
+        formats: definition.formats.map(format => format.name),
+        available: !!service && !!service.isServiceActive(),
+        configured: !!service?.apiKey,
+        automaticTracking: this.canTrackAutomatically(definition.name)
+      };
+    });
   }
 
   /**
@@ -59,6 +121,17 @@ class CarrierFactory {
     return carrier && carrier.isServiceActive();
   }
 
+  /**
+   * Check if a carrier can be tracked without manual updates
+   * @param {string} carrierName - Name of the carrier
+   * @param {Object} options - Tracking options passed to trackPackage()
+   * @returns {boolean} - Whether background processing should run
+   */
+  canTrackAutomatically(carrierName, options = {}) {
+    const carrier = this.getCarrier(carrierName);
+    return !!carrier && !!carrier.isServiceActive() && carrier.supportsAutomaticTracking(options);
+  }
+
   /**
    * Get carrier status information
    * @returns {Object} - Status of all carriers
@@ -0,0 +1,164 @@
+const { prisma } = require('../../lib/prisma');
+const carrierFactory = require('./carrier-factory');
+const { detectCarrier } = require('./carrier-detection');
+const { SHIPMENT_STATUSES } = require('./shipment-status');
+const { LOOKUP_SOURCES, getQuotaStatus, recordCarrierLookup } = require('../carrier-quota');
+const { createLogger } = require('../../utils/logger');
+
+const logger = createLogger('CarrierProbe');
+
+/**
+ * Carrier Probe
+ * Settles ambiguous detection by asking the carriers themselves: every plausible
+ * carrier with a configured tracking API is queried in parallel, and the one
+ * that returns real tracking data wins
+ */
+
+// A carrier that has not answered by then counts as not recognizing the number
+const PROBE_TIMEOUT_MS = 10000;
+
+/**
+ * Query each plausible carrier for a tracking number
+ * Plausible carriers are the detection candidates, or every active carrier when
+ * the number matches no known format; carriers without an automatic tracking API,
+ * disabled by an admin or out of lookups for the hour (see carrier-quota.js) are
+ * reported as skipped
+ * @param {string} trackingNumber - Tracking number as typed
+ * @param {Object} detection - detectCarrier() result, if already computed
+ * @returns {Promise<Object>} - { carrier, trackingData, results }
+ *   carrier: chosen { id, name, displayName } or null; trackingData: its trackPackage() result;
+ *   results: [{ carrier, confidence, probed, found, error, eventCount, shipmentStatus }]
+ */
+async function probeCarriers(trackingNumber, detection = detectCarrier(trackingNumber)) {
+  const activeCarriers = await prisma.carrier.findMany({
+    where: { isActive: true },
+    select: {
+      id: true,
+      name: true,
+      displayName: true
+    }
+  });
+
+  const candidates = detection.candidates.length > 0
+    ? detection.candidates
+    : activeCarriers.map(carrier => ({ carrier: carrier.name, confidence: 0 }));
+
+  const plausible = candidates.map(candidate => ({
+    candidate,
+    record: activeCarriers.find(carrier => carrier.name.toUpperCase() === candidate.carrier.toUpperCase())
+  }));
+
+  const trackable = plausible.filter(({ record }) => record && carrierFactory.canTrackAutomatically(record.name));
+
+  // Each probe is a lookup against the carrier's hourly quota
+  const quotas = await Promise.all(trackable.map(({ record }) => getQuotaStatus(record.name)));
+  const probed = trackable.filter((entry, index) => quotas[index].remaining > 0);
+  await Promise.all(probed.map(({ record }) => recordCarrierLookup(record.name, LOOKUP_SOURCES.PROBE)));
+
+  const settled = await Promise.allSettled(probed.map(({ record }) =>
+    withTimeout(
+      carrierFactory.getCarrier(record.name).trackPackage(detection.trackingNumber),
+      PROBE_TIMEOUT_MS,
+      `${record.name} did not respond within ${PROBE_TIMEOUT_MS / 1000}s`
+    )
+  ));
+
+  const answers = probed.map(({ candidate, record }, index) => {
+    const outcome = settled[index];
+    const trackingData = outcome.status === 'fulfilled' ? outcome.value : null;
+    return {
+      candidate,
+      record,
+      trackingData,
+      found: hasTrackingData(trackingData),
+      error: outcome.status === 'rejected' ? outcome.reason.message : trackingData?.error || null
+    };
+  });
+
+  // Most plausible carrier that knows the number; more events breaks a tie
+  const winner = answers
+    .filter(answer => answer.found)
+    .sort((a, b) => (b.candidate.confidence - a.candidate.confidence)
+      || ((b.trackingData.events?.length || 0) - (a.trackingData.events?.length || 0)))[0];
+
+  const results = [
+    ...answers.map(answer => ({
+      carrier: answer.record.name,
+      confidence: answer.candidate.confidence,
+      probed: true,
+      found: answer.found,
+      error: answer.found ? null : answer.error || 'No tracking data returned',
+      eventCount: answer.trackingData?.events?.length || 0,
+      shipmentStatus: answer.found ? answer.trackingData.shipmentStatus : null
+    })),
+    ...plausible
+      .filter(entry => !probed.includes(entry))
+      .map(entry => ({
+        carrier: entry.record?.name || entry.candidate.carrier,
+        confidence: entry.candidate.confidence,
+        probed: false,
+        found: false,
+        error: skipReason(entry, trackable),
+        eventCount: 0,
+        shipmentStatus: null
+      }))
+  ];
+
+  logger.info('Probed carriers', {
+    trackingNumber: detection.trackingNumber,
+    probed: probed.map(({ record }) => record.name),
+    carrier: winner ? winner.record.name : null
+  });
+
+  return {
+    carrier: winner ? winner.record : null,
+    trackingData: winner ? winner.trackingData : null,
+    results
+  };
+}
+
+/**
+ * Why a plausible carrier was not probed
+ * @param {Object} entry - { candidate, record }
+ * @param {Array} trackable - Entries whose carrier can be tracked automatically
+ * @returns {string}
+ */
+function skipReason(entry, trackable) {
+  if (!entry.record) {
+    return 'Carrier is disabled';
+  }
+  return trackable.includes(entry) ? 'Hourly lookup quota reached' : 'No automatic tracking available';
+}
+
+/**
+ * Whether a trackPackage() result describes a real shipment
+ * Carriers answer unknown numbers with an error, or with an empty "Unknown" shipment
+ * @param {Object|null} trackingData - trackPackage() result
+ * @returns {boolean}
+ */
+function hasTrackingData(trackingData) {
+  return !!trackingData?.success && (
+    (trackingData.events?.length || 0) > 0
+    || (!!trackingData.shipmentStatus && trackingData.shipmentStatus !== SHIPMENT_STATUSES.UNKNOWN)
+  );
+}
+
+/**
+ * Reject if a promise does not settle in time
+ * @param {Promise} promise - Pending work
+ * @param {number} ms - Time limit
+ * @param {string} message - Error message on timeout
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  PROBE_TIMEOUT_MS,
+  probeCarriers
+};
@@ -0,0 +1,113 @@
+const { carriers: definitions } = require('../../config/carriers.json');
+
+/**
+ * Carrier Registry
+ * Every carrier the app knows about is described once, in config/carriers.json:
+ * name and aliases, tracking number formats, tracking URL template, branding,
+ * the adapter module under services/carrier/, its hourly poll quota and, for
+ * national posts, the UPU country code that ends its S10 numbers (`upuCountry`).
+ * Route validators, detection, seeding, the /carriers endpoints, the carrier
+ * factory and the web client all read it - adding a carrier is one entry
+ * (plus its adapter module, if it has a tracking API)
+ */
+
+/**
+ * Fail fast on a malformed registry entry
+ * @param {Object} definition - Raw carrier definition
+ * @returns {Object} - The same definition
+ */
+function validateDefinition(definition) {
+  const label = `Carrier definition "${definition.name}"`;
+
+  if (!definition.name || !definition.displayName) {
+    throw new Error(`${label} needs a name and displayName`);
+  }
+
+  if (definition.upuCountry && !/^[A-Z]{2}$/.test(definition.upuCountry)) {
+    throw new Error(`${label} needs a two-letter upuCountry`);
+  }
+
+  (definition.formats || []).forEach(format => {
+    if (!format.name || !format.pattern || typeof format.confidence !== 'number') {
+      throw new Error(`${label} has a format without name, pattern or confidence`);
+    }
+  });
+
+  return definition;
+}
+
+const CARRIERS = Object.freeze(definitions.map(definition => Object.freeze(validateDefinition({
+  aliases: [],
+  adapter: null,
+  upuCountry: null,
+  lastMile: false,
+  formats: [],
+  ...definition
+}))));
+
+// Canonical names with their brand casing ('FedEx', 'Amazon') - what the database stores
+const CARRIER_NAMES = Object.freeze(CARRIERS.map(carrier => carrier.name));
+
+// Carriers Amazon can hand a package to for last-mile delivery
+const LAST_MILE_CARRIER_NAMES = Object.freeze(CARRIERS.filter(carrier => carrier.lastMile).map(carrier => carrier.name));
+
+const byName = new Map();
+CARRIERS.forEach(carrier => {
+  [carrier.name, ...carrier.aliases].forEach(name => {
+    const key = name.toUpperCase();
+    if (byName.has(key)) {
+      throw new Error(`Carrier name or alias "${name}" is used more than once`);
+    }
+    byName.set(key, carrier);
+  });
+});
+
+const byCountry = new Map();
+CARRIERS.filter(carrier => carrier.upuCountry).forEach(carrier => {
+  if (byCountry.has(carrier.upuCountry)) {
+    throw new Error(`UPU country "${carrier.upuCountry}" is assigned to more than one carrier`);
+  }
+  byCountry.set(carrier.upuCountry, carrier);
+});
+
+/**
+ * Look up a carrier by name or alias (case insensitive)
+ * @param {string} carrierName - Name as given ('fedex', 'Federal Express', ...)
+ * @returns {Object|null} - Carrier definition or null
+ */
+function getCarrierDefinition(carrierName) {
+  if (!carrierName || typeof carrierName !== 'string') {
+    return null;
+  }
+  return byName.get(carrierName.trim().toUpperCase()) || null;
+}
+
+/**
+ * National post for a UPU country code
+ * @param {string} country - Two-letter code, e.g. the S10 suffix "CN"
+ * @returns {Object|null} - Carrier definition or null when the registry has no post for it
+ */
+function getPostForCountry(country) {
+  if (!country) {
+    return null;
+  }
+  return byCountry.get(country.toUpperCase()) || null;
+}
+
+/**
+ * Canonical name for a carrier name or alias
+ * @param {string} carrierName - Name as given
+ * @returns {string|null} - Canonical name ('FedEx') or null when unknown
+ */
+function resolveCarrierName(carrierName) {
+  return getCarrierDefinition(carrierName)?.name || null;
+}
+
+module.exports = {
+  CARRIERS,
+  CARRIER_NAMES,
+  LAST_MILE_CARRIER_NAMES,
+  getCarrierDefinition,
+  getPostForCountry,
+  resolveCarrierName
+};
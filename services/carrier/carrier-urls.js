@@ -1,39 +1,14 @@
+const { getCarrierDefinition } = require('./carrier-registry');
+
 /**
  * Carrier Tracking URL Generator
- * Generates tracking URLs for different carriers
+ * Generates tracking URLs from each carrier's `trackingUrl` template in the
+ * carrier registry, where {trackingNumber} is replaced by the number
  */
 
-const carrierUrls = {
-  USPS: (trackingNumber) => {
-    // Remove spaces and format
-    const cleanNumber = trackingNumber.replace(/\s+/g, '');
-    return `https://tools.usps.com/go/TrackConfirmAction?tLabels=${cleanNumber}`;
-  },
-  
-  UPS: (trackingNumber) => {
-    const cleanNumber = trackingNumber.replace(/\s+/g, '');
-    return `https://www.ups.com/track?tracknum=${cleanNumber}`;
-  },
-  
-  FedEx: (trackingNumber) => {
-    const cleanNumber = trackingNumber.replace(/\s+/g, '');
-    return `https://www.fedex.com/fedextrack/?trknbr=${cleanNumber}`;
-  },
-  
-  DHL: (trackingNumber) => {
-    const cleanNumber = trackingNumber.replace(/\s+/g, '');
-    return `https://www.dhl.com/en/express/tracking.html?AWB=${cleanNumber}`;
-  },
-  
-  Amazon: (trackingNumber) => {
-    const cleanNumber = trackingNumber.replace(/\s+/g, '');
-    return `https://www.amazon.com/progress-tracker/package/${cleanNumber}`;
-  }
-};
-
 /**
  * Get tracking URL for a carrier and tracking number
- * @param {string} carrierName - Name of the carrier
+ * @param {string} carrierName - Name (or alias) of the carrier
  * @param {string} trackingNumber - Tracking number
  * @returns {string|null} - Tracking URL or null if carrier not supported
  */
@@ -42,18 +17,16 @@ function getTrackingUrl(carrierName, trackingNumber) {
     return null;
   }
 
-  const normalizedCarrier = carrierName.toUpperCase();
-  const urlGenerator = carrierUrls[normalizedCarrier];
-  
-  if (!urlGenerator) {
+  const template = getCarrierDefinition(carrierName)?.trackingUrl;
+  if (!template) {
     return null;
   }
 
-  return urlGenerator(trackingNumber);
+  // Remove spaces before putting the number in the URL
+  const cleanNumber = trackingNumber.replace(/\s+/g, '');
+  return template.replace('{trackingNumber}', encodeURIComponent(cleanNumber));
 }
 
 module.exports = {
-  getTrackingUrl,
-  carrierUrls
+  getTrackingUrl
 };
-
@@ -0,0 +1,20 @@
+/**
+ * Carrier Utilities
+ * Helpers shared by carrier adapters that parse XML responses with xml2js
+ */
+
+/**
+ * Normalize an xml2js value that may be missing, a single node or a list
+ * @param {*} value - Parsed XML value
+ * @returns {Array} - List of nodes
+ */
+function toArray(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  toArray
+};
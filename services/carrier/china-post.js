@@ -0,0 +1,48 @@
+const PostalCarrier = require('./postal-carrier');
+const { getPostForCountry } = require('./carrier-registry');
+
+/**
+ * China Post / EMS Carrier Implementation
+ * China Post has no public tracking API, so the origin leg cannot be fetched.
+ * International items (S10 numbers ending in CN, including EMS) are followed
+ * through the destination post once China Post hands them over
+ */
+class ChinaPostCarrier extends PostalCarrier {
+  constructor(options = {}) {
+    super('ChinaPost', null, options);
+  }
+
+  /**
+   * Build the China Post service - it needs no credentials
+   * @param {Object} config - getConfig() result
+   * @param {Object} context - { getCarrier } lookup for the destination post
+   * @returns {ChinaPostCarrier}
+   */
+  static fromConfig(config, { getCarrier }) {
+    return new ChinaPostCarrier({
+      destinationCountry: config.POSTAL_DESTINATION_COUNTRY,
+      getCarrier
+    });
+  }
+
+  /**
+   * China Post needs no credentials - it is always available
+   * @returns {boolean} - Whether the service is active
+   */
+  isServiceActive() {
+    return this.isActive;
+  }
+
+  /**
+   * China Post can only be tracked automatically through the destination post
+   * @param {Object} options - Tracking options
+   * @returns {boolean} - Whether trackPackage() can fetch status
+   */
+  supportsAutomaticTracking(options = {}) {
+    const country = this.toCountryCode(options.destinationCountry) || this.defaultDestinationCountry;
+    const post = this.getCarrier(getPostForCountry(country)?.name);
+    return !!post && post !== this && !!post.isServiceActive() && post.supportsAutomaticTracking();
+  }
+}
+
+module.exports = ChinaPostCarrier;
@@ -0,0 +1,40 @@
+const { CARRIERS } = require('./carrier-registry');
+
+/**
+ * Default Carriers
+ * Carrier rows every installation needs, one per carrier registry entry. Used by
+ * `npm run db:seed` and the admin console; existing rows are left alone so admin
+ * edits survive reseeding
+ */
+
+const DEFAULT_CARRIERS = CARRIERS.map(carrier => ({
+  name: carrier.name,
+  displayName: carrier.displayName,
+  apiEndpoint: carrier.apiEndpoint || null
+}));
+
+/**
+ * Create any default carriers that do not exist yet
+ * @param {Object} prisma - Prisma client
+ * @returns {Promise<Array>} - Carriers that were created
+ */
+async function seedCarriers(prisma) {
+  const created = [];
+
+  for (const carrier of DEFAULT_CARRIERS) {
+    const existing = await prisma.carrier.findUnique({
+      where: { name: carrier.name }
+    });
+
+    if (!existing) {
+      created.push(await prisma.carrier.create({ data: carrier }));
+    }
+  }
+
+  return created;
+}
+
+module.exports = {
+  DEFAULT_CARRIERS,
+  seedCarriers
+};
@@ -0,0 +1,309 @@
+const axios = require('axios');
+const BaseCarrier = require('./base-carrier');
+const { SHIPMENT_STATUSES } = require('./shipment-status');
+
+/**
+ * DHL status codes mapped to canonical shipment statuses
+ * DHL has no out-for-delivery or return code - those come from the description
+ */
+const DHL_STATUS_CODES = {
+  'pre-transit': SHIPMENT_STATUSES.LABEL_CREATED,
+  transit: SHIPMENT_STATUSES.IN_TRANSIT,
+  delivered: SHIPMENT_STATUSES.DELIVERED,
+  failure: SHIPMENT_STATUSES.EXCEPTION
+};
+
+/**
+ * DHL service lines reported by the Unified Shipment Tracking API
+ */
+const DHL_SERVICES = {
+  express: 'DHL Express',
+  ecommerce: 'DHL eCommerce',
+  'ecommerce-europe': 'DHL eCommerce Europe',
+  'ecommerce-apac': 'DHL eCommerce Asia-Pacific',
+  'parcel-de': 'DHL Parcel Germany',
+  'parcel-nl': 'DHL Parcel Netherlands',
+  'parcel-pl': 'DHL Parcel Poland',
+  'parcel-uk': 'DHL Parcel UK',
+  freight: 'DHL Freight',
+  dgf: 'DHL Global Forwarding',
+  'post-de': 'Deutsche Post',
+  sameday: 'DHL Same Day',
+  svb: 'DHL Supply Chain'
+};
+
+/**
+ * DHL Carrier Service Implementation
+ * Based on DHL Shipment Tracking - Unified API v1
+ */
+class DHLCarrier extends BaseCarrier {
+  constructor(apiKey, options = {}) {
+    super('DHL', apiKey);
+    this.baseUrl = options.baseUrl || 'https://api-eu.dhl.com';
+  }
+
+  /**
+   * Build the DHL service (Express, eCommerce and Parcel through the Unified Tracking API) from app config
+   * @param {Object} config - getConfig() result
+   * @returns {DHLCarrier|null} - Service, or null when its credentials are not set
+   */
+  static fromConfig(config) {
+    if (!config.DHL_API_KEY) {
+      return null;
+    }
+    return new DHLCarrier(config.DHL_API_KEY, {
+      baseUrl: config.DHL_API_URL
+    });
+  }
+
+  /**
+   * Track a DHL package
+   * @param {string} trackingNumber - DHL tracking number
+   * @param {Object} options - Optional tracking options
+   * @param {string} options.service - Restrict lookup to one service line (e.g. 'express')
+   * @returns {Promise<Object>} - Standardized tracking data
+   */
+  async trackPackage(trackingNumber, options = {}) {
+    try {
+      if (!this.isServiceActive()) {
+        throw this.permanentError('DHL service is not properly configured');
+      }
+
+      if (!this.validateTrackingNumber(trackingNumber)) {
+        throw this.permanentError('Invalid DHL tracking number format');
+      }
+
+      // Clean tracking number
+      const cleanTrackingNumber = trackingNumber.replace(/\s/g, '').toUpperCase();
+
+      const response = await axios.get(`${this.baseUrl}/track/shipments`, {
+        params: {
+          trackingNumber: cleanTrackingNumber,
+          ...(options.service && { service: options.service }),
+          language: 'en'
+        },
+        headers: {
+          'DHL-API-Key': this.apiKey,
+          Accept: 'application/json'
+        },
+        timeout: 10000
+      });
+
+      const trackingData = this.parseTrackResponse(response.data, cleanTrackingNumber);
+      return this.standardizeData(trackingData);
+
+    } catch (error) {
+      return this.handleError(this.normalizeApiError(error));
+    }
+  }
+
+  /**
+   * Parse DHL Unified Tracking response
+   * The same number can be known to several service lines; the one with
+   * the most recent status update is used and the others are listed
+   * @param {Object} data - JSON response from DHL API
+   * @param {string} trackingNumber - Clean tracking number that was requested
+   * @returns {Object} - Parsed tracking data
+   */
+  parseTrackResponse(data, trackingNumber) {
+    const shipments = data?.shipments || [];
+
+    if (shipments.length === 0) {
+      throw new Error('DHL API Error: Tracking information not found');
+    }
+
+    const shipment = [...shipments].sort((a, b) =>
+      this.toTime(b.status?.timestamp) - this.toTime(a.status?.timestamp)
+    )[0];
+
+    const events = (shipment.events || [])
+      .map(event => this.parseEvent(event))
+      .sort((a, b) => this.toTime(b.timestamp) - this.toTime(a.timestamp));
+
+    const status = shipment.status || {};
+    const details = shipment.details || {};
+
+    return {
+      trackingNumber: shipment.id || trackingNumber,
+      service: shipment.service || null,
+      serviceName: DHL_SERVICES[shipment.service] || shipment.service || null,
+      otherServices: shipments
+        .filter(other => other !== shipment)
+        .map(other => other.service),
+      currentStatus: status.description || status.status || events[0]?.description || 'Unknown',
+      currentLocation: this.formatLocation(status.location) || events[0]?.location || 'Unknown',
+      shippedDate: this.findShippedDate(events),
+      expectedDeliveryDate: this.findExpectedDeliveryDate(shipment),
+      deliveryWindow: this.findDeliveryWindow(shipment),
+      pieceCount: this.findPieceCount(details),
+      pieceIds: details.pieceIds || [],
+      proofOfDelivery: this.parseProofOfDelivery(details.proofOfDelivery),
+      events,
+      rawData: data
+    };
+  }
+
+  /**
+   * Convert a DHL event into a standardized event
+   * @param {Object} event - DHL events entry
+   * @returns {Object} - Standardized event
+   */
+  parseEvent(event) {
+    const address = event.location?.address || {};
+
+    return {
+      timestamp: event.timestamp || null,
+      description: event.description || event.status || '',
+      eventCode: event.statusCode || null,
+      statusType: event.statusCode || null,
+      pieceIds: event.pieceIds || [],
+      location: this.formatLocation(event.location),
+      city: address.addressLocality || null,
+      state: null,
+      postalCode: address.postalCode || null,
+      country: address.countryCode || null
+    };
+  }
+
+  /**
+   * Format a DHL location as "Locality, CC"
+   * @param {Object} location - DHL location object
+   * @returns {string|null} - Location string or null
+   */
+  formatLocation(location) {
+    const address = location?.address;
+    if (!address) {
+      return null;
+    }
+    const formatted = [address.addressLocality, address.countryCode]
+      .filter(Boolean)
+      .join(', ');
+    return formatted || null;
+  }
+
+  /**
+   * Find the first event after the pre-transit (label) stage
+   * @param {Array} events - Standardized events (newest first)
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  findShippedDate(events) {
+    const firstScan = [...events].reverse().find(event => event.eventCode !== 'pre-transit');
+    return firstScan?.timestamp ? firstScan.timestamp.slice(0, 10) : null;
+  }
+
+  /**
+   * Pick the delivery date: proof of delivery, then the DHL estimate
+   * @param {Object} shipment - DHL shipment entry
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  findExpectedDeliveryDate(shipment) {
+    const date = shipment.details?.proofOfDelivery?.timestamp ||
+      shipment.estimatedTimeOfDelivery ||
+      shipment.estimatedDeliveryTimeFrame?.estimatedThrough;
+    return date ? date.slice(0, 10) : null;
+  }
+
+  /**
+   * Extract the estimated delivery time frame
+   * @param {Object} shipment - DHL shipment entry
+   * @returns {Object|null} - { start, end } timestamps or null
+   */
+  findDeliveryWindow(shipment) {
+    const frame = shipment.estimatedDeliveryTimeFrame;
+    if (!frame || (!frame.estimatedFrom && !frame.estimatedThrough)) {
+      return null;
+    }
+    return {
+      start: frame.estimatedFrom || null,
+      end: frame.estimatedThrough || null
+    };
+  }
+
+  /**
+   * Get the number of pieces in the shipment
+   * @param {Object} details - DHL shipment details
+   * @returns {number|null} - Piece count or null if unknown
+   */
+  findPieceCount(details) {
+    if (details.totalNumberOfPieces) {
+      return details.totalNumberOfPieces;
+    }
+    return details.pieceIds?.length || null;
+  }
+
+  /**
+   * Normalize DHL proof-of-delivery references
+   * @param {Object} proofOfDelivery - DHL proofOfDelivery object
+   * @returns {Object|null} - Proof of delivery references or null
+   */
+  parseProofOfDelivery(proofOfDelivery) {
+    if (!proofOfDelivery) {
+      return null;
+    }
+    return {
+      timestamp: proofOfDelivery.timestamp || null,
+      signedBy: proofOfDelivery.signed?.name || proofOfDelivery.signed?.familyName || null,
+      signatureUrl: proofOfDelivery.signatureUrl || null,
+      documentUrl: proofOfDelivery.documentUrl || null
+    };
+  }
+
+  /**
+   * Extract the DHL problem detail from an axios error, if there is one
+   * @param {Error} error - The error thrown during tracking
+   * @returns {Error} - Error with the most useful message
+   */
+  normalizeApiError(error) {
+    const problem = error.response?.data;
+    if (problem && (problem.detail || problem.title)) {
+      return new Error(`DHL API Error: ${problem.detail || problem.title}`);
+    }
+    return error;
+  }
+
+  /**
+   * Map a DHL event to a canonical shipment status
+   * @param {Object} event - Standardized event
+   * @returns {string} - Canonical shipment status
+   */
+  normalizeStatus(event) {
+    const status = DHL_STATUS_CODES[event.statusType];
+    const textStatus = super.normalizeStatus(event);
+
+    if (status === SHIPMENT_STATUSES.IN_TRANSIT &&
+      [SHIPMENT_STATUSES.OUT_FOR_DELIVERY, SHIPMENT_STATUSES.RETURNED].includes(textStatus)) {
+      return textStatus;
+    }
+    return status || textStatus;
+  }
+
+  /**
+   * Validate DHL tracking number format
+   * @param {string} trackingNumber - The tracking number to validate
+   * @returns {boolean} - Whether the tracking number is valid for DHL
+   */
+  validateTrackingNumber(trackingNumber) {
+    if (!super.validateTrackingNumber(trackingNumber)) {
+      return false;
+    }
+
+    const cleaned = trackingNumber.replace(/\s/g, '').toUpperCase();
+
+    // DHL tracking number patterns
+    const dhlPatterns = [
+      /^[0-9]{10,11}$/, // Express waybill
+      /^JD[0-9]{18}$/, // Express piece ID
+      /^[0-9]{12,14}$/, // Parcel Germany
+      /^[0-9]{20}$/, // Parcel Germany (20 digit)
+      /^JJD[0-9]{10,20}$/, // Parcel / Freight
+      /^JVGL[0-9]{10,20}$/, // Parcel Netherlands
+      /^GM[0-9]{16,22}$/, // eCommerce
+      /^[0-9]{3}S[0-9A-Z]{10,30}$/, // eCommerce Europe
+      /^[A-Z]{2}[0-9]{9}[A-Z]{2}$/ // UPU S10 (Deutsche Post international)
+    ];
+
+    return dhlPatterns.some(pattern => pattern.test(cleaned));
+  }
+}
+
+module.exports = DHLCarrier;
@@ -0,0 +1,319 @@
+const axios = require('axios');
+const BaseCarrier = require('./base-carrier');
+const { SHIPMENT_STATUSES } = require('./shipment-status');
+
+/**
+ * FedEx scan event types mapped to canonical shipment statuses
+ * Codes not listed here fall back to the event description
+ */
+const FEDEX_EVENT_TYPES = {
+  OC: SHIPMENT_STATUSES.LABEL_CREATED, // Shipment information sent to FedEx
+  PU: SHIPMENT_STATUSES.IN_TRANSIT, // Picked up
+  AR: SHIPMENT_STATUSES.IN_TRANSIT, // Arrived at FedEx location
+  DP: SHIPMENT_STATUSES.IN_TRANSIT, // Departed FedEx location
+  IT: SHIPMENT_STATUSES.IN_TRANSIT,
+  AF: SHIPMENT_STATUSES.IN_TRANSIT, // At local FedEx facility
+  PL: SHIPMENT_STATUSES.IN_TRANSIT, // Plane landed
+  PM: SHIPMENT_STATUSES.IN_TRANSIT, // In progress
+  CC: SHIPMENT_STATUSES.IN_TRANSIT, // Cleared customs
+  OD: SHIPMENT_STATUSES.OUT_FOR_DELIVERY,
+  DL: SHIPMENT_STATUSES.DELIVERED,
+  DE: SHIPMENT_STATUSES.EXCEPTION, // Delivery exception
+  SE: SHIPMENT_STATUSES.EXCEPTION, // Shipment exception
+  CD: SHIPMENT_STATUSES.EXCEPTION, // Clearance delay
+  DY: SHIPMENT_STATUSES.EXCEPTION, // Delay
+  CA: SHIPMENT_STATUSES.EXCEPTION, // Shipment cancelled
+  RS: SHIPMENT_STATUSES.RETURNED // Returned to shipper
+};
+
+/**
+ * FedEx Carrier Service Implementation
+ * Based on FedEx Track API v1 (OAuth 2.0 client credentials)
+ */
+class FedExCarrier extends BaseCarrier {
+  constructor(apiKey, secretKey, options = {}) {
+    super('FedEx', apiKey);
+    this.secretKey = secretKey;
+    this.baseUrl = options.baseUrl || 'https://apis.fedex.com';
+  }
+
+  /**
+   * Build the FedEx service from app config
+   * @param {Object} config - getConfig() result
+   * @returns {FedExCarrier|null} - Service, or null when its credentials are not set
+   */
+  static fromConfig(config) {
+    if (!config.FEDEX_API_KEY || !config.FEDEX_SECRET_KEY) {
+      return null;
+    }
+    return new FedExCarrier(config.FEDEX_API_KEY, config.FEDEX_SECRET_KEY, {
+      baseUrl: config.FEDEX_API_URL
+    });
+  }
+
+  /**
+   * Track a FedEx package
+   * @param {string} trackingNumber - FedEx tracking number
+   * @returns {Promise<Object>} - Standardized tracking data
+   */
+  async trackPackage(trackingNumber) {
+    try {
+      if (!this.isServiceActive()) {
+        throw this.permanentError('FedEx service is not properly configured');
+      }
+
+      if (!this.validateTrackingNumber(trackingNumber)) {
+        throw this.permanentError('Invalid FedEx tracking number format');
+      }
+
+      // Clean tracking number
+      const cleanTrackingNumber = trackingNumber.replace(/\s/g, '');
+
+      const accessToken = await this.getAccessToken();
+
+      const response = await axios.post(
+        `${this.baseUrl}/track/v1/trackingnumbers`,
+        {
+          includeDetailedScans: true,
+          trackingInfo: [
+            {
+              trackingNumberInfo: {
+                trackingNumber: cleanTrackingNumber
+              }
+            }
+          ]
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json',
+            'X-locale': 'en_US'
+          },
+          timeout: 10000
+        }
+      );
+
+      const trackingData = this.parseTrackResponse(response.data);
+      return this.standardizeData(trackingData);
+
+    } catch (error) {
+      // Token was revoked or rotated early - request a new one next time
+      if (error.response?.status === 401) {
+        this.invalidateAccessToken();
+      }
+      return this.handleError(this.normalizeApiError(error));
+    }
+  }
+
+  /**
+   * Request a new OAuth access token using client credentials
+   * FedEx takes the API key and secret key in the form body
+   * @returns {Promise<Object>} - { accessToken, expiresIn }
+   */
+  async requestAccessToken() {
+    const response = await axios.post(
+      `${this.baseUrl}/oauth/token`,
+      new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: this.apiKey,
+        client_secret: this.secretKey
+      }).toString(),
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: 10000
+      }
+    );
+
+    return {
+      accessToken: response.data.access_token,
+      expiresIn: response.data.expires_in
+    };
+  }
+
+  /**
+   * Parse FedEx Track API response
+   * @param {Object} data - JSON response from FedEx Track API
+   * @returns {Object} - Parsed tracking data
+   */
+  parseTrackResponse(data) {
+    const result = data?.output?.completeTrackResults?.[0]?.trackResults?.[0];
+
+    if (!result) {
+      throw new Error('FedEx API Error: Tracking information not found');
+    }
+
+    if (result.error) {
+      throw new Error(`FedEx API Error: ${result.error.message || result.error.code}`);
+    }
+
+    // FedEx returns scan events newest first
+    const events = (result.scanEvents || []).map(scan => this.parseScanEvent(scan));
+    const latestStatus = result.latestStatusDetail || {};
+    const latestLocation = this.formatLocation(latestStatus.scanLocation) || events[0]?.location;
+
+    return {
+      trackingNumber: result.trackingNumberInfo?.trackingNumber || '',
+      currentStatus: latestStatus.statusByLocale || latestStatus.description || events[0]?.description || 'Unknown',
+      currentLocation: latestLocation || 'Unknown',
+      shippedDate: this.findShippedDate(result.dateAndTimes || []),
+      expectedDeliveryDate: this.findExpectedDeliveryDate(result),
+      deliveryWindow: this.findDeliveryWindow(result),
+      events,
+      rawData: data
+    };
+  }
+
+  /**
+   * Convert a FedEx scan event into a standardized event
+   * @param {Object} scan - FedEx scanEvents entry
+   * @returns {Object} - Standardized event
+   */
+  parseScanEvent(scan) {
+    const address = scan.scanLocation || {};
+
+    return {
+      timestamp: scan.date || null,
+      description: scan.eventDescription || scan.derivedStatus || '',
+      eventCode: scan.eventType || null,
+      statusType: scan.derivedStatusCode || null,
+      exception: scan.exceptionDescription || null,
+      location: this.formatLocation(address),
+      city: address.city || null,
+      state: address.stateOrProvinceCode || null,
+      postalCode: address.postalCode || null,
+      country: address.countryCode || null
+    };
+  }
+
+  /**
+   * Format a FedEx address as "City, ST, CC"
+   * @param {Object} address - FedEx scanLocation object
+   * @returns {string|null} - Location string or null
+   */
+  formatLocation(address) {
+    if (!address) {
+      return null;
+    }
+    const location = [address.city, address.stateOrProvinceCode, address.countryCode]
+      .filter(Boolean)
+      .join(', ');
+    return location || null;
+  }
+
+  /**
+   * Find the date FedEx took possession of the package
+   * @param {Array} dateAndTimes - FedEx dateAndTimes list
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  findShippedDate(dateAndTimes) {
+    for (const type of ['ACTUAL_PICKUP', 'SHIP', 'ACTUAL_TENDER']) {
+      const match = dateAndTimes.find(entry => entry.type === type);
+      if (match) {
+        return this.toDateOnly(match.dateTime);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Pick the best delivery date FedEx reports
+   * Actual delivery wins, then the estimate, then the end of the estimated window
+   * @param {Object} result - FedEx trackResults entry
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  findExpectedDeliveryDate(result) {
+    const dateAndTimes = result.dateAndTimes || [];
+    for (const type of ['ACTUAL_DELIVERY', 'ESTIMATED_DELIVERY', 'APPOINTMENT_DELIVERY']) {
+      const match = dateAndTimes.find(entry => entry.type === type);
+      if (match) {
+        return this.toDateOnly(match.dateTime);
+      }
+    }
+
+    const window = this.findDeliveryWindow(result);
+    return window ? this.toDateOnly(window.end || window.start) : null;
+  }
+
+  /**
+   * Extract the estimated delivery time window
+   * Falls back to the standard transit window when no estimate is available
+   * @param {Object} result - FedEx trackResults entry
+   * @returns {Object|null} - { start, end } timestamps or null
+   */
+  findDeliveryWindow(result) {
+    const window = result.estimatedDeliveryTimeWindow?.window ||
+      result.standardTransitTimeWindow?.window;
+
+    if (!window || (!window.begins && !window.ends)) {
+      return null;
+    }
+
+    return {
+      start: window.begins || null,
+      end: window.ends || null
+    };
+  }
+
+  /**
+   * Trim a FedEx timestamp (2024-01-01T12:00:00-06:00) to its local date
+   * @param {string} dateTime - FedEx timestamp
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  toDateOnly(dateTime) {
+    if (!dateTime || !/^\d{4}-\d{2}-\d{2}/.test(dateTime)) {
+      return null;
+    }
+    return dateTime.slice(0, 10);
+  }
+
+  /**
+   * Extract the FedEx error message from an axios error, if there is one
+   * @param {Error} error - The error thrown during tracking
+   * @returns {Error} - Error with the most useful message
+   */
+  normalizeApiError(error) {
+    const apiError = error.response?.data?.errors?.[0];
+    if (apiError) {
+      return new Error(`FedEx API Error: ${apiError.message} (${apiError.code})`);
+    }
+    return error;
+  }
+
+  /**
+   * Map a FedEx scan event to a canonical shipment status
+   * @param {Object} event - Standardized event
+   * @returns {string} - Canonical shipment status
+   */
+  normalizeStatus(event) {
+    return FEDEX_EVENT_TYPES[event.eventCode] ||
+      FEDEX_EVENT_TYPES[event.statusType] ||
+      super.normalizeStatus(event);
+  }
+
+  /**
+   * Validate FedEx tracking number format
+   * @param {string} trackingNumber - The tracking number to validate
+   * @returns {boolean} - Whether the tracking number is valid for FedEx
+   */
+  validateTrackingNumber(trackingNumber) {
+    if (!super.validateTrackingNumber(trackingNumber)) {
+      return false;
+    }
+
+    const cleaned = trackingNumber.replace(/\s/g, '');
+
+    // FedEx tracking number patterns
+    const fedexPatterns = [
+      /^[0-9]{12}$/, // Express
+      /^[0-9]{15}$/, // Ground
+      /^[0-9]{20}$/, // Ground Economy (SmartPost)
+      /^[0-9]{22}$/  // Ground (96 prefix) / Ground Economy
+    ];
+
+    return fedexPatterns.some(pattern => pattern.test(cleaned));
+  }
+}
+
+module.exports = FedExCarrier;
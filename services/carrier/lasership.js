@@ -0,0 +1,186 @@
+const axios = require('axios');
+const BaseCarrier = require('./base-carrier');
+const { SHIPMENT_STATUSES } = require('./shipment-status');
+
+/**
+ * LaserShip event types mapped to canonical shipment statuses
+ * Other types (Arrived, Departed, ...) fall back to the event text
+ */
+const LASERSHIP_EVENT_TYPES = {
+  Released: SHIPMENT_STATUSES.LABEL_CREATED, // Label created, not yet in the network
+  OrderReceived: SHIPMENT_STATUSES.LABEL_CREATED,
+  Received: SHIPMENT_STATUSES.IN_TRANSIT,
+  OutForDelivery: SHIPMENT_STATUSES.OUT_FOR_DELIVERY,
+  Delivered: SHIPMENT_STATUSES.DELIVERED,
+  Attempted: SHIPMENT_STATUSES.EXCEPTION,
+  Exception: SHIPMENT_STATUSES.EXCEPTION,
+  Returned: SHIPMENT_STATUSES.RETURNED
+};
+
+/**
+ * LaserShip (OnTrac East) Carrier Service Implementation
+ * Based on the LaserShip tracking API (JSON), which still serves LaserShip
+ * numbers after the OnTrac merger
+ */
+class LaserShipCarrier extends BaseCarrier {
+  constructor(apiId, apiKey, options = {}) {
+    super('LaserShip', apiKey);
+    this.apiId = apiId;
+    this.baseUrl = options.baseUrl || 'https://api.lasership.com';
+  }
+
+  /**
+   * Build the LaserShip service from app config
+   * @param {Object} config - getConfig() result
+   * @returns {LaserShipCarrier|null} - Service, or null when its credentials are not set
+   */
+  static fromConfig(config) {
+    if (!config.LASERSHIP_API_ID || !config.LASERSHIP_API_KEY) {
+      return null;
+    }
+    return new LaserShipCarrier(config.LASERSHIP_API_ID, config.LASERSHIP_API_KEY, {
+      baseUrl: config.LASERSHIP_API_URL
+    });
+  }
+
+  /**
+   * Track a LaserShip package
+   * @param {string} trackingNumber - LaserShip tracking number (1LS... or L + letter + 8 digits)
+   * @returns {Promise<Object>} - Standardized tracking data
+   */
+  async trackPackage(trackingNumber) {
+    try {
+      if (!this.isServiceActive()) {
+        throw this.permanentError('LaserShip service is not properly configured');
+      }
+
+      if (!this.validateTrackingNumber(trackingNumber)) {
+        throw this.permanentError('Invalid LaserShip tracking number format');
+      }
+
+      const cleanTrackingNumber = trackingNumber.replace(/\s/g, '').toUpperCase();
+
+      const response = await axios.get(
+        `${this.baseUrl}/Method/GetTrackingInfo/json/${encodeURIComponent(this.apiId)}/${encodeURIComponent(this.apiKey)}/${encodeURIComponent(cleanTrackingNumber)}`,
+        {
+          headers: { Accept: 'application/json' },
+          timeout: 10000
+        }
+      );
+
+      const trackingData = this.parseTrackResponse(response.data, cleanTrackingNumber);
+      return this.standardizeData(trackingData);
+
+    } catch (error) {
+      return this.handleError(this.normalizeApiError(error));
+    }
+  }
+
+  /**
+   * Parse a LaserShip tracking response
+   * @param {Object} data - JSON response from LaserShip
+   * @param {string} trackingNumber - Clean tracking number that was requested
+   * @returns {Object} - Parsed tracking data
+   */
+  parseTrackResponse(data, trackingNumber) {
+    if (data?.Error) {
+      throw new Error(`LaserShip API Error: ${data.ErrorMessage || data.Error}`);
+    }
+
+    if (!data?.Events) {
+      throw new Error('LaserShip API Error: Tracking information not found');
+    }
+
+    const events = data.Events
+      .map(event => this.parseEvent(event))
+      .sort((a, b) => this.toTime(b.timestamp) - this.toTime(a.timestamp));
+
+    const delivery = data.Events.find(event => event.EventType === 'Delivered');
+
+    return {
+      trackingNumber: data.Pieces?.[0]?.TrackingNumber || trackingNumber,
+      currentStatus: events[0]?.description || 'Unknown',
+      currentLocation: events[0]?.location || 'Unknown',
+      shippedDate: this.findShippedDate(events),
+      expectedDeliveryDate: data.EstimatedDeliveryDate ? data.EstimatedDeliveryDate.slice(0, 10) : null,
+      pieceCount: data.Pieces?.length || null,
+      proofOfDelivery: delivery ? {
+        timestamp: delivery.UTCDateTime || delivery.DateTime || null,
+        signedBy: delivery.Signature || null,
+        location: delivery.Location || null
+      } : null,
+      events,
+      rawData: data
+    };
+  }
+
+  /**
+   * Convert a LaserShip event into a standardized event
+   * @param {Object} event - Events entry
+   * @returns {Object} - Standardized event
+   */
+  parseEvent(event) {
+    const city = event.City || null;
+    const state = event.State || null;
+
+    return {
+      timestamp: event.UTCDateTime || event.DateTime || null,
+      description: event.EventLongText || event.EventShortText || event.EventLabel || event.EventType || '',
+      eventCode: event.EventType || null,
+      reason: event.Reason || null,
+      location: [city, state].filter(Boolean).join(', ') || null,
+      city,
+      state,
+      postalCode: event.PostalCode || null,
+      country: event.Country || 'US'
+    };
+  }
+
+  /**
+   * Find the first scan after the label was released
+   * @param {Array} events - Standardized events (newest first)
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  findShippedDate(events) {
+    const firstScan = [...events].reverse()
+      .find(event => LASERSHIP_EVENT_TYPES[event.eventCode] !== SHIPMENT_STATUSES.LABEL_CREATED);
+    return firstScan?.timestamp ? firstScan.timestamp.slice(0, 10) : null;
+  }
+
+  /**
+   * Extract the LaserShip error message from an axios error, if there is one
+   * @param {Error} error - The error thrown during tracking
+   * @returns {Error} - Error with the most useful message
+   */
+  normalizeApiError(error) {
+    const body = error.response?.data;
+    if (body && (body.ErrorMessage || body.Message)) {
+      return new Error(`LaserShip API Error: ${body.ErrorMessage || body.Message}`);
+    }
+    return error;
+  }
+
+  /**
+   * Map a LaserShip event to a canonical shipment status
+   * @param {Object} event - Standardized event
+   * @returns {string} - Canonical shipment status
+   */
+  normalizeStatus(event) {
+    return LASERSHIP_EVENT_TYPES[event.eventCode] || super.normalizeStatus(event);
+  }
+
+  /**
+   * Validate LaserShip tracking number format
+   * @param {string} trackingNumber - The tracking number to validate
+   * @returns {boolean} - Whether the tracking number is valid for LaserShip
+   */
+  validateTrackingNumber(trackingNumber) {
+    if (!super.validateTrackingNumber(trackingNumber)) {
+      return false;
+    }
+    const cleaned = trackingNumber.replace(/\s/g, '').toUpperCase();
+    return /^1LS[0-9A-Z]{12,27}$/.test(cleaned) || /^L[A-Z][0-9]{8}$/.test(cleaned);
+  }
+}
+
+module.exports = LaserShipCarrier;
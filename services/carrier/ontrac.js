@@ -0,0 +1,174 @@
+const axios = require('axios');
+const xml2js = require('xml2js');
+const BaseCarrier = require('./base-carrier');
+const { toArray } = require('./carrier-utils');
+const { SHIPMENT_STATUSES } = require('./shipment-status');
+
+/**
+ * OnTrac Carrier Service Implementation
+ * Based on the OnTrac web services tracking request (V4, XML), authenticated
+ * with the shipper account number and password. Event status codes vary by
+ * facility, so statuses come from the event descriptions
+ */
+class OnTracCarrier extends BaseCarrier {
+  constructor(accountNumber, password, options = {}) {
+    super('OnTrac', accountNumber);
+    this.accountNumber = accountNumber;
+    this.password = password;
+    this.baseUrl = options.baseUrl || 'https://www.shipontrac.net';
+  }
+
+  /**
+   * Build the OnTrac service from app config
+   * @param {Object} config - getConfig() result
+   * @returns {OnTracCarrier|null} - Service, or null when its credentials are not set
+   */
+  static fromConfig(config) {
+    if (!config.ONTRAC_ACCOUNT_NUMBER || !config.ONTRAC_PASSWORD) {
+      return null;
+    }
+    return new OnTracCarrier(config.ONTRAC_ACCOUNT_NUMBER, config.ONTRAC_PASSWORD, {
+      baseUrl: config.ONTRAC_API_URL
+    });
+  }
+
+  /**
+   * Track an OnTrac package
+   * @param {string} trackingNumber - OnTrac tracking number (C or D + 14 digits)
+   * @returns {Promise<Object>} - Standardized tracking data
+   */
+  async trackPackage(trackingNumber) {
+    try {
+      if (!this.isServiceActive()) {
+        throw this.permanentError('OnTrac service is not properly configured');
+      }
+
+      if (!this.validateTrackingNumber(trackingNumber)) {
+        throw this.permanentError('Invalid OnTrac tracking number format');
+      }
+
+      const cleanTrackingNumber = trackingNumber.replace(/\s/g, '').toUpperCase();
+
+      const response = await axios.get(
+        `${this.baseUrl}/OnTracWebServices/OnTracServices.svc/V4/${encodeURIComponent(this.accountNumber)}/shipments/${encodeURIComponent(cleanTrackingNumber)}`,
+        {
+          params: {
+            pw: this.password,
+            requestType: 'track'
+          },
+          responseType: 'text',
+          timeout: 10000
+        }
+      );
+
+      const trackingData = await this.parseXMLResponse(response.data, cleanTrackingNumber);
+      return this.standardizeData(trackingData);
+
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Parse an OnTracTrackingResult document
+   * @param {string} xmlResponse - XML response from OnTrac
+   * @param {string} trackingNumber - Clean tracking number that was requested
+   * @returns {Promise<Object>} - Parsed tracking data
+   */
+  async parseXMLResponse(xmlResponse, trackingNumber) {
+    let document;
+    try {
+      document = await xml2js.parseStringPromise(xmlResponse, {
+        explicitArray: false,
+        trim: true
+      });
+    } catch (error) {
+      throw new Error(`Failed to parse OnTrac response: ${error.message}`);
+    }
+
+    const result = document.OnTracTrackingResult;
+    if (!result) {
+      throw new Error('Failed to parse OnTrac response: missing OnTracTrackingResult');
+    }
+
+    if (result.Error) {
+      throw new Error(`OnTrac API Error: ${result.Error}`);
+    }
+
+    const shipment = toArray(result.Shipments?.Shipment)
+      .find(entry => entry.Tracking?.toUpperCase() === trackingNumber) || toArray(result.Shipments?.Shipment)[0];
+
+    if (!shipment) {
+      throw new Error('OnTrac API Error: Tracking information not found');
+    }
+
+    const events = toArray(shipment.Events?.Event)
+      .map(event => this.parseEvent(event))
+      .sort((a, b) => this.toTime(b.timestamp) - this.toTime(a.timestamp));
+
+    const delivered = shipment.Delivered === 'true';
+
+    return {
+      trackingNumber: shipment.Tracking || trackingNumber,
+      currentStatus: events[0]?.description || (delivered ? 'Delivered' : 'Unknown'),
+      // OnTrac flags delivery on the shipment; event descriptions are facility specific
+      shipmentStatus: delivered ? SHIPMENT_STATUSES.DELIVERED : null,
+      currentLocation: events[0]?.location || 'Unknown',
+      shippedDate: this.toDateString(shipment.ShipDate),
+      expectedDeliveryDate: this.toDateString(shipment.Exp_Del_Date),
+      serviceName: shipment.Service || null,
+      proofOfDelivery: shipment.POD ? { signedBy: shipment.POD } : null,
+      deliveryAttributes: {
+        destinationCity: shipment.City || null,
+        destinationState: shipment.State || null,
+        destinationPostalCode: shipment.Zip || null
+      },
+      events,
+      rawData: xmlResponse
+    };
+  }
+
+  /**
+   * Convert an OnTrac event into a standardized event
+   * @param {Object} event - Parsed Event element
+   * @returns {Object} - Standardized event
+   */
+  parseEvent(event) {
+    const city = event.City || null;
+    const state = event.State || null;
+
+    return {
+      timestamp: event.EventTime || null,
+      description: event.Description || event.EventShortDescription || '',
+      eventCode: event.Status || null,
+      location: [city, state].filter(Boolean).join(', ') || null,
+      city,
+      state,
+      postalCode: event.Zip || null,
+      country: 'US'
+    };
+  }
+
+  /**
+   * Trim an OnTrac date or timestamp to YYYY-MM-DD
+   * @param {string} value - Date from the response
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  toDateString(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) ? value.slice(0, 10) : null;
+  }
+
+  /**
+   * Validate OnTrac tracking number format
+   * @param {string} trackingNumber - The tracking number to validate
+   * @returns {boolean} - Whether the tracking number is valid for OnTrac
+   */
+  validateTrackingNumber(trackingNumber) {
+    if (!super.validateTrackingNumber(trackingNumber)) {
+      return false;
+    }
+    return /^[CD][0-9]{14}$/.test(trackingNumber.replace(/\s/g, '').toUpperCase());
+  }
+}
+
+module.exports = OnTracCarrier;
@@ -0,0 +1,250 @@
+const BaseCarrier = require('./base-carrier');
+const { parseS10 } = require('./carrier-detection');
+const { getCarrierDefinition, getPostForCountry } = require('./carrier-registry');
+const { SHIPMENT_STATUSES } = require('./shipment-status');
+
+/**
+ * ISO 3166 alpha-3 codes some posts report, for the countries that have a
+ * post in the carrier registry (S10 suffixes are alpha-2)
+ */
+const ALPHA3_COUNTRIES = {
+  USA: 'US',
+  CAN: 'CA',
+  GBR: 'GB',
+  AUS: 'AU',
+  CHN: 'CN'
+};
+
+/**
+ * Postal Carrier Base Class
+ * National posts hand international mail to each other under the same UPU S10
+ * number: RR123456785CN is scanned by China Post until it leaves China, then by
+ * the post of the destination country. Subclasses implement trackLeg() for their
+ * own network; trackPackage() adds the other post's leg and merges both into one
+ * timeline, with each event tagged by the leg and post that reported it
+ */
+class PostalCarrier extends BaseCarrier {
+  /**
+   * @param {string} name - Carrier registry name
+   * @param {string} apiKey - Credential that marks the post's own API as configured
+   * @param {Object} options - { getCarrier, destinationCountry }
+   * @param {Function} options.getCarrier - Lookup for the other post's service
+   * @param {string} options.destinationCountry - Where international mail is assumed to be going
+   *   when the origin post does not say (POSTAL_DESTINATION_COUNTRY)
+   */
+  constructor(name, apiKey, options = {}) {
+    super(name, apiKey);
+    this.upuCountry = getCarrierDefinition(name)?.upuCountry || null;
+    this.getCarrier = options.getCarrier || (() => null);
+    this.defaultDestinationCountry = options.destinationCountry || 'US';
+  }
+
+  /**
+   * Track a number on this post's own network only
+   * @param {string} trackingNumber - Tracking number
+   * @returns {Promise<Object>} - Standardized tracking data, which may carry the
+   *   destinationCountry the post reports
+   */
+  async trackLeg(trackingNumber) {
+    throw new Error(`trackLeg method must be implemented for ${this.name}`);
+  }
+
+  /**
+   * Whether this post has a tracking API of its own
+   * @returns {boolean}
+   */
+  hasTrackingApi() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Track a postal item across the origin and destination posts
+   * Numbers that are not S10, and S10 items that never leave the country, have one leg
+   * @param {string} trackingNumber - Tracking number
+   * @param {Object} options - Tracking options
+   * @param {string} options.destinationCountry - Destination country, when already known
+   * @param {boolean} options.singleLeg - Only track this post's own leg
+   * @returns {Promise<Object>} - Standardized tracking data with originCountry,
+   *   destinationCountry and legs: [{ role, carrier, country, success, ... }]
+   */
+  async trackPackage(trackingNumber, options = {}) {
+    try {
+      const s10 = parseS10(trackingNumber);
+
+      if (!s10 || options.singleLeg) {
+        return await this.trackOwnLeg(trackingNumber);
+      }
+
+      const isOrigin = s10.country === this.upuCountry;
+      const ownLeg = {
+        role: isOrigin ? 'origin' : 'destination',
+        carrier: this.name,
+        country: this.upuCountry,
+        data: await this.trackOwnLeg(s10.trackingNumber)
+      };
+
+      // The origin post knows where the item is going; a destination post is the destination
+      const destinationCountry = isOrigin
+        ? this.toCountryCode(options.destinationCountry) || ownLeg.data.destinationCountry || this.defaultDestinationCountry
+        : this.upuCountry;
+
+      const legs = [ownLeg];
+      if (destinationCountry !== s10.country) {
+        const otherCountry = isOrigin ? destinationCountry : s10.country;
+        legs.push({
+          role: isOrigin ? 'destination' : 'origin',
+          carrier: getPostForCountry(otherCountry)?.name || null,
+          country: otherCountry,
+          data: await this.trackOtherLeg(s10.trackingNumber, otherCountry)
+        });
+      }
+
+      return this.mergeLegs(s10, legs, destinationCountry);
+
+    } catch (error) {
+      return this.handleError(error);
+    }
+  }
+
+  /**
+   * Track this post's leg, or explain why it cannot be tracked
+   * @param {string} trackingNumber - Tracking number
+   * @returns {Promise<Object>} - Standardized tracking data or error result
+   */
+  async trackOwnLeg(trackingNumber) {
+    if (!this.hasTrackingApi()) {
+      return {
+        success: false,
+        error: `${this.name} has no public tracking API`,
+        carrier: this.name
+      };
+    }
+    return this.trackLeg(trackingNumber);
+  }
+
+  /**
+   * Track the same number with the post of another country
+   * @param {string} trackingNumber - S10 tracking number
+   * @param {string} country - Country of the other post
+   * @returns {Promise<Object>} - Standardized tracking data or error result
+   */
+  async trackOtherLeg(trackingNumber, country) {
+    const post = getPostForCountry(country);
+    if (!post) {
+      return { success: false, error: `No post for ${country} in the carrier registry` };
+    }
+
+    const service = this.getCarrier(post.name);
+    if (!service || !service.isServiceActive() || !service.supportsAutomaticTracking()) {
+      return { success: false, error: `${post.name} tracking service is not available`, carrier: post.name };
+    }
+
+    return service instanceof PostalCarrier
+      ? service.trackPackage(trackingNumber, { singleLeg: true })
+      : service.trackPackage(trackingNumber);
+  }
+
+  /**
+   * Combine the legs into one shipment
+   * The furthest leg with tracking data (destination once it has scanned the item)
+   * supplies the current status; events from both legs form the timeline
+   * @param {Object} s10 - parseS10() result
+   * @param {Array} legs - [{ role, carrier, country, data }] with trackPackage() results
+   * @param {string} destinationCountry - Destination country code
+   * @returns {Object} - Standardized tracking data
+   */
+  mergeLegs(s10, legs, destinationCountry) {
+    const tracked = legs.filter(leg => leg.data.success);
+    if (tracked.length === 0) {
+      const message = legs.map(leg => `${leg.carrier || leg.country}: ${leg.data.error}`).join('; ');
+      throw legs.every(leg => leg.data.retryable === false) ? this.permanentError(message) : new Error(message);
+    }
+
+    const origin = legs.find(leg => leg.role === 'origin')?.data;
+    const destination = legs.find(leg => leg.role === 'destination')?.data;
+    const current = [destination, origin].find(data => data?.success && this.hasScans(data)) || tracked[0].data;
+
+    const events = tracked
+      .flatMap(leg => leg.data.events.map(event => ({
+        ...event,
+        leg: leg.role,
+        carrier: leg.data.carrier
+      })))
+      .sort((a, b) => this.toTime(b.timestamp) - this.toTime(a.timestamp));
+
+    const pick = field => [destination, origin].find(data => data?.success && data[field])?.[field] || null;
+
+    return this.standardizeData({
+      trackingNumber: s10.trackingNumber,
+      currentStatus: current.currentStatus,
+      shipmentStatus: current.shipmentStatus,
+      currentLocation: current.currentLocation,
+      expectedDeliveryDate: pick('expectedDeliveryDate'),
+      shippedDate: origin?.success ? origin.shippedDate : pick('shippedDate'),
+      serviceName: origin?.success ? origin.service : pick('service'),
+      proofOfDelivery: pick('proofOfDelivery'),
+      originCountry: s10.country,
+      destinationCountry,
+      legs: legs.map(leg => this.summarizeLeg(leg)),
+      events,
+      rawData: Object.fromEntries(legs.map(leg => [leg.role, leg.data.rawData || { error: leg.data.error }]))
+    });
+  }
+
+  /**
+   * Describe one leg for the shipment's legs list
+   * @param {Object} leg - { role, carrier, country, data }
+   * @returns {Object} - { role, carrier, country, success, currentStatus, shipmentStatus, currentLocation, lastEventAt, eventCount, error }
+   */
+  summarizeLeg({ role, carrier, country, data }) {
+    const events = data.success ? data.events : [];
+    return {
+      role,
+      carrier: data.carrier || carrier,
+      country,
+      success: !!data.success,
+      currentStatus: data.success ? data.currentStatus : null,
+      shipmentStatus: data.success ? data.shipmentStatus : null,
+      currentLocation: data.success ? data.currentLocation : null,
+      lastEventAt: events[0]?.timestamp || null,
+      eventCount: events.length,
+      error: data.success ? null : data.error || null
+    };
+  }
+
+  /**
+   * Whether a leg has seen the item - posts answer unknown items with an empty shipment
+   * @param {Object} data - Standardized tracking data
+   * @returns {boolean}
+   */
+  hasScans(data) {
+    return data.events.length > 0 || data.shipmentStatus !== SHIPMENT_STATUSES.UNKNOWN;
+  }
+
+  /**
+   * Normalize a country code reported by a post to the alpha-2 form S10 uses
+   * @param {string} code - Alpha-2 or alpha-3 code
+   * @returns {string|null} - Alpha-2 code or null when unrecognized
+   */
+  toCountryCode(code) {
+    const upper = typeof code === 'string' ? code.trim().toUpperCase() : '';
+    if (/^[A-Z]{2}$/.test(upper)) {
+      return upper;
+    }
+    return ALPHA3_COUNTRIES[upper] || null;
+  }
+
+  /**
+   * Posts use S10 numbers and alphanumeric domestic formats of their own
+   * @param {string} trackingNumber - The tracking number to validate
+   * @returns {boolean}
+   */
+  validateTrackingNumber(trackingNumber) {
+    if (!super.validateTrackingNumber(trackingNumber)) {
+      return false;
+    }
+    return /^[0-9A-Z]{8,30}$/.test(trackingNumber.replace(/\s/g, '').toUpperCase());
+  }
+}
+
+module.exports = PostalCarrier;
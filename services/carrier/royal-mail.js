@@ -0,0 +1,179 @@
+const axios = require('axios');
+const PostalCarrier = require('./postal-carrier');
+
+/**
+ * Royal Mail Carrier Service Implementation
+ * Based on the Royal Mail Tracking API v2 (mailpieces events), which also
+ * covers Parcelforce. Event codes are not published in full, so statuses
+ * come from the event names
+ */
+class RoyalMailCarrier extends PostalCarrier {
+  constructor(clientId, clientSecret, options = {}) {
+    super('RoyalMail', clientId, options);
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.baseUrl = options.baseUrl || 'https://api.royalmail.net';
+  }
+
+  /**
+   * Build the Royal Mail service from app config
+   * @param {Object} config - getConfig() result
+   * @param {Object} context - { getCarrier } lookup for the other post of international items
+   * @returns {RoyalMailCarrier|null} - Service, or null when its credentials are not set
+   */
+  static fromConfig(config, { getCarrier }) {
+    if (!config.ROYAL_MAIL_CLIENT_ID || !config.ROYAL_MAIL_CLIENT_SECRET) {
+      return null;
+    }
+    return new RoyalMailCarrier(config.ROYAL_MAIL_CLIENT_ID, config.ROYAL_MAIL_CLIENT_SECRET, {
+      baseUrl: config.ROYAL_MAIL_API_URL,
+      destinationCountry: config.POSTAL_DESTINATION_COUNTRY,
+      getCarrier
+    });
+  }
+
+  /**
+   * Track an item on the Royal Mail network
+   * @param {string} trackingNumber - Royal Mail or Parcelforce tracking number
+   * @returns {Promise<Object>} - Standardized tracking data
+   */
+  async trackLeg(trackingNumber) {
+    try {
+      if (!this.isServiceActive()) {
+        throw this.permanentError('Royal Mail service is not properly configured');
+      }
+
+      if (!this.validateTrackingNumber(trackingNumber)) {
+        throw this.permanentError('Invalid Royal Mail tracking number format');
+      }
+
+      const cleanTrackingNumber = trackingNumber.replace(/\s/g, '').toUpperCase();
+
+      const response = await axios.get(
+        `${this.baseUrl}/mailpieces/v2/${encodeURIComponent(cleanTrackingNumber)}/events`,
+        {
+          headers: {
+            'X-IBM-Client-Id': this.clientId,
+            'X-IBM-Client-Secret': this.clientSecret,
+            'X-Accept-RMG-Terms': 'yes',
+            Accept: 'application/json'
+          },
+          timeout: 10000
+        }
+      );
+
+      const trackingData = this.parseTrackResponse(response.data, cleanTrackingNumber);
+      return this.standardizeData(trackingData);
+
+    } catch (error) {
+      return this.handleError(this.normalizeApiError(error));
+    }
+  }
+
+  /**
+   * Parse a mailpieces events response
+   * @param {Object} data - JSON response from Royal Mail
+   * @param {string} trackingNumber - Clean tracking number that was requested
+   * @returns {Object} - Parsed tracking data
+   */
+  parseTrackResponse(data, trackingNumber) {
+    const mailPiece = data?.mailPieces;
+    if (!mailPiece) {
+      throw new Error('Royal Mail API Error: Tracking information not found');
+    }
+
+    const summary = mailPiece.summary || {};
+    const events = (mailPiece.events || [])
+      .map(event => this.parseEvent(event))
+      .sort((a, b) => this.toTime(b.timestamp) - this.toTime(a.timestamp));
+
+    return {
+      trackingNumber: mailPiece.mailPieceId || trackingNumber,
+      currentStatus: summary.statusDescription || summary.lastEventName || events[0]?.description || 'Unknown',
+      currentLocation: summary.lastEventLocationName || events[0]?.location || 'Unknown',
+      shippedDate: this.findShippedDate(events),
+      expectedDeliveryDate: mailPiece.estimatedDelivery?.date || null,
+      deliveryWindow: this.findDeliveryWindow(mailPiece.estimatedDelivery),
+      serviceName: summary.productName || null,
+      proofOfDelivery: this.parseSignature(mailPiece.signature),
+      originCountry: this.toCountryCode(summary.originCountryCode),
+      destinationCountry: this.toCountryCode(summary.destinationCountryCode),
+      events,
+      rawData: data
+    };
+  }
+
+  /**
+   * Convert a Royal Mail event into a standardized event
+   * @param {Object} event - mailPieces.events entry
+   * @returns {Object} - Standardized event
+   */
+  parseEvent(event) {
+    return {
+      timestamp: event.eventDateTime || null,
+      description: event.eventName || '',
+      eventCode: event.eventCode || null,
+      location: event.locationName || null,
+      city: event.locationName || null,
+      state: null,
+      postalCode: null,
+      country: null
+    };
+  }
+
+  /**
+   * Find the first scan after the sender's electronic notification
+   * @param {Array} events - Standardized events (newest first)
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  findShippedDate(events) {
+    const firstScan = [...events].reverse().find(event => !/sender despatching|we're expecting it/i.test(event.description));
+    return firstScan?.timestamp ? firstScan.timestamp.slice(0, 10) : null;
+  }
+
+  /**
+   * Extract the estimated delivery window
+   * @param {Object} estimatedDelivery - mailPieces.estimatedDelivery
+   * @returns {Object|null} - { start, end } times or null
+   */
+  findDeliveryWindow(estimatedDelivery) {
+    if (!estimatedDelivery?.startOfEstimatedWindow && !estimatedDelivery?.endOfEstimatedWindow) {
+      return null;
+    }
+    return {
+      start: estimatedDelivery.startOfEstimatedWindow || null,
+      end: estimatedDelivery.endOfEstimatedWindow || null
+    };
+  }
+
+  /**
+   * Normalize the delivery signature
+   * @param {Object} signature - mailPieces.signature
+   * @returns {Object|null} - Proof of delivery or null
+   */
+  parseSignature(signature) {
+    if (!signature) {
+      return null;
+    }
+    return {
+      timestamp: signature.signatureDateTime || null,
+      signedBy: signature.recipientName || null
+    };
+  }
+
+  /**
+   * Extract the Royal Mail error description from an axios error, if there is one
+   * @param {Error} error - The error thrown during tracking
+   * @returns {Error} - Error with the most useful message
+   */
+  normalizeApiError(error) {
+    const body = error.response?.data;
+    const detail = body?.errors?.[0]?.errorDescription || body?.moreInformation || body?.httpMessage;
+    if (detail) {
+      return new Error(`Royal Mail API Error: ${detail}`);
+    }
+    return error;
+  }
+}
+
+module.exports = RoyalMailCarrier;
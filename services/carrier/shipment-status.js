@@ -0,0 +1,60 @@
+/**
+ * Canonical Shipment Status
+ * Carrier adapters map their native status codes into these values so
+ * shipments can be compared and filtered across carriers. This is the
+ * state of the package, not of our tracking job (TrackingRequest.status)
+ */
+const SHIPMENT_STATUSES = Object.freeze({
+  LABEL_CREATED: 'label_created',
+  IN_TRANSIT: 'in_transit',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  EXCEPTION: 'exception',
+  RETURNED: 'returned',
+  UNKNOWN: 'unknown'
+});
+
+const SHIPMENT_STATUS_VALUES = Object.values(SHIPMENT_STATUSES);
+
+/**
+ * Keyword fallback for carriers (or codes) without an explicit mapping
+ * Ordered by precedence - "Delivery attempted" is an exception, not a delivery
+ */
+const STATUS_TEXT_PATTERNS = [
+  { status: SHIPMENT_STATUSES.RETURNED, pattern: /\breturn(ed|ing)? to (sender|shipper)\b|\breturned\b/i },
+  { status: SHIPMENT_STATUSES.EXCEPTION, pattern: /\bexception\b|\battempt(ed)?\b|\bdelay(ed)?\b|\bunable\b|\bfail(ed|ure)?\b|\brefused\b|\bundeliverable\b|\bdamaged\b|\bheld\b|\balert\b|\bcancel(l)?ed\b/i },
+  { status: SHIPMENT_STATUSES.OUT_FOR_DELIVERY, pattern: /\bout for delivery\b|\bwith delivery courier\b/i },
+  { status: SHIPMENT_STATUSES.DELIVERED, pattern: /\bdelivered\b/i },
+  { status: SHIPMENT_STATUSES.LABEL_CREATED, pattern: /\blabel (created|printed)\b|\bpre-?shipment\b|\bshipment information\b|\bmanifest\b|\belectronic(ally)?\b|\bawaiting item\b|\bordered\b|\border (placed|processed)\b/i },
+  { status: SHIPMENT_STATUSES.IN_TRANSIT, pattern: /\btransit\b|\barrived\b|\bdeparted\b|\bpicked up\b|\baccepted\b|\bshipped\b|\bprocess(ed|ing)\b|\bon the way\b|\bfacility\b|\bmoving through\b|\bcustoms\b|\bhas left\b/i }
+];
+
+/**
+ * Check whether a value is a canonical shipment status
+ * @param {string} value - Value to check
+ * @returns {boolean} - Whether the value is canonical
+ */
+function isShipmentStatus(value) {
+  return SHIPMENT_STATUS_VALUES.includes(value);
+}
+
+/**
+ * Map free-form carrier status text to a canonical status
+ * @param {string} text - Carrier status text or event description
+ * @returns {string} - Canonical shipment status
+ */
+function classifyStatusText(text) {
+  if (!text) {
+    return SHIPMENT_STATUSES.UNKNOWN;
+  }
+
+  const match = STATUS_TEXT_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.status : SHIPMENT_STATUSES.UNKNOWN;
+}
+
+module.exports = {
+  SHIPMENT_STATUSES,
+  SHIPMENT_STATUS_VALUES,
+  isShipmentStatus,
+  classifyStatusText
+};
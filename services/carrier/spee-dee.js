@@ -0,0 +1,152 @@
+const axios = require('axios');
+const BaseCarrier = require('./base-carrier');
+
+/**
+ * Spee-Dee Delivery Carrier Service Implementation
+ * Based on the Spee-Dee shipper tracking API (JSON), authenticated with the
+ * account's API key. Spee-Dee reports free-text scans, so statuses come from
+ * the event descriptions
+ */
+class SpeeDeeCarrier extends BaseCarrier {
+  constructor(apiKey, options = {}) {
+    super('SpeeDee', apiKey);
+    this.baseUrl = options.baseUrl || 'https://api.speedeedelivery.com';
+  }
+
+  /**
+   * Build the Spee-Dee service from app config
+   * @param {Object} config - getConfig() result
+   * @returns {SpeeDeeCarrier|null} - Service, or null when its credentials are not set
+   */
+  static fromConfig(config) {
+    if (!config.SPEEDEE_API_KEY) {
+      return null;
+    }
+    return new SpeeDeeCarrier(config.SPEEDEE_API_KEY, {
+      baseUrl: config.SPEEDEE_API_URL
+    });
+  }
+
+  /**
+   * Track a Spee-Dee package
+   * @param {string} trackingNumber - Spee-Dee tracking number (SP + digits)
+   * @returns {Promise<Object>} - Standardized tracking data
+   */
+  async trackPackage(trackingNumber) {
+    try {
+      if (!this.isServiceActive()) {
+        throw this.permanentError('Spee-Dee service is not properly configured');
+      }
+
+      if (!this.validateTrackingNumber(trackingNumber)) {
+        throw this.permanentError('Invalid Spee-Dee tracking number format');
+      }
+
+      const cleanTrackingNumber = trackingNumber.replace(/\s/g, '').toUpperCase();
+
+      const response = await axios.get(`${this.baseUrl}/v1/tracking/${encodeURIComponent(cleanTrackingNumber)}`, {
+        headers: {
+          'X-API-Key': this.apiKey,
+          Accept: 'application/json'
+        },
+        timeout: 10000
+      });
+
+      const trackingData = this.parseTrackResponse(response.data, cleanTrackingNumber);
+      return this.standardizeData(trackingData);
+
+    } catch (error) {
+      return this.handleError(this.normalizeApiError(error));
+    }
+  }
+
+  /**
+   * Parse a Spee-Dee tracking response
+   * @param {Object} data - JSON response from Spee-Dee
+   * @param {string} trackingNumber - Clean tracking number that was requested
+   * @returns {Object} - Parsed tracking data
+   */
+  parseTrackResponse(data, trackingNumber) {
+    if (!data || !Array.isArray(data.scans)) {
+      throw new Error('Spee-Dee API Error: Tracking information not found');
+    }
+
+    const events = data.scans
+      .map(scan => this.parseScan(scan))
+      .sort((a, b) => this.toTime(b.timestamp) - this.toTime(a.timestamp));
+
+    return {
+      trackingNumber: data.trackingNumber || trackingNumber,
+      currentStatus: data.status || events[0]?.description || 'Unknown',
+      currentLocation: events[0]?.location || 'Unknown',
+      shippedDate: data.pickupDate ? data.pickupDate.slice(0, 10) : this.findShippedDate(events),
+      expectedDeliveryDate: data.scheduledDeliveryDate ? data.scheduledDeliveryDate.slice(0, 10) : null,
+      serviceName: data.service || null,
+      pieceCount: data.pieces || null,
+      proofOfDelivery: data.signedBy ? {
+        timestamp: data.deliveredAt || null,
+        signedBy: data.signedBy
+      } : null,
+      events,
+      rawData: data
+    };
+  }
+
+  /**
+   * Convert a Spee-Dee scan into a standardized event
+   * @param {Object} scan - scans entry
+   * @returns {Object} - Standardized event
+   */
+  parseScan(scan) {
+    const city = scan.city || null;
+    const state = scan.state || null;
+
+    return {
+      timestamp: scan.timestamp || null,
+      description: scan.description || '',
+      eventCode: scan.code || null,
+      location: [city, state].filter(Boolean).join(', ') || null,
+      city,
+      state,
+      postalCode: scan.zip || null,
+      country: 'US'
+    };
+  }
+
+  /**
+   * Find the first scan after the shipper's manifest was received
+   * @param {Array} events - Standardized events (newest first)
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  findShippedDate(events) {
+    const firstScan = [...events].reverse().find(event => !/manifest/i.test(event.description));
+    return firstScan?.timestamp ? firstScan.timestamp.slice(0, 10) : null;
+  }
+
+  /**
+   * Extract the Spee-Dee error message from an axios error, if there is one
+   * @param {Error} error - The error thrown during tracking
+   * @returns {Error} - Error with the most useful message
+   */
+  normalizeApiError(error) {
+    const message = error.response?.data?.error || error.response?.data?.message;
+    if (message) {
+      return new Error(`Spee-Dee API Error: ${message}`);
+    }
+    return error;
+  }
+
+  /**
+   * Validate Spee-Dee tracking number format
+   * @param {string} trackingNumber - The tracking number to validate
+   * @returns {boolean} - Whether the tracking number is valid for Spee-Dee
+   */
+  validateTrackingNumber(trackingNumber) {
+    if (!super.validateTrackingNumber(trackingNumber)) {
+      return false;
+    }
+    return /^SP[0-9]{10,18}$/.test(trackingNumber.replace(/\s/g, '').toUpperCase());
+  }
+}
+
+module.exports = SpeeDeeCarrier;
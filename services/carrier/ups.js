@@ -0,0 +1,304 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const BaseCarrier = require('./base-carrier');
+const { SHIPMENT_STATUSES } = require('./shipment-status');
+
+/**
+ * UPS activity status types mapped to canonical shipment statuses
+ * Type I (in transit) also covers out-for-delivery scans - see normalizeStatus()
+ */
+const UPS_STATUS_TYPES = {
+  M: SHIPMENT_STATUSES.LABEL_CREATED, // Manifest / billing information received
+  MV: SHIPMENT_STATUSES.LABEL_CREATED, // Manifest voided
+  P: SHIPMENT_STATUSES.IN_TRANSIT, // Pickup
+  I: SHIPMENT_STATUSES.IN_TRANSIT,
+  W: SHIPMENT_STATUSES.IN_TRANSIT, // Warehousing
+  O: SHIPMENT_STATUSES.OUT_FOR_DELIVERY,
+  D: SHIPMENT_STATUSES.DELIVERED,
+  DO: SHIPMENT_STATUSES.DELIVERED, // Delivered origin CFS (freight)
+  DD: SHIPMENT_STATUSES.DELIVERED, // Delivered destination CFS (freight)
+  X: SHIPMENT_STATUSES.EXCEPTION,
+  RS: SHIPMENT_STATUSES.RETURNED // Returned to shipper
+};
+
+/**
+ * UPS Carrier Service Implementation
+ * Based on UPS Track API v1 (OAuth 2.0 client credentials)
+ */
+class UPSCarrier extends BaseCarrier {
+  constructor(clientId, clientSecret, options = {}) {
+    super('UPS', clientId);
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.baseUrl = options.baseUrl || 'https://onlinetools.ups.com';
+  }
+
+  /**
+   * Build the UPS service from app config
+   * @param {Object} config - getConfig() result
+   * @returns {UPSCarrier|null} - Service, or null when its credentials are not set
+   */
+  static fromConfig(config) {
+    if (!config.UPS_CLIENT_ID || !config.UPS_CLIENT_SECRET) {
+      return null;
+    }
+    return new UPSCarrier(config.UPS_CLIENT_ID, config.UPS_CLIENT_SECRET, {
+      baseUrl: config.UPS_API_URL
+    });
+  }
+
+  /**
+   * Track a UPS package
+   * @param {string} trackingNumber - UPS tracking number (1Z...)
+   * @returns {Promise<Object>} - Standardized tracking data
+   */
+  async trackPackage(trackingNumber) {
+    try {
+      if (!this.isServiceActive()) {
+        throw this.permanentError('UPS service is not properly configured');
+      }
+
+      if (!this.validateTrackingNumber(trackingNumber)) {
+        throw this.permanentError('Invalid UPS tracking number format');
+      }
+
+      // Clean tracking number
+      const cleanTrackingNumber = trackingNumber.replace(/\s/g, '').toUpperCase();
+
+      const accessToken = await this.getAccessToken();
+
+      const response = await axios.get(
+        `${this.baseUrl}/api/track/v1/details/${cleanTrackingNumber}`,
+        {
+          params: {
+            locale: 'en_US',
+            returnSignature: false
+          },
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            transId: crypto.randomUUID(),
+            transactionSrc: 'PostalHub'
+          },
+          timeout: 10000
+        }
+      );
+
+      const trackingData = this.parseTrackResponse(response.data);
+      return this.standardizeData(trackingData);
+
+    } catch (error) {
+      // Token was revoked or rotated early - request a new one next time
+      if (error.response?.status === 401) {
+        this.invalidateAccessToken();
+      }
+      return this.handleError(this.normalizeApiError(error));
+    }
+  }
+
+  /**
+   * Request a new OAuth access token using client credentials
+   * @returns {Promise<Object>} - { accessToken, expiresIn }
+   */
+  async requestAccessToken() {
+    const credentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+
+    const response = await axios.post(
+      `${this.baseUrl}/security/v1/oauth/token`,
+      new URLSearchParams({ grant_type: 'client_credentials' }).toString(),
+      {
+        headers: {
+          Authorization: `Basic ${credentials}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: 10000
+      }
+    );
+
+    return {
+      accessToken: response.data.access_token,
+      expiresIn: response.data.expires_in
+    };
+  }
+
+  /**
+   * Parse UPS Track API response
+   * @param {Object} data - JSON response from UPS Track API
+   * @returns {Object} - Parsed tracking data
+   */
+  parseTrackResponse(data) {
+    const shipment = data?.trackResponse?.shipment?.[0];
+    const pkg = shipment?.package?.[0];
+
+    if (!pkg) {
+      const warning = shipment?.warnings?.[0];
+      throw new Error(`UPS API Error: ${warning?.message || 'Tracking information not found'}`);
+    }
+
+    // UPS returns activity newest first
+    const events = (pkg.activity || []).map(activity => this.parseActivity(activity));
+    const latestEvent = events[0];
+
+    return {
+      trackingNumber: pkg.trackingNumber || shipment.inquiryNumber,
+      currentStatus: pkg.currentStatus?.description || latestEvent?.description || 'Unknown',
+      currentLocation: latestEvent?.location || 'Unknown',
+      shippedDate: this.findShippedDate(pkg.activity || []),
+      expectedDeliveryDate: this.findExpectedDeliveryDate(pkg.deliveryDate || []),
+      events,
+      rawData: data
+    };
+  }
+
+  /**
+   * Convert a UPS activity scan into a standardized event
+   * @param {Object} activity - UPS activity entry
+   * @returns {Object} - Standardized event
+   */
+  parseActivity(activity) {
+    const address = activity.location?.address || {};
+    const location = [address.city, address.stateProvince, address.countryCode]
+      .filter(Boolean)
+      .join(', ');
+
+    return {
+      timestamp: this.parseUPSDateTime(activity.date, activity.time),
+      description: activity.status?.description?.trim() || '',
+      eventCode: activity.status?.code || null,
+      statusType: activity.status?.type || null,
+      location: location || null,
+      city: address.city || null,
+      state: address.stateProvince || null,
+      postalCode: address.postalCode || null,
+      country: address.countryCode || null
+    };
+  }
+
+  /**
+   * Find the date the package entered the UPS network
+   * Manifest-only scans (type M) are label creation, not shipment
+   * @param {Array} activities - UPS activity list (newest first)
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  findShippedDate(activities) {
+    const firstScan = [...activities].reverse().find(activity => activity.status?.type !== 'M');
+    return firstScan ? this.parseUPSDate(firstScan.date) : null;
+  }
+
+  /**
+   * Pick the best delivery date UPS reports
+   * DEL = delivered, RDD = rescheduled, SDD = scheduled
+   * @param {Array} deliveryDates - UPS deliveryDate list
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  findExpectedDeliveryDate(deliveryDates) {
+    for (const type of ['DEL', 'RDD', 'SDD']) {
+      const match = deliveryDates.find(entry => entry.type === type);
+      if (match) {
+        return this.parseUPSDate(match.date);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse UPS date format
+   * @param {string} dateString - UPS date string (YYYYMMDD)
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  parseUPSDate(dateString) {
+    if (!dateString || !/^\d{8}$/.test(dateString)) {
+      return null;
+    }
+    return `${dateString.slice(0, 4)}-${dateString.slice(4, 6)}-${dateString.slice(6, 8)}`;
+  }
+
+  /**
+   * Parse UPS date and time into a local timestamp
+   * @param {string} dateString - UPS date string (YYYYMMDD)
+   * @param {string} timeString - UPS time string (HHMMSS)
+   * @returns {string|null} - YYYY-MM-DDTHH:MM:SS timestamp or null
+   */
+  parseUPSDateTime(dateString, timeString) {
+    const date = this.parseUPSDate(dateString);
+    if (!date) {
+      return null;
+    }
+    if (!timeString || !/^\d{6}$/.test(timeString)) {
+      return date;
+    }
+    return `${date}T${timeString.slice(0, 2)}:${timeString.slice(2, 4)}:${timeString.slice(4, 6)}`;
+  }
+
+  /**
+   * Extract the UPS error message from an axios error, if there is one
+   * @param {Error} error - The error thrown during tracking
+   * @returns {Error} - Error with the most useful message
+   */
+  normalizeApiError(error) {
+    const apiError = error.response?.data?.response?.errors?.[0];
+    if (apiError) {
+      return new Error(`UPS API Error: ${apiError.message} (${apiError.code})`);
+    }
+    return error;
+  }
+
+  /**
+   * Map a UPS activity to a canonical shipment status
+   * @param {Object} event - Standardized event
+   * @returns {string} - Canonical shipment status
+   */
+  normalizeStatus(event) {
+    const status = UPS_STATUS_TYPES[event.statusType];
+    if (!status) {
+      return super.normalizeStatus(event);
+    }
+
+    // UPS reports out-for-delivery and return scans under the in transit / exception types
+    const textStatus = super.normalizeStatus(event);
+    if (status === SHIPMENT_STATUSES.IN_TRANSIT && textStatus === SHIPMENT_STATUSES.OUT_FOR_DELIVERY) {
+      return textStatus;
+    }
+    if (status === SHIPMENT_STATUSES.EXCEPTION && textStatus === SHIPMENT_STATUSES.RETURNED) {
+      return textStatus;
+    }
+    return status;
+  }
+
+  /**
+   * Validate UPS tracking number format
+   * 1Z + 6 char shipper number + 2 digit service code + 7 digit reference + check digit
+   * @param {string} trackingNumber - The tracking number to validate
+   * @returns {boolean} - Whether the tracking number is valid for UPS
+   */
+  validateTrackingNumber(trackingNumber) {
+    if (!super.validateTrackingNumber(trackingNumber)) {
+      return false;
+    }
+
+    const cleaned = trackingNumber.replace(/\s/g, '').toUpperCase();
+
+    if (!/^1Z[0-9A-Z]{16}$/.test(cleaned)) {
+      return false;
+    }
+
+    return this.calculateCheckDigit(cleaned.slice(2, 17)) === Number(cleaned[17]);
+  }
+
+  /**
+   * Calculate the UPS 1Z mod-10 check digit
+   * Letters map to digits via (charCode - 63) % 10, even positions are doubled
+   * @param {string} body - The 15 characters between "1Z" and the check digit
+   * @returns {number} - Expected check digit
+   */
+  calculateCheckDigit(body) {
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) {
+      const char = body[i];
+      const value = /[0-9]/.test(char) ? Number(char) : (char.charCodeAt(0) - 63) % 10;
+      sum += i % 2 === 1 ? value * 2 : value;
+    }
+    return (10 - (sum % 10)) % 10;
+  }
+}
+
+module.exports = UPSCarrier;
@@ -0,0 +1,276 @@
+const axios = require('axios');
+const USPSCarrier = require('./usps');
+const { classifyStatusText } = require('./shipment-status');
+
+/**
+ * Event codes for label creation / pre-shipment electronic info
+ * These do not mean USPS has the package yet
+ */
+const PRE_SHIPMENT_EVENT_CODES = ['GX', 'MA'];
+
+/**
+ * USPS Carrier Service Implementation (v3 REST API)
+ * Replaces the Web Tools TrackV2 XML API, which USPS is retiring
+ * Authenticates with OAuth 2.0 client credentials from the USPS Developer Portal
+ */
+class USPSv3Carrier extends USPSCarrier {
+  constructor(clientId, clientSecret, options = {}) {
+    super(clientId);
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.baseUrl = options.baseUrl || 'https://apis.usps.com';
+  }
+
+  /**
+   * Build the USPS service from app config - the v3 REST API, or legacy Web Tools XML when USPS_API_VERSION=webtools
+   * @param {Object} config - getConfig() result
+   * @returns {USPSCarrier|null} - Service, or null when its credentials are not set
+   */
+  static fromConfig(config) {
+    if (config.USPS_API_VERSION === 'v3' && config.USPS_CLIENT_ID && config.USPS_CLIENT_SECRET) {
+      return new USPSv3Carrier(config.USPS_CLIENT_ID, config.USPS_CLIENT_SECRET, {
+        baseUrl: config.USPS_API_URL
+      });
+    }
+    if (config.USPS_API_VERSION === 'webtools' && config.USPS_USER_ID) {
+      return new USPSCarrier(config.USPS_USER_ID);
+    }
+    return null;
+  }
+
+  /**
+   * Track a USPS package
+   * @param {string} trackingNumber - USPS tracking number
+   * @returns {Promise<Object>} - Standardized tracking data
+   */
+  async trackPackage(trackingNumber) {
+    try {
+      if (!this.isServiceActive()) {
+        throw this.permanentError('USPS service is not properly configured');
+      }
+
+      if (!this.validateTrackingNumber(trackingNumber)) {
+        throw this.permanentError('Invalid USPS tracking number format');
+      }
+
+      // Clean tracking number
+      const cleanTrackingNumber = trackingNumber.replace(/\s/g, '').toUpperCase();
+
+      const accessToken = await this.getAccessToken();
+
+      const response = await axios.get(
+        `${this.baseUrl}/tracking/v3/tracking/${cleanTrackingNumber}`,
+        {
+          params: {
+            expand: 'DETAIL'
+          },
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            Accept: 'application/json'
+          },
+          timeout: 10000
+        }
+      );
+
+      const trackingData = this.parseTrackResponse(response.data);
+      return this.standardizeData(trackingData);
+
+    } catch (error) {
+      // Token was revoked or rotated early - request a new one next time
+      if (error.response?.status === 401) {
+        this.invalidateAccessToken();
+      }
+      return this.handleError(this.normalizeApiError(error));
+    }
+  }
+
+  /**
+   * Track several USPS packages
+   * The v3 API has no batch endpoint, so numbers are tracked individually
+   * @param {Array<string>} trackingNumbers - USPS tracking numbers
+   * @returns {Promise<Array<Object>>} - Standardized tracking data or error per number, in input order
+   */
+  async trackPackages(trackingNumbers) {
+    return Promise.all(trackingNumbers.map(trackingNumber => this.trackPackage(trackingNumber)));
+  }
+
+  /**
+   * Request a new OAuth access token using client credentials
+   * @returns {Promise<Object>} - { accessToken, expiresIn }
+   */
+  async requestAccessToken() {
+    const response = await axios.post(
+      `${this.baseUrl}/oauth2/v3/token`,
+      {
+        grant_type: 'client_credentials',
+        client_id: this.clientId,
+        client_secret: this.clientSecret
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        timeout: 10000
+      }
+    );
+
+    return {
+      accessToken: response.data.access_token,
+      expiresIn: response.data.expires_in
+    };
+  }
+
+  /**
+   * Parse USPS v3 tracking response
+   * @param {Object} data - JSON response from USPS Tracking API
+   * @returns {Object} - Parsed tracking data
+   */
+  parseTrackResponse(data) {
+    if (!data || !data.trackingNumber) {
+      throw new Error('USPS API Error: Tracking information not found');
+    }
+
+    // USPS returns tracking events newest first
+    const trackingEvents = data.trackingEvents || [];
+    const events = trackingEvents.map(event => this.parseTrackingEvent(event));
+    const latestEvent = events[0];
+
+    return {
+      trackingNumber: data.trackingNumber,
+      currentStatus: data.statusSummary || data.status || latestEvent?.description || 'Unknown',
+      // "Delivered", "Out for Delivery", "Alert", "Pre-Shipment", ...
+      shipmentStatus: classifyStatusText(data.statusCategory),
+      currentLocation: latestEvent?.location || 'Unknown',
+      shippedDate: this.findShippedDate(data, trackingEvents),
+      expectedDeliveryDate: this.findExpectedDeliveryDate(data),
+      deliveryWindow: this.findDeliveryWindow(data),
+      deliveryAttributes: this.parseDeliveryAttributes(data, trackingEvents),
+      events,
+      rawData: data
+    };
+  }
+
+  /**
+   * Convert a USPS tracking event into a standardized event
+   * @param {Object} event - USPS trackingEvents entry
+   * @returns {Object} - Standardized event
+   */
+  parseTrackingEvent(event) {
+    const location = [event.eventCity, event.eventState, event.eventZIP]
+      .filter(Boolean)
+      .join(', ');
+
+    return {
+      timestamp: event.eventTimestamp || event.GMTTimestamp || null,
+      description: event.eventType || '',
+      eventCode: event.eventCode || null,
+      statusType: event.actionCode || null,
+      location: location || null,
+      city: event.eventCity || null,
+      state: event.eventState || null,
+      postalCode: event.eventZIP || null,
+      country: event.eventCountry || null
+    };
+  }
+
+  /**
+   * Find the date USPS took possession of the package
+   * @param {Object} data - USPS tracking response
+   * @param {Array} trackingEvents - USPS tracking events (newest first)
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  findShippedDate(data, trackingEvents) {
+    if (data.approximateIntakeDate) {
+      return this.toDateOnly(data.approximateIntakeDate);
+    }
+
+    const firstScan = [...trackingEvents]
+      .reverse()
+      .find(event => !PRE_SHIPMENT_EVENT_CODES.includes(event.eventCode));
+    return firstScan ? this.toDateOnly(firstScan.eventTimestamp) : null;
+  }
+
+  /**
+   * Pick the best delivery date USPS reports: guaranteed, expected, then predicted
+   * @param {Object} data - USPS tracking response
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  findExpectedDeliveryDate(data) {
+    const expectation = data.deliveryDateExpectation || {};
+    const date = data.guaranteedDeliveryTimeStamp ||
+      data.expectedDeliveryTimeStamp ||
+      expectation.guaranteedThrough ||
+      expectation.expectedDeliveryDate ||
+      expectation.predictedDeliveryDate;
+    return this.toDateOnly(date);
+  }
+
+  /**
+   * Extract the predicted delivery window, when USPS provides one
+   * @param {Object} data - USPS tracking response
+   * @returns {Object|null} - { start, end } timestamps or null
+   */
+  findDeliveryWindow(data) {
+    const expectation = data.deliveryDateExpectation || {};
+    const start = expectation.predictedDeliveryWindowStartTime;
+    const end = expectation.predictedDeliveryWindowEndTime;
+
+    if (!start && !end) {
+      return null;
+    }
+    return {
+      start: start || null,
+      end: end || null
+    };
+  }
+
+  /**
+   * Collect delivery attributes (mail class, destination, signature)
+   * @param {Object} data - USPS tracking response
+   * @param {Array} trackingEvents - USPS tracking events (newest first)
+   * @returns {Object} - Delivery attributes
+   */
+  parseDeliveryAttributes(data, trackingEvents) {
+    const signedEvent = trackingEvents.find(event => event.name || event.authorizedAgent);
+
+    return {
+      mailClass: data.mailClass || null,
+      mailType: data.mailType || null,
+      itemShape: data.itemShape || null,
+      deliveryType: data.expectedDeliveryType || null,
+      destinationCity: data.destinationCity || null,
+      destinationState: data.destinationState || null,
+      destinationZip: data.destinationZIP || null,
+      signedBy: signedEvent?.name || null,
+      authorizedAgent: signedEvent?.authorizedAgent === true || signedEvent?.authorizedAgent === 'true'
+    };
+  }
+
+  /**
+   * Trim a USPS timestamp to its date
+   * @param {string} value - USPS timestamp or date
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  toDateOnly(value) {
+    if (!value || !/^\d{4}-\d{2}-\d{2}/.test(value)) {
+      return null;
+    }
+    return value.slice(0, 10);
+  }
+
+  /**
+   * Extract the USPS error message from an axios error, if there is one
+   * @param {Error} error - The error thrown during tracking
+   * @returns {Error} - Error with the most useful message
+   */
+  normalizeApiError(error) {
+    const apiError = error.response?.data?.error;
+    if (apiError) {
+      const detail = apiError.errors?.[0]?.detail || apiError.message;
+      return new Error(`USPS API Error: ${detail}`);
+    }
+    return error;
+  }
+}
+
+module.exports = USPSv3Carrier;
@@ -1,9 +1,39 @@
 const axios = require('axios');
+const xml2js = require('xml2js');
 const BaseCarrier = require('./base-carrier');
+const { toArray } = require('./carrier-utils');
+const { SHIPMENT_STATUSES } = require('./shipment-status');
+
+/**
+ * USPS event codes mapped to canonical shipment statuses
+ * Shared by the TrackV2 and v3 adapters; other codes fall back to the event text
+ */
+const USPS_EVENT_CODES = {
+  GX: SHIPMENT_STATUSES.LABEL_CREATED, // Shipping label created
+  MA: SHIPMENT_STATUSES.LABEL_CREATED, // Pre-shipment info sent to USPS
+  OF: SHIPMENT_STATUSES.OUT_FOR_DELIVERY,
+  '01': SHIPMENT_STATUSES.DELIVERED,
+  '02': SHIPMENT_STATUSES.EXCEPTION, // Notice left, no authorized recipient
+  '04': SHIPMENT_STATUSES.EXCEPTION, // Refused
+  '05': SHIPMENT_STATUSES.EXCEPTION, // Undeliverable as addressed
+  '09': SHIPMENT_STATUSES.RETURNED // Return to sender
+};
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+// Label-created / electronic shipping info events
+const PRE_SHIPMENT_EVENT_CODES = ['GX', 'MA'];
+
+// TrackV2 accepts up to 10 TrackID elements per request
+const MAX_TRACK_IDS = 10;
 
 /**
  * USPS Carrier Service Implementation
- * Based on USPS Tracking API v3
+ * Based on the legacy USPS Web Tools TrackV2 XML API
+ * See usps-v3.js for the v3 REST API that replaces it
  */
 class USPSCarrier extends BaseCarrier {
   constructor(apiKey) {
@@ -18,20 +48,36 @@ class USPSCarrier extends BaseCarrier {
    * @returns {Promise<Object>} - Standardized tracking data
    */
   async trackPackage(trackingNumber) {
+    const [result] = await this.trackPackages([trackingNumber]);
+    return result;
+  }
+
+  /**
+   * Track several USPS packages in one TrackV2 request
+   * Each number gets its own result - one bad number does not fail the others
+   * @param {Array<string>} trackingNumbers - USPS tracking numbers (max 10)
+   * @returns {Promise<Array<Object>>} - Standardized tracking data or error per number, in input order
+   */
+  async trackPackages(trackingNumbers) {
     try {
       if (!this.isServiceActive()) {
-        throw new Error('USPS service is not properly configured');
+        throw this.permanentError('USPS service is not properly configured');
+      }
+
+      if (trackingNumbers.length > MAX_TRACK_IDS) {
+        throw new Error(`USPS accepts at most ${MAX_TRACK_IDS} tracking numbers per request`);
       }
 
-      if (!this.validateTrackingNumber(trackingNumber)) {
-        throw new Error('Invalid USPS tracking number format');
+      const invalidNumber = trackingNumbers.find(number => !this.validateTrackingNumber(number));
+      if (invalidNumber !== undefined) {
+        throw this.permanentError('Invalid USPS tracking number format');
       }
 
-      // Clean tracking number
-      const cleanTrackingNumber = trackingNumber.replace(/\s/g, '').toUpperCase();
+      // Clean tracking numbers
+      const cleanTrackingNumbers = trackingNumbers.map(number => number.replace(/\s/g, '').toUpperCase());
 
       // USPS API XML request
-      const xmlRequest = this.buildXMLRequest(cleanTrackingNumber);
+      const xmlRequest = this.buildXMLRequest(cleanTrackingNumbers);
       
       const response = await axios.get(this.baseUrl, {
         params: {
@@ -41,85 +87,231 @@ class USPSCarrier extends BaseCarrier {
         timeout: 10000
       });
 
-      const trackingData = this.parseXMLResponse(response.data);
-      return this.standardizeData(trackingData);
+      const results = await this.parseXMLResponse(response.data);
+
+      return cleanTrackingNumbers.map(number => {
+        const trackingData = results.find(result => result.trackingNumber === number);
+        if (!trackingData) {
+          return this.handleError(new Error(`USPS API Error: No tracking information returned for ${number}`));
+        }
+        if (trackingData.error) {
+          return this.handleError(new Error(`USPS API Error: ${trackingData.error}`));
+        }
+        return this.standardizeData(trackingData);
+      });
 
     } catch (error) {
-      return this.handleError(error);
+      return trackingNumbers.map(() => this.handleError(error));
     }
   }
 
   /**
    * Build XML request for USPS API
-   * @param {string} trackingNumber - Clean tracking number
+   * TrackFieldRequest (Revision 1) returns structured event fields instead of
+   * the free-text summaries of a plain TrackRequest
+   * @param {string|Array<string>} trackingNumbers - Clean tracking number(s)
    * @returns {string} - XML request string
    */
-  buildXMLRequest(trackingNumber) {
-    return `
-      <TrackRequest USERID="${this.userId}">
-        <TrackID ID="${trackingNumber}"></TrackID>
-      </TrackRequest>
-    `;
+  buildXMLRequest(trackingNumbers) {
+    const trackIds = [].concat(trackingNumbers)
+      .map(number => `<TrackID ID="${this.escapeXML(number)}"></TrackID>`)
+      .join('');
+
+    return `<TrackFieldRequest USERID="${this.escapeXML(this.userId)}">` +
+      '<Revision>1</Revision>' +
+      '<ClientIp>127.0.0.1</ClientIp>' +
+      '<SourceId>PostalHub</SourceId>' +
+      trackIds +
+      '</TrackFieldRequest>';
   }
 
   /**
    * Parse USPS XML response
    * @param {string} xmlResponse - XML response from USPS API
-   * @returns {Object} - Parsed tracking data
+   * @returns {Promise<Array<Object>>} - Parsed tracking data per TrackInfo block;
+   *   blocks with a per-ID <Error> come back as { trackingNumber, error }
    */
-  parseXMLResponse(xmlResponse) {
+  async parseXMLResponse(xmlResponse) {
+    let document;
     try {
-      // Simple XML parsing (in production, use proper XML parser like xml2js)
-      const hasError = xmlResponse.includes('<Error>');
-      
-      if (hasError) {
-        const errorMatch = xmlResponse.match(/<Description>(.*?)<\/Description>/);
-        const errorMessage = errorMatch ? errorMatch[1] : 'Unknown error';
-        throw new Error(`USPS API Error: ${errorMessage}`);
-      }
+      document = await xml2js.parseStringPromise(xmlResponse, {
+        explicitArray: false,
+        trim: true
+      });
+    } catch (error) {
+      throw new Error(`Failed to parse USPS response: ${error.message}`);
+    }
 
-      // Extract tracking details
-      const trackingNumberMatch = xmlResponse.match(/<TrackID ID="(.*?)"/);
-      const statusMatch = xmlResponse.match(/<Status>(.*?)<\/Status>/);
-      const summaryMatch = xmlResponse.match(/<TrackSummary>(.*?)<\/TrackSummary>/);
-      const locationMatch = xmlResponse.match(/<TrackDetail>.*?<EventCity>(.*?)<\/EventCity>.*?<EventState>(.*?)<\/EventState>/);
+    // Request-level errors (bad USERID, malformed request) replace the whole response
+    if (document.Error) {
+      throw new Error(`USPS API Error: ${document.Error.Description || 'Unknown error'}`);
+    }
 
-      const trackingNumber = trackingNumberMatch ? trackingNumberMatch[1] : '';
-      const currentStatus = statusMatch ? statusMatch[1] : 'Unknown';
-      const summary = summaryMatch ? summaryMatch[1] : '';
-      const location = locationMatch ? `${locationMatch[1]}, ${locationMatch[2]}` : 'Unknown';
+    if (!document.TrackResponse) {
+      throw new Error('Failed to parse USPS response: missing TrackResponse');
+    }
 
-      // Extract dates (simplified parsing)
-      const shippedDateMatch = xmlResponse.match(/<EventDate>(.*?)<\/EventDate>/);
-      const shippedDate = shippedDateMatch ? shippedDateMatch[1] : null;
+    return toArray(document.TrackResponse.TrackInfo).map(trackInfo => this.parseTrackInfo(trackInfo));
+  }
 
+  /**
+   * Parse a single TrackInfo block
+   * @param {Object} trackInfo - Parsed TrackInfo element
+   * @returns {Object} - Parsed tracking data, or { trackingNumber, error }
+   */
+  parseTrackInfo(trackInfo) {
+    const trackingNumber = trackInfo.$?.ID || '';
+
+    if (trackInfo.Error) {
       return {
         trackingNumber,
-        currentStatus: currentStatus || summary,
-        currentLocation: location,
-        shippedDate: shippedDate ? this.parseUSPSDate(shippedDate) : null,
-        expectedDeliveryDate: null, // USPS doesn't provide this in basic tracking
-        rawData: xmlResponse
+        error: trackInfo.Error.Description || 'Unknown error'
       };
+    }
 
-    } catch (error) {
-      throw new Error(`Failed to parse USPS response: ${error.message}`);
+    // TrackSummary is the latest event; TrackDetail holds the rest, newest first
+    const events = [
+      ...toArray(trackInfo.TrackSummary),
+      ...toArray(trackInfo.TrackDetail)
+    ].map(detail => this.parseTrackDetail(detail));
+
+    const latestEvent = events[0];
+
+    return {
+      trackingNumber,
+      currentStatus: trackInfo.Status || trackInfo.StatusSummary || latestEvent?.description || 'Unknown',
+      currentLocation: latestEvent?.location || 'Unknown',
+      shippedDate: this.findShippedDate(events),
+      expectedDeliveryDate: this.parseUSPSDate(
+        trackInfo.GuaranteedDeliveryDate || trackInfo.ExpectedDeliveryDate || trackInfo.PredictedDeliveryDate
+      ),
+      serviceName: trackInfo.Class || null,
+      deliveryAttributes: {
+        mailClass: trackInfo.Class || null,
+        destinationCity: trackInfo.DestinationCity || null,
+        destinationState: trackInfo.DestinationState || null,
+        destinationZip: trackInfo.DestinationZip || null
+      },
+      events,
+      rawData: trackInfo
+    };
+  }
+
+  /**
+   * Convert a TrackSummary/TrackDetail element into a standardized event
+   * @param {Object|string} detail - Parsed TrackDetail element
+   * @returns {Object} - Standardized event
+   */
+  parseTrackDetail(detail) {
+    // Plain TrackRequest responses use free-text details
+    if (typeof detail === 'string') {
+      return {
+        timestamp: null,
+        date: null,
+        time: null,
+        description: detail,
+        eventCode: null,
+        statusType: null,
+        location: null,
+        city: null,
+        state: null,
+        postalCode: null,
+        country: null
+      };
     }
+
+    const date = this.parseUSPSDate(detail.EventDate);
+    const time = this.parseUSPSTime(detail.EventTime);
+    const location = [detail.EventCity, detail.EventState, detail.EventZIPCode]
+      .filter(Boolean)
+      .join(', ');
+
+    return {
+      timestamp: date && time ? `${date}T${time}:00` : date,
+      date,
+      time,
+      description: detail.Event || '',
+      eventCode: detail.EventCode || null,
+      statusType: null,
+      location: location || null,
+      city: detail.EventCity || null,
+      state: detail.EventState || null,
+      postalCode: detail.EventZIPCode || null,
+      country: detail.EventCountry || null
+    };
+  }
+
+  /**
+   * Find the date USPS took possession of the package
+   * Label-created / pre-shipment events do not count
+   * @param {Array} events - Standardized events (newest first)
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  findShippedDate(events) {
+    const firstScan = [...events]
+      .reverse()
+      .find(event => event.date && !PRE_SHIPMENT_EVENT_CODES.includes(event.eventCode));
+    return firstScan ? firstScan.date : null;
   }
 
   /**
    * Parse USPS date format
-   * @param {string} dateString - USPS date string
-   * @returns {string} - ISO date string
+   * @param {string} dateString - USPS date string ("January 1, 2024")
+   * @returns {string|null} - YYYY-MM-DD date or null
    */
   parseUSPSDate(dateString) {
-    try {
-      // USPS date format: "January 1, 2024 12:00 pm"
-      const date = new Date(dateString);
-      return date.toISOString().split('T')[0]; // Return YYYY-MM-DD format
-    } catch (error) {
+    const match = /^([A-Za-z]+)\s+(\d{1,2}),\s*(\d{4})$/.exec(dateString || '');
+    if (!match) {
+      return null;
+    }
+
+    const month = MONTHS.indexOf(match[1].toLowerCase()) + 1;
+    if (month === 0) {
       return null;
     }
+
+    return `${match[3]}-${String(month).padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+  }
+
+  /**
+   * Parse USPS time format
+   * @param {string} timeString - USPS time string ("12:00 pm")
+   * @returns {string|null} - HH:MM (24 hour) or null
+   */
+  parseUSPSTime(timeString) {
+    const match = /^(\d{1,2}):(\d{2})\s*(am|pm)$/i.exec(timeString || '');
+    if (!match) {
+      return null;
+    }
+
+    let hours = parseInt(match[1], 10) % 12;
+    if (match[3].toLowerCase() === 'pm') {
+      hours += 12;
+    }
+
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+  }
+
+  /**
+   * Escape a value for use inside an XML attribute
+   * @param {string} value - Raw value
+   * @returns {string} - Escaped value
+   */
+  escapeXML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Map a USPS event to a canonical shipment status
+   * @param {Object} event - Standardized event
+   * @returns {string} - Canonical shipment status
+   */
+  normalizeStatus(event) {
+    return USPS_EVENT_CODES[event.eventCode] || super.normalizeStatus(event);
   }
 
   /**
@@ -0,0 +1,172 @@
+const axios = require('axios');
+const BaseCarrier = require('./base-carrier');
+const { SHIPMENT_STATUSES } = require('./shipment-status');
+
+/**
+ * Veho package event types mapped to canonical shipment statuses
+ * Other types fall back to the event message
+ */
+const VEHO_EVENT_TYPES = {
+  created: SHIPMENT_STATUSES.LABEL_CREATED,
+  pickedUpFromClient: SHIPMENT_STATUSES.IN_TRANSIT,
+  droppedOffAtVeho: SHIPMENT_STATUSES.IN_TRANSIT,
+  pickedUpFromVeho: SHIPMENT_STATUSES.OUT_FOR_DELIVERY,
+  outForDelivery: SHIPMENT_STATUSES.OUT_FOR_DELIVERY,
+  delivered: SHIPMENT_STATUSES.DELIVERED,
+  failedDelivery: SHIPMENT_STATUSES.EXCEPTION,
+  misdelivered: SHIPMENT_STATUSES.EXCEPTION,
+  returnedToClient: SHIPMENT_STATUSES.RETURNED
+};
+
+/**
+ * Veho Carrier Service Implementation
+ * Based on the Veho client API (package tracking events), authenticated with
+ * a shipper API key. Veho delivers for e-commerce shippers and has no public
+ * tracking API of its own
+ */
+class VehoCarrier extends BaseCarrier {
+  constructor(apiKey, options = {}) {
+    super('Veho', apiKey);
+    this.baseUrl = options.baseUrl || 'https://api.shipveho.com';
+  }
+
+  /**
+   * Build the Veho service from app config
+   * @param {Object} config - getConfig() result
+   * @returns {VehoCarrier|null} - Service, or null when its credentials are not set
+   */
+  static fromConfig(config) {
+    if (!config.VEHO_API_KEY) {
+      return null;
+    }
+    return new VehoCarrier(config.VEHO_API_KEY, {
+      baseUrl: config.VEHO_API_URL
+    });
+  }
+
+  /**
+   * Track a Veho package
+   * @param {string} trackingNumber - Veho tracking ID
+   * @returns {Promise<Object>} - Standardized tracking data
+   */
+  async trackPackage(trackingNumber) {
+    try {
+      if (!this.isServiceActive()) {
+        throw this.permanentError('Veho service is not properly configured');
+      }
+
+      if (!this.validateTrackingNumber(trackingNumber)) {
+        throw this.permanentError('Invalid Veho tracking number format');
+      }
+
+      const cleanTrackingNumber = trackingNumber.replace(/\s/g, '').toUpperCase();
+
+      const response = await axios.get(
+        `${this.baseUrl}/v1/packages/${encodeURIComponent(cleanTrackingNumber)}/events`,
+        {
+          headers: {
+            apikey: this.apiKey,
+            Accept: 'application/json'
+          },
+          timeout: 10000
+        }
+      );
+
+      const trackingData = this.parseTrackResponse(response.data, cleanTrackingNumber);
+      return this.standardizeData(trackingData);
+
+    } catch (error) {
+      return this.handleError(this.normalizeApiError(error));
+    }
+  }
+
+  /**
+   * Parse a Veho package events response
+   * @param {Object} data - JSON response from Veho
+   * @param {string} trackingNumber - Clean tracking number that was requested
+   * @returns {Object} - Parsed tracking data
+   */
+  parseTrackResponse(data, trackingNumber) {
+    if (!data || !Array.isArray(data.events)) {
+      throw new Error('Veho API Error: Tracking information not found');
+    }
+
+    const events = data.events
+      .map(event => this.parseEvent(event))
+      .sort((a, b) => this.toTime(b.timestamp) - this.toTime(a.timestamp));
+
+    return {
+      trackingNumber: data.trackingId || trackingNumber,
+      currentStatus: events[0]?.description || data.status || 'Unknown',
+      currentLocation: events[0]?.location || 'Unknown',
+      shippedDate: this.findShippedDate(events),
+      expectedDeliveryDate: data.eta?.date || data.expectedDeliveryDate || null,
+      deliveryWindow: data.eta?.start || data.eta?.end ? {
+        start: data.eta.start || null,
+        end: data.eta.end || null
+      } : null,
+      proofOfDelivery: data.proofOfDelivery?.photoUrl ? {
+        timestamp: data.proofOfDelivery.timestamp || null,
+        documentUrl: data.proofOfDelivery.photoUrl
+      } : null,
+      events,
+      rawData: data
+    };
+  }
+
+  /**
+   * Convert a Veho event into a standardized event
+   * @param {Object} event - events entry
+   * @returns {Object} - Standardized event
+   */
+  parseEvent(event) {
+    const address = event.location || {};
+    const city = address.city || null;
+    const state = address.state || null;
+
+    return {
+      timestamp: event.timestamp || null,
+      description: event.message || event.eventType || '',
+      eventCode: event.eventType || null,
+      location: [city, state].filter(Boolean).join(', ') || null,
+      city,
+      state,
+      postalCode: address.zipCode || null,
+      country: 'US'
+    };
+  }
+
+  /**
+   * Find the first event after the package was created
+   * @param {Array} events - Standardized events (newest first)
+   * @returns {string|null} - YYYY-MM-DD date or null
+   */
+  findShippedDate(events) {
+    const firstScan = [...events].reverse().find(event => event.eventCode !== 'created');
+    return firstScan?.timestamp ? firstScan.timestamp.slice(0, 10) : null;
+  }
+
+  /**
+   * Extract the Veho error message from an axios error, if there is one
+   * @param {Error} error - The error thrown during tracking
+   * @returns {Error} - Error with the most useful message
+   */
+  normalizeApiError(error) {
+    const message = error.response?.data?.message;
+    if (message) {
+      return new Error(`Veho API Error: ${message}`);
+    }
+    return error;
+  }
+
+  /**
+   * Map a Veho event to a canonical shipment status
+   * @param {Object} event - Standardized event
+   * @returns {string} - Canonical shipment status
+   */
+  normalizeStatus(event) {
+    return VEHO_EVENT_TYPES[event.eventCode] || super.normalizeStatus(event);
+  }
+}
+
+module.exports = VehoCarrier;
@@ -0,0 +1,281 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getConfig } = require('../config/env');
+
+/**
+ * Google Token Verification
+ * ID tokens (JWTs) are verified locally against Google's signing keys, which
+ * are cached for as long as Google's Cache-Control allows. Access tokens can
+ * only be checked by Google, so tokeninfo results are cached briefly
+ */
+
+const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_TOKENINFO_URL = 'https://oauth2.googleapis.com/tokeninfo';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+// Used when Google's response has no max-age
+const DEFAULT_JWKS_TTL_MS = 60 * 60 * 1000;
+// Refetch for an unknown kid at most this often (keys rotate rarely; bad tokens should not hammer Google)
+const JWKS_REFETCH_COOLDOWN_MS = 60 * 1000;
+const CLOCK_TOLERANCE_SECONDS = 30;
+
+const ACCESS_TOKEN_CACHE_TTL_MS = 5 * 60 * 1000;
+const ACCESS_TOKEN_CACHE_MAX_ENTRIES = 1000;
+
+class GoogleTokenError extends Error {
+  /**
+   * @param {string} message - What is wrong with the token
+   * @param {string} code - 'invalid_token' or 'token_expired'
+   */
+  constructor(message, code = 'invalid_token') {
+    super(message);
+    this.name = 'GoogleTokenError';
+    this.code = code;
+  }
+}
+
+/**
+ * Read max-age from a Cache-Control header
+ * @param {string} cacheControl - Cache-Control header value
+ * @returns {number|null} - Max age in milliseconds
+ */
+function parseMaxAge(cacheControl) {
+  const match = /max-age=(\d+)/.exec(cacheControl || '');
+  return match ? parseInt(match[1], 10) * 1000 : null;
+}
+
+/**
+ * Fetch Google's current signing keys
+ * @returns {Promise<Object>} - { keys: JWK[], maxAgeMs }
+ */
+async function fetchGoogleJwks() {
+  const response = await axios.get(GOOGLE_JWKS_URL, { timeout: 10000 });
+  return {
+    keys: response.data.keys || [],
+    maxAgeMs: parseMaxAge(response.headers['cache-control'])
+  };
+}
+
+/**
+ * Ask Google about an access token
+ * @param {string} accessToken - Google OAuth access token
+ * @returns {Promise<Object>} - tokeninfo response
+ */
+async function fetchAccessTokenInfo(accessToken) {
+  try {
+    const response = await axios.get(GOOGLE_TOKENINFO_URL, {
+      params: { access_token: accessToken },
+      timeout: 10000
+    });
+    return response.data;
+  } catch (error) {
+    // tokeninfo answers 400 for tokens it does not recognise
+    if (error.response?.status === 400 || error.response?.status === 401) {
+      throw new GoogleTokenError('Google OAuth token is invalid or expired');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Reject tokeninfo for an access token issued to a client we do not accept
+ * @param {Object} tokenInfo - tokeninfo response
+ * @param {Array<string>} audiences - Allowed Google client IDs
+ */
+function assertAllowedAudience(tokenInfo, audiences) {
+  const clients = [tokenInfo.aud, tokenInfo.azp].filter(Boolean);
+  if (clients.length === 0 || !clients.every(client => audiences.includes(client))) {
+    throw new GoogleTokenError('Google OAuth token was not issued to this app');
+  }
+}
+
+/**
+ * Create a Google token verifier
+ * The key and tokeninfo sources can be swapped, e.g. for a locally generated keyset in tests
+ * @param {Object} options - { fetchJwks, fetchTokenInfo, audiences, now }
+ * @returns {Object} - { verifyIdToken, verifyAccessToken, clearCache }
+ */
+function createGoogleTokenVerifier(options = {}) {
+  const fetchJwks = options.fetchJwks || fetchGoogleJwks;
+  const fetchTokenInfo = options.fetchTokenInfo || fetchAccessTokenInfo;
+  const getAudiences = () => options.audiences || getConfig().GOOGLE_TOKEN_AUDIENCES;
+  const now = options.now || (() => Date.now());
+
+  let signingKeys = new Map();
+  let keysExpireAt = 0;
+  let lastFetchAt = 0;
+  let pendingFetch = null;
+  const accessTokenCache = new Map();
+
+  /**
+   * Replace the cached signing keys (concurrent callers share one request)
+   */
+  async function refreshKeys() {
+    if (!pendingFetch) {
+      pendingFetch = (async () => {
+        try {
+          const { keys, maxAgeMs } = await fetchJwks();
+          signingKeys = new Map(keys
+            .filter(jwk => jwk.kid && jwk.kty === 'RSA')
+            .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+          lastFetchAt = now();
+          keysExpireAt = lastFetchAt + (maxAgeMs || DEFAULT_JWKS_TTL_MS);
+        } finally {
+          pendingFetch = null;
+        }
+      })();
+    }
+    return pendingFetch;
+  }
+
+  /**
+   * Get the public key for a kid, refreshing the keyset when it is stale or the kid is new
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<KeyObject|null>} - Public key
+   */
+  async function getSigningKey(kid) {
+    const stale = now() >= keysExpireAt;
+    const unknownKid = !signingKeys.has(kid) && now() - lastFetchAt >= JWKS_REFETCH_COOLDOWN_MS;
+    if (stale || unknownKid) {
+      await refreshKeys();
+    }
+    return signingKeys.get(kid) || null;
+  }
+
+  /**
+   * Verify a Google ID token's signature, audience, issuer and expiry
+   * @param {string} idToken - Google ID token (JWT)
+   * @returns {Promise<Object>} - Verified token payload
+   */
+  async function verifyIdToken(idToken) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || decoded.header.alg !== 'RS256' || !decoded.header.kid) {
+      throw new GoogleTokenError('ID token is malformed');
+    }
+
+    const key = await getSigningKey(decoded.header.kid);
+    if (!key) {
+      throw new GoogleTokenError('ID token was not signed by a current Google key');
+    }
+
+    const audiences = getAudiences();
+    if (!audiences || audiences.length === 0) {
+      throw new Error('No Google client IDs configured to verify ID tokens against (GOOGLE_CLIENT_ID)');
+    }
+
+    try {
+      return jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        audience: audiences,
+        issuer: GOOGLE_ISSUERS,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS,
+        clockTimestamp: Math.floor(now() / 1000)
+      });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new GoogleTokenError('ID token has expired', 'token_expired');
+      }
+      // jsonwebtoken's messages list the accepted audiences - keep them out of responses
+      throw new GoogleTokenError('ID token signature, audience or issuer is invalid');
+    }
+  }
+
+  /**
+   * Check an access token with Google, reusing recent answers
+   * @param {string} accessToken - Google OAuth access token
+   * @returns {Promise<Object>} - tokeninfo response
+   */
+  async function verifyAccessToken(accessToken) {
+    const audiences = getAudiences();
+    if (!audiences || audiences.length === 0) {
+      throw new Error('No Google client IDs configured to verify access tokens against (GOOGLE_CLIENT_ID)');
+    }
+
+    const cacheKey = crypto.createHash('sha256').update(accessToken).digest('hex');
+    const cached = accessTokenCache.get(cacheKey);
+    if (cached && cached.expiresAt > now()) {
+      assertAllowedAudience(cached.tokenInfo, audiences);
+      return cached.tokenInfo;
+    }
+    accessTokenCache.delete(cacheKey);
+
+    const tokenInfo = await fetchTokenInfo(accessToken);
+
+    // Any Google client can mint access tokens - only ours (and registered apps') are accepted
+    assertAllowedAudience(tokenInfo, audiences);
+
+    const tokenExpiresAt = tokenInfo.exp ? Number(tokenInfo.exp) * 1000 : Infinity;
+    if (tokenExpiresAt <= now()) {
+      throw new GoogleTokenError('Google OAuth token has expired', 'token_expired');
+    }
+
+    // Never cache past the token's own expiry
+    if (accessTokenCache.size >= ACCESS_TOKEN_CACHE_MAX_ENTRIES) {
+      accessTokenCache.delete(accessTokenCache.keys().next().value);
+    }
+    accessTokenCache.set(cacheKey, {
+      tokenInfo,
+      expiresAt: Math.min(now() + ACCESS_TOKEN_CACHE_TTL_MS, tokenExpiresAt)
+    });
+
+    return tokenInfo;
+  }
+
+  /**
+   * Forget cached keys and tokeninfo answers
+   */
+  function clearCache() {
+    signingKeys = new Map();
+    keysExpireAt = 0;
+    lastFetchAt = 0;
+    accessTokenCache.clear();
+  }
+
+  return {
+    verifyIdToken,
+    verifyAccessToken,
+    clearCache
+  };
+}
+
+/**
+ * Map verified Google token claims onto the Google user shape routes use
+ * ID tokens carry `sub`/`email_verified`; access-token tokeninfo carries `user_id`/`verified_email`
+ * @param {Object} claims - ID token payload or tokeninfo response
+ * @returns {Object|null} - Google user, or null if the token has no usable identity
+ */
+function toGoogleUser(claims) {
+  const id = claims.sub || claims.user_id;
+  if (!id || !claims.email) {
+    return null;
+  }
+
+  const verified = claims.email_verified ?? claims.verified_email;
+  return {
+    id,
+    email: claims.email,
+    name: claims.name || claims.email,
+    picture: claims.picture,
+    verified_email: verified === true || verified === 'true'
+  };
+}
+
+/**
+ * Whether a bearer token is a JWT (ID token) rather than an opaque access token
+ * @param {string} token - Bearer token
+ * @returns {boolean}
+ */
+function isJwt(token) {
+  return token.split('.').length === 3;
+}
+
+const googleTokenVerifier = createGoogleTokenVerifier();
+
+module.exports = {
+  GoogleTokenError,
+  createGoogleTokenVerifier,
+  googleTokenVerifier,
+  toGoogleUser,
+  isJwt
+};
@@ -0,0 +1,321 @@
+const { prisma } = require('../lib/prisma');
+const { createLogger } = require('../utils/logger');
+const { hasRole } = require('./organizations');
+
+const logger = createLogger('Identities');
+
+/**
+ * Linked Identities
+ * Every sign-in method outside email/password is an identity (provider + the
+ * provider's user ID) pointing at one UserProfile, so web, external API and
+ * Supabase sessions of the same person share one account and tracking list.
+ * Profiles created before identities existed used the provider's user ID as
+ * their own ID; they are linked the first time that identity signs in
+ */
+
+const IDENTITY_PROVIDERS = {
+  GOOGLE: 'google',
+  SUPABASE: 'supabase'
+};
+
+const IDENTITY_PROVIDER_VALUES = Object.values(IDENTITY_PROVIDERS);
+
+// lastUsedAt is written at most this often (external API calls resolve an identity per request)
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+class IdentityError extends Error {
+  /**
+   * @param {string} message - Why the identity could not be used or linked
+   * @param {string} code - 'email_in_use', 'identity_in_use' or 'last_login_method'
+   * @param {Object} details - Extra response fields, e.g. { canMerge }
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'IdentityError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Find the user an identity belongs to, without creating anything
+ * @param {string} provider - One of IDENTITY_PROVIDERS
+ * @param {string} subject - Provider's user ID
+ * @returns {Promise<Object|null>} - User profile
+ */
+async function findIdentityUser(provider, subject) {
+  const identity = await prisma.userIdentity.findUnique({
+    where: { provider_subject: { provider, subject } },
+    include: { user: true }
+  });
+
+  if (identity) {
+    if (!identity.lastUsedAt || Date.now() - identity.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+      await prisma.userIdentity.update({
+        where: { id: identity.id },
+        data: { lastUsedAt: new Date() }
+      });
+    }
+    return identity.user;
+  }
+
+  // Profile created before identities existed, keyed by this provider's user ID.
+  // Once it has any identity or a password it is managed through links instead
+  const legacyUser = await prisma.userProfile.findFirst({
+    where: { id: subject, password: null, identities: { none: {} } }
+  });
+
+  if (legacyUser) {
+    await prisma.userIdentity.upsert({
+      where: { provider_subject: { provider, subject } },
+      update: {},
+      create: { userId: legacyUser.id, provider, subject, email: legacyUser.email, lastUsedAt: new Date() }
+    });
+    logger.info('Linked legacy profile to identity', { userId: legacyUser.id, provider });
+  }
+
+  return legacyUser;
+}
+
+/**
+ * Find or create the user for a sign-in through an external provider
+ * A verified email that matches an existing account links to it; otherwise a new account is created
+ * @param {string} provider - One of IDENTITY_PROVIDERS
+ * @param {Object} profile - { subject, email, emailVerified, name, avatarUrl }
+ * @returns {Promise<Object>} - User profile
+ */
+async function resolveIdentityUser(provider, profile) {
+  const existing = await findIdentityUser(provider, profile.subject);
+  if (existing) {
+    return existing;
+  }
+
+  const emailOwner = profile.email && await prisma.userProfile.findUnique({
+    where: { email: profile.email }
+  });
+
+  if (emailOwner) {
+    if (!profile.emailVerified) {
+      throw new IdentityError(
+        'An account with this email already exists. Log in to it and link this sign-in method.',
+        'email_in_use'
+      );
+    }
+
+    await prisma.$transaction([
+      prisma.userIdentity.create({
+        data: { userId: emailOwner.id, provider, subject: profile.subject, email: profile.email, lastUsedAt: new Date() }
+      }),
+      // The provider has verified the address. A password set by an unverified registration
+      // was never proven to belong to this person, so it is dropped
+      prisma.userProfile.update({
+        where: { id: emailOwner.id },
+        data: {
+          emailVerifiedAt: emailOwner.emailVerifiedAt || new Date(),
+          ...(!emailOwner.emailVerifiedAt && { password: null })
+        }
+      })
+    ]);
+
+    logger.info('Linked identity to account with the same email', { userId: emailOwner.id, provider });
+    return prisma.userProfile.findUnique({ where: { id: emailOwner.id } });
+  }
+
+  try {
+    return await prisma.userProfile.create({
+      data: {
+        email: profile.email,
+        fullName: profile.name || null,
+        avatarUrl: profile.avatarUrl || null,
+        emailVerifiedAt: profile.emailVerified ? new Date() : null,
+        identities: {
+          create: { provider, subject: profile.subject, email: profile.email, lastUsedAt: new Date() }
+        }
+      }
+    });
+  } catch (error) {
+    // A concurrent first sign-in created it
+    if (error.code === 'P2002') {
+      const created = await findIdentityUser(provider, profile.subject);
+      if (created) {
+        return created;
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Whether an account can be folded into another one by whoever controls this identity
+ * True when the identity is its only way to sign in - proving the identity proves the whole account
+ * @param {Object} user - Account the identity is linked to
+ * @returns {Promise<boolean>}
+ */
+async function canMergeAccount(user) {
+  if (user.password) {
+    return false;
+  }
+  const identityCount = await prisma.userIdentity.count({
+    where: { userId: user.id }
+  });
+  return identityCount <= 1;
+}
+
+/**
+ * Move everything one account owns into another and delete it
+ * @param {string} targetUserId - Account that stays
+ * @param {string} sourceUserId - Account that is folded in
+ * @returns {Promise<Object>} - { trackingRequests } moved
+ */
+async function mergeAccounts(targetUserId, sourceUserId) {
+  return prisma.$transaction(async (tx) => {
+    const { count: trackingRequests } = await tx.trackingRequest.updateMany({
+      where: { userId: sourceUserId },
+      data: { userId: targetUserId }
+    });
+
+    await tx.userIdentity.updateMany({
+      where: { userId: sourceUserId },
+      data: { userId: targetUserId }
+    });
+
+    await tx.apiKey.updateMany({
+      where: { userId: sourceUserId },
+      data: { userId: targetUserId }
+    });
+
+    // Organization memberships move over; where both accounts belong to the same
+    // organization the target keeps the higher of the two roles
+    const memberships = await tx.organizationMembership.findMany({
+      where: { userId: sourceUserId }
+    });
+    for (const membership of memberships) {
+      const existing = await tx.organizationMembership.findUnique({
+        where: { organizationId_userId: { organizationId: membership.organizationId, userId: targetUserId } }
+      });
+      if (!existing) {
+        await tx.organizationMembership.update({
+          where: { id: membership.id },
+          data: { userId: targetUserId }
+        });
+        continue;
+      }
+      if (!hasRole(existing.role, membership.role)) {
+        await tx.organizationMembership.update({
+          where: { id: existing.id },
+          data: { role: membership.role }
+        });
+      }
+      await tx.organizationMembership.delete({ where: { id: membership.id } });
+    }
+
+    // External app names are unique per owner - keep clashing apps apart by renaming them
+    const apps = await tx.externalApp.findMany({
+      where: { ownerId: sourceUserId }
+    });
+    for (const app of apps) {
+      const clash = await tx.externalApp.findUnique({
+        where: { ownerId_name: { ownerId: targetUserId, name: app.name } },
+        select: { id: true }
+      });
+      await tx.externalApp.update({
+        where: { id: app.id },
+        data: {
+          ownerId: targetUserId,
+          ...(clash && { name: `${app.name} (merged ${app.id.slice(0, 8)})` })
+        }
+      });
+    }
+
+    // Sessions, tokens and recovery codes of the old account go with it
+    await tx.userProfile.delete({
+      where: { id: sourceUserId }
+    });
+
+    return { trackingRequests };
+  });
+}
+
+/**
+ * Link an identity to a signed-in user
+ * An identity that is the only sign-in of another account can be merged into this one
+ * @param {Object} user - Signed-in user profile
+ * @param {string} provider - One of IDENTITY_PROVIDERS
+ * @param {Object} profile - { subject, email }
+ * @param {Object} options - { merge } to fold the identity's current account into this one
+ * @returns {Promise<Object>} - { identity, merged } (merged is null or { trackingRequests })
+ */
+async function linkIdentity(user, provider, profile, options = {}) {
+  const owner = await findIdentityUser(provider, profile.subject);
+  let merged = null;
+
+  if (owner && owner.id !== user.id) {
+    const canMerge = await canMergeAccount(owner);
+
+    if (!options.merge || !canMerge) {
+      throw new IdentityError(
+        canMerge
+          ? 'This sign-in method belongs to another account. Link again with merge: true to move that account\'s data into this one.'
+          : 'This sign-in method belongs to another account that has other ways to sign in. Unlink it there first.',
+        'identity_in_use',
+        { canMerge }
+      );
+    }
+
+    merged = await mergeAccounts(user.id, owner.id);
+    logger.info('Merged accounts while linking identity', {
+      userId: user.id,
+      mergedUserId: owner.id,
+      provider,
+      ...merged
+    });
+  } else if (!owner) {
+    await prisma.userIdentity.create({
+      data: { userId: user.id, provider, subject: profile.subject, email: profile.email || null }
+    });
+  }
+
+  const identity = await prisma.userIdentity.findUnique({
+    where: { provider_subject: { provider, subject: profile.subject } }
+  });
+
+  return { identity, merged };
+}
+
+/**
+ * Remove one of a user's identities
+ * @param {Object} user - Signed-in user profile
+ * @param {string} identityId - Identity ID
+ * @returns {Promise<boolean>} - False if the user has no such identity
+ */
+async function unlinkIdentity(user, identityId) {
+  const identity = await prisma.userIdentity.findFirst({
+    where: { id: identityId, userId: user.id }
+  });
+
+  if (!identity) {
+    return false;
+  }
+
+  if (!user.password && await prisma.userIdentity.count({ where: { userId: user.id } }) <= 1) {
+    throw new IdentityError(
+      'This is the only way to sign in to this account. Link another sign-in method first.',
+      'last_login_method'
+    );
+  }
+
+  await prisma.userIdentity.delete({
+    where: { id: identity.id }
+  });
+  return true;
+}
+
+module.exports = {
+  IDENTITY_PROVIDERS,
+  IDENTITY_PROVIDER_VALUES,
+  IdentityError,
+  findIdentityUser,
+  resolveIdentityUser,
+  linkIdentity,
+  unlinkIdentity
+};
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const os = require('os');
+const { prisma } = require('../lib/prisma');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('JobQueue');
+
+/**
+ * Job Queue
+ * Postgres-backed queue (see the Job model) so background work survives
+ * restarts and serverless freezes. Jobs are claimed with
+ * FOR UPDATE SKIP LOCKED, so several workers can drain the queue at once
+ */
+
+const JOB_STATUSES = Object.freeze({
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  DEAD: 'dead'
+});
+
+// Retry backoff: 30s, 1m, 2m, 4m ... capped at one hour
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// A job still "processing" after this long belongs to a worker that crashed or was frozen
+const STALE_JOB_MS = 5 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const handlers = new Map();
+
+/**
+ * Register the handler for a job type
+ * @param {string} type - Job type
+ * @param {Object} handler - { run(job), onFailure(job, error, { willRetry }) }
+ *   run() throws to fail the job; set error.retryable = false to skip retries
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type (must have a registered handler when drained)
+ * @param {Object} payload - JSON payload passed to the handler
+ * @param {Object} options - { trackingRequestId, runAt, maxAttempts }
+ * @returns {Promise<Object>} - Created job
+ */
+async function enqueueJob(type, payload, options = {}) {
+  return prisma.job.create({
+    data: {
+      type,
+      payload,
+      trackingRequestId: options.trackingRequestId || null,
+      runAt: options.runAt || new Date(),
+      ...(options.maxAttempts && { maxAttempts: options.maxAttempts })
+    }
+  });
+}
+
+/**
+ * Delay before the next attempt, with jitter so retries do not line up
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+}
+
+/**
+ * Claim due jobs for this worker
+ * @param {number} limit - Maximum number of jobs to claim
+ * @returns {Promise<Array>} - Claimed jobs, now in the processing state
+ */
+async function claimJobs(limit) {
+  const claimed = await prisma.$queryRaw`
+    UPDATE jobs
+    SET status = ${JOB_STATUSES.PROCESSING},
+        attempts = attempts + 1,
+        locked_at = NOW(),
+        locked_by = ${WORKER_ID},
+        updated_at = NOW()
+    WHERE id IN (
+      SELECT id FROM jobs
+      WHERE status = ${JOB_STATUSES.QUEUED} AND run_at <= NOW()
+      ORDER BY run_at ASC
+      LIMIT ${limit}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id
+  `;
+
+  if (claimed.length === 0) {
+    return [];
+  }
+
+  return prisma.job.findMany({
+    where: { id: { in: claimed.map(row => row.id) } },
+    orderBy: { runAt: 'asc' }
+  });
+}
+
+/**
+ * Mark a claimed job as completed
+ * @param {Object} job - Claimed job
+ */
+async function completeJob(job) {
+  await prisma.job.updateMany({
+    where: { id: job.id, status: JOB_STATUSES.PROCESSING, lockedBy: job.lockedBy },
+    data: {
+      status: JOB_STATUSES.COMPLETED,
+      completedAt: new Date(),
+      lockedAt: null,
+      lockedBy: null,
+      lastError: null
+    }
+  });
+}
+
+/**
+ * Record a failed attempt - requeue with backoff, or dead-letter once attempts run out
+ * @param {Object} job - Claimed job
+ * @param {Error} error - Why the attempt failed
+ * @returns {Promise<string|null>} - New job status, or null if another worker already took the job over
+ */
+async function failJob(job, error) {
+  const willRetry = error.retryable !== false && job.attempts < job.maxAttempts;
+  const status = willRetry ? JOB_STATUSES.QUEUED : JOB_STATUSES.DEAD;
+
+  const { count } = await prisma.job.updateMany({
+    where: { id: job.id, status: JOB_STATUSES.PROCESSING, lockedBy: job.lockedBy },
+    data: {
+      status,
+      lastError: error.message || String(error),
+      ...(willRetry && { runAt: new Date(Date.now() + getRetryDelay(job.attempts)) }),
+      lockedAt: null,
+      lockedBy: null
+    }
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  const handler = handlers.get(job.type);
+  if (handler?.onFailure) {
+    try {
+      await handler.onFailure(job, error, { willRetry });
+    } catch (hookError) {
+      logger.error('Job failure hook failed', { jobId: job.id, type: job.type, error: hookError.message });
+    }
+  }
+
+  if (!willRetry) {
+    logger.warn('Job moved to dead letter', { jobId: job.id, type: job.type, attempts: job.attempts, error: error.message });
+  }
+
+  return status;
+}
+
+/**
+ * Run a single claimed job
+ * @param {Object} job - Claimed job
+ * @returns {Promise<string|null>} - Resulting job status
+ */
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) {
+      const error = new Error(`No handler registered for job type ${job.type}`);
+      error.retryable = false;
+      throw error;
+    }
+
+    await handler.run(job);
+    await completeJob(job);
+    return JOB_STATUSES.COMPLETED;
+
+  } catch (error) {
+    logger.error('Job attempt failed', { jobId: job.id, type: job.type, attempt: job.attempts, error: error.message });
+    return failJob(job, error);
+  }
+}
+
+/**
+ * Requeue (or dead-letter) jobs whose worker stopped before finishing them
+ * @param {number} staleAfterMs - How long a job may stay in processing
+ * @returns {Promise<number>} - Number of recovered jobs
+ */
+async function recoverStaleJobs(staleAfterMs = STALE_JOB_MS) {
+  const staleJobs = await prisma.job.findMany({
+    where: {
+      status: JOB_STATUSES.PROCESSING,
+      lockedAt: { lt: new Date(Date.now() - staleAfterMs) }
+    }
+  });
+
+  let recovered = 0;
+  for (const job of staleJobs) {
+    const error = new Error(`Worker ${job.lockedBy} did not finish the job within ${Math.round(staleAfterMs / 1000)}s`);
+    if (await failJob(job, error)) {
+      recovered++;
+    }
+  }
+
+  if (recovered > 0) {
+    logger.warn('Recovered stale jobs', { recovered });
+  }
+  return recovered;
+}
+
+/**
+ * Process due jobs until the queue is empty or the time budget runs out
+ * @param {Object} options - { batchSize, timeBudgetMs }
+ * @returns {Promise<Object>} - Counts of what happened
+ */
+async function drainQueue(options = {}) {
+  const batchSize = options.batchSize || 10;
+  const deadline = Date.now() + (options.timeBudgetMs || 20 * 1000);
+
+  const summary = {
+    recovered: await recoverStaleJobs(),
+    claimed: 0,
+    completed: 0,
+    retried: 0,
+    dead: 0
+  };
+
+  while (Date.now() < deadline) {
+    const jobs = await claimJobs(batchSize);
+    if (jobs.length === 0) {
+      break;
+    }
+
+    summary.claimed += jobs.length;
+    for (const job of jobs) {
+      const status = await runJob(job);
+      if (status === JOB_STATUSES.COMPLETED) summary.completed++;
+      if (status === JOB_STATUSES.QUEUED) summary.retried++;
+      if (status === JOB_STATUSES.DEAD) summary.dead++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Put a dead-lettered job back on the queue with a fresh set of attempts
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} - Requeued job, or null if it is not dead
+ */
+async function retryDeadJob(jobId) {
+  const { count } = await prisma.job.updateMany({
+    where: { id: jobId, status: JOB_STATUSES.DEAD },
+    data: {
+      status: JOB_STATUSES.QUEUED,
+      attempts: 0,
+      runAt: new Date()
+    }
+  });
+
+  return count > 0 ? prisma.job.findUnique({ where: { id: jobId } }) : null;
+}
+
+module.exports = {
+  JOB_STATUSES,
+  registerJobHandler,
+  enqueueJob,
+  drainQueue,
+  recoverStaleJobs,
+  retryDeadJob,
+  getRetryDelay
+};
@@ -0,0 +1,59 @@
+const { drainQueue } = require('./job-queue');
+const { scheduleDueRefreshes } = require('./refresh-scheduler');
+const { createLogger } = require('../utils/logger');
+// Registers the job handlers the queue runs
+require('./tracking-jobs');
+
+const logger = createLogger('JobWorker');
+
+/**
+ * Poll the job queue in a long-running process
+ * and queue due shipment refreshes every refreshIntervalMs
+ * Serverless deployments use GET /api/cron/jobs and /api/cron/refresh instead
+ * @param {Object} options - { intervalMs, refreshIntervalMs }
+ * @returns {Function} - Stops the worker
+ */
+function startJobWorker(options = {}) {
+  const intervalMs = options.intervalMs || 5000;
+  const refreshIntervalMs = options.refreshIntervalMs || 15 * 60 * 1000;
+  let nextRefreshAt = 0;
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    if (Date.now() >= nextRefreshAt) {
+      nextRefreshAt = Date.now() + refreshIntervalMs;
+      try {
+        await scheduleDueRefreshes();
+      } catch (error) {
+        logger.error('Refresh scheduling failed', { error: error.message });
+      }
+    }
+
+    try {
+      const summary = await drainQueue();
+      if (summary.claimed > 0 || summary.recovered > 0) {
+        logger.info('Processed jobs', summary);
+      }
+    } catch (error) {
+      logger.error('Job queue drain failed', { error: error.message });
+    }
+
+    // Schedule the next poll only after this one finishes so drains never overlap
+    if (!stopped) {
+      timer = setTimeout(tick, intervalMs);
+    }
+  };
+
+  timer = setTimeout(tick, 0);
+  logger.info('Job worker started', { intervalMs, refreshIntervalMs });
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+module.exports = {
+  startJobWorker
+};
@@ -0,0 +1,78 @@
+const nodemailer = require('nodemailer');
+const { getConfig } = require('../config/env');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('Mailer');
+
+/**
+ * Mailer
+ * Outgoing mail goes through a transport - any object with `sendMail(message)`.
+ * Built-in transports are SMTP (nodemailer) and a log transport that prints the
+ * message instead of sending it; setMailTransport swaps in another one
+ */
+
+const MAIL_TRANSPORTS = {
+  smtp: () => nodemailer.createTransport(getConfig().SMTP_URL),
+  log: () => createLogTransport()
+};
+
+let transport = null;
+
+/**
+ * Transport that writes messages to the server log
+ * @returns {Object} - { sendMail }
+ */
+function createLogTransport() {
+  return {
+    async sendMail(message) {
+      logger.info('Email not sent (MAIL_TRANSPORT=log)', {
+        to: message.to,
+        subject: message.subject,
+        text: message.text
+      });
+      return { messageId: null };
+    }
+  };
+}
+
+/**
+ * Get the configured transport, creating it on first use
+ * @returns {Object} - Transport with sendMail(message)
+ */
+function getMailTransport() {
+  if (!transport) {
+    transport = MAIL_TRANSPORTS[getConfig().MAIL_TRANSPORT]();
+  }
+  return transport;
+}
+
+/**
+ * Replace the transport (another provider, or a fake that records messages)
+ * @param {Object|null} customTransport - Transport with sendMail(message); null restores the configured one
+ */
+function setMailTransport(customTransport) {
+  transport = customTransport;
+}
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - Transport result
+ */
+async function sendMail(message) {
+  const result = await getMailTransport().sendMail({
+    from: getConfig().MAIL_FROM,
+    ...message
+  });
+
+  if (result?.messageId) {
+    logger.info('Email sent', { to: message.to, subject: message.subject, messageId: result.messageId });
+  }
+  return result;
+}
+
+module.exports = {
+  sendMail,
+  setMailTransport,
+  createLogTransport
+};
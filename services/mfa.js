@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { prisma } = require('../lib/prisma');
+const { getConfig } = require('../config/env');
+const { generateTotpSecret, verifyTotp, buildOtpauthUrl } = require('./totp');
+
+/**
+ * Two-Factor Authentication
+ * Optional TOTP for accounts. Any sign-in (password, Google or Supabase) on an
+ * account with TOTP enabled gets a short-lived challenge token instead of a
+ * session; the session is only issued once a TOTP code or a single-use
+ * recovery code is verified
+ */
+
+const MFA_ISSUER = 'PostalHub';
+const MFA_CHALLENGE_TTL_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+const MFA_METHODS = ['totp', 'recovery_code'];
+
+class MfaError extends Error {
+  /**
+   * @param {string} message - Why the request was rejected
+   * @param {string} code - 'invalid_code', 'invalid_challenge', 'mfa_not_enrolled' or 'mfa_already_enabled'
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'MfaError';
+    this.code = code;
+  }
+}
+
+/**
+ * Hash a recovery code, ignoring case and dashes
+ * @param {string} code - Recovery code
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} - Codes to show the user once (only hashes are stored)
+ */
+async function regenerateRecoveryCodes(userId) {
+  // A Set, so a repeated code cannot break the per-user unique constraint
+  const codes = new Set();
+  while (codes.size < RECOVERY_CODE_COUNT) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.add(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  await prisma.$transaction([
+    prisma.mfaRecoveryCode.deleteMany({ where: { userId } }),
+    prisma.mfaRecoveryCode.createMany({
+      data: [...codes].map(code => ({ userId, codeHash: hashRecoveryCode(code) }))
+    })
+  ]);
+
+  return [...codes];
+}
+
+/**
+ * Start TOTP enrollment - stores a new secret that is not active until confirmed
+ * @param {Object} user - User profile
+ * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode } (qrCode is a PNG data URL)
+ */
+async function startTotpEnrollment(user) {
+  if (user.totpEnabledAt) {
+    throw new MfaError('Two-factor authentication is already enabled', 'mfa_already_enabled');
+  }
+
+  const secret = generateTotpSecret();
+  await prisma.userProfile.update({
+    where: { id: user.id },
+    data: { totpSecret: secret, totpLastUsedStep: null }
+  });
+
+  const otpauthUrl = buildOtpauthUrl({ secret, accountName: user.email, issuer: MFA_ISSUER });
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {Object} user - User profile
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<string[]>} - Recovery codes
+ */
+async function enableTotp(user, code) {
+  if (user.totpEnabledAt) {
+    throw new MfaError('Two-factor authentication is already enabled', 'mfa_already_enabled');
+  }
+  if (!user.totpSecret) {
+    throw new MfaError('Start two-factor setup first', 'mfa_not_enrolled');
+  }
+
+  const step = verifyTotp(user.totpSecret, code);
+  if (step === null) {
+    throw new MfaError('Invalid authentication code', 'invalid_code');
+  }
+
+  await prisma.userProfile.update({
+    where: { id: user.id },
+    data: { totpEnabledAt: new Date(), totpLastUsedStep: step }
+  });
+
+  return regenerateRecoveryCodes(user.id);
+}
+
+/**
+ * Turn TOTP off and delete the secret and recovery codes
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function disableTotp(userId) {
+  await prisma.$transaction([
+    prisma.userProfile.update({
+      where: { id: userId },
+      data: { totpSecret: null, totpEnabledAt: null, totpLastUsedStep: null }
+    }),
+    prisma.mfaRecoveryCode.deleteMany({ where: { userId } })
+  ]);
+}
+
+/**
+ * Check a second factor - a TOTP code or an unused recovery code
+ * Accepted codes are used up (TOTP codes by time step, recovery codes individually)
+ * @param {Object} user - User profile with TOTP enabled
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<string|null>} - 'totp' or 'recovery_code', or null if the code is not valid
+ */
+async function verifySecondFactor(user, code) {
+  if (!user.totpEnabledAt || !user.totpSecret || typeof code !== 'string') {
+    return null;
+  }
+
+  const step = verifyTotp(user.totpSecret, code, { lastUsedStep: user.totpLastUsedStep });
+  if (step !== null) {
+    // Record the step only if no concurrent request used it (or a later one) first
+    const { count } = await prisma.userProfile.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ totpLastUsedStep: null }, { totpLastUsedStep: { lt: step } }]
+      },
+      data: { totpLastUsedStep: step }
+    });
+    return count > 0 ? 'totp' : null;
+  }
+
+  const { count } = await prisma.mfaRecoveryCode.updateMany({
+    where: { userId: user.id, codeHash: hashRecoveryCode(code), usedAt: null },
+    data: { usedAt: new Date() }
+  });
+  return count > 0 ? 'recovery_code' : null;
+}
+
+/**
+ * Count a user's unused recovery codes
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+async function countRecoveryCodes(userId) {
+  return prisma.mfaRecoveryCode.count({
+    where: { userId, usedAt: null }
+  });
+}
+
+/**
+ * Issue the challenge token a sign-in returns when TOTP is enabled
+ * It is not an access token - only POST /api/auth/mfa/verify accepts it
+ * @param {Object} user - User profile
+ * @returns {string} - JWT
+ */
+function createMfaChallenge(user) {
+  return jwt.sign(
+    { sub: user.id, type: 'mfa_challenge' },
+    getConfig().NEXTAUTH_SECRET,
+    { expiresIn: MFA_CHALLENGE_TTL_SECONDS }
+  );
+}
+
+/**
+ * Describe the second-factor step a sign-in stopped at
+ * @param {Object} user - User profile with TOTP enabled
+ * @returns {Object} - { status: 'mfa_required', challengeToken, expiresIn, methods }
+ */
+function buildMfaChallenge(user) {
+  return {
+    status: 'mfa_required',
+    challengeToken: createMfaChallenge(user),
+    expiresIn: MFA_CHALLENGE_TTL_SECONDS,
+    methods: MFA_METHODS
+  };
+}
+
+/**
+ * Check a challenge token
+ * @param {string} challengeToken - Token from the login response
+ * @returns {string} - User ID
+ */
+function verifyMfaChallenge(challengeToken) {
+  try {
+    const decoded = jwt.verify(challengeToken, getConfig().NEXTAUTH_SECRET);
+    if (decoded.type !== 'mfa_challenge' || !decoded.sub) {
+      throw new Error('Not a challenge token');
+    }
+    return decoded.sub;
+  } catch (error) {
+    throw new MfaError('Login challenge is invalid or has expired - log in again', 'invalid_challenge');
+  }
+}
+
+module.exports = {
+  MFA_CHALLENGE_TTL_SECONDS,
+  MfaError,
+  startTotpEnrollment,
+  enableTotp,
+  disableTotp,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  countRecoveryCodes,
+  createMfaChallenge,
+  buildMfaChallenge,
+  verifyMfaChallenge
+};
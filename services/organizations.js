@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../lib/prisma');
+const { getConfig } = require('../config/env');
+const { sendMail } = require('./mailer');
+
+/**
+ * Organizations
+ * A workspace several people share. Tracking requests belong either to a user's
+ * personal workspace (organizationId null) or to an organization, where members
+ * see and manage them according to their role
+ */
+
+const ORG_ROLES = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  MEMBER: 'member',
+  VIEWER: 'viewer'
+};
+
+const ORG_ROLE_VALUES = Object.values(ORG_ROLES);
+
+// Higher ranks include everything lower ranks can do
+const ROLE_RANK = {
+  [ORG_ROLES.VIEWER]: 1,
+  [ORG_ROLES.MEMBER]: 2,
+  [ORG_ROLES.ADMIN]: 3,
+  [ORG_ROLES.OWNER]: 4
+};
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+class OrganizationError extends Error {
+  /**
+   * @param {string} message - What is not allowed
+   * @param {string} code - Machine-readable reason
+   * @param {number} status - HTTP status to respond with
+   */
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'OrganizationError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Whether a role includes another role's permissions
+ * @param {string} role - Role the user has
+ * @param {string} minimumRole - Role the action needs
+ * @returns {boolean}
+ */
+function hasRole(role, minimumRole) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[minimumRole];
+}
+
+/**
+ * Resolve the workspace a request acts in
+ * @param {string} userId - User ID
+ * @param {string|null} organizationId - Organization, or null for the personal workspace
+ * @returns {Promise<Object|null>} - { organizationId, role, filter }, or null if the user is not a member
+ */
+async function getWorkspace(userId, organizationId) {
+  if (!organizationId) {
+    return {
+      organizationId: null,
+      role: ORG_ROLES.OWNER,
+      filter: { userId, organizationId: null }
+    };
+  }
+
+  const membership = await prisma.organizationMembership.findUnique({
+    where: { organizationId_userId: { organizationId, userId } },
+    select: { role: true }
+  });
+
+  if (!membership) {
+    return null;
+  }
+
+  return {
+    organizationId,
+    role: membership.role,
+    filter: { organizationId }
+  };
+}
+
+/**
+ * SQL condition matching a workspace's tracking requests, for raw queries
+ * @param {Object} workspace - From getWorkspace
+ * @param {string} alias - tracking_requests table alias, if any
+ * @returns {Prisma.Sql}
+ */
+function workspaceSql(workspace, alias = '') {
+  const column = (name) => Prisma.raw(alias ? `${alias}.${name}` : name);
+
+  if (workspace.organizationId) {
+    return Prisma.sql`${column('organization_id')} = ${workspace.organizationId}`;
+  }
+  return Prisma.sql`${column('user_id')} = ${workspace.filter.userId} AND ${column('organization_id')} IS NULL`;
+}
+
+/**
+ * Create an organization with the user as its owner
+ * @param {Object} user - User profile
+ * @param {string} name - Organization name
+ * @returns {Promise<Object>} - Organization
+ */
+async function createOrganization(user, name) {
+  return prisma.organization.create({
+    data: {
+      name,
+      memberships: {
+        create: { userId: user.id, role: ORG_ROLES.OWNER }
+      }
+    }
+  });
+}
+
+/**
+ * Count an organization's owners
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<number>}
+ */
+async function countOwners(organizationId) {
+  return prisma.organizationMembership.count({
+    where: { organizationId, role: ORG_ROLES.OWNER }
+  });
+}
+
+/**
+ * Change a member's role
+ * Only owners can make or unmake owners, and an organization always keeps one owner
+ * @param {Object} workspace - Acting user's workspace
+ * @param {string} userId - Member to change
+ * @param {string} role - New role
+ * @returns {Promise<Object|null>} - Membership, or null if the user is not a member
+ */
+async function changeMemberRole(workspace, userId, role) {
+  const membership = await prisma.organizationMembership.findUnique({
+    where: { organizationId_userId: { organizationId: workspace.organizationId, userId } }
+  });
+
+  if (!membership) {
+    return null;
+  }
+
+  const touchesOwner = membership.role === ORG_ROLES.OWNER || role === ORG_ROLES.OWNER;
+  if (touchesOwner && workspace.role !== ORG_ROLES.OWNER) {
+    throw new OrganizationError('Only owners can grant or remove the owner role', 'owner_required', 403);
+  }
+
+  if (membership.role === ORG_ROLES.OWNER && role !== ORG_ROLES.OWNER
+    && await countOwners(workspace.organizationId) <= 1) {
+    throw new OrganizationError('An organization needs at least one owner', 'last_owner', 409);
+  }
+
+  return prisma.organizationMembership.update({
+    where: { id: membership.id },
+    data: { role }
+  });
+}
+
+/**
+ * Remove a member (or leave, when the member is the acting user)
+ * Their tracking requests stay with the organization
+ * @param {Object} workspace - Acting user's workspace
+ * @param {string} actingUserId - Acting user ID
+ * @param {string} userId - Member to remove
+ * @returns {Promise<boolean>} - False if the user is not a member
+ */
+async function removeMember(workspace, actingUserId, userId) {
+  const membership = await prisma.organizationMembership.findUnique({
+    where: { organizationId_userId: { organizationId: workspace.organizationId, userId } }
+  });
+
+  if (!membership) {
+    return false;
+  }
+
+  if (userId !== actingUserId) {
+    if (!hasRole(workspace.role, ORG_ROLES.ADMIN)) {
+      throw new OrganizationError('Only admins can remove members', 'admin_required', 403);
+    }
+    if (membership.role === ORG_ROLES.OWNER && workspace.role !== ORG_ROLES.OWNER) {
+      throw new OrganizationError('Only owners can remove an owner', 'owner_required', 403);
+    }
+  }
+
+  if (membership.role === ORG_ROLES.OWNER && await countOwners(workspace.organizationId) <= 1) {
+    throw new OrganizationError('An organization needs at least one owner - transfer ownership or delete it', 'last_owner', 409);
+  }
+
+  await prisma.$transaction([
+    prisma.organizationMembership.delete({ where: { id: membership.id } }),
+    // Keys the member created for this workspace would otherwise keep working
+    prisma.apiKey.updateMany({
+      where: { userId, organizationId: workspace.organizationId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    })
+  ]);
+  return true;
+}
+
+/**
+ * Delete an organization with its tracking requests, and revoke its API keys
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<void>}
+ */
+async function deleteOrganization(organizationId) {
+  await prisma.$transaction([
+    prisma.apiKey.updateMany({
+      where: { organizationId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    }),
+    prisma.organization.delete({ where: { id: organizationId } })
+  ]);
+}
+
+/**
+ * Hash an invitation token for storage and lookup
+ * @param {string} token - Emailed token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Invite someone by email
+ * @param {Object} workspace - Acting user's workspace
+ * @param {Object} inviter - Acting user profile
+ * @param {Object} options - { email, role }
+ * @returns {Promise<Object>} - { invitation, token } (token is only emailed, never stored)
+ */
+async function createInvitation(workspace, inviter, { email, role }) {
+  if (role === ORG_ROLES.OWNER && workspace.role !== ORG_ROLES.OWNER) {
+    throw new OrganizationError('Only owners can invite owners', 'owner_required', 403);
+  }
+
+  const existingMember = await prisma.organizationMembership.findFirst({
+    where: {
+      organizationId: workspace.organizationId,
+      user: { email: { equals: email, mode: 'insensitive' } }
+    },
+    select: { id: true }
+  });
+  if (existingMember) {
+    throw new OrganizationError('That person is already a member', 'already_member', 409);
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const invitation = await prisma.organizationInvitation.create({
+    data: {
+      organizationId: workspace.organizationId,
+      email,
+      role,
+      tokenHash: hashToken(token),
+      invitedById: inviter.id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+    },
+    include: { organization: true }
+  });
+
+  await sendMail({
+    to: email,
+    subject: `You're invited to ${invitation.organization.name} on PostalHub`,
+    text: [
+      `${inviter.fullName || inviter.email} invited you to join ${invitation.organization.name} on PostalHub as ${role === ORG_ROLES.ADMIN ? 'an' : 'a'} ${role}.`,
+      '',
+      `Log in or create an account with ${email}, then accept the invitation:`,
+      `${getConfig().FRONTEND_URL}/?invitation=${token}`,
+      '',
+      'The invitation expires in 7 days.'
+    ].join('\n')
+  });
+
+  return { invitation, token };
+}
+
+/**
+ * Accept an invitation as the signed-in user
+ * Only the account the invitation was sent to can accept it (emails compared case-insensitively)
+ * @param {Object} user - User profile
+ * @param {string} token - Token from the invitation email
+ * @returns {Promise<Object>} - Membership (with organization)
+ */
+async function acceptInvitation(user, token) {
+  const invitation = await prisma.organizationInvitation.findUnique({
+    where: { tokenHash: hashToken(token) }
+  });
+
+  if (!invitation || invitation.acceptedAt || invitation.revokedAt || invitation.expiresAt <= new Date()) {
+    throw new OrganizationError('Invitation is invalid, already used or expired', 'invalid_invitation', 400);
+  }
+
+  // A forwarded or leaked link must not let another account join
+  if (!user.email || user.email.toLowerCase() !== invitation.email.toLowerCase()) {
+    throw new OrganizationError('This invitation was sent to a different email address', 'invitation_email_mismatch', 403);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // Claim it - a concurrent accept of the same invitation gets nothing
+    const { count } = await tx.organizationInvitation.updateMany({
+      where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+      data: { acceptedAt: new Date(), acceptedById: user.id }
+    });
+    if (count === 0) {
+      throw new OrganizationError('Invitation is invalid, already used or expired', 'invalid_invitation', 400);
+    }
+
+    // Joining again never lowers an existing role
+    const existing = await tx.organizationMembership.findUnique({
+      where: { organizationId_userId: { organizationId: invitation.organizationId, userId: user.id } }
+    });
+    if (existing && hasRole(existing.role, invitation.role)) {
+      return tx.organizationMembership.findUnique({
+        where: { id: existing.id },
+        include: { organization: true }
+      });
+    }
+
+    return tx.organizationMembership.upsert({
+      where: { organizationId_userId: { organizationId: invitation.organizationId, userId: user.id } },
+      update: { role: invitation.role },
+      create: { organizationId: invitation.organizationId, userId: user.id, role: invitation.role },
+      include: { organization: true }
+    });
+  });
+}
+
+module.exports = {
+  ORG_ROLES,
+  ORG_ROLE_VALUES,
+  OrganizationError,
+  hasRole,
+  getWorkspace,
+  workspaceSql,
+  createOrganization,
+  changeMemberRole,
+  removeMember,
+  deleteOrganization,
+  createInvitation,
+  acceptInvitation
+};
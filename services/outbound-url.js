@@ -0,0 +1,157 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Outbound URL Safety
+ * Webhook URLs are chosen by API callers, so requests to them must not reach
+ * our own network. Hosts are resolved and refused if any address is loopback,
+ * private, link-local (cloud metadata at 169.254.169.254), carrier-grade NAT
+ * or another non-public range
+ */
+
+const BLOCKED_RANGES = new net.BlockList();
+
+[
+  ['0.0.0.0', 8], // "This" network
+  ['10.0.0.0', 8], // Private
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local (cloud metadata)
+  ['172.16.0.0', 12], // Private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // Documentation
+  ['192.168.0.0', 16], // Private
+  ['198.18.0.0', 15], // Benchmarking
+  ['198.51.100.0', 24], // Documentation
+  ['203.0.113.0', 24], // Documentation
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved and broadcast
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 128], // Unspecified
+  ['::1', 128], // Loopback
+  ['64:ff9b::', 96], // NAT64 - can reach any IPv4 address
+  ['2001:db8::', 32], // Documentation
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['ff00::', 8] // Multicast
+].forEach(([network, prefix]) => BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+class UnsafeUrlError extends Error {
+  /**
+   * @param {string} message - Why the URL was refused
+   * @param {string} code - 'invalid_url', 'unresolvable_host' or 'private_address'
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'UnsafeUrlError';
+    this.code = code;
+  }
+}
+
+/**
+ * Extract the IPv4 address from an IPv4-mapped IPv6 address
+ * @param {string} address - IPv6 address (::ffff:127.0.0.1 or ::ffff:7f00:1)
+ * @returns {string|null} - Dotted IPv4 address, or null if it is not mapped
+ */
+function toMappedIPv4(address) {
+  const match = /^(?:0{0,4}:){0,5}:?ffff:(.+)$/i.exec(address);
+  if (!match) {
+    return null;
+  }
+  if (net.isIPv4(match[1])) {
+    return match[1];
+  }
+
+  const groups = /^([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(match[1]);
+  if (!groups) {
+    return null;
+  }
+  const high = parseInt(groups[1], 16);
+  const low = parseInt(groups[2], 16);
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+/**
+ * Check whether an address is outside the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True for private, loopback, link-local and other reserved addresses
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return BLOCKED_RANGES.check(address, 'ipv4');
+  }
+  if (family === 6) {
+    const mapped = toMappedIPv4(address);
+    return mapped ? BLOCKED_RANGES.check(mapped, 'ipv4') : BLOCKED_RANGES.check(address, 'ipv6');
+  }
+  // Not an IP address at all
+  return true;
+}
+
+/**
+ * Resolve a host and make sure every address it resolves to is public
+ * @param {string} hostname - Host name or IP literal (IPv6 may be bracketed)
+ * @returns {Promise<Array>} - [{ address, family }]
+ */
+async function resolvePublicAddresses(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [{ address: host, family: net.isIP(host) }];
+  } else {
+    try {
+      addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+      throw new UnsafeUrlError(`Could not resolve ${host}`, 'unresolvable_host');
+    }
+  }
+
+  // One private answer is enough - the connection could use any of them
+  if (addresses.length === 0 || addresses.some(entry => isPrivateAddress(entry.address))) {
+    throw new UnsafeUrlError(`${host} resolves to a private or reserved address`, 'private_address');
+  }
+
+  return addresses;
+}
+
+/**
+ * Check that a URL is http(s) and its host resolves only to public addresses
+ * @param {string} url - URL to call
+ * @returns {Promise<Array>} - Resolved addresses
+ */
+async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new UnsafeUrlError('URL is not valid', 'invalid_url');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new UnsafeUrlError('URL must use http or https', 'invalid_url');
+  }
+
+  return resolvePublicAddresses(parsed.hostname);
+}
+
+/**
+ * DNS lookup for outbound requests that only ever connects to a public address
+ * Pass as axios' `lookup` option so the address checked is the one connected to
+ * @param {string} hostname - Host being connected to
+ * @returns {Promise<Object>} - { address, family }
+ */
+async function lookupPublicAddress(hostname) {
+  const [first] = await resolvePublicAddresses(hostname);
+  return first;
+}
+
+module.exports = {
+  UnsafeUrlError,
+  isPrivateAddress,
+  assertPublicUrl,
+  lookupPublicAddress
+};
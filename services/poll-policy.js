@@ -0,0 +1,66 @@
+const { SHIPMENT_STATUSES } = require('./carrier/shipment-status');
+
+/**
+ * Poll Policy
+ * Decides when a shipment should be re-tracked, based on its canonical status
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Poll often when a delivery is imminent, rarely while the label waits for pickup
+const POLL_INTERVALS_MS = {
+  [SHIPMENT_STATUSES.OUT_FOR_DELIVERY]: 30 * MINUTE,
+  [SHIPMENT_STATUSES.EXCEPTION]: 2 * HOUR,
+  [SHIPMENT_STATUSES.IN_TRANSIT]: 4 * HOUR,
+  [SHIPMENT_STATUSES.UNKNOWN]: 6 * HOUR,
+  [SHIPMENT_STATUSES.LABEL_CREATED]: 12 * HOUR
+};
+
+// Nothing more will happen to these shipments
+const TERMINAL_STATUSES = [SHIPMENT_STATUSES.DELIVERED, SHIPMENT_STATUSES.RETURNED];
+
+const DEFAULT_MAX_INACTIVE_DAYS = 30;
+
+/**
+ * Get the polling interval for a canonical status
+ * @param {string} status - Canonical shipment status
+ * @returns {number|null} - Interval in milliseconds, or null for terminal statuses
+ */
+function getPollInterval(status) {
+  if (TERMINAL_STATUSES.includes(status)) {
+    return null;
+  }
+  return POLL_INTERVALS_MS[status] || POLL_INTERVALS_MS[SHIPMENT_STATUSES.UNKNOWN];
+}
+
+/**
+ * Work out when a shipment should next be polled
+ * @param {Object} shipment - { status, lastChangedAt }
+ * @param {Object} options - { now, maxInactiveDays }
+ * @returns {Date|null} - Next poll time, or null to stop polling
+ */
+function computeNextPollAt(shipment, options = {}) {
+  const now = options.now || new Date();
+  const maxInactiveDays = options.maxInactiveDays || DEFAULT_MAX_INACTIVE_DAYS;
+
+  const interval = getPollInterval(shipment.status);
+  if (!interval) {
+    return null;
+  }
+
+  // Give up on shipments the carrier has not updated in a long time
+  const lastChangedAt = shipment.lastChangedAt ? new Date(shipment.lastChangedAt) : now;
+  if (now.getTime() - lastChangedAt.getTime() > maxInactiveDays * DAY) {
+    return null;
+  }
+
+  return new Date(now.getTime() + interval);
+}
+
+module.exports = {
+  TERMINAL_STATUSES,
+  getPollInterval,
+  computeNextPollAt
+};
@@ -0,0 +1,162 @@
+const { prisma } = require('../lib/prisma');
+const carrierFactory = require('./carrier/carrier-factory');
+const { createLogger } = require('../utils/logger');
+const { TERMINAL_STATUSES, getPollInterval } = require('./poll-policy');
+const { getQuotaStatus, pruneCarrierLookups } = require('./carrier-quota');
+const { JOB_STATUSES } = require('./job-queue');
+const { TRACK_SHIPMENT_JOB, enqueueTracking } = require('./tracking-jobs');
+
+const logger = createLogger('RefreshScheduler');
+
+/**
+ * Refresh Scheduler
+ * Queues re-tracking for shipments whose next poll is due (see poll-policy.js),
+ * without exceeding each carrier's hourly lookup quota (see carrier-quota.js)
+ */
+
+/**
+ * Count carrier lookups that are queued but not made yet
+ * They count against the quota before they run so one scheduling pass cannot overshoot it
+ * @param {string} carrierName - Carrier whose API is called
+ * @returns {Promise<number>} - Queued lookups
+ */
+async function countQueuedLookups(carrierName) {
+  return prisma.job.count({
+    where: {
+      type: TRACK_SHIPMENT_JOB,
+      status: JOB_STATUSES.QUEUED,
+      payload: {
+        path: ['apiCarrier'],
+        equals: carrierName
+      }
+    }
+  });
+}
+
+/**
+ * Queue refreshes for shipments whose next poll is due
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} - { due, queued, deferred, stopped }
+ */
+async function scheduleDueRefreshes(options = {}) {
+  const limit = options.limit || 200;
+  const now = new Date();
+
+  await pruneCarrierLookups();
+  // Carriers disabled by an admin are deferred below like unconfigured ones
+  await carrierFactory.syncCarrierSettings();
+
+  const dueShipments = await prisma.shipment.findMany({
+    where: {
+      OR: [
+        { nextPollAt: { lte: now } },
+        // Shipments saved before scheduling existed have never been polled by it
+        { nextPollAt: null, lastPolledAt: null, status: { notIn: TERMINAL_STATUSES } }
+      ],
+      // Skip requests that already have a lookup waiting or running
+      trackingRequest: {
+        jobs: {
+          none: {
+            type: TRACK_SHIPMENT_JOB,
+            status: { in: [JOB_STATUSES.QUEUED, JOB_STATUSES.PROCESSING] }
+          }
+        }
+      }
+    },
+    include: {
+      trackingRequest: {
+        include: {
+          carrier: {
+            select: {
+              name: true
+            }
+          }
+        }
+      }
+    },
+    orderBy: { nextPollAt: 'asc' },
+    take: limit
+  });
+
+  const summary = { due: dueShipments.length, queued: 0, deferred: 0, stopped: 0 };
+  const quotas = new Map();
+
+  for (const shipment of dueShipments) {
+    const request = shipment.trackingRequest;
+    const carrierName = request.carrier.name;
+    const lastMile = shipment.lastMileCarrier
+      ? { carrier: shipment.lastMileCarrier, trackingNumber: shipment.lastMileTrackingNumber }
+      : null;
+    const trackOptions = {
+      ...(lastMile && { lastMile }),
+      // Keeps following international mail to the destination post the origin reported
+      ...(shipment.destinationCountry && { destinationCountry: shipment.destinationCountry })
+    };
+
+    // Manual-only shipments (Amazon without a last-mile link) cannot be refreshed
+    const carrier = carrierFactory.getCarrier(carrierName);
+    if (carrier && !carrier.supportsAutomaticTracking(trackOptions)) {
+      await prisma.shipment.update({
+        where: { id: shipment.id },
+        data: { nextPollAt: null }
+      });
+      summary.stopped++;
+      continue;
+    }
+
+    const nextPollAt = new Date(now.getTime() + getPollInterval(shipment.status));
+    const apiCarrier = lastMile?.carrier || carrierName;
+
+    // Carrier API not configured (or disabled) right now - check again after the usual interval
+    if (!carrierFactory.canTrackAutomatically(carrierName, trackOptions)) {
+      await prisma.shipment.update({
+        where: { id: shipment.id },
+        data: { nextPollAt }
+      });
+      summary.deferred++;
+      continue;
+    }
+
+    if (!quotas.has(apiCarrier)) {
+      quotas.set(apiCarrier, await getQuotaStatus(apiCarrier, {
+        reserved: await countQueuedLookups(apiCarrier),
+        now
+      }));
+    }
+    const quota = quotas.get(apiCarrier);
+
+    // Over quota - wait for the next free lookup so it stops holding up other carriers' shipments
+    if (quota.remaining <= 0) {
+      await prisma.shipment.update({
+        where: { id: shipment.id },
+        data: { nextPollAt: quota.resetsAt }
+      });
+      summary.deferred++;
+      continue;
+    }
+
+    await enqueueTracking(request.id, request.trackingNumber, carrierName, {
+      trackOptions,
+      refresh: true
+    });
+
+    // Push the next poll out now, so a failed refresh is retried on schedule rather than every run
+    await prisma.shipment.update({
+      where: { id: shipment.id },
+      data: { nextPollAt }
+    });
+
+    quota.remaining--;
+    summary.queued++;
+  }
+
+  if (summary.queued > 0 || summary.deferred > 0) {
+    logger.info('Scheduled shipment refreshes', summary);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  scheduleDueRefreshes
+};
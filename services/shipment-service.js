@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const { prisma } = require('../lib/prisma');
+const { SHIPMENT_STATUSES } = require('./carrier/shipment-status');
+const { computeNextPollAt } = require('./poll-policy');
+const { getConfig } = require('../config/env');
+const { publishShipmentStatusChange } = require('./webhook-delivery');
+
+/**
+ * Shipment Service
+ * Persists standardized carrier tracking data (see BaseCarrier.standardizeData)
+ */
+
+/**
+ * Convert a carrier date (YYYY-MM-DD or ISO timestamp) to a Date for Prisma
+ * @param {string|Date|null} value - Date value from a carrier adapter
+ * @returns {Date|null} - Date or null if missing/invalid
+ */
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Create or update the shipment row for a tracking request
+ * Publishes shipment.* webhooks when the canonical status changes
+ * @param {string} trackingRequestId - Tracking request ID
+ * @param {Object} trackingData - Standardized tracking data
+ * @returns {Promise<Object>} - Saved shipment
+ */
+async function saveShipment(trackingRequestId, trackingData) {
+  const data = {
+    trackingNumber: trackingData.trackingNumber,
+    carrier: trackingData.carrier,
+    expectedDeliveryDate: toDate(trackingData.expectedDeliveryDate),
+    currentStatus: trackingData.currentStatus,
+    status: trackingData.shipmentStatus || SHIPMENT_STATUSES.UNKNOWN,
+    currentLocation: trackingData.currentLocation,
+    shippedDate: toDate(trackingData.shippedDate),
+    rawData: trackingData.rawData
+  };
+
+  // Only overwrite the last-mile link when the update actually reports one
+  if (trackingData.lastMile) {
+    data.lastMileCarrier = trackingData.lastMile.carrier;
+    data.lastMileTrackingNumber = trackingData.lastMile.trackingNumber;
+  }
+
+  // International mail followed across the origin and destination posts
+  if (trackingData.legs) {
+    data.originCountry = trackingData.originCountry;
+    data.destinationCountry = trackingData.destinationCountry;
+    data.legs = trackingData.legs;
+  }
+
+  const { shipment, previousStatus } = await prisma.$transaction(async (tx) => {
+    const previous = await tx.shipment.findUnique({
+      where: { trackingRequestId: trackingRequestId },
+      select: { status: true, currentStatus: true, lastChangedAt: true }
+    });
+
+    const shipment = await tx.shipment.upsert({
+      where: { trackingRequestId: trackingRequestId },
+      update: data,
+      create: {
+        trackingRequestId: trackingRequestId,
+        ...data
+      }
+    });
+
+    // Carriers return the whole history on every refresh - keep only events we have not seen
+    const events = (trackingData.events || []).map(event => buildEventRow(shipment.id, event));
+    let newEvents = 0;
+    if (events.length > 0) {
+      ({ count: newEvents } = await tx.trackingEvent.createMany({
+        data: events,
+        skipDuplicates: true
+      }));
+    }
+
+    // Schedule the next refresh - quiet shipments eventually stop being polled
+    const now = new Date();
+    const changed = !previous ||
+      newEvents > 0 ||
+      previous.status !== shipment.status ||
+      previous.currentStatus !== shipment.currentStatus;
+    const lastChangedAt = changed ? now : previous.lastChangedAt;
+
+    const scheduled = await tx.shipment.update({
+      where: { id: shipment.id },
+      data: {
+        lastPolledAt: now,
+        lastChangedAt,
+        nextPollAt: computeNextPollAt(
+          { status: shipment.status, lastChangedAt },
+          { now, maxInactiveDays: getConfig().REFRESH_MAX_INACTIVE_DAYS }
+        )
+      }
+    });
+
+    return { shipment: scheduled, previousStatus: previous?.status || null };
+  });
+
+  // A first save that learned nothing is not a status change
+  if (shipment.status !== (previousStatus || SHIPMENT_STATUSES.UNKNOWN)) {
+    try {
+      await publishShipmentStatusChange(trackingRequestId, shipment, previousStatus);
+    } catch (webhookError) {
+      console.error('Publishing shipment webhooks failed:', webhookError.message);
+    }
+  }
+
+  return shipment;
+}
+
+/**
+ * Convert a standardized carrier event into a TrackingEvent row
+ * @param {string} shipmentId - Shipment ID
+ * @param {Object} event - Standardized event
+ * @returns {Object} - TrackingEvent data
+ */
+function buildEventRow(shipmentId, event) {
+  const row = {
+    shipmentId,
+    timestamp: toDate(event.timestamp),
+    location: event.location || null,
+    eventCode: event.eventCode || null,
+    status: event.status || null,
+    description: event.description || '',
+    carrier: event.leg ? event.carrier || null : null,
+    leg: event.leg || null
+  };
+
+  return {
+    ...row,
+    dedupeKey: buildEventKey(row)
+  };
+}
+
+/**
+ * Fingerprint an event so the same carrier scan maps to the same key on every refresh
+ * @param {Object} row - TrackingEvent data (without dedupeKey)
+ * @returns {string} - SHA-256 hex digest
+ */
+function buildEventKey(row) {
+  const parts = [
+    row.timestamp ? row.timestamp.toISOString() : '',
+    row.eventCode || '',
+    row.description.trim().toLowerCase(),
+    (row.location || '').trim().toLowerCase()
+  ];
+  // Both posts can report the same handover - keep each post's scan (single-leg keys are unchanged)
+  if (row.leg) {
+    parts.push(row.leg, row.carrier || '');
+  }
+  return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+}
+
+/**
+ * Format stored events as a timeline (newest first)
+ * @param {Array} events - TrackingEvent rows
+ * @returns {Array} - Timeline entries
+ */
+function formatTimeline(events = []) {
+  return [...events]
+    .sort((a, b) => (b.timestamp?.getTime() || 0) - (a.timestamp?.getTime() || 0))
+    .map(event => ({
+      id: event.id,
+      timestamp: event.timestamp,
+      location: event.location,
+      eventCode: event.eventCode,
+      status: event.status,
+      description: event.description,
+      carrier: event.carrier,
+      leg: event.leg
+    }));
+}
+
+module.exports = {
+  saveShipment,
+  formatTimeline,
+  toDate
+};
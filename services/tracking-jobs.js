@@ -0,0 +1,309 @@
+const { prisma } = require('../lib/prisma');
+const carrierFactory = require('./carrier/carrier-factory');
+const { saveShipment } = require('./shipment-service');
+const { registerJobHandler, enqueueJob, JOB_STATUSES } = require('./job-queue');
+const { WEBHOOK_EVENTS, publishWebhookEvent } = require('./webhook-delivery');
+const { probeCarriers } = require('./carrier/carrier-probe');
+const { LOOKUP_SOURCES, recordCarrierLookup } = require('./carrier-quota');
+
+/**
+ * Tracking Jobs
+ * Fetches carrier status for a tracking request in the background job queue,
+ * and probes carriers for requests that arrived without one
+ */
+
+const TRACK_SHIPMENT_JOB = 'track_shipment';
+const PROBE_CARRIER_JOB = 'probe_carrier';
+
+// New labels can take a while to show up with the carrier - keep probing for about an hour
+const PROBE_MAX_ATTEMPTS = 8;
+
+/**
+ * Queue a carrier lookup for a tracking request
+ * A lookup that is still waiting in the queue is updated instead of duplicated
+ * @param {string} trackingRequestId - Tracking request ID
+ * @param {string} trackingNumber - Tracking number
+ * @param {string} carrierName - Carrier name
+ * @param {Object} options - { trackOptions, refresh }
+ * @returns {Promise<Object>} - Queued job
+ */
+async function enqueueTracking(trackingRequestId, trackingNumber, carrierName, options = {}) {
+  const trackOptions = options.trackOptions || {};
+  const payload = {
+    trackingNumber,
+    carrierName,
+    // The carrier whose API is actually called, for per-carrier quotas
+    apiCarrier: trackOptions.lastMile?.carrier || carrierName,
+    trackOptions,
+    refresh: !!options.refresh
+  };
+
+  const queuedJob = await prisma.job.findFirst({
+    where: {
+      type: TRACK_SHIPMENT_JOB,
+      trackingRequestId,
+      status: JOB_STATUSES.QUEUED
+    }
+  });
+
+  if (queuedJob) {
+    return prisma.job.update({
+      where: { id: queuedJob.id },
+      data: {
+        payload,
+        attempts: 0,
+        runAt: new Date()
+      }
+    });
+  }
+
+  return enqueueJob(TRACK_SHIPMENT_JOB, payload, { trackingRequestId });
+}
+
+/**
+ * Fetch and store carrier status for a queued tracking request
+ * @param {Object} job - Claimed track_shipment job
+ */
+async function runTrackingJob(job) {
+  const { trackingNumber, carrierName, trackOptions, refresh } = job.payload;
+
+  // Scheduled refreshes leave the request status alone - it already has a shipment
+  if (!refresh) {
+    await prisma.trackingRequest.update({
+      where: { id: job.trackingRequestId },
+      data: { status: 'processing' }
+    });
+  }
+
+  // Get carrier service
+  const carrierService = carrierFactory.getCarrier(carrierName);
+  if (!carrierService) {
+    const error = new Error(`Carrier ${carrierName} not found`);
+    error.retryable = false;
+    throw error;
+  }
+
+  // Jobs queued before an admin disabled the carrier must not call its API
+  const apiCarrier = job.payload.apiCarrier || carrierName;
+  await carrierFactory.syncCarrierSettings([carrierName, apiCarrier]);
+  const disabled = [carrierName, apiCarrier].find(name => carrierFactory.getCarrier(name)?.isActive === false);
+  if (disabled) {
+    const error = new Error(`${disabled} tracking is disabled`);
+    error.retryable = false;
+    throw error;
+  }
+
+  // Every attempt, retries included, counts against the carrier's hourly quota
+  await recordCarrierLookup(apiCarrier, LOOKUP_SOURCES.TRACK);
+
+  // Track the package
+  const trackingData = await carrierService.trackPackage(trackingNumber, trackOptions || {});
+
+  if (!trackingData.success) {
+    const error = new Error(trackingData.error);
+    // Adapters flag failures that would repeat on every attempt (see BaseCarrier.permanentError)
+    if (trackingData.retryable === false) {
+      error.retryable = false;
+    }
+    throw error;
+  }
+
+  // Save shipment data
+  await saveShipment(job.trackingRequestId, trackingData);
+
+  // Update tracking request status
+  await prisma.trackingRequest.update({
+    where: { id: job.trackingRequestId },
+    data: { status: 'completed' }
+  });
+
+  if (!refresh) {
+    await notifyExternalApp(job.trackingRequestId, WEBHOOK_EVENTS.TRACKING_COMPLETED, {
+      trackingId: job.trackingRequestId,
+      trackingNumber: trackingNumber,
+      status: 'completed',
+      carrier: carrierName,
+      shipment: trackingData,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Reflect a failed attempt on the tracking request
+ * It goes back to pending while a retry is scheduled, and to failed once the job is dead
+ * @param {Object} job - Failed track_shipment job
+ * @param {Error} error - Why the attempt failed
+ * @param {Object} outcome - { willRetry }
+ */
+async function onTrackingJobFailure(job, error, { willRetry }) {
+  const { trackingNumber, carrierName, refresh } = job.payload;
+
+  // A failed refresh keeps the last known shipment data
+  if (refresh) {
+    return;
+  }
+
+  await prisma.trackingRequest.updateMany({
+    where: { id: job.trackingRequestId },
+    data: { status: willRetry ? 'pending' : 'failed' }
+  });
+
+  if (!willRetry) {
+    await notifyExternalApp(job.trackingRequestId, WEBHOOK_EVENTS.TRACKING_FAILED, {
+      trackingId: job.trackingRequestId,
+      trackingNumber: trackingNumber,
+      status: 'failed',
+      carrier: carrierName,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Queue a carrier probe for a request that is awaiting its carrier
+ * @param {string} trackingRequestId - Tracking request ID
+ * @param {string} trackingNumber - Tracking number
+ * @returns {Promise<Object>} - Queued job
+ */
+async function enqueueCarrierProbe(trackingRequestId, trackingNumber) {
+  return enqueueJob(PROBE_CARRIER_JOB, { trackingNumber }, {
+    trackingRequestId,
+    maxAttempts: PROBE_MAX_ATTEMPTS
+  });
+}
+
+/**
+ * Find the carrier of an awaiting_carrier request by probing, then store its shipment
+ * Does nothing once a carrier has been set some other way (PUT /track/:id/carrier)
+ * @param {Object} job - Claimed probe_carrier job
+ */
+async function runProbeJob(job) {
+  const request = await prisma.trackingRequest.findUnique({
+    where: { id: job.trackingRequestId },
+    select: {
+      trackingNumber: true,
+      carrierId: true,
+      metadata: true
+    }
+  });
+
+  if (!request || request.carrierId) {
+    return;
+  }
+
+  const probe = await probeCarriers(request.trackingNumber);
+  const metadata = {
+    ...request.metadata,
+    probe: {
+      carrier: probe.carrier?.name || null,
+      results: probe.results,
+      probedAt: new Date().toISOString()
+    }
+  };
+
+  if (!probe.carrier) {
+    await prisma.trackingRequest.updateMany({
+      where: { id: job.trackingRequestId, carrierId: null },
+      data: { metadata }
+    });
+    throw new Error('No carrier returned tracking data for this number');
+  }
+
+  // Claim the request - a carrier set meanwhile takes precedence
+  const { count } = await prisma.trackingRequest.updateMany({
+    where: { id: job.trackingRequestId, carrierId: null },
+    data: {
+      carrierId: probe.carrier.id,
+      status: 'processing',
+      metadata
+    }
+  });
+
+  if (count === 0) {
+    return;
+  }
+
+  await saveShipment(job.trackingRequestId, probe.trackingData);
+
+  await prisma.trackingRequest.update({
+    where: { id: job.trackingRequestId },
+    data: { status: 'completed' }
+  });
+
+  await notifyExternalApp(job.trackingRequestId, WEBHOOK_EVENTS.TRACKING_COMPLETED, {
+    trackingId: job.trackingRequestId,
+    trackingNumber: request.trackingNumber,
+    status: 'completed',
+    carrier: probe.carrier.name,
+    detectedBy: 'probe',
+    shipment: probe.trackingData,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Report a probe that gave up - the request stays awaiting_carrier so a carrier can still be set
+ * @param {Object} job - Failed probe_carrier job
+ * @param {Error} error - Why the last attempt failed
+ * @param {Object} outcome - { willRetry }
+ */
+async function onProbeJobFailure(job, error, { willRetry }) {
+  if (willRetry) {
+    return;
+  }
+
+  const request = await prisma.trackingRequest.findUnique({
+    where: { id: job.trackingRequestId },
+    select: {
+      trackingNumber: true,
+      carrierId: true
+    }
+  });
+
+  if (!request || request.carrierId) {
+    return;
+  }
+
+  await notifyExternalApp(job.trackingRequestId, WEBHOOK_EVENTS.TRACKING_FAILED, {
+    trackingId: job.trackingRequestId,
+    trackingNumber: request.trackingNumber,
+    status: 'awaiting_carrier',
+    carrier: null,
+    error: `Carrier could not be detected: ${error.message}`,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Queue signed webhooks for the external app the request came from (if any)
+ * Webhook failures are logged and never fail the tracking job
+ * @param {string} trackingRequestId - Tracking request ID
+ * @param {string} event - Event type
+ * @param {Object} data - Callback body
+ */
+async function notifyExternalApp(trackingRequestId, event, data) {
+  try {
+    await publishWebhookEvent(trackingRequestId, event, data);
+  } catch (webhookError) {
+    console.error('Queueing webhook failed:', webhookError.message);
+  }
+}
+
+registerJobHandler(TRACK_SHIPMENT_JOB, {
+  run: runTrackingJob,
+  onFailure: onTrackingJobFailure
+});
+
+registerJobHandler(PROBE_CARRIER_JOB, {
+  run: runProbeJob,
+  onFailure: onProbeJobFailure
+});
+
+module.exports = {
+  TRACK_SHIPMENT_JOB,
+  PROBE_CARRIER_JOB,
+  enqueueTracking,
+  enqueueCarrierProbe
+};
@@ -0,0 +1,446 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { prisma } = require('../lib/prisma');
+const { createLogger } = require('../utils/logger');
+const { registerJobHandler, enqueueJob } = require('./job-queue');
+const { SHIPMENT_STATUSES } = require('./carrier/shipment-status');
+const { UnsafeUrlError, assertPublicUrl, lookupPublicAddress } = require('./outbound-url');
+
+const logger = createLogger('WebhookDelivery');
+
+/**
+ * Webhook Delivery
+ * Callbacks to external apps are stored as webhook_deliveries rows, signed with
+ * the app's (or endpoint's) secret and sent from the job queue, which retries them with backoff
+ */
+
+const DELIVER_WEBHOOK_JOB = 'deliver_webhook';
+
+const WEBHOOK_EVENTS = Object.freeze({
+  TRACKING_COMPLETED: 'tracking.completed',
+  TRACKING_FAILED: 'tracking.failed',
+  SHIPMENT_STATUS_CHANGED: 'shipment.status_changed',
+  SHIPMENT_DELIVERED: 'shipment.delivered',
+  SHIPMENT_EXCEPTION: 'shipment.exception',
+  TEST: 'webhook.test'
+});
+
+// Events a webhook endpoint can subscribe to
+const SUBSCRIBABLE_EVENTS = Object.values(WEBHOOK_EVENTS).filter(event => event !== WEBHOOK_EVENTS.TEST);
+
+// Per-request callbackUrls only ever received these
+const CALLBACK_URL_EVENTS = [WEBHOOK_EVENTS.TRACKING_COMPLETED, WEBHOOK_EVENTS.TRACKING_FAILED];
+
+// Statuses with their own event on top of shipment.status_changed
+const STATUS_EVENTS = {
+  [SHIPMENT_STATUSES.DELIVERED]: WEBHOOK_EVENTS.SHIPMENT_DELIVERED,
+  [SHIPMENT_STATUSES.EXCEPTION]: WEBHOOK_EVENTS.SHIPMENT_EXCEPTION
+};
+
+const DELIVERY_STATUSES = Object.freeze({
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+});
+
+// 8 attempts spread over roughly an hour (see job-queue.js backoff)
+const MAX_DELIVERY_ATTEMPTS = 8;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+const SIGNATURE_HEADER = 'X-PostalHub-Signature';
+
+/**
+ * Generate a new webhook signing secret
+ * @returns {string} - Secret shown to the external app
+ */
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+/**
+ * Sign a webhook body
+ * Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and compare it to any v1
+ * @param {string|Array<string>} secrets - Signing secret(s); several while a rotation is in progress
+ * @param {number} timestamp - Unix timestamp (seconds) sent in the header
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Signature header value, e.g. "t=1700000000,v1=5d41..."
+ */
+function signPayload(secrets, timestamp, body) {
+  const signatures = [].concat(secrets).map(secret => {
+    const signature = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+    return `v1=${signature}`;
+  });
+  return [`t=${timestamp}`, ...signatures].join(',');
+}
+
+/**
+ * Secrets a delivery is signed with
+ * Endpoints keep signing with their previous secret until its rotation grace period ends
+ * @param {Object} delivery - Delivery with app and endpoint secrets
+ * @returns {Array<string>} - Secrets, newest first
+ */
+function getSigningSecrets(delivery) {
+  const { app, endpoint } = delivery;
+  if (!endpoint) {
+    return [app.webhookSecret];
+  }
+
+  const secrets = [endpoint.secret];
+  if (endpoint.previousSecret && endpoint.previousSecretExpiresAt > new Date()) {
+    secrets.push(endpoint.previousSecret);
+  }
+  return secrets;
+}
+
+/**
+ * Find the external app for an account, creating it (and its secret) on first use
+ * @param {string} ownerId - User ID of the calling account
+ * @param {string} name - App name sent with tracking requests
+ * @returns {Promise<Object>} - External app
+ */
+async function getOrCreateApp(ownerId, name) {
+  return prisma.externalApp.upsert({
+    where: {
+      ownerId_name: { ownerId, name }
+    },
+    update: {},
+    create: {
+      ownerId,
+      name,
+      webhookSecret: generateWebhookSecret()
+    }
+  });
+}
+
+/**
+ * Find the external app a tracking request was submitted through
+ * @param {Object} trackingRequest - { metadata }
+ * @param {Object} options - { create } to create the app for older requests without one
+ * @returns {Promise<string|null>} - App ID, or null if the request has no app
+ */
+async function resolveAppId(trackingRequest, options = {}) {
+  const metadata = trackingRequest.metadata || {};
+  if (metadata.appId) {
+    return metadata.appId;
+  }
+
+  // Requests from before apps existed only carry the app name (and were owned by the Google user ID)
+  const ownerId = metadata.ownerId || metadata.googleUser?.id;
+  if (!ownerId) {
+    return null;
+  }
+
+  const name = metadata.appName || 'External App';
+  if (options.create) {
+    return (await getOrCreateApp(ownerId, name)).id;
+  }
+
+  const app = await prisma.externalApp.findUnique({
+    where: {
+      ownerId_name: { ownerId, name }
+    },
+    select: {
+      id: true
+    }
+  });
+  return app?.id || null;
+}
+
+/**
+ * Store a delivery and queue it to be sent
+ * @param {Object} target - { appId, endpointId, trackingRequestId, url }
+ * @param {string} event - Event type
+ * @param {Object} data - Event body
+ * @returns {Promise<Object>} - Delivery
+ */
+async function createDelivery(target, event, data) {
+  const deliveryId = crypto.randomUUID();
+  const delivery = await prisma.webhookDelivery.create({
+    data: {
+      id: deliveryId,
+      appId: target.appId,
+      endpointId: target.endpointId || null,
+      trackingRequestId: target.trackingRequestId || null,
+      event,
+      url: target.url,
+      payload: {
+        event,
+        deliveryId,
+        ...data
+      }
+    }
+  });
+
+  await enqueueJob(DELIVER_WEBHOOK_JOB, { deliveryId }, { maxAttempts: MAX_DELIVERY_ATTEMPTS });
+  return delivery;
+}
+
+/**
+ * Send an event about a tracking request to its app
+ * It goes to every active endpoint subscribed to the event, and tracking.* events
+ * also go to the callbackUrl submitted with the request
+ * @param {string} trackingRequestId - Tracking request the event is about
+ * @param {string} event - Event type (see WEBHOOK_EVENTS)
+ * @param {Object} data - Event body
+ * @returns {Promise<Array>} - Queued deliveries (empty if nobody is listening)
+ */
+async function publishWebhookEvent(trackingRequestId, event, data) {
+  const trackingRequest = await prisma.trackingRequest.findUnique({
+    where: { id: trackingRequestId },
+    select: {
+      metadata: true
+    }
+  });
+
+  const callbackUrl = CALLBACK_URL_EVENTS.includes(event) ? trackingRequest?.metadata?.callbackUrl : null;
+  const appId = trackingRequest && await resolveAppId(trackingRequest, { create: !!callbackUrl });
+  if (!appId) {
+    return [];
+  }
+
+  const endpoints = await prisma.webhookEndpoint.findMany({
+    where: {
+      appId,
+      isActive: true,
+      events: { has: event }
+    },
+    select: {
+      id: true,
+      url: true
+    }
+  });
+
+  const targets = endpoints.map(endpoint => ({
+    appId,
+    endpointId: endpoint.id,
+    trackingRequestId,
+    url: endpoint.url
+  }));
+  if (callbackUrl) {
+    targets.push({ appId, trackingRequestId, url: callbackUrl });
+  }
+
+  const deliveries = [];
+  for (const target of targets) {
+    deliveries.push(await createDelivery(target, event, data));
+  }
+  return deliveries;
+}
+
+/**
+ * Publish shipment.* events when a shipment's canonical status changes
+ * @param {string} trackingRequestId - Tracking request ID
+ * @param {Object} shipment - Saved shipment
+ * @param {string|null} previousStatus - Canonical status before the update
+ * @returns {Promise<Array>} - Queued deliveries
+ */
+async function publishShipmentStatusChange(trackingRequestId, shipment, previousStatus) {
+  const data = {
+    trackingId: trackingRequestId,
+    trackingNumber: shipment.trackingNumber,
+    carrier: shipment.carrier,
+    previousStatus,
+    shipmentStatus: shipment.status,
+    currentStatus: shipment.currentStatus,
+    currentLocation: shipment.currentLocation,
+    expectedDeliveryDate: shipment.expectedDeliveryDate,
+    timestamp: new Date().toISOString()
+  };
+
+  const events = [WEBHOOK_EVENTS.SHIPMENT_STATUS_CHANGED];
+  if (STATUS_EVENTS[shipment.status]) {
+    events.push(STATUS_EVENTS[shipment.status]);
+  }
+
+  const deliveries = [];
+  for (const event of events) {
+    deliveries.push(...await publishWebhookEvent(trackingRequestId, event, data));
+  }
+  return deliveries;
+}
+
+/**
+ * Queue a sample event to a single endpoint, regardless of its subscriptions
+ * @param {Object} endpoint - Webhook endpoint
+ * @returns {Promise<Object>} - Delivery
+ */
+async function sendTestEvent(endpoint) {
+  return createDelivery(
+    { appId: endpoint.appId, endpointId: endpoint.id, url: endpoint.url },
+    WEBHOOK_EVENTS.TEST,
+    {
+      message: 'Test event from PostalHub',
+      endpointId: endpoint.id,
+      subscribedEvents: endpoint.events,
+      timestamp: new Date().toISOString()
+    }
+  );
+}
+
+/**
+ * Queue a stored delivery to be sent again
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object|null>} - Delivery, or null if it is still pending
+ */
+async function redeliverWebhook(deliveryId) {
+  const { count } = await prisma.webhookDelivery.updateMany({
+    where: {
+      id: deliveryId,
+      status: { not: DELIVERY_STATUSES.PENDING }
+    },
+    data: {
+      status: DELIVERY_STATUSES.PENDING,
+      deliveredAt: null
+    }
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  await enqueueJob(DELIVER_WEBHOOK_JOB, { deliveryId }, { maxAttempts: MAX_DELIVERY_ATTEMPTS });
+  return prisma.webhookDelivery.findUnique({ where: { id: deliveryId } });
+}
+
+/**
+ * Send a stored delivery to the app's callback URL
+ * Any non-2xx response (or no response) fails the attempt so the queue retries it;
+ * a URL that resolves to a private address fails the delivery for good
+ * @param {Object} job - Claimed deliver_webhook job
+ */
+async function runDeliveryJob(job) {
+  const delivery = await prisma.webhookDelivery.findUnique({
+    where: { id: job.payload.deliveryId },
+    include: {
+      app: {
+        select: {
+          webhookSecret: true
+        }
+      },
+      endpoint: {
+        select: {
+          secret: true,
+          previousSecret: true,
+          previousSecretExpiresAt: true
+        }
+      }
+    }
+  });
+
+  if (!delivery) {
+    const error = new Error(`Webhook delivery ${job.payload.deliveryId} not found`);
+    error.retryable = false;
+    throw error;
+  }
+
+  // Checked on every attempt - DNS for a saved URL can change after it was validated
+  try {
+    await assertPublicUrl(delivery.url);
+  } catch (error) {
+    if (!(error instanceof UnsafeUrlError)) {
+      throw error;
+    }
+    await prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        attempts: { increment: 1 },
+        lastAttemptAt: new Date(),
+        lastResponseStatus: null,
+        lastError: error.message
+      }
+    });
+    // A host that does not resolve may be a DNS blip; a private address will not fix itself
+    error.retryable = error.code === 'unresolvable_host';
+    throw error;
+  }
+
+  // Sign the exact bytes that are sent
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let response = null;
+  let requestError = null;
+  try {
+    response = await axios.post(delivery.url, body, {
+      timeout: DELIVERY_TIMEOUT_MS,
+      maxRedirects: 0,
+      // Connect only to an address that passed the check, not a fresh DNS answer
+      lookup: lookupPublicAddress,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'PostalHub-External-API/1.0',
+        'X-PostalHub-Event': delivery.event,
+        'X-PostalHub-Delivery': delivery.id,
+        [SIGNATURE_HEADER]: signPayload(getSigningSecrets(delivery), timestamp, body)
+      }
+    });
+  } catch (error) {
+    requestError = error;
+  }
+
+  const delivered = !!response && response.status >= 200 && response.status < 300;
+  const lastError = delivered
+    ? null
+    : requestError?.message || `Callback responded with HTTP ${response.status}`;
+
+  await prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      attempts: { increment: 1 },
+      lastAttemptAt: new Date(),
+      lastResponseStatus: response?.status ?? null,
+      lastError,
+      ...(delivered && {
+        status: DELIVERY_STATUSES.DELIVERED,
+        deliveredAt: new Date()
+      })
+    }
+  });
+
+  if (!delivered) {
+    throw new Error(lastError);
+  }
+
+  logger.info('Webhook delivered', { deliveryId: delivery.id, event: delivery.event, url: delivery.url });
+}
+
+/**
+ * Mark a delivery as failed once the queue gives up on it
+ * @param {Object} job - Failed deliver_webhook job
+ * @param {Error} error - Why the attempt failed
+ * @param {Object} outcome - { willRetry }
+ */
+async function onDeliveryJobFailure(job, error, { willRetry }) {
+  if (willRetry) {
+    return;
+  }
+
+  await prisma.webhookDelivery.updateMany({
+    where: { id: job.payload.deliveryId },
+    data: { status: DELIVERY_STATUSES.FAILED }
+  });
+}
+
+registerJobHandler(DELIVER_WEBHOOK_JOB, {
+  run: runDeliveryJob,
+  onFailure: onDeliveryJobFailure
+});
+
+module.exports = {
+  DELIVER_WEBHOOK_JOB,
+  WEBHOOK_EVENTS,
+  SUBSCRIBABLE_EVENTS,
+  DELIVERY_STATUSES,
+  SIGNATURE_HEADER,
+  generateWebhookSecret,
+  signPayload,
+  getOrCreateApp,
+  publishWebhookEvent,
+  publishShipmentStatusChange,
+  sendTestEvent,
+  redeliverWebhook
+};
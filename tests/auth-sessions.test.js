@@ -0,0 +1,125 @@
+const jwt = require('jsonwebtoken');
+
+jest.mock('../config/env', () => ({
+  getConfig: () => ({ NEXTAUTH_SECRET: 'test-secret' })
+}));
+
+jest.mock('../lib/prisma', () => {
+  const { createFakePrisma } = require('./helpers/fake-prisma');
+  return {
+    prisma: createFakePrisma({
+      userProfile: {},
+      refreshToken: {
+        defaults: { usedAt: null, revokedAt: null },
+        relations: {
+          user: (row, db) => db.userProfile.rows.find(user => user.id === row.userId)
+        }
+      }
+    })
+  };
+});
+
+const { prisma } = require('../lib/prisma');
+const {
+  SessionError,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  isSessionActive
+} = require('../services/auth-sessions');
+
+describe('auth sessions', () => {
+  let user;
+
+  const expectSessionError = async (promise, code) => {
+    const error = await promise.catch(caught => caught);
+    expect(error).toBeInstanceOf(SessionError);
+    expect(error.code).toBe(code);
+  };
+
+  beforeEach(async () => {
+    prisma.userProfile.rows.length = 0;
+    prisma.refreshToken.rows.length = 0;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    user = await prisma.userProfile.create({ data: { email: 'user@example.com', fullName: 'Test User' } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a session starts a refresh-token family named in the access token', async () => {
+    const session = await createSession(user);
+    const decoded = jwt.verify(session.accessToken, 'test-secret');
+
+    expect(decoded.sub).toBe(user.id);
+    expect(prisma.refreshToken.rows).toHaveLength(1);
+    expect(prisma.refreshToken.rows[0].familyId).toBe(decoded.sid);
+    // Only the hash is stored
+    expect(prisma.refreshToken.rows[0].tokenHash).not.toBe(session.refreshToken);
+    await expect(isSessionActive(decoded.sid)).resolves.toBe(true);
+  });
+
+  test('refreshing rotates the token within the same family', async () => {
+    const session = await createSession(user);
+    const rotated = await rotateRefreshToken(session.refreshToken);
+
+    expect(rotated.refreshToken).not.toBe(session.refreshToken);
+    expect(rotated.user.id).toBe(user.id);
+    expect(jwt.verify(rotated.accessToken, 'test-secret').sid)
+      .toBe(jwt.verify(session.accessToken, 'test-secret').sid);
+
+    await expect(rotateRefreshToken(rotated.refreshToken)).resolves.toMatchObject({ user: { id: user.id } });
+  });
+
+  test('reusing a rotated token revokes the whole family', async () => {
+    const session = await createSession(user);
+    const familyId = jwt.verify(session.accessToken, 'test-secret').sid;
+    const rotated = await rotateRefreshToken(session.refreshToken);
+
+    await expectSessionError(rotateRefreshToken(session.refreshToken), 'refresh_token_reused');
+
+    expect(prisma.refreshToken.rows.every(row => row.revokedAt)).toBe(true);
+    await expect(isSessionActive(familyId)).resolves.toBe(false);
+    // The newest token of the family no longer works either
+    await expectSessionError(rotateRefreshToken(rotated.refreshToken), 'invalid_refresh_token');
+  });
+
+  test('reuse in one family leaves other sessions alone', async () => {
+    const stolen = await createSession(user);
+    const other = await createSession(user);
+    await rotateRefreshToken(stolen.refreshToken);
+
+    await expectSessionError(rotateRefreshToken(stolen.refreshToken), 'refresh_token_reused');
+
+    await expect(rotateRefreshToken(other.refreshToken)).resolves.toMatchObject({ user: { id: user.id } });
+  });
+
+  test('a token claimed by a concurrent refresh counts as reuse', async () => {
+    const session = await createSession(user);
+    // Another request claimed the token between the lookup and the claim
+    jest.spyOn(prisma.refreshToken, 'updateMany').mockImplementationOnce(async () => ({ count: 0 }));
+
+    await expectSessionError(rotateRefreshToken(session.refreshToken), 'refresh_token_reused');
+
+    expect(prisma.refreshToken.rows.every(row => row.revokedAt)).toBe(true);
+  });
+
+  test('expired and unknown tokens are refused', async () => {
+    const session = await createSession(user);
+    prisma.refreshToken.rows[0].expiresAt = new Date(Date.now() - 1000);
+
+    await expectSessionError(rotateRefreshToken(session.refreshToken), 'refresh_token_expired');
+    await expectSessionError(rotateRefreshToken('not-a-token'), 'invalid_refresh_token');
+  });
+
+  test('logging out revokes the session', async () => {
+    const session = await createSession(user);
+    const familyId = jwt.verify(session.accessToken, 'test-secret').sid;
+
+    await expect(revokeSession(familyId)).resolves.toBe(1);
+
+    await expect(isSessionActive(familyId)).resolves.toBe(false);
+    await expectSessionError(rotateRefreshToken(session.refreshToken), 'invalid_refresh_token');
+  });
+});
@@ -0,0 +1,94 @@
+const jwt = require('jsonwebtoken');
+
+jest.mock('../config/env', () => ({
+  getConfig: () => ({ NEXTAUTH_SECRET: 'test-secret' })
+}));
+
+jest.mock('../lib/prisma', () => {
+  const { createFakePrisma } = require('./helpers/fake-prisma');
+  return {
+    prisma: createFakePrisma({
+      userProfile: { defaults: { role: 'user' } },
+      refreshToken: { defaults: { usedAt: null, revokedAt: null } }
+    })
+  };
+});
+
+const { prisma } = require('../lib/prisma');
+const { createSession, revokeSession } = require('../services/auth-sessions');
+const { USER_ROLES, verifyNextAuthToken, requireAdmin } = require('../middleware/auth');
+
+describe('auth middleware', () => {
+  let user;
+
+  /**
+   * Run verifyNextAuthToken then requireAdmin, as the admin routes do
+   * @param {string} token - Bearer token
+   * @returns {Promise<Object>} - { req, status, body, nextCalled }
+   */
+  const runAdminRoute = (token) => new Promise(resolve => {
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const result = { req, status: 200, body: null, nextCalled: false };
+    const res = {
+      status(code) {
+        result.status = code;
+        return this;
+      },
+      json(body) {
+        result.body = body;
+        resolve(result);
+        return this;
+      }
+    };
+    verifyNextAuthToken(req, res, () => requireAdmin(req, res, () => {
+      result.nextCalled = true;
+      resolve(result);
+    }));
+  });
+
+  beforeEach(async () => {
+    prisma.userProfile.rows.length = 0;
+    prisma.refreshToken.rows.length = 0;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    user = await prisma.userProfile.create({ data: { email: 'user@example.com' } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('admins pass', async () => {
+    await prisma.userProfile.update({ where: { id: user.id }, data: { role: USER_ROLES.ADMIN } });
+    const { accessToken } = await createSession(user);
+
+    await expect(runAdminRoute(accessToken)).resolves.toMatchObject({ nextCalled: true, req: { user: { id: user.id } } });
+  });
+
+  test('other users get 403', async () => {
+    const { accessToken } = await createSession(user);
+
+    await expect(runAdminRoute(accessToken))
+      .resolves.toMatchObject({ nextCalled: false, status: 403, body: { error: 'Admin access required' } });
+  });
+
+  test('an access token stops working once its session is revoked', async () => {
+    await prisma.userProfile.update({ where: { id: user.id }, data: { role: USER_ROLES.ADMIN } });
+    const { accessToken } = await createSession(user);
+    await revokeSession(jwt.decode(accessToken).sid);
+
+    await expect(runAdminRoute(accessToken)).resolves.toMatchObject({ status: 401, body: { error: 'Session has been revoked' } });
+  });
+
+  test('typed tokens are not access tokens', async () => {
+    const challengeToken = jwt.sign({ sub: user.id, type: 'mfa_challenge' }, 'test-secret');
+
+    await expect(runAdminRoute(challengeToken)).resolves.toMatchObject({ status: 401, body: { error: 'Invalid token' } });
+  });
+
+  test('tokens signed with another secret are refused', async () => {
+    const forged = jwt.sign({ sub: user.id }, 'wrong-secret');
+
+    await expect(runAdminRoute(forged)).resolves.toMatchObject({ status: 401, nextCalled: false });
+  });
+});
@@ -0,0 +1,145 @@
+jest.mock('../config/env', () => ({
+  getConfig: () => ({ NEXTAUTH_SECRET: 'test-secret', FRONTEND_URL: 'http://localhost:3000' })
+}));
+
+jest.mock('../services/mailer', () => ({
+  sendMail: jest.fn(async () => {})
+}));
+
+jest.mock('../lib/prisma', () => {
+  const { createFakePrisma } = require('./helpers/fake-prisma');
+  return {
+    prisma: createFakePrisma({
+      userProfile: {},
+      userIdentity: {},
+      apiKey: { defaults: { organizationId: null, revokedAt: null, lastUsedAt: null } }
+    })
+  };
+});
+
+const { prisma } = require('../lib/prisma');
+const { API_KEY_SCOPES, createApiKey, hashApiKey } = require('../services/api-keys');
+const { verifyExternalAuth } = require('../middleware/external-auth');
+const { requirePersonalWorkspace } = require('../middleware/workspace');
+
+describe('external API key authentication', () => {
+  let user;
+
+  /**
+   * Run a middleware with a fake request and response
+   * @param {Function} middleware - Express middleware
+   * @param {Object} req - Request ({ headers })
+   * @returns {Promise<Object>} - { req, status, body, nextCalled }
+   */
+  const run = (middleware, req) => new Promise(resolve => {
+    const result = { req, status: 200, body: null, nextCalled: false };
+    const res = {
+      status(code) {
+        result.status = code;
+        return this;
+      },
+      json(body) {
+        result.body = body;
+        resolve(result);
+        return this;
+      }
+    };
+    middleware(req, res, () => {
+      result.nextCalled = true;
+      resolve(result);
+    });
+  });
+
+  beforeEach(async () => {
+    prisma.userProfile.rows.length = 0;
+    prisma.apiKey.rows.length = 0;
+    user = await prisma.userProfile.create({ data: { email: 'owner@example.com' } });
+  });
+
+  test('a key with the scope acts as its creator', async () => {
+    const { apiKey, key } = await createApiKey(user.id, { name: 'Shop', scopes: [API_KEY_SCOPES.READ] });
+
+    const result = await run(verifyExternalAuth(API_KEY_SCOPES.READ), { headers: { 'x-api-key': key } });
+
+    expect(result.nextCalled).toBe(true);
+    expect(result.req.user.id).toBe(user.id);
+    expect(result.req.apiKey).toEqual({
+      id: apiKey.id,
+      name: 'Shop',
+      scopes: [API_KEY_SCOPES.READ],
+      organizationId: null
+    });
+  });
+
+  test('a key without the scope is refused with 403', async () => {
+    const { key } = await createApiKey(user.id, { name: 'Read only', scopes: [API_KEY_SCOPES.READ] });
+
+    const result = await run(verifyExternalAuth(API_KEY_SCOPES.WRITE), { headers: { 'x-api-key': key } });
+
+    expect(result.nextCalled).toBe(false);
+    expect(result.status).toBe(403);
+    expect(result.body).toMatchObject({ error: 'Insufficient scope', scopes: [API_KEY_SCOPES.READ] });
+    expect(result.req.user).toBeUndefined();
+  });
+
+  test('the webhooks scope is not implied by read and write', async () => {
+    const { key } = await createApiKey(user.id, {
+      name: 'Tracking',
+      scopes: [API_KEY_SCOPES.READ, API_KEY_SCOPES.WRITE]
+    });
+
+    const result = await run(verifyExternalAuth(API_KEY_SCOPES.WEBHOOKS), { headers: { 'x-api-key': key } });
+
+    expect(result.status).toBe(403);
+  });
+
+  test('revoked and unknown keys are refused with 401', async () => {
+    const { key } = await createApiKey(user.id, { name: 'Old', scopes: [API_KEY_SCOPES.READ] });
+    prisma.apiKey.rows[0].revokedAt = new Date();
+
+    await expect(run(verifyExternalAuth(API_KEY_SCOPES.READ), { headers: { 'x-api-key': key } }))
+      .resolves.toMatchObject({ status: 401, body: { error: 'Invalid API key' } });
+    await expect(run(verifyExternalAuth(API_KEY_SCOPES.READ), { headers: { 'x-api-key': 'phk_unknown' } }))
+      .resolves.toMatchObject({ status: 401, body: { error: 'Invalid API key' } });
+  });
+
+  test('keys imported from EXTERNAL_API_KEYS work without the phk_ prefix', async () => {
+    await prisma.apiKey.create({
+      data: {
+        userId: user.id,
+        name: 'Imported from EXTERNAL_API_KEYS (#1)',
+        prefix: 'lega',
+        keyHash: hashApiKey('legacy-key'),
+        scopes: [API_KEY_SCOPES.READ, API_KEY_SCOPES.WRITE]
+      }
+    });
+
+    await expect(run(verifyExternalAuth(API_KEY_SCOPES.WRITE), { headers: { 'x-api-key': 'legacy-key' } }))
+      .resolves.toMatchObject({ nextCalled: true, req: { user: { id: user.id } } });
+  });
+
+  test('organization keys cannot reach personal webhooks', async () => {
+    const { key } = await createApiKey(user.id, {
+      name: 'Team',
+      scopes: [API_KEY_SCOPES.WEBHOOKS],
+      organizationId: 'org-1'
+    });
+
+    const { req, nextCalled } = await run(verifyExternalAuth(API_KEY_SCOPES.WEBHOOKS), { headers: { 'x-api-key': key } });
+    expect(nextCalled).toBe(true);
+
+    const result = await run(requirePersonalWorkspace, req);
+
+    expect(result.nextCalled).toBe(false);
+    expect(result.status).toBe(403);
+    expect(result.body.error).toBe('Workspace mismatch');
+  });
+
+  test('personal keys can', async () => {
+    const { key } = await createApiKey(user.id, { name: 'Mine', scopes: [API_KEY_SCOPES.WEBHOOKS] });
+
+    const { req } = await run(verifyExternalAuth(API_KEY_SCOPES.WEBHOOKS), { headers: { 'x-api-key': key } });
+
+    await expect(run(requirePersonalWorkspace, req)).resolves.toMatchObject({ nextCalled: true });
+  });
+});
@@ -0,0 +1,353 @@
+const http = require('http');
+const FedExCarrier = require('../services/carrier/fedex');
+
+/**
+ * Build a Track API body with one result
+ * @param {string} trackingNumber - Tracking number to echo back
+ * @param {Object} result - Fields merged into the trackResults entry
+ * @returns {Object} - FedEx Track API response
+ */
+function trackResponse(trackingNumber, result = {}) {
+  return {
+    output: {
+      completeTrackResults: [{
+        trackingNumber,
+        trackResults: [{
+          trackingNumberInfo: { trackingNumber },
+          latestStatusDetail: {
+            statusByLocale: 'In transit',
+            scanLocation: { city: 'MEMPHIS', stateOrProvinceCode: 'TN', countryCode: 'US' }
+          },
+          scanEvents: [],
+          ...result
+        }]
+      }]
+    }
+  };
+}
+
+describe('FedEx carrier', () => {
+  let server;
+  let baseUrl;
+  let state;
+
+  const readBody = request => new Promise(resolve => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => resolve(body));
+  });
+
+  const send = (response, status, body) => {
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  };
+
+  beforeAll(async () => {
+    server = http.createServer(async (request, response) => {
+      const body = await readBody(request);
+
+      if (request.method === 'POST' && request.url === '/oauth/token') {
+        const form = new URLSearchParams(body);
+        state.tokenRequests.push(Object.fromEntries(form));
+        if (form.get('client_id') !== 'test-key' || form.get('client_secret') !== 'test-secret') {
+          return send(response, 401, { errors: [{ code: 'NOT.AUTHORIZED.ERROR', message: 'Bad credentials' }] });
+        }
+        const token = `token-${state.tokenRequests.length}`;
+        state.validTokens.add(token);
+        return send(response, 200, { access_token: token, token_type: 'bearer', expires_in: 3600 });
+      }
+
+      if (request.method === 'POST' && request.url === '/track/v1/trackingnumbers') {
+        const token = (request.headers.authorization || '').replace(/^Bearer /, '');
+        const payload = JSON.parse(body);
+        const trackingNumber = payload.trackingInfo[0].trackingNumberInfo.trackingNumber;
+        state.trackRequests.push({ token, trackingNumber, payload });
+        if (!state.validTokens.has(token)) {
+          return send(response, 401, { errors: [{ code: 'NOT.AUTHORIZED.ERROR', message: 'Token expired' }] });
+        }
+        return send(response, 200, trackResponse(trackingNumber, state.trackResult));
+      }
+
+      send(response, 404, { errors: [{ code: 'NOT.FOUND.ERROR', message: 'Not found' }] });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    state = {
+      tokenRequests: [],
+      trackRequests: [],
+      validTokens: new Set(),
+      trackResult: {}
+    };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createCarrier = () => FedExCarrier.fromConfig({
+    FEDEX_API_KEY: 'test-key',
+    FEDEX_SECRET_KEY: 'test-secret',
+    FEDEX_API_URL: baseUrl
+  });
+
+  describe('OAuth token', () => {
+    test('requests a token once and reuses it', async () => {
+      const carrier = createCarrier();
+
+      await carrier.trackPackage('123456789012');
+      await carrier.trackPackage('123456789012');
+
+      expect(state.tokenRequests).toHaveLength(1);
+      expect(state.tokenRequests[0]).toEqual({
+        grant_type: 'client_credentials',
+        client_id: 'test-key',
+        client_secret: 'test-secret'
+      });
+      expect(state.trackRequests.map(entry => entry.token)).toEqual(['token-1', 'token-1']);
+    });
+
+    test('shares one token request between concurrent lookups', async () => {
+      const carrier = createCarrier();
+
+      const results = await Promise.all([
+        carrier.trackPackage('123456789012'),
+        carrier.trackPackage('123456789012345'),
+        carrier.trackPackage('12345678901234567890')
+      ]);
+
+      expect(results.every(result => result.success)).toBe(true);
+      expect(state.tokenRequests).toHaveLength(1);
+    });
+
+    test('requests a new token after the current one is rejected with 401', async () => {
+      const carrier = createCarrier();
+
+      expect((await carrier.trackPackage('123456789012')).success).toBe(true);
+
+      // FedEx revokes the token before it expires
+      state.validTokens.clear();
+      const rejected = await carrier.trackPackage('123456789012');
+      expect(rejected.success).toBe(false);
+      expect(rejected.error).toBe('FedEx API Error: Token expired (NOT.AUTHORIZED.ERROR)');
+
+      const retried = await carrier.trackPackage('123456789012');
+      expect(retried.success).toBe(true);
+      expect(state.tokenRequests).toHaveLength(2);
+      expect(state.trackRequests.map(entry => entry.token)).toEqual(['token-1', 'token-1', 'token-2']);
+    });
+
+    test('requests a new token once the cached one is about to expire', async () => {
+      const carrier = createCarrier();
+      const now = jest.spyOn(Date, 'now');
+
+      await carrier.trackPackage('123456789012');
+      now.mockReturnValue(carrier.tokenExpiresAt - 30 * 1000);
+      await carrier.trackPackage('123456789012');
+
+      expect(state.tokenRequests).toHaveLength(2);
+    });
+  });
+
+  describe('tracking numbers', () => {
+    test.each([
+      ['Express', '123456789012'],
+      ['Ground', '123456789012345'],
+      ['Ground Economy', '12345678901234567890'],
+      ['Ground (96 prefix)', '9612345678901234567890']
+    ])('tracks %s numbers', async (family, trackingNumber) => {
+      const result = await createCarrier().trackPackage(trackingNumber);
+
+      expect(result.success).toBe(true);
+      expect(result.trackingNumber).toBe(trackingNumber);
+      expect(state.trackRequests[0].trackingNumber).toBe(trackingNumber);
+      expect(state.trackRequests[0].payload.includeDetailedScans).toBe(true);
+    });
+
+    test('strips spaces before sending the number', async () => {
+      await createCarrier().trackPackage('1234 5678 9012');
+
+      expect(state.trackRequests[0].trackingNumber).toBe('123456789012');
+    });
+
+    test.each([
+      ['too short', '12345678901'],
+      ['between families', '1234567890123'],
+      ['too long', '12345678901234567890123'],
+      ['not numeric', '1Z999AA10123456784']
+    ])('rejects numbers that are %s without calling FedEx', async (reason, trackingNumber) => {
+      const result = await createCarrier().trackPackage(trackingNumber);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid FedEx tracking number format');
+      expect(result.retryable).toBe(false);
+      expect(state.tokenRequests).toHaveLength(0);
+      expect(state.trackRequests).toHaveLength(0);
+    });
+  });
+
+  describe('response mapping', () => {
+    test('maps scan events to canonical statuses, newest first', async () => {
+      state.trackResult = {
+        latestStatusDetail: {
+          statusByLocale: 'Delivered',
+          scanLocation: { city: 'AUSTIN', stateOrProvinceCode: 'TX', countryCode: 'US' }
+        },
+        dateAndTimes: [
+          { type: 'ACTUAL_DELIVERY', dateTime: '2024-03-07T14:02:00-06:00' },
+          { type: 'ACTUAL_PICKUP', dateTime: '2024-03-04T17:30:00-05:00' },
+          { type: 'SHIP', dateTime: '2024-03-03T00:00:00-05:00' }
+        ],
+        scanEvents: [
+          {
+            date: '2024-03-07T14:02:00-06:00',
+            eventType: 'DL',
+            eventDescription: 'Delivered',
+            derivedStatusCode: 'DL',
+            scanLocation: { city: 'AUSTIN', stateOrProvinceCode: 'TX', postalCode: '78701', countryCode: 'US' }
+          },
+          {
+            date: '2024-03-07T08:10:00-06:00',
+            eventType: 'OD',
+            eventDescription: 'On FedEx vehicle for delivery',
+            derivedStatusCode: 'IT',
+            scanLocation: { city: 'AUSTIN', stateOrProvinceCode: 'TX', countryCode: 'US' }
+          },
+          {
+            date: '2024-03-06T03:00:00-06:00',
+            eventType: 'DE',
+            eventDescription: 'Weather delay',
+            exceptionDescription: 'Local weather conditions',
+            derivedStatusCode: 'DE',
+            scanLocation: { city: 'MEMPHIS', stateOrProvinceCode: 'TN', countryCode: 'US' }
+          },
+          {
+            date: '2024-03-05T22:15:00-06:00',
+            eventType: 'XX',
+            eventDescription: 'Arrived at FedEx hub',
+            derivedStatusCode: 'IT',
+            scanLocation: { city: 'MEMPHIS', stateOrProvinceCode: 'TN', countryCode: 'US' }
+          },
+          {
+            date: '2024-03-04T17:30:00-05:00',
+            eventType: 'PU',
+            eventDescription: 'Picked up',
+            derivedStatusCode: 'PU',
+            scanLocation: {}
+          },
+          {
+            date: '2024-03-03T09:00:00-05:00',
+            eventType: 'OC',
+            eventDescription: 'Shipment information sent to FedEx',
+            derivedStatusCode: 'IN'
+          }
+        ]
+      };
+
+      const result = await createCarrier().trackPackage('123456789012');
+
+      expect(result).toMatchObject({
+        success: true,
+        carrier: 'FedEx',
+        currentStatus: 'Delivered',
+        shipmentStatus: 'delivered',
+        currentLocation: 'AUSTIN, TX, US',
+        shippedDate: '2024-03-04',
+        expectedDeliveryDate: '2024-03-07'
+      });
+      expect(result.events.map(event => [event.eventCode, event.status])).toEqual([
+        ['DL', 'delivered'],
+        ['OD', 'out_for_delivery'],
+        ['DE', 'exception'],
+        ['XX', 'in_transit'],
+        ['PU', 'in_transit'],
+        ['OC', 'label_created']
+      ]);
+      expect(result.events[0]).toMatchObject({
+        timestamp: '2024-03-07T14:02:00-06:00',
+        description: 'Delivered',
+        location: 'AUSTIN, TX, US',
+        city: 'AUSTIN',
+        state: 'TX',
+        postalCode: '78701',
+        country: 'US'
+      });
+      expect(result.events[2].exception).toBe('Local weather conditions');
+      expect(result.events[4].location).toBeNull();
+    });
+
+    test('reports the estimated delivery window and its date', async () => {
+      state.trackResult = {
+        dateAndTimes: [{ type: 'SHIP', dateTime: '2024-03-04T00:00:00-05:00' }],
+        estimatedDeliveryTimeWindow: {
+          window: { begins: '2024-03-08T10:00:00-06:00', ends: '2024-03-08T14:00:00-06:00' }
+        },
+        standardTransitTimeWindow: {
+          window: { ends: '2024-03-09T23:59:00-06:00' }
+        }
+      };
+
+      const result = await createCarrier().trackPackage('123456789012345');
+
+      expect(result.deliveryWindow).toEqual({
+        start: '2024-03-08T10:00:00-06:00',
+        end: '2024-03-08T14:00:00-06:00'
+      });
+      expect(result.expectedDeliveryDate).toBe('2024-03-08');
+      expect(result.shippedDate).toBe('2024-03-04');
+    });
+
+    test('falls back to the standard transit window', async () => {
+      state.trackResult = {
+        standardTransitTimeWindow: {
+          window: { ends: '2024-03-09T23:59:00-06:00' }
+        }
+      };
+
+      const result = await createCarrier().trackPackage('123456789012345');
+
+      expect(result.deliveryWindow).toEqual({ start: null, end: '2024-03-09T23:59:00-06:00' });
+      expect(result.expectedDeliveryDate).toBe('2024-03-09');
+    });
+
+    test('prefers the estimated delivery date over the window', async () => {
+      state.trackResult = {
+        dateAndTimes: [{ type: 'ESTIMATED_DELIVERY', dateTime: '2024-03-10T00:00:00-06:00' }],
+        estimatedDeliveryTimeWindow: {
+          window: { begins: '2024-03-08T10:00:00-06:00', ends: '2024-03-08T14:00:00-06:00' }
+        }
+      };
+
+      const result = await createCarrier().trackPackage('123456789012');
+
+      expect(result.expectedDeliveryDate).toBe('2024-03-10');
+      expect(result.deliveryWindow.start).toBe('2024-03-08T10:00:00-06:00');
+    });
+
+    test('reports no window when FedEx has none', async () => {
+      const result = await createCarrier().trackPackage('123456789012');
+
+      expect(result.deliveryWindow).toBeNull();
+      expect(result.expectedDeliveryDate).toBeNull();
+      expect(result.shipmentStatus).toBe('in_transit');
+    });
+
+    test('surfaces per-number errors from the Track API', async () => {
+      state.trackResult = {
+        error: { code: 'TRACKING.TRACKINGNUMBER.NOTFOUND', message: 'Tracking number cannot be found.' }
+      };
+
+      const result = await createCarrier().trackPackage('123456789012');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('FedEx API Error: Tracking number cannot be found.');
+      expect(result.retryable).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createGoogleTokenVerifier, GoogleTokenError } = require('../services/google-tokens');
+
+const CLIENT_ID = 'postalhub-client.apps.googleusercontent.com';
+const START = 1700000000000;
+
+/**
+ * Generate an RSA signing key with its public JWK
+ * @param {string} kid - Key ID
+ * @returns {Object} - { kid, privateKey, jwk }
+ */
+function generateKey(kid) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return {
+    kid,
+    privateKey,
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }
+  };
+}
+
+describe('Google token verifier', () => {
+  let clock;
+  let keyset;
+  let fetchJwks;
+  let fetchTokenInfo;
+  let verifier;
+
+  const signIdToken = (key, claims = {}) => jwt.sign({
+    iss: 'https://accounts.google.com',
+    aud: CLIENT_ID,
+    sub: '1234567890',
+    email: 'user@example.com',
+    email_verified: true,
+    iat: Math.floor(clock / 1000),
+    exp: Math.floor(clock / 1000) + 3600,
+    ...claims
+  }, key.privateKey, { algorithm: 'RS256', keyid: key.kid });
+
+  const expectTokenError = async (promise, code = 'invalid_token') => {
+    const error = await promise.catch(caught => caught);
+    expect(error).toBeInstanceOf(GoogleTokenError);
+    expect(error.code).toBe(code);
+  };
+
+  beforeEach(() => {
+    clock = START;
+    keyset = [generateKey('key-1')];
+    fetchJwks = jest.fn(async () => ({ keys: keyset.map(key => key.jwk), maxAgeMs: 6 * 60 * 60 * 1000 }));
+    fetchTokenInfo = jest.fn(async () => ({
+      aud: CLIENT_ID,
+      azp: CLIENT_ID,
+      user_id: '1234567890',
+      email: 'user@example.com',
+      verified_email: 'true',
+      exp: String(Math.floor(START / 1000) + 3600)
+    }));
+    verifier = createGoogleTokenVerifier({
+      fetchJwks,
+      fetchTokenInfo,
+      audiences: [CLIENT_ID],
+      now: () => clock
+    });
+  });
+
+  describe('verifyIdToken', () => {
+    test('accepts a token signed by a current key for our client', async () => {
+      const payload = await verifier.verifyIdToken(signIdToken(keyset[0]));
+
+      expect(payload.sub).toBe('1234567890');
+      expect(payload.aud).toBe(CLIENT_ID);
+      expect(fetchJwks).toHaveBeenCalledTimes(1);
+    });
+
+    test('reuses the cached keyset while it is fresh', async () => {
+      await verifier.verifyIdToken(signIdToken(keyset[0]));
+      clock += 60 * 60 * 1000;
+      await verifier.verifyIdToken(signIdToken(keyset[0]));
+
+      expect(fetchJwks).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects a token issued to another client', async () => {
+      await expectTokenError(verifier.verifyIdToken(signIdToken(keyset[0], { aud: 'other.apps.googleusercontent.com' })));
+    });
+
+    test('rejects a token from another issuer', async () => {
+      await expectTokenError(verifier.verifyIdToken(signIdToken(keyset[0], { iss: 'https://evil.example.com' })));
+    });
+
+    test('reports an expired token as token_expired', async () => {
+      const token = signIdToken(keyset[0]);
+      clock += 2 * 60 * 60 * 1000;
+
+      await expectTokenError(verifier.verifyIdToken(token), 'token_expired');
+    });
+
+    test('rejects a token signed with a key that is not in the keyset', async () => {
+      const stranger = generateKey('key-1');
+      await expectTokenError(verifier.verifyIdToken(signIdToken(stranger)));
+    });
+
+    test('refetches the keyset for an unknown kid at most once per cooldown', async () => {
+      await verifier.verifyIdToken(signIdToken(keyset[0]));
+      expect(fetchJwks).toHaveBeenCalledTimes(1);
+
+      // Google rotates in a new key right after our fetch
+      const rotated = generateKey('key-2');
+      keyset.push(rotated);
+
+      // Within the cooldown an unknown kid does not trigger a fetch
+      clock += 30 * 1000;
+      await expectTokenError(verifier.verifyIdToken(signIdToken(rotated)));
+      await expectTokenError(verifier.verifyIdToken(signIdToken(rotated)));
+      expect(fetchJwks).toHaveBeenCalledTimes(1);
+
+      // After it, one refetch picks up the new key
+      clock += 31 * 1000;
+      const payload = await verifier.verifyIdToken(signIdToken(rotated));
+      expect(payload.sub).toBe('1234567890');
+      expect(fetchJwks).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not refetch repeatedly for a kid Google never published', async () => {
+      const stranger = generateKey('unknown-kid');
+      await expectTokenError(verifier.verifyIdToken(signIdToken(stranger)));
+      await expectTokenError(verifier.verifyIdToken(signIdToken(stranger)));
+
+      expect(fetchJwks).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('verifyAccessToken', () => {
+    test('caches tokeninfo answers for five minutes', async () => {
+      await verifier.verifyAccessToken('access-token');
+      clock += 4 * 60 * 1000;
+      await verifier.verifyAccessToken('access-token');
+      expect(fetchTokenInfo).toHaveBeenCalledTimes(1);
+
+      clock += 2 * 60 * 1000;
+      await verifier.verifyAccessToken('access-token');
+      expect(fetchTokenInfo).toHaveBeenCalledTimes(2);
+    });
+
+    test('never caches past the token expiry', async () => {
+      fetchTokenInfo.mockResolvedValueOnce({
+        aud: CLIENT_ID,
+        azp: CLIENT_ID,
+        user_id: '1234567890',
+        email: 'user@example.com',
+        exp: String(Math.floor(START / 1000) + 60)
+      });
+
+      await verifier.verifyAccessToken('short-lived');
+      clock += 90 * 1000;
+      fetchTokenInfo.mockRejectedValueOnce(new GoogleTokenError('Google OAuth token is invalid or expired'));
+
+      await expectTokenError(verifier.verifyAccessToken('short-lived'));
+      expect(fetchTokenInfo).toHaveBeenCalledTimes(2);
+    });
+
+    test('rejects a token issued to another client', async () => {
+      fetchTokenInfo.mockResolvedValueOnce({
+        aud: 'other.apps.googleusercontent.com',
+        azp: 'other.apps.googleusercontent.com',
+        user_id: '1234567890',
+        email: 'user@example.com',
+        exp: String(Math.floor(START / 1000) + 3600)
+      });
+
+      await expectTokenError(verifier.verifyAccessToken('foreign-token'));
+    });
+
+    test('does not cache rejected tokens', async () => {
+      fetchTokenInfo.mockResolvedValue({
+        aud: 'other.apps.googleusercontent.com',
+        user_id: '1234567890',
+        email: 'user@example.com'
+      });
+
+      await expectTokenError(verifier.verifyAccessToken('foreign-token'));
+      await expectTokenError(verifier.verifyAccessToken('foreign-token'));
+      expect(fetchTokenInfo).toHaveBeenCalledTimes(2);
+    });
+  });
+});
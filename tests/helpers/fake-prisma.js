@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory stand-in for the Prisma client, for services whose behaviour depends
+ * on what earlier calls stored (single-use codes, token families, job states)
+ * Supports the where-clauses the services use: equality, null, compound unique
+ * keys (organizationId_userId), OR, and the equals/in/lt/lte/gt/gte operators
+ */
+
+const OPERATORS = ['equals', 'in', 'notIn', 'lt', 'lte', 'gt', 'gte', 'not', 'mode'];
+
+/**
+ * Compare two field values (Dates by time, missing fields as null)
+ * @param {*} a - Stored value
+ * @param {*} b - Value from the where-clause
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+/**
+ * Whether a where-clause value is an operator object ({ lt: ... })
+ * @param {*} condition - Where-clause value
+ * @returns {boolean}
+ */
+function isOperatorObject(condition) {
+  return condition !== null && typeof condition === 'object' && !(condition instanceof Date)
+    && Object.keys(condition).every(key => OPERATORS.includes(key));
+}
+
+/**
+ * Check a row against a where-clause
+ * @param {Object} row - Stored row
+ * @param {Object} where - Prisma where-clause
+ * @returns {boolean}
+ */
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === 'OR') {
+      return condition.some(clause => matches(row, clause));
+    }
+    if (condition === undefined) {
+      return true;
+    }
+
+    if (isOperatorObject(condition)) {
+      const value = row[key] ?? null;
+      return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+          case 'equals': return isEqual(value, operand);
+          case 'in': return operand.some(item => isEqual(value, item));
+          case 'notIn': return !operand.some(item => isEqual(value, item));
+          case 'lt': return value !== null && value < operand;
+          case 'lte': return value !== null && value <= operand;
+          case 'gt': return value !== null && value > operand;
+          case 'gte': return value !== null && value >= operand;
+          case 'not': return !isEqual(value, operand);
+          default: return true;
+        }
+      });
+    }
+
+    // Compound unique key, e.g. { organizationId_userId: { organizationId, userId } }
+    if (!(key in row) && condition !== null && typeof condition === 'object' && !(condition instanceof Date)) {
+      return matches(row, condition);
+    }
+
+    return isEqual(row[key], condition);
+  });
+}
+
+/**
+ * Create one in-memory model
+ * @param {Object} db - The fake client (for relations)
+ * @param {Object} options - { defaults: fields every new row gets, relations: { name: (row, db) => related } }
+ * @returns {Object} - Model with the Prisma methods the services call
+ */
+function createModel(db, options = {}) {
+  const rows = [];
+
+  const withRelations = (row, include) => {
+    if (!row || !include) {
+      return row;
+    }
+    const related = {};
+    Object.keys(include).forEach(name => {
+      related[name] = options.relations?.[name]?.(row, db) ?? null;
+    });
+    return { ...row, ...related };
+  };
+
+  const build = (data) => ({
+    id: crypto.randomUUID(),
+    createdAt: new Date(),
+    ...(options.defaults || {}),
+    ...data
+  });
+
+  return {
+    rows,
+    async create({ data, include }) {
+      const row = build(data);
+      rows.push(row);
+      return withRelations({ ...row }, include);
+    },
+    async createMany({ data }) {
+      data.forEach(item => rows.push(build(item)));
+      return { count: data.length };
+    },
+    async findUnique({ where, include }) {
+      const row = rows.find(candidate => matches(candidate, where));
+      return row ? withRelations({ ...row }, include) : null;
+    },
+    async findFirst({ where, include } = {}) {
+      const row = rows.find(candidate => matches(candidate, where));
+      return row ? withRelations({ ...row }, include) : null;
+    },
+    async findMany({ where } = {}) {
+      return rows.filter(row => matches(row, where)).map(row => ({ ...row }));
+    },
+    async count({ where } = {}) {
+      return rows.filter(row => matches(row, where)).length;
+    },
+    async update({ where, data }) {
+      const row = rows.find(candidate => matches(candidate, where));
+      if (!row) {
+        throw new Error('Record to update not found');
+      }
+      Object.assign(row, data);
+      return { ...row };
+    },
+    async upsert({ where, update, create, include }) {
+      const row = rows.find(candidate => matches(candidate, where));
+      if (!row) {
+        return this.create({ data: create, include });
+      }
+      Object.assign(row, update);
+      return withRelations({ ...row }, include);
+    },
+    async updateMany({ where, data }) {
+      const matched = rows.filter(row => matches(row, where));
+      matched.forEach(row => Object.assign(row, data));
+      return { count: matched.length };
+    },
+    async deleteMany({ where } = {}) {
+      const remaining = rows.filter(row => !matches(row, where));
+      const count = rows.length - remaining.length;
+      rows.splice(0, rows.length, ...remaining);
+      return { count };
+    }
+  };
+}
+
+/**
+ * Create a fake Prisma client
+ * @param {Object} models - { modelName: createModel options }
+ * @returns {Object} - Client with the given models and $transaction
+ */
+function createFakePrisma(models) {
+  const db = {
+    // Array form: the operations already ran; callback form: the client is the transaction
+    async $transaction(operations) {
+      return typeof operations === 'function' ? operations(db) : Promise.all(operations);
+    }
+  };
+
+  Object.entries(models).forEach(([name, options]) => {
+    db[name] = createModel(db, options);
+  });
+
+  return db;
+}
+
+module.exports = {
+  createFakePrisma
+};
@@ -0,0 +1,216 @@
+jest.mock('../lib/prisma', () => {
+  const { createFakePrisma } = require('./helpers/fake-prisma');
+  const prisma = createFakePrisma({
+    job: {
+      defaults: {
+        status: 'queued',
+        attempts: 0,
+        maxAttempts: 5,
+        lockedAt: null,
+        lockedBy: null,
+        lastError: null,
+        completedAt: null
+      }
+    }
+  });
+
+  // The only raw query is claimJobs: claim due queued jobs, oldest first
+  prisma.$queryRaw = async (strings, processing, workerId, queued, limit) => {
+    const now = new Date();
+    const due = prisma.job.rows
+      .filter(job => job.status === queued && job.runAt <= now)
+      .sort((a, b) => a.runAt - b.runAt)
+      .slice(0, limit);
+
+    due.forEach(job => Object.assign(job, {
+      status: processing,
+      attempts: job.attempts + 1,
+      lockedAt: now,
+      lockedBy: workerId
+    }));
+    return due.map(job => ({ id: job.id }));
+  };
+
+  return { prisma };
+});
+
+const { prisma } = require('../lib/prisma');
+const {
+  JOB_STATUSES,
+  registerJobHandler,
+  enqueueJob,
+  drainQueue,
+  recoverStaleJobs,
+  retryDeadJob,
+  getRetryDelay
+} = require('../services/job-queue');
+
+describe('job queue', () => {
+  const jobRow = (job) => prisma.job.rows.find(row => row.id === job.id);
+
+  /**
+   * Register a handler for a fresh job type
+   * @param {Function} run - Handler body
+   * @returns {Object} - { type, handler } where handler.onFailure is a jest mock
+   */
+  const handlerFor = (run) => {
+    const type = `test-${Math.random().toString(36).slice(2)}`;
+    const handler = { run: jest.fn(run), onFailure: jest.fn() };
+    registerJobHandler(type, handler);
+    return { type, handler };
+  };
+
+  const failing = (message, fields = {}) => async () => {
+    throw Object.assign(new Error(message), fields);
+  };
+
+  beforeEach(() => {
+    prisma.job.rows.length = 0;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getRetryDelay', () => {
+    test('doubles from 30 seconds', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+
+      expect([1, 2, 3, 4].map(getRetryDelay)).toEqual([30000, 60000, 120000, 240000]);
+    });
+
+    test('is capped at one hour', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+
+      expect(getRetryDelay(8)).toBe(60 * 60 * 1000);
+      expect(getRetryDelay(50)).toBe(60 * 60 * 1000);
+    });
+
+    test('adds up to 10% jitter', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.999);
+
+      expect(getRetryDelay(1)).toBe(32997);
+      expect(getRetryDelay(50)).toBeLessThan(60 * 60 * 1000 * 1.1);
+    });
+  });
+
+  describe('drainQueue', () => {
+    test('completes jobs whose handler succeeds', async () => {
+      const { type, handler } = handlerFor(async () => {});
+      const job = await enqueueJob(type, { value: 1 });
+
+      await expect(drainQueue()).resolves.toMatchObject({ claimed: 1, completed: 1, retried: 0, dead: 0 });
+
+      expect(handler.run).toHaveBeenCalledWith(expect.objectContaining({ id: job.id, payload: { value: 1 } }));
+      expect(jobRow(job)).toMatchObject({ status: JOB_STATUSES.COMPLETED, lockedBy: null, attempts: 1 });
+    });
+
+    test('requeues a failed attempt with backoff', async () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      const { type, handler } = handlerFor(failing('Carrier timed out'));
+      const job = await enqueueJob(type, {});
+      const before = Date.now();
+
+      await expect(drainQueue()).resolves.toMatchObject({ claimed: 1, retried: 1, dead: 0 });
+
+      const row = jobRow(job);
+      expect(row).toMatchObject({ status: JOB_STATUSES.QUEUED, attempts: 1, lastError: 'Carrier timed out', lockedBy: null });
+      expect(row.runAt.getTime()).toBeGreaterThanOrEqual(before + 30000);
+      expect(handler.onFailure).toHaveBeenCalledWith(expect.objectContaining({ id: job.id }), expect.any(Error), { willRetry: true });
+    });
+
+    test('does not run a requeued job before its retry time', async () => {
+      const { type, handler } = handlerFor(failing('Carrier timed out'));
+      await enqueueJob(type, {});
+
+      await drainQueue();
+      await expect(drainQueue()).resolves.toMatchObject({ claimed: 0 });
+
+      expect(handler.run).toHaveBeenCalledTimes(1);
+    });
+
+    test('dead-letters a job once its attempts run out', async () => {
+      const { type, handler } = handlerFor(failing('Carrier timed out'));
+      const job = await enqueueJob(type, {}, { maxAttempts: 2 });
+
+      await drainQueue();
+      // Make the retry due now
+      jobRow(job).runAt = new Date(Date.now() - 1000);
+      await expect(drainQueue()).resolves.toMatchObject({ claimed: 1, retried: 0, dead: 1 });
+
+      expect(jobRow(job)).toMatchObject({ status: JOB_STATUSES.DEAD, attempts: 2, lastError: 'Carrier timed out' });
+      expect(handler.onFailure).toHaveBeenLastCalledWith(expect.anything(), expect.any(Error), { willRetry: false });
+    });
+
+    test('dead-letters a job at once when the error is not retryable', async () => {
+      const { type, handler } = handlerFor(failing('Invalid tracking number format', { retryable: false }));
+      const job = await enqueueJob(type, {});
+
+      await expect(drainQueue()).resolves.toMatchObject({ retried: 0, dead: 1 });
+
+      expect(jobRow(job)).toMatchObject({ status: JOB_STATUSES.DEAD, attempts: 1 });
+      expect(handler.onFailure).toHaveBeenCalledWith(expect.anything(), expect.any(Error), { willRetry: false });
+    });
+
+    test('dead-letters jobs of an unknown type', async () => {
+      const job = await enqueueJob('unregistered', {});
+
+      await expect(drainQueue()).resolves.toMatchObject({ dead: 1 });
+
+      expect(jobRow(job).lastError).toBe('No handler registered for job type unregistered');
+    });
+
+    test('a failing onFailure hook does not stop the queue', async () => {
+      const { type, handler } = handlerFor(failing('Carrier timed out'));
+      handler.onFailure.mockRejectedValue(new Error('Hook broke'));
+      const job = await enqueueJob(type, {});
+
+      await expect(drainQueue()).resolves.toMatchObject({ retried: 1 });
+      expect(jobRow(job).status).toBe(JOB_STATUSES.QUEUED);
+    });
+  });
+
+  describe('recovering and retrying', () => {
+    test('stale processing jobs are requeued', async () => {
+      const { type } = handlerFor(async () => {});
+      const job = await enqueueJob(type, {});
+      Object.assign(jobRow(job), {
+        status: JOB_STATUSES.PROCESSING,
+        attempts: 1,
+        lockedAt: new Date(Date.now() - 10 * 60 * 1000),
+        lockedBy: 'crashed-worker'
+      });
+
+      await expect(recoverStaleJobs()).resolves.toBe(1);
+
+      expect(jobRow(job)).toMatchObject({ status: JOB_STATUSES.QUEUED, lockedBy: null });
+      expect(jobRow(job).lastError).toMatch(/crashed-worker/);
+    });
+
+    test('jobs still within the stale window are left alone', async () => {
+      const { type } = handlerFor(async () => {});
+      const job = await enqueueJob(type, {});
+      Object.assign(jobRow(job), { status: JOB_STATUSES.PROCESSING, lockedAt: new Date(), lockedBy: 'busy-worker' });
+
+      await expect(recoverStaleJobs()).resolves.toBe(0);
+      expect(jobRow(job).status).toBe(JOB_STATUSES.PROCESSING);
+    });
+
+    test('a dead job can be retried with fresh attempts', async () => {
+      const { type } = handlerFor(failing('Invalid tracking number format', { retryable: false }));
+      const job = await enqueueJob(type, {});
+      await drainQueue();
+
+      await expect(retryDeadJob(job.id)).resolves.toMatchObject({ status: JOB_STATUSES.QUEUED, attempts: 0 });
+    });
+
+    test('only dead jobs can be retried', async () => {
+      const job = await enqueueJob('unregistered', {});
+
+      await expect(retryDeadJob(job.id)).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const jwt = require('jsonwebtoken');
+
+jest.mock('../config/env', () => ({
+  getConfig: () => ({ NEXTAUTH_SECRET: 'test-secret' })
+}));
+
+jest.mock('../lib/prisma', () => {
+  const { createFakePrisma } = require('./helpers/fake-prisma');
+  return {
+    prisma: createFakePrisma({
+      userProfile: { defaults: { totpSecret: null, totpEnabledAt: null, totpLastUsedStep: null } },
+      mfaRecoveryCode: { defaults: { usedAt: null } }
+    })
+  };
+});
+
+const { prisma } = require('../lib/prisma');
+const { generateTotp, generateTotpSecret, getTimeStep } = require('../services/totp');
+const {
+  MfaError,
+  enableTotp,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  countRecoveryCodes,
+  createMfaChallenge,
+  verifyMfaChallenge
+} = require('../services/mfa');
+
+describe('two-factor authentication', () => {
+  let user;
+
+  const reloadUser = () => prisma.userProfile.findUnique({ where: { id: user.id } });
+
+  // Stay inside one 30-second step, so "the current code" cannot change mid-test
+  beforeAll(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:05Z') });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(async () => {
+    prisma.userProfile.rows.length = 0;
+    prisma.mfaRecoveryCode.rows.length = 0;
+    user = await prisma.userProfile.create({
+      data: {
+        email: 'user@example.com',
+        totpSecret: generateTotpSecret(),
+        totpEnabledAt: new Date()
+      }
+    });
+  });
+
+  describe('TOTP codes', () => {
+    test('accepts the current code and records its time step', async () => {
+      const code = generateTotp(user.totpSecret);
+
+      await expect(verifySecondFactor(user, code)).resolves.toBe('totp');
+      expect((await reloadUser()).totpLastUsedStep).toBe(getTimeStep());
+    });
+
+    test('refuses a code that was already used', async () => {
+      const code = generateTotp(user.totpSecret);
+      await verifySecondFactor(user, code);
+
+      await expect(verifySecondFactor(await reloadUser(), code)).resolves.toBeNull();
+    });
+
+    test('refuses a replay that raced the first use', async () => {
+      const code = generateTotp(user.totpSecret);
+      // Both requests loaded the user before either recorded the step
+      const [first, second] = [{ ...user }, { ...user }];
+
+      await expect(verifySecondFactor(first, code)).resolves.toBe('totp');
+      await expect(verifySecondFactor(second, code)).resolves.toBeNull();
+    });
+
+    test('refuses codes from an older step than the last one used', async () => {
+      const step = getTimeStep();
+      await prisma.userProfile.update({ where: { id: user.id }, data: { totpLastUsedStep: step } });
+
+      await expect(verifySecondFactor(await reloadUser(), generateTotp(user.totpSecret, step - 1))).resolves.toBeNull();
+    });
+
+    test.each([
+      ['a wrong code', () => String((Number(generateTotp(user.totpSecret)) + 1) % 1000000).padStart(6, '0')],
+      ['a malformed code', () => '12ab56'],
+      ['a missing code', () => undefined]
+    ])('refuses %s', async (label, makeCode) => {
+      await expect(verifySecondFactor(user, makeCode())).resolves.toBeNull();
+    });
+
+    test('refuses codes for accounts without TOTP enabled', async () => {
+      const code = generateTotp(user.totpSecret);
+
+      await expect(verifySecondFactor({ ...user, totpEnabledAt: null }, code)).resolves.toBeNull();
+    });
+
+    test('enrollment rejects a wrong confirmation code', async () => {
+      const pending = { ...user, totpEnabledAt: null };
+
+      const error = await enableTotp(pending, '000000').catch(caught => caught);
+      expect(error).toBeInstanceOf(MfaError);
+      expect(error.code).toBe('invalid_code');
+    });
+  });
+
+  describe('recovery codes', () => {
+    test('a recovery code works once, ignoring case and dashes', async () => {
+      const [code] = await regenerateRecoveryCodes(user.id);
+
+      await expect(verifySecondFactor(user, code.toUpperCase().replace('-', ''))).resolves.toBe('recovery_code');
+      await expect(verifySecondFactor(user, code)).resolves.toBeNull();
+      await expect(countRecoveryCodes(user.id)).resolves.toBe(9);
+    });
+
+    test('only stores hashes of ten distinct codes', async () => {
+      const codes = await regenerateRecoveryCodes(user.id);
+
+      expect(new Set(codes).size).toBe(10);
+      const stored = prisma.mfaRecoveryCode.rows.map(row => row.codeHash);
+      codes.forEach(code => expect(stored).not.toContain(code));
+    });
+
+    test('regenerating replaces the old codes', async () => {
+      const [oldCode] = await regenerateRecoveryCodes(user.id);
+      await regenerateRecoveryCodes(user.id);
+
+      await expect(verifySecondFactor(user, oldCode)).resolves.toBeNull();
+      await expect(countRecoveryCodes(user.id)).resolves.toBe(10);
+    });
+
+    test("another user's recovery code is refused", async () => {
+      const other = await prisma.userProfile.create({
+        data: { email: 'other@example.com', totpSecret: generateTotpSecret(), totpEnabledAt: new Date() }
+      });
+      const [code] = await regenerateRecoveryCodes(other.id);
+
+      await expect(verifySecondFactor(user, code)).resolves.toBeNull();
+      await expect(verifySecondFactor(other, code)).resolves.toBe('recovery_code');
+    });
+  });
+
+  describe('challenge tokens', () => {
+    test('a challenge token resolves to its user', () => {
+      expect(verifyMfaChallenge(createMfaChallenge(user))).toBe(user.id);
+    });
+
+    test('an access token is not a challenge token', () => {
+      const accessToken = jwt.sign({ sub: user.id }, 'test-secret');
+
+      expect(() => verifyMfaChallenge(accessToken)).toThrow(MfaError);
+    });
+  });
+});
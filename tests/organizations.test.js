@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+
+jest.mock('../config/env', () => ({
+  getConfig: () => ({ NEXTAUTH_SECRET: 'test-secret', FRONTEND_URL: 'http://localhost:3000' })
+}));
+
+jest.mock('../services/mailer', () => ({
+  sendMail: jest.fn(async () => {})
+}));
+
+jest.mock('../lib/prisma', () => {
+  const { createFakePrisma } = require('./helpers/fake-prisma');
+  return {
+    prisma: createFakePrisma({
+      organization: {},
+      organizationMembership: {
+        relations: {
+          organization: (row, db) => db.organization.rows.find(organization => organization.id === row.organizationId)
+        }
+      },
+      organizationInvitation: { defaults: { acceptedAt: null, acceptedById: null, revokedAt: null } }
+    })
+  };
+});
+
+const { prisma } = require('../lib/prisma');
+const {
+  ORG_ROLES,
+  OrganizationError,
+  hasRole,
+  getWorkspace,
+  acceptInvitation
+} = require('../services/organizations');
+
+describe('organizations', () => {
+  let organization;
+
+  const user = { id: 'user-1', email: 'invitee@example.com' };
+
+  const expectOrganizationError = async (promise, code, status) => {
+    const error = await promise.catch(caught => caught);
+    expect(error).toBeInstanceOf(OrganizationError);
+    expect(error.code).toBe(code);
+    expect(error.status).toBe(status);
+  };
+
+  /**
+   * Store an invitation the way createInvitation does
+   * @param {Object} fields - Fields to override
+   * @returns {Promise<string>} - The emailed token
+   */
+  const invite = async (fields = {}) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await prisma.organizationInvitation.create({
+      data: {
+        organizationId: organization.id,
+        email: user.email,
+        role: ORG_ROLES.MEMBER,
+        tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+        invitedById: 'owner-1',
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        ...fields
+      }
+    });
+    return token;
+  };
+
+  beforeEach(async () => {
+    prisma.organization.rows.length = 0;
+    prisma.organizationMembership.rows.length = 0;
+    prisma.organizationInvitation.rows.length = 0;
+    organization = await prisma.organization.create({ data: { name: 'Acme' } });
+  });
+
+  describe('hasRole', () => {
+    test('higher roles include lower ones', () => {
+      expect(hasRole(ORG_ROLES.OWNER, ORG_ROLES.ADMIN)).toBe(true);
+      expect(hasRole(ORG_ROLES.ADMIN, ORG_ROLES.MEMBER)).toBe(true);
+      expect(hasRole(ORG_ROLES.MEMBER, ORG_ROLES.MEMBER)).toBe(true);
+    });
+
+    test('lower and unknown roles do not', () => {
+      expect(hasRole(ORG_ROLES.VIEWER, ORG_ROLES.MEMBER)).toBe(false);
+      expect(hasRole(ORG_ROLES.ADMIN, ORG_ROLES.OWNER)).toBe(false);
+      expect(hasRole('superuser', ORG_ROLES.VIEWER)).toBe(false);
+      expect(hasRole(undefined, ORG_ROLES.VIEWER)).toBe(false);
+    });
+  });
+
+  describe('getWorkspace', () => {
+    test('without an organization it is the personal workspace', async () => {
+      await expect(getWorkspace(user.id, null)).resolves.toEqual({
+        organizationId: null,
+        role: ORG_ROLES.OWNER,
+        filter: { userId: user.id, organizationId: null }
+      });
+    });
+
+    test('members get their role and the organization filter', async () => {
+      await prisma.organizationMembership.create({
+        data: { organizationId: organization.id, userId: user.id, role: ORG_ROLES.VIEWER }
+      });
+
+      await expect(getWorkspace(user.id, organization.id)).resolves.toEqual({
+        organizationId: organization.id,
+        role: ORG_ROLES.VIEWER,
+        filter: { organizationId: organization.id }
+      });
+    });
+
+    test('non-members get nothing', async () => {
+      await prisma.organizationMembership.create({
+        data: { organizationId: organization.id, userId: 'someone-else', role: ORG_ROLES.OWNER }
+      });
+
+      await expect(getWorkspace(user.id, organization.id)).resolves.toBeNull();
+    });
+  });
+
+  describe('acceptInvitation', () => {
+    test('the invited address joins with the invited role', async () => {
+      const token = await invite({ role: ORG_ROLES.ADMIN });
+
+      const membership = await acceptInvitation(user, token);
+
+      expect(membership).toMatchObject({ organizationId: organization.id, userId: user.id, role: ORG_ROLES.ADMIN });
+      expect(membership.organization.name).toBe('Acme');
+      expect(prisma.organizationInvitation.rows[0]).toMatchObject({ acceptedById: user.id });
+    });
+
+    test('emails are compared case-insensitively', async () => {
+      const token = await invite({ email: 'Invitee@Example.com' });
+
+      await expect(acceptInvitation(user, token)).resolves.toMatchObject({ userId: user.id });
+    });
+
+    test('another account cannot accept it', async () => {
+      const token = await invite();
+      const transaction = jest.spyOn(prisma, '$transaction');
+
+      await expectOrganizationError(
+        acceptInvitation({ id: 'user-2', email: 'forwarded@example.com' }, token),
+        'invitation_email_mismatch',
+        403
+      );
+
+      expect(transaction).not.toHaveBeenCalled();
+      expect(prisma.organizationMembership.rows).toHaveLength(0);
+      // The invitation stays usable by the right person
+      expect(prisma.organizationInvitation.rows[0].acceptedAt).toBeNull();
+      transaction.mockRestore();
+    });
+
+    test('an account without an email cannot accept it', async () => {
+      const token = await invite();
+
+      await expectOrganizationError(acceptInvitation({ id: 'user-2', email: null }, token), 'invitation_email_mismatch', 403);
+    });
+
+    test('an invitation works once', async () => {
+      const token = await invite();
+      await acceptInvitation(user, token);
+
+      await expectOrganizationError(acceptInvitation(user, token), 'invalid_invitation', 400);
+    });
+
+    test.each([
+      ['left to expire', { expiresAt: new Date(Date.now() - 1000) }],
+      ['revoked', { revokedAt: new Date() }]
+    ])('an invitation that was %s is refused', async (label, fields) => {
+      const token = await invite(fields);
+
+      await expectOrganizationError(acceptInvitation(user, token), 'invalid_invitation', 400);
+      expect(prisma.organizationMembership.rows).toHaveLength(0);
+    });
+
+    test('an unknown token is refused', async () => {
+      await expectOrganizationError(acceptInvitation(user, 'not-a-token'), 'invalid_invitation', 400);
+    });
+
+    test('joining again never lowers an existing role', async () => {
+      await prisma.organizationMembership.create({
+        data: { organizationId: organization.id, userId: user.id, role: ORG_ROLES.ADMIN }
+      });
+      const token = await invite({ role: ORG_ROLES.VIEWER });
+
+      await expect(acceptInvitation(user, token)).resolves.toMatchObject({ role: ORG_ROLES.ADMIN });
+      expect(prisma.organizationMembership.rows).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const { UnsafeUrlError, isPrivateAddress, assertPublicUrl } = require('../services/outbound-url');
+
+describe('outbound URL safety', () => {
+  test.each([
+    '127.0.0.1',
+    '10.20.30.40',
+    '172.16.0.1',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '255.255.255.255',
+    '::1',
+    '::',
+    'fe80::1',
+    'fd12:3456::1',
+    '::ffff:127.0.0.1',
+    '::ffff:a9fe:a9fe'
+  ])('treats %s as private', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each([
+    '8.8.8.8',
+    '1.1.1.1',
+    '2606:4700:4700::1111'
+  ])('treats %s as public', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+
+  test.each([
+    'http://169.254.169.254/latest/meta-data/',
+    'http://127.1:8080/hook',
+    'http://2130706433/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://localhost:3000/hook'
+  ])('refuses %s', async (url) => {
+    const error = await assertPublicUrl(url).catch(caught => caught);
+    expect(error).toBeInstanceOf(UnsafeUrlError);
+    expect(error.code).toBe('private_address');
+  });
+
+  test('refuses other protocols', async () => {
+    await expect(assertPublicUrl('file:///etc/passwd')).rejects.toMatchObject({ code: 'invalid_url' });
+  });
+
+  test('accepts a public address', async () => {
+    await expect(assertPublicUrl('https://8.8.8.8/hook')).resolves.toEqual([{ address: '8.8.8.8', family: 4 }]);
+  });
+});
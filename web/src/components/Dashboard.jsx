@@ -13,7 +13,8 @@ function Dashboard({ user, onLogout }) {
     pending: 0,
     processing: 0,
     completed: 0,
-    failed: 0
+    failed: 0,
+    shipmentStatuses: {}
   })
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
@@ -1,6 +1,9 @@
 import './StatsCards.css'
 
 function StatsCards({ stats }) {
+  // Delivery state comes from the canonical shipment status, not the tracking job state
+  const shipmentStatuses = stats.shipmentStatuses || {}
+
   const statItems = [
     {
       label: 'Total Packages',
@@ -9,22 +12,28 @@ function StatsCards({ stats }) {
       color: 'blue'
     },
     {
-      label: 'Pending',
-      value: stats.pending || 0,
-      icon: 'fa-clock',
+      label: 'Label Created',
+      value: shipmentStatuses.label_created || 0,
+      icon: 'fa-tag',
       color: 'yellow'
     },
     {
       label: 'In Transit',
-      value: stats.processing || 0,
+      value: (shipmentStatuses.in_transit || 0) + (shipmentStatuses.out_for_delivery || 0),
       icon: 'fa-truck',
       color: 'indigo'
     },
     {
       label: 'Delivered',
-      value: stats.completed || 0,
+      value: shipmentStatuses.delivered || 0,
       icon: 'fa-check-circle',
       color: 'green'
+    },
+    {
+      label: 'Exceptions',
+      value: (shipmentStatuses.exception || 0) + (shipmentStatuses.returned || 0),
+      icon: 'fa-exclamation-triangle',
+      color: 'red'
     }
   ]
 
@@ -1,5 +1,5 @@
 import { useState } from 'react'
-import { getCarrierInfo, getStatusColor, formatTrackingNumber } from '../lib/carriers'
+import { getCarrierInfo, getStatusColor, getDisplayStatus, formatTrackingNumber } from '../lib/carriers'
 import BarcodeVisual from './BarcodeVisual'
 import EditTrackingModal from './EditTrackingModal'
 import './TrackingCard.css'
@@ -9,7 +9,8 @@ function TrackingCard({ tracking, onView, onEdit, onDelete }) {
   const [isSaving, setIsSaving] = useState(false)
   
   const carrierInfo = getCarrierInfo(tracking.carrier?.name)
-  const statusInfo = getStatusColor(tracking.status)
+  const displayStatus = getDisplayStatus(tracking)
+  const statusInfo = getStatusColor(displayStatus)
   const formattedNumber = formatTrackingNumber(tracking.trackingNumber)
   const description = tracking.metadata?.description || tracking.description || ''
 
@@ -47,9 +48,9 @@ function TrackingCard({ tracking, onView, onEdit, onDelete }) {
             </div>
           )}
         </div>
-        <div className={`status-badge status-${tracking.status}`}>
+        <div className={`status-badge status-${displayStatus}`}>
           <span className="status-icon">{statusInfo.icon}</span>
-          <span className="status-text">{getStatusLabel(tracking.status)}</span>
+          <span className="status-text">{getStatusLabel(displayStatus)}</span>
         </div>
       </div>
 
@@ -144,9 +145,15 @@ function TrackingCard({ tracking, onView, onEdit, onDelete }) {
 function getStatusLabel(status) {
   const labels = {
     pending: 'Pending',
-    processing: 'In Transit',
-    completed: 'Delivered',
+    processing: 'Checking',
+    completed: 'Updated',
     failed: 'Failed',
+    label_created: 'Label Created',
+    in_transit: 'In Transit',
+    out_for_delivery: 'Out for Delivery',
+    delivered: 'Delivered',
+    exception: 'Exception',
+    returned: 'Returned',
   };
   return labels[status] || status;
 }
@@ -4,7 +4,7 @@
  */
 
 import { useState } from 'react'
-import { getCarrierInfo, getStatusColor, formatTrackingNumber } from '../lib/carriers'
+import { getCarrierInfo, getStatusColor, getDisplayStatus, formatTrackingNumber } from '../lib/carriers'
 import BarcodeVisual from './BarcodeVisual'
 import EditTrackingModal from './EditTrackingModal'
 import './TrackingCardCompact.css'
@@ -14,7 +14,8 @@ function TrackingCardCompact({ tracking, onView, onEdit, onDelete }) {
   const [isSaving, setIsSaving] = useState(false)
   
   const carrierInfo = getCarrierInfo(tracking.carrier?.name)
-  const statusInfo = getStatusColor(tracking.status)
+  const displayStatus = getDisplayStatus(tracking)
+  const statusInfo = getStatusColor(displayStatus)
   const formattedNumber = formatTrackingNumber(tracking.trackingNumber)
   const description = tracking.metadata?.description || tracking.description || ''
 
@@ -49,9 +50,9 @@ function TrackingCardCompact({ tracking, onView, onEdit, onDelete }) {
             </div>
           )}
         </div>
-        <div className={`compact-status status-${tracking.status}`}>
+        <div className={`compact-status status-${displayStatus}`}>
           <span className="status-icon-small">{statusInfo.icon}</span>
-          <span className="status-text-small">{getStatusLabel(tracking.status)}</span>
+          <span className="status-text-small">{getStatusLabel(displayStatus)}</span>
         </div>
       </div>
 
@@ -124,9 +125,15 @@ function TrackingCardCompact({ tracking, onView, onEdit, onDelete }) {
 function getStatusLabel(status) {
   const labels = {
     pending: 'Pending',
-    processing: 'In Transit',
-    completed: 'Delivered',
+    processing: 'Checking',
+    completed: 'Updated',
     failed: 'Failed',
+    label_created: 'Label Created',
+    in_transit: 'In Transit',
+    out_for_delivery: 'Out for Delivery',
+    delivered: 'Delivered',
+    exception: 'Exception',
+    returned: 'Returned',
   };
   return labels[status] || status;
 }
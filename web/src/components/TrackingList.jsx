@@ -1,5 +1,6 @@
 import { useState, useMemo, useEffect } from 'react'
 import api from '../lib/api'
+import { getDisplayStatus } from '../lib/carriers'
 import TrackingCard from './TrackingCard'
 import TrackingCardCompact from './TrackingCardCompact'
 import TrackingCarousel from './TrackingCarousel'
@@ -18,7 +19,7 @@ function TrackingList({ trackings, onDelete, onUpdate }) {
     return trackings.filter(tracking => {
       const matchesSearch = tracking.trackingNumber.toLowerCase().includes(searchTerm.toLowerCase()) ||
         (tracking.metadata?.description || tracking.description || '').toLowerCase().includes(searchTerm.toLowerCase())
-      const matchesStatus = !filterStatus || tracking.status === filterStatus
+      const matchesStatus = !filterStatus || getDisplayStatus(tracking) === filterStatus
       const matchesCarrier = !filterCarrier || tracking.carrier?.name === filterCarrier
 
       return matchesSearch && matchesStatus && matchesCarrier
@@ -113,8 +114,12 @@ function TrackingList({ trackings, onDelete, onUpdate }) {
           >
             <option value="">All Status</option>
             <option value="pending">Pending</option>
-            <option value="processing">In Transit</option>
-            <option value="completed">Delivered</option>
+            <option value="label_created">Label Created</option>
+            <option value="in_transit">In Transit</option>
+            <option value="out_for_delivery">Out for Delivery</option>
+            <option value="delivered">Delivered</option>
+            <option value="exception">Exception</option>
+            <option value="returned">Returned</option>
             <option value="failed">Failed</option>
           </select>
           <select
@@ -2,73 +2,57 @@
  * Carrier Metadata and Branding
  * Shared utility for carrier information (logos, colors, etc.)
  * Can be reused across web, extension, and mobile apps
+ * Carriers come from the backend's carrier registry (config/carriers.json)
  */
 
-export const CARRIERS = {
-  USPS: {
-    name: 'USPS',
-    displayName: 'USPS',
-    color: '#004B87',
-    logo: '📮', // Emoji as fallback, can be replaced with SVG/icon
-    iconClass: 'usps-icon',
-  },
-  UPS: {
-    name: 'UPS',
-    displayName: 'UPS',
-    color: '#7B2009',
-    logo: '🚚',
-    iconClass: 'ups-icon',
-  },
-  FedEx: {
-    name: 'FedEx',
-    displayName: 'FedEx',
-    color: '#4D148C',
-    logo: '📦',
-    iconClass: 'fedex-icon',
-  },
-  DHL: {
-    name: 'DHL',
-    displayName: 'DHL',
-    color: '#FFCC00',
-    logo: '📬',
-    iconClass: 'dhl-icon',
-  },
-  Amazon: {
-    name: 'Amazon',
-    displayName: 'Amazon',
-    color: '#FF9900',
-    logo: '📦',
-    iconClass: 'amazon-icon',
-  },
+import registry from '../../../config/carriers.json';
+
+const DEFAULT_CARRIER = {
+  color: '#6b7280',
+  logo: '📦',
+  iconClass: 'default-icon',
 };
 
+export const CARRIERS = Object.fromEntries(
+  registry.carriers.map((carrier) => [
+    carrier.name,
+    {
+      name: carrier.name,
+      displayName: carrier.branding?.shortName || carrier.name,
+      color: carrier.branding?.color || DEFAULT_CARRIER.color,
+      logo: carrier.branding?.logo || DEFAULT_CARRIER.logo,
+      iconClass: carrier.branding?.iconClass || DEFAULT_CARRIER.iconClass,
+    },
+  ])
+);
+
+// Every name and alias, uppercased, pointing at the carrier's registry name
+const CARRIER_ALIASES = Object.fromEntries(
+  registry.carriers.flatMap((carrier) =>
+    [carrier.name, ...(carrier.aliases || [])].map((alias) => [alias.toUpperCase(), carrier.name])
+  )
+);
+
 /**
  * Get carrier metadata by name
+ * Accepts any casing and the aliases in the registry ('fedex', 'Federal Express')
  */
 export function getCarrierInfo(carrierName) {
   if (!carrierName) return null;
   
-  const normalized = carrierName.toUpperCase();
-  
-  // Handle variations
-  if (normalized === 'FEDEX' || normalized === 'FED EX') {
-    return CARRIERS.FedEx;
-  }
-  if (normalized === 'AMAZON') {
-    return CARRIERS.Amazon;
-  }
+  const name = CARRIER_ALIASES[carrierName.trim().toUpperCase()];
   
-  return CARRIERS[normalized] || {
+  return CARRIERS[name] || {
     name: carrierName,
     displayName: carrierName,
-    color: '#6b7280',
-    logo: '📦',
-    iconClass: 'default-icon',
+    ...DEFAULT_CARRIER,
   };
 }
 
 /**
  * Get status color
+ * Accepts job states (pending, processing, completed, failed) and
+ * canonical shipment statuses (label_created, in_transit, ...)
  */
 export function getStatusColor(status) {
   const statusColors = {
@@ -76,11 +60,30 @@ export function getStatusColor(status) {
     processing: { bg: '#dbeafe', text: '#1e40af', icon: '🚚' },
     completed: { bg: '#d1fae5', text: '#065f46', icon: '✅' },
     failed: { bg: '#fee2e2', text: '#991b1b', icon: '❌' },
+    label_created: { bg: '#f3f4f6', text: '#374151', icon: '🏷️' },
+    in_transit: { bg: '#dbeafe', text: '#1e40af', icon: '🚚' },
+    out_for_delivery: { bg: '#e0e7ff', text: '#3730a3', icon: '📍' },
+    delivered: { bg: '#d1fae5', text: '#065f46', icon: '✅' },
+    exception: { bg: '#fee2e2', text: '#991b1b', icon: '⚠️' },
+    returned: { bg: '#fce7f3', text: '#9d174d', icon: '↩️' },
   };
   
   return statusColors[status] || { bg: '#f3f4f6', text: '#6b7280', icon: '❓' };
 }
 
+/**
+ * Get the status to show for a tracking
+ * Prefers the carrier's shipment status, falling back to the job state
+ * until the carrier has reported something
+ */
+export function getDisplayStatus(tracking) {
+  const shipmentStatus = tracking?.shipmentStatus || tracking?.shipment?.status;
+  if (shipmentStatus && shipmentStatus !== 'unknown') {
+    return shipmentStatus;
+  }
+  return tracking?.status || 'pending';
+}
+
 /**
  * Format tracking number for display (adds spaces for readability)
  */
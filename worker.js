@@ -0,0 +1,13 @@
+require('dotenv').config();
+
+// Validate environment configuration before starting
+const { getConfig } = require('./config/env');
+const config = getConfig();
+
+const { startJobWorker } = require('./services/job-worker');
+
+/**
+ * Standalone job worker
+ * Use when the API server runs with JOB_WORKER_ENABLED=false, or to add capacity
+ */
+startJobWorker({ intervalMs: config.JOB_WORKER_INTERVAL_MS });